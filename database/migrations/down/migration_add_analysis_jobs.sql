@@ -0,0 +1,4 @@
+-- Rollback: Analysis jobs
+-- Queued and running analyses are lost.
+
+DROP TABLE IF EXISTS analysis_jobs;
@@ -0,0 +1,2 @@
+-- Rollback: Analysis mode
+-- Nothing to undo: the base schema already creates analysis_mode and pages_analyzed.
@@ -0,0 +1,6 @@
+-- Rollback: Analysis schedules
+
+DROP INDEX IF EXISTS idx_analysis_jobs_company_url;
+
+DROP TABLE IF EXISTS schedule_runs;
+DROP TABLE IF EXISTS analysis_schedules;
@@ -0,0 +1,4 @@
+-- Rollback: Analysis snapshots
+-- The history used to diff analysis runs is lost.
+
+DROP TABLE IF EXISTS analysis_snapshots;
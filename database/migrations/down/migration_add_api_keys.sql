@@ -0,0 +1,4 @@
+-- Rollback: API keys
+-- Every key stops working.
+
+DROP TABLE IF EXISTS api_keys;
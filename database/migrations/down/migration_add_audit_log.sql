@@ -0,0 +1,5 @@
+-- Rollback: Audit log
+-- The audit trail is lost.
+
+DROP TABLE IF EXISTS audit_log;
+DROP FUNCTION IF EXISTS prevent_audit_log_changes();
@@ -0,0 +1,7 @@
+-- Rollback: Brand guidelines
+-- Every guideline version is lost; the classifier falls back to the built-in guidelines.
+
+DROP INDEX IF EXISTS idx_brand_messages_guideline_version_id;
+ALTER TABLE brand_messages DROP COLUMN IF EXISTS guideline_version_id;
+
+DROP TABLE IF EXISTS brand_guidelines;
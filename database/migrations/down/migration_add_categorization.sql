@@ -0,0 +1,5 @@
+-- Rollback: Message categorization
+
+ALTER TABLE brand_messages DROP COLUMN IF EXISTS category_id;
+
+DROP TABLE IF EXISTS message_categories;
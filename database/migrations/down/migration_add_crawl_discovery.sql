@@ -0,0 +1,6 @@
+-- Rollback: Crawl discovery
+
+ALTER TABLE analysis_jobs
+DROP COLUMN IF EXISTS discovery,
+DROP COLUMN IF EXISTS crawl_max_pages,
+DROP COLUMN IF EXISTS crawl_max_depth;
@@ -0,0 +1,16 @@
+-- Rollback: Job history
+
+-- Jobs can no longer be cancelled: cancelled jobs count as failed
+UPDATE analysis_jobs
+SET status = 'failed'
+WHERE status = 'cancelled';
+
+COMMENT ON COLUMN analysis_jobs.status IS NULL;
+
+DROP INDEX IF EXISTS idx_analysis_jobs_created_at;
+
+ALTER TABLE analysis_jobs
+DROP COLUMN IF EXISTS log,
+DROP COLUMN IF EXISTS phase_timings,
+DROP COLUMN IF EXISTS page_counts,
+DROP COLUMN IF EXISTS cancel_requested;
@@ -0,0 +1,5 @@
+-- Rollback: LLM response cache
+
+ALTER TABLE analysis_jobs DROP COLUMN IF EXISTS bypass_llm_cache;
+
+DROP TABLE IF EXISTS llm_cache;
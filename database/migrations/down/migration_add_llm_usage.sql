@@ -0,0 +1,8 @@
+-- Rollback: LLM usage
+-- Recorded usage and workspace budgets are lost.
+
+ALTER TABLE workspaces
+DROP COLUMN IF EXISTS daily_budget_usd,
+DROP COLUMN IF EXISTS monthly_budget_usd;
+
+DROP TABLE IF EXISTS llm_usage;
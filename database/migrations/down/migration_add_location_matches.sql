@@ -0,0 +1,3 @@
+-- Rollback: Location matches
+
+ALTER TABLE brand_messages DROP COLUMN IF EXISTS location_matches;
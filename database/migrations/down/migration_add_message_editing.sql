@@ -0,0 +1,9 @@
+-- Rollback: Message editing
+-- Manually added messages are kept, without their author.
+
+ALTER TABLE brand_messages
+DROP COLUMN IF EXISTS source,
+DROP COLUMN IF EXISTS aliases,
+DROP COLUMN IF EXISTS created_by,
+DROP COLUMN IF EXISTS updated_at,
+DROP COLUMN IF EXISTS updated_by;
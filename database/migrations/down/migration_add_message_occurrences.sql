@@ -0,0 +1,3 @@
+-- Rollback: Message occurrences
+
+DROP TABLE IF EXISTS message_occurrences;
@@ -0,0 +1,14 @@
+-- Rollback: Message review
+-- Review decisions and the feedback collected for the classifier are lost.
+
+DROP TABLE IF EXISTS message_feedback;
+
+ALTER TABLE analysis_schedules DROP COLUMN IF EXISTS recapture_approved_only;
+
+DROP INDEX IF EXISTS idx_brand_messages_review_status;
+
+ALTER TABLE brand_messages
+DROP COLUMN IF EXISTS review_status,
+DROP COLUMN IF EXISTS review_comment,
+DROP COLUMN IF EXISTS reviewed_by,
+DROP COLUMN IF EXISTS reviewed_at;
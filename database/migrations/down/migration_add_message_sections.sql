@@ -0,0 +1,3 @@
+-- Rollback: Message sections
+
+ALTER TABLE brand_messages DROP COLUMN IF EXISTS sections;
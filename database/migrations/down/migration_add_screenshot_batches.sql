@@ -0,0 +1,10 @@
+-- Rollback: Screenshot batches
+
+COMMENT ON COLUMN screenshots.status IS NULL;
+
+DROP INDEX IF EXISTS idx_screenshots_batch_id;
+
+ALTER TABLE screenshots
+DROP COLUMN IF EXISTS attempt_count,
+DROP COLUMN IF EXISTS batch_id,
+DROP COLUMN IF EXISTS error_message;
@@ -0,0 +1,2 @@
+-- Rollback: Screenshot status
+-- Nothing to undo: the base schema already creates status and a nullable image_url.
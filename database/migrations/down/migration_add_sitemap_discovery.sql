@@ -0,0 +1,12 @@
+-- Rollback: Sitemap discovery
+-- Sitemap jobs become crawl jobs, the closest mode before this migration.
+
+UPDATE analysis_jobs SET discovery = 'crawl' WHERE discovery = 'sitemap';
+
+ALTER TABLE analysis_jobs DROP CONSTRAINT IF EXISTS analysis_jobs_discovery_check;
+ALTER TABLE analysis_jobs ADD CONSTRAINT analysis_jobs_discovery_check
+  CHECK (discovery IN ('homepage', 'crawl'));
+
+ALTER TABLE analysis_jobs
+DROP COLUMN IF EXISTS url_include,
+DROP COLUMN IF EXISTS url_exclude;
@@ -0,0 +1,10 @@
+-- Rollback: Soft delete
+-- Items in the trash are not deleted: they show up again as regular data.
+
+DROP INDEX IF EXISTS idx_companies_deleted_at;
+DROP INDEX IF EXISTS idx_brand_messages_deleted_at;
+DROP INDEX IF EXISTS idx_screenshots_deleted_at;
+
+ALTER TABLE companies DROP COLUMN IF EXISTS deleted_at, DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE brand_messages DROP COLUMN IF EXISTS deleted_at, DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE screenshots DROP COLUMN IF EXISTS deleted_at, DROP COLUMN IF EXISTS deleted_by;
@@ -0,0 +1,4 @@
+-- Rollback: Webhooks
+
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhooks;
@@ -0,0 +1,46 @@
+-- Rollback: Workspaces
+-- Companies of every workspace are shared again, so this fails if two workspaces track
+-- the same URL. The guidelines of the first workspace become the global guidelines;
+-- those of the other workspaces are deleted. Accounts and sessions are lost.
+
+-- Restore the open read policies
+CREATE POLICY "Allow public read access on companies" ON companies FOR SELECT USING (true);
+CREATE POLICY "Allow public read access on brand_messages" ON brand_messages FOR SELECT USING (true);
+CREATE POLICY "Allow public read access on screenshots" ON screenshots FOR SELECT USING (true);
+CREATE POLICY "Allow public read access on message_categories" ON message_categories FOR SELECT USING (true);
+CREATE POLICY "Allow public read access on brand_guidelines" ON brand_guidelines FOR SELECT USING (true);
+CREATE POLICY "Allow public read access on message_occurrences" ON message_occurrences FOR SELECT USING (true);
+CREATE POLICY "Allow public read access on analysis_snapshots" ON analysis_snapshots FOR SELECT USING (true);
+CREATE POLICY "Allow public read access on analysis_schedules" ON analysis_schedules FOR SELECT USING (true);
+CREATE POLICY "Allow public read access on schedule_runs" ON schedule_runs FOR SELECT USING (true);
+
+DROP INDEX IF EXISTS idx_webhooks_workspace_id;
+ALTER TABLE webhooks DROP COLUMN IF EXISTS workspace_id;
+
+-- Global guidelines: keep one set of version numbers
+DELETE FROM brand_guidelines
+WHERE company_id IS NULL
+  AND workspace_id IS NOT NULL
+  AND workspace_id <> (SELECT id FROM workspaces ORDER BY created_at LIMIT 1);
+
+DELETE FROM brand_guidelines
+WHERE company_id IS NULL
+  AND workspace_id IS NULL
+  AND EXISTS (SELECT 1 FROM brand_guidelines WHERE company_id IS NULL AND workspace_id IS NOT NULL);
+
+DROP INDEX IF EXISTS idx_brand_guidelines_workspace_version;
+DROP INDEX IF EXISTS idx_brand_guidelines_default_version;
+ALTER TABLE brand_guidelines DROP COLUMN IF EXISTS workspace_id;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_brand_guidelines_global_version ON brand_guidelines(version) WHERE company_id IS NULL;
+
+DROP INDEX IF EXISTS idx_analysis_jobs_workspace_id;
+ALTER TABLE analysis_jobs DROP COLUMN IF EXISTS workspace_id;
+
+DROP INDEX IF EXISTS idx_companies_workspace_url;
+ALTER TABLE companies DROP COLUMN IF EXISTS workspace_id;
+ALTER TABLE companies ADD CONSTRAINT companies_url_key UNIQUE (url);
+
+DROP TABLE IF EXISTS sessions;
+DROP TABLE IF EXISTS workspace_members;
+DROP TABLE IF EXISTS workspaces;
+DROP TABLE IF EXISTS users;
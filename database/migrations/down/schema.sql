@@ -0,0 +1,6 @@
+-- Rollback: Base schema
+-- Drops the core tables and every row in them.
+
+DROP TABLE IF EXISTS screenshots;
+DROP TABLE IF EXISTS brand_messages;
+DROP TABLE IF EXISTS companies;
@@ -0,0 +1,32 @@
+-- Migration: Add persistent analysis job queue
+-- Analyses are stored as jobs and executed by the background worker, so they survive
+-- browser refreshes, proxy timeouts and server restarts and can resume from a checkpoint.
+
+CREATE TABLE IF NOT EXISTS analysis_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_url TEXT NOT NULL,
+  mode TEXT NOT NULL DEFAULT 'full_website', -- 'full_website' or 'specific_pages'
+  pages TEXT[], -- Specific pages to analyze (null for full website)
+  status TEXT NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'completed', 'failed'
+  company_id UUID REFERENCES companies(id) ON DELETE SET NULL,
+  current_phase TEXT, -- 'discovery', 'fetching', 'classification', 'persistence', 'categorization'
+  checkpoint JSONB DEFAULT '{}'::jsonb, -- Completed phases and their outputs, used to resume
+  progress INTEGER DEFAULT 0,
+  last_message TEXT,
+  result JSONB,
+  error TEXT,
+  attempts INTEGER DEFAULT 0,
+  locked_by TEXT, -- Worker currently running the job
+  heartbeat_at TIMESTAMP WITH TIME ZONE,
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for the worker's polling queries
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_status_created_at ON analysis_jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_company_id ON analysis_jobs(company_id);
+
+-- Enable Row Level Security (only the backend service role accesses jobs)
+ALTER TABLE analysis_jobs ENABLE ROW LEVEL SECURITY;
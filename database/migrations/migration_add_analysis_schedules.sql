@@ -0,0 +1,49 @@
+-- Migration: Add scheduled recurring analyses
+-- A company can have one cron schedule (evaluated in UTC) that re-runs a full analysis
+-- and optionally re-captures the screenshots of every message that already has evidence.
+-- Each execution is recorded in schedule_runs.
+
+CREATE TABLE IF NOT EXISTS analysis_schedules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL UNIQUE REFERENCES companies(id) ON DELETE CASCADE,
+  cron_expression TEXT NOT NULL, -- 5-field cron expression, e.g. '0 6 * * 1' (Mondays 06:00 UTC)
+  enabled BOOLEAN DEFAULT TRUE,
+  recapture_screenshots BOOLEAN DEFAULT FALSE, -- Re-capture tracked evidence after the analysis
+  next_run_at TIMESTAMP WITH TIME ZONE, -- NULL while disabled
+  last_run_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS schedule_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  schedule_id UUID NOT NULL REFERENCES analysis_schedules(id) ON DELETE CASCADE,
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  trigger TEXT DEFAULT 'schedule', -- 'schedule' or 'manual'
+  status TEXT NOT NULL DEFAULT 'analyzing', -- 'analyzing', 'capturing', 'completed', 'failed'
+  job_id UUID REFERENCES analysis_jobs(id) ON DELETE SET NULL, -- Analysis job of the run
+  screenshot_batch_id UUID, -- batch_id of the re-captured screenshots
+  screenshots_total INTEGER DEFAULT 0,
+  screenshots_succeeded INTEGER DEFAULT 0,
+  screenshots_failed INTEGER DEFAULT 0,
+  error TEXT,
+  locked_by TEXT, -- Server instance capturing the screenshots
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_analysis_schedules_next_run ON analysis_schedules(enabled, next_run_at);
+CREATE INDEX IF NOT EXISTS idx_schedule_runs_company_id ON schedule_runs(company_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_schedule_runs_status ON schedule_runs(status);
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_company_url ON analysis_jobs(company_url, status);
+
+-- Enable Row Level Security
+ALTER TABLE analysis_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE schedule_runs ENABLE ROW LEVEL SECURITY;
+
+-- Create Policies (Open for now as we are using Service Role Key on backend)
+CREATE POLICY "Allow public read access on analysis_schedules" ON analysis_schedules FOR SELECT USING (true);
+CREATE POLICY "Allow public read access on schedule_runs" ON schedule_runs FOR SELECT USING (true);
@@ -0,0 +1,26 @@
+-- Migration: Add analysis snapshots
+-- brand_messages accumulates messages over every analysis of a company, so it cannot
+-- tell which messages appeared or disappeared since the last run. Each completed run
+-- stores a snapshot of the messages it found (with their pages and categories), and two
+-- snapshots are compared by the /api/company/:id/diff endpoint.
+
+CREATE TABLE IF NOT EXISTS analysis_snapshots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  job_id UUID UNIQUE REFERENCES analysis_jobs(id) ON DELETE SET NULL, -- Job that produced the snapshot
+  guideline_version_id UUID REFERENCES brand_guidelines(id) ON DELETE SET NULL,
+  pages JSONB DEFAULT '[]'::jsonb, -- URLs analyzed in this run
+  page_count INTEGER DEFAULT 0,
+  message_count INTEGER DEFAULT 0,
+  messages JSONB DEFAULT '[]'::jsonb, -- [{ key, message_id, message_type, content, locations, category }]
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_analysis_snapshots_company_id ON analysis_snapshots(company_id, created_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE analysis_snapshots ENABLE ROW LEVEL SECURITY;
+
+-- Create Policies (Open for now as we are using Service Role Key on backend)
+CREATE POLICY "Allow public read access on analysis_snapshots" ON analysis_snapshots FOR SELECT USING (true);
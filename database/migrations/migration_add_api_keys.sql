@@ -0,0 +1,24 @@
+-- Migration: Add API keys for the public REST API (/api/v1)
+-- An API key belongs to a workspace and grants a set of scopes, e.g. messages:read or
+-- jobs:write. Only a SHA-256 of the key is stored; the key itself is shown once, when
+-- it is created.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL, -- First characters of the key, to recognize it in lists
+  key_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the key
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE, -- NULL for keys that do not expire
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_api_keys_workspace_id ON api_keys(workspace_id, created_at DESC);
+
+-- Enable Row Level Security (no public policy: keys are only read by the API)
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
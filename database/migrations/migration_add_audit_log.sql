@@ -0,0 +1,42 @@
+-- Migration: Add an append-only audit log
+-- Records who deleted or changed companies, messages and screenshots, with a snapshot of
+-- the data before and after the change. Rows only reference workspaces, companies and
+-- users by id (no foreign keys), so the record outlives the rows it describes.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL,
+  company_id UUID, -- Company the action belongs to (NULL for workspace-level actions)
+  actor_user_id UUID,
+  actor_email TEXT,
+  actor_api_key_id UUID, -- Set when the action was made with an API key
+  action TEXT NOT NULL, -- e.g. 'message.deleted', 'screenshot.cropped'
+  target_type TEXT NOT NULL, -- 'company', 'message' or 'screenshot'
+  target_id UUID,
+  before JSONB,
+  after JSONB,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_audit_log_workspace_id ON audit_log(workspace_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_company_id ON audit_log(company_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id);
+
+-- Entries can be added but never changed or removed
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_audit_log_changes();
+
+-- Enable Row Level Security (no public policy: entries are only read by the API)
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
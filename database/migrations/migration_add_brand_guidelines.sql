@@ -0,0 +1,30 @@
+-- Migration: Add versioned brand guidelines
+-- The guidelines used by the classifier are stored as immutable versions instead of
+-- being hard-coded. Global versions have no company_id; a company can have override
+-- versions. Every brand message records the version that classified it.
+
+CREATE TABLE IF NOT EXISTS brand_guidelines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID REFERENCES companies(id) ON DELETE CASCADE, -- NULL for the global guidelines
+  version INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  notes TEXT, -- Change note
+  retired_at TIMESTAMP WITH TIME ZONE, -- Set when a company override is removed
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One version number per scope
+CREATE UNIQUE INDEX IF NOT EXISTS idx_brand_guidelines_global_version ON brand_guidelines(version) WHERE company_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_brand_guidelines_company_version ON brand_guidelines(company_id, version) WHERE company_id IS NOT NULL;
+
+-- Record which guideline version classified each message
+ALTER TABLE brand_messages
+ADD COLUMN IF NOT EXISTS guideline_version_id UUID REFERENCES brand_guidelines(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_brand_messages_guideline_version_id ON brand_messages(guideline_version_id);
+
+-- Enable Row Level Security
+ALTER TABLE brand_guidelines ENABLE ROW LEVEL SECURITY;
+
+-- Create Policies (Open for now as we are using Service Role Key on backend)
+CREATE POLICY "Allow public read access on brand_guidelines" ON brand_guidelines FOR SELECT USING (true);
@@ -0,0 +1,9 @@
+-- Migration: Add the page discovery mode of analysis jobs
+-- Full-website analyses find their pages either through the links of the homepage or by
+-- crawling the site, with optional page and depth limits (NULL: MAX_CRAWL_PAGES and
+-- MAX_CRAWL_DEPTH of the server).
+
+ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS discovery TEXT NOT NULL DEFAULT 'homepage'
+  CHECK (discovery IN ('homepage', 'crawl'));
+ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS crawl_max_pages INTEGER;
+ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS crawl_max_depth INTEGER;
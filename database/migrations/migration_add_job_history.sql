@@ -0,0 +1,15 @@
+-- Migration: Add job history and cancellation to analysis_jobs
+-- Stores the full progress log, timings per phase and page counts of every run,
+-- and lets a running or queued job be cancelled.
+
+ALTER TABLE analysis_jobs
+ADD COLUMN IF NOT EXISTS log JSONB DEFAULT '[]'::jsonb, -- [{ at, type, phase, message, progress }]
+ADD COLUMN IF NOT EXISTS phase_timings JSONB DEFAULT '{}'::jsonb, -- { phase: { started_at, finished_at, duration_ms, outcome, attempt } }
+ADD COLUMN IF NOT EXISTS page_counts JSONB DEFAULT '{}'::jsonb, -- { discovered, fetched, skipped, failed }
+ADD COLUMN IF NOT EXISTS cancel_requested BOOLEAN DEFAULT FALSE;
+
+-- status now also accepts 'cancelled'
+COMMENT ON COLUMN analysis_jobs.status IS 'queued, running, completed, failed or cancelled';
+
+-- Create index for the job history listing
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_created_at ON analysis_jobs(created_at DESC);
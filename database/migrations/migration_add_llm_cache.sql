@@ -0,0 +1,27 @@
+-- Migration: Add a persistent cache of LLM responses
+-- Re-analyzing unchanged pages sends the same LLM requests again. Responses are stored by
+-- a key built from the task, provider, model, prompt version (hash of the system prompt,
+-- including the guidelines) and content hash, and replayed until they expire.
+
+CREATE TABLE IF NOT EXISTS llm_cache (
+  key TEXT PRIMARY KEY, -- sha256 of task, provider, model, prompt version, content hash and options
+  task TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  prompt_version TEXT NOT NULL,
+  content_hash TEXT NOT NULL,
+  response JSONB NOT NULL, -- { content, model, usage: { inputTokens, outputTokens } }
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_hit_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Analyses that send every LLM request to the provider (the new responses are still cached)
+ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS bypass_llm_cache BOOLEAN DEFAULT FALSE;
+
+-- Create indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_llm_cache_expires_at ON llm_cache(expires_at);
+
+-- Enable Row Level Security (no public policy: the cache is only read by the API)
+ALTER TABLE llm_cache ENABLE ROW LEVEL SECURITY;
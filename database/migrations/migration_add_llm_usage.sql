@@ -0,0 +1,33 @@
+-- Migration: Add LLM token usage and cost accounting with workspace budgets
+-- The tokens of every LLM request of an analysis are counted, priced from the model price
+-- table (LLM_PRICES) and stored per job, company, task and model. A workspace can set a
+-- daily and a monthly budget: once the spend of the current UTC day or month reaches it,
+-- new analyses are refused.
+
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  company_id UUID REFERENCES companies(id) ON DELETE SET NULL, -- Usage stays counted after a company is purged
+  job_id UUID REFERENCES analysis_jobs(id) ON DELETE SET NULL, -- NULL for manual re-categorization
+  task TEXT NOT NULL, -- classification, link_analysis, categorization or extraction
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  requests INTEGER NOT NULL DEFAULT 0,
+  cached_requests INTEGER NOT NULL DEFAULT 0, -- Replayed from llm_cache, without tokens
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6), -- NULL when the model has no price
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Budgets in USD (NULL: no limit)
+ALTER TABLE workspaces ADD COLUMN IF NOT EXISTS daily_budget_usd NUMERIC(12, 2);
+ALTER TABLE workspaces ADD COLUMN IF NOT EXISTS monthly_budget_usd NUMERIC(12, 2);
+
+-- Create indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_llm_usage_workspace_created_at ON llm_usage(workspace_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_company_id ON llm_usage(company_id);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_job_id ON llm_usage(job_id);
+
+-- Enable Row Level Security (no public policy: usage is only read by the API)
+ALTER TABLE llm_usage ENABLE ROW LEVEL SECURITY;
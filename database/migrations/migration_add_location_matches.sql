@@ -0,0 +1,6 @@
+-- Migration: Add match confidence per location to brand_messages
+-- Each location of a message is verified against the page text; the confidence
+-- and the exact snippet that matched are stored next to the location.
+
+ALTER TABLE brand_messages
+ADD COLUMN IF NOT EXISTS location_matches JSONB DEFAULT '[]'::jsonb; -- [{ url, confidence, snippet, method }]
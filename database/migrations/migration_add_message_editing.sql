@@ -0,0 +1,11 @@
+-- Migration: Add manual editing of brand messages
+-- Analysts can correct a message's text or type, add a message the analysis missed and
+-- merge near-identical messages. aliases keeps the identities (type and normalized text)
+-- a message had before it was edited or merged, so that a later analysis finding the old
+-- text again updates this message instead of adding the old one back.
+
+ALTER TABLE brand_messages ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'analysis'; -- 'analysis' or 'manual'
+ALTER TABLE brand_messages ADD COLUMN IF NOT EXISTS aliases TEXT[] DEFAULT '{}';
+ALTER TABLE brand_messages ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE brand_messages ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE brand_messages ADD COLUMN IF NOT EXISTS updated_by UUID REFERENCES users(id) ON DELETE SET NULL;
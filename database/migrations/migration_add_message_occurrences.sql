@@ -0,0 +1,35 @@
+-- Migration: Add per-occurrence records for brand messages
+-- brand_messages.locations only lists page URLs. Each row of message_occurrences is one
+-- place a message appears: page, element (CSS selector / XPath), surrounding text and
+-- heading path. Rows come from the analysis ('analysis') and from screenshot capture
+-- ('capture'), and are updated (last_seen_at) when they are seen again.
+
+CREATE TABLE IF NOT EXISTS message_occurrences (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id UUID NOT NULL REFERENCES brand_messages(id) ON DELETE CASCADE,
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  page_url TEXT NOT NULL,
+  source TEXT NOT NULL DEFAULT 'analysis', -- 'analysis' or 'capture'
+  occurrence_index INTEGER NOT NULL DEFAULT 0, -- Nth occurrence on the page, in document order
+  selector TEXT, -- CSS selector of the innermost element quoting the message (NULL if spread over several)
+  xpath TEXT,
+  element_tag TEXT,
+  snippet TEXT, -- Exact matched text
+  context TEXT, -- Text around the snippet
+  heading_path JSONB DEFAULT '[]'::jsonb, -- Headings the occurrence is under
+  confidence REAL, -- Match confidence (0-1)
+  screenshot_id UUID REFERENCES screenshots(id) ON DELETE SET NULL, -- Screenshot of a captured occurrence
+  first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (message_id, page_url, source, occurrence_index)
+);
+
+-- Create indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_message_occurrences_message_id ON message_occurrences(message_id);
+CREATE INDEX IF NOT EXISTS idx_message_occurrences_company_id ON message_occurrences(company_id);
+
+-- Enable Row Level Security
+ALTER TABLE message_occurrences ENABLE ROW LEVEL SECURITY;
+
+-- Create Policies (Open for now as we are using Service Role Key on backend)
+CREATE POLICY "Allow public read access on message_occurrences" ON message_occurrences FOR SELECT USING (true);
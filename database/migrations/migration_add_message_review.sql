@@ -0,0 +1,39 @@
+-- Migration: Add human review of brand messages
+-- Every message has a review status (pending, approved, rejected or needs_edit) set by a
+-- reviewer, with a comment. Rejections and edit requests are also stored in
+-- message_feedback with the message as the classifier extracted it, so they can be used to
+-- evaluate classifier quality after the message itself was changed or deleted.
+
+ALTER TABLE brand_messages ADD COLUMN IF NOT EXISTS review_status TEXT NOT NULL DEFAULT 'pending'
+  CHECK (review_status IN ('pending', 'approved', 'rejected', 'needs_edit'));
+ALTER TABLE brand_messages ADD COLUMN IF NOT EXISTS review_comment TEXT;
+ALTER TABLE brand_messages ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE brand_messages ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+
+-- Re-capture only the evidence of approved messages on scheduled runs
+ALTER TABLE analysis_schedules ADD COLUMN IF NOT EXISTS recapture_approved_only BOOLEAN DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS message_feedback (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+  message_id UUID REFERENCES brand_messages(id) ON DELETE SET NULL,
+  verdict TEXT NOT NULL, -- 'rejected' or 'needs_edit'
+  comment TEXT,
+  message_type TEXT NOT NULL, -- The message as it was reviewed
+  content TEXT NOT NULL,
+  reasoning TEXT,
+  locations TEXT[] DEFAULT '{}',
+  message_source TEXT, -- 'analysis' or 'manual'
+  guideline_version_id UUID, -- Guidelines the message was classified with
+  reviewer_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_brand_messages_review_status ON brand_messages(company_id, review_status);
+CREATE INDEX IF NOT EXISTS idx_message_feedback_workspace_id ON message_feedback(workspace_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_message_feedback_company_id ON message_feedback(company_id);
+
+-- Enable Row Level Security (no public policy: feedback is only read by the API)
+ALTER TABLE message_feedback ENABLE ROW LEVEL SECURITY;
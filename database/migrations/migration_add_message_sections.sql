@@ -0,0 +1,6 @@
+-- Migration: Add section attribution to brand_messages
+-- Classification splits pages at their headings; each message records the page
+-- sections it was found in.
+
+ALTER TABLE brand_messages
+ADD COLUMN IF NOT EXISTS sections JSONB DEFAULT '[]'::jsonb; -- [{ url, heading, headingPath }]
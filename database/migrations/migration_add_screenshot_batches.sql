@@ -0,0 +1,14 @@
+-- Migration: Add batch tracking to screenshots
+-- Batch captures create a pending record per screenshot up front, then fill it in as
+-- the capture succeeds or fails; the client polls the records of its batch by id.
+
+ALTER TABLE screenshots
+ADD COLUMN IF NOT EXISTS attempt_count INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS batch_id UUID, -- Capture batch that created the record
+ADD COLUMN IF NOT EXISTS error_message TEXT; -- Why the capture failed (first 500 characters)
+
+-- status now also accepts 'pending' and 'processing'
+COMMENT ON COLUMN screenshots.status IS 'pending, processing, success or failed';
+
+-- Create index for the batch lookups
+CREATE INDEX IF NOT EXISTS idx_screenshots_batch_id ON screenshots(batch_id);
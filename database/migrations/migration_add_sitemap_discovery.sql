@@ -0,0 +1,10 @@
+-- Migration: Add sitemap discovery and URL patterns of crawls
+-- Analysis jobs can seed their crawl from the sitemaps of the site (discovery 'sitemap')
+-- and restrict the crawled pages with include/exclude path patterns (robots.txt syntax,
+-- NULL: every page).
+
+ALTER TABLE analysis_jobs DROP CONSTRAINT IF EXISTS analysis_jobs_discovery_check;
+ALTER TABLE analysis_jobs ADD CONSTRAINT analysis_jobs_discovery_check
+  CHECK (discovery IN ('homepage', 'crawl', 'sitemap'));
+ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS url_include TEXT[];
+ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS url_exclude TEXT[];
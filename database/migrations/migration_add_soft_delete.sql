@@ -0,0 +1,19 @@
+-- Migration: Add soft deletion (trash) for companies, messages and screenshots
+-- Deleting moves a row to the trash by setting deleted_at. Trashed rows are hidden
+-- everywhere, can be restored, and are removed (with their storage objects) by the purge
+-- job once they have been in the trash longer than TRASH_RETENTION_DAYS.
+-- Screenshots trashed together with their message share the message's deleted_at.
+
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE brand_messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE brand_messages ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE screenshots ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE screenshots ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Create indexes for faster queries (the trash view and the purge job)
+CREATE INDEX IF NOT EXISTS idx_companies_deleted_at ON companies(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_brand_messages_deleted_at ON brand_messages(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_screenshots_deleted_at ON screenshots(deleted_at) WHERE deleted_at IS NOT NULL;
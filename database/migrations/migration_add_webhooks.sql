@@ -0,0 +1,44 @@
+-- Migration: Add outbound webhooks
+-- A webhook receives signed POST requests for events such as analysis.completed. It
+-- applies to one company, or to every company of the workspace when company_id is NULL.
+-- Every notification is stored in webhook_deliveries with its attempts and the
+-- receiver's response, and failed deliveries are retried with exponential backoff.
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID REFERENCES companies(id) ON DELETE CASCADE, -- NULL for every company
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL, -- HMAC-SHA256 signing secret
+  events TEXT[] DEFAULT '{}', -- Subscribed events (empty for all)
+  enabled BOOLEAN DEFAULT TRUE,
+  description TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  event_id UUID NOT NULL, -- Same for every webhook notified of one event
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'succeeded', 'failed'
+  attempts INTEGER DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_attempt_at TIMESTAMP WITH TIME ZONE,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  response_status INTEGER,
+  response_body TEXT, -- First 1000 characters of the receiver's response
+  duration_ms INTEGER,
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_webhooks_company_id ON webhooks(company_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+
+-- Enable Row Level Security (no public policy: webhook secrets are only read by the backend)
+ALTER TABLE webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,120 @@
+-- Migration: Add user accounts, workspaces and roles
+-- Companies belong to a workspace, and users see the companies of the workspaces they
+-- are members of. A member's role decides what they can do: viewers read, analysts run
+-- analyses and edit evidence, admins also manage members, webhooks and deletions.
+-- Existing data is moved to a "Default workspace"; the first account created joins it
+-- as admin.
+
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email TEXT NOT NULL UNIQUE, -- Stored lowercase
+  name TEXT,
+  password_hash TEXT, -- scrypt hash; NULL for single sign-on only accounts
+  oidc_issuer TEXT,
+  oidc_subject TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_login_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc_subject ON users(oidc_issuer, oidc_subject) WHERE oidc_subject IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS workspaces (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS workspace_members (
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'analyst', 'admin')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (workspace_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE SET NULL, -- Workspace the user is working in
+  token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the session cookie
+  user_agent TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
+
+-- Workspace owning the data created before this migration
+INSERT INTO workspaces (name)
+SELECT 'Default workspace'
+WHERE NOT EXISTS (SELECT 1 FROM workspaces);
+
+-- Companies belong to a workspace; the same site can be analyzed by several workspaces
+ALTER TABLE companies
+ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+
+UPDATE companies
+SET workspace_id = (SELECT id FROM workspaces ORDER BY created_at LIMIT 1)
+WHERE workspace_id IS NULL;
+
+ALTER TABLE companies ALTER COLUMN workspace_id SET NOT NULL;
+ALTER TABLE companies DROP CONSTRAINT IF EXISTS companies_url_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_companies_workspace_url ON companies(workspace_id, url);
+
+-- Analysis jobs create their company in the workspace that queued them
+ALTER TABLE analysis_jobs
+ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+
+UPDATE analysis_jobs
+SET workspace_id = (SELECT id FROM workspaces ORDER BY created_at LIMIT 1)
+WHERE workspace_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_workspace_id ON analysis_jobs(workspace_id);
+
+-- Global guidelines become workspace guidelines. Versions without a workspace are the
+-- built-in defaults, used until a workspace saves its own.
+ALTER TABLE brand_guidelines
+ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+
+UPDATE brand_guidelines
+SET workspace_id = (SELECT id FROM workspaces ORDER BY created_at LIMIT 1)
+WHERE workspace_id IS NULL AND company_id IS NULL;
+
+DROP INDEX IF EXISTS idx_brand_guidelines_global_version;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_brand_guidelines_default_version ON brand_guidelines(version) WHERE company_id IS NULL AND workspace_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_brand_guidelines_workspace_version ON brand_guidelines(workspace_id, version) WHERE company_id IS NULL AND workspace_id IS NOT NULL;
+
+-- Webhooks for every company apply to the companies of their workspace
+ALTER TABLE webhooks
+ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+
+UPDATE webhooks
+SET workspace_id = (SELECT id FROM workspaces ORDER BY created_at LIMIT 1)
+WHERE workspace_id IS NULL;
+
+ALTER TABLE webhooks ALTER COLUMN workspace_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_workspace_id ON webhooks(workspace_id);
+
+-- Enable Row Level Security
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE workspaces ENABLE ROW LEVEL SECURITY;
+ALTER TABLE workspace_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+
+-- Client data is only served through the API, which checks workspace membership.
+-- Remove the open read policies so the anon key cannot read it directly.
+DROP POLICY IF EXISTS "Allow public read access on companies" ON companies;
+DROP POLICY IF EXISTS "Allow public read access on brand_messages" ON brand_messages;
+DROP POLICY IF EXISTS "Allow public read access on screenshots" ON screenshots;
+DROP POLICY IF EXISTS "Allow public read access on message_categories" ON message_categories;
+DROP POLICY IF EXISTS "Allow public read access on brand_guidelines" ON brand_guidelines;
+DROP POLICY IF EXISTS "Allow public read access on message_occurrences" ON message_occurrences;
+DROP POLICY IF EXISTS "Allow public read access on analysis_snapshots" ON analysis_snapshots;
+DROP POLICY IF EXISTS "Allow public read access on analysis_schedules" ON analysis_schedules;
+DROP POLICY IF EXISTS "Allow public read access on schedule_runs" ON schedule_runs;
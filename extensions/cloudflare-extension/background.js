@@ -32,13 +32,18 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 async function handleCloudflareBypass(data, tab) {
   try {
     const { url, html, timestamp } = data;
-    
+
+    // API key with the evidence:write scope (set by Playwright from EVIDENCE_API_KEY)
+    const { apiKey } = await chrome.storage.local.get(['apiKey']);
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
     // Send HTML to backend endpoint
     const response = await fetch(PROXY_URL, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
+      headers,
       body: JSON.stringify({
         url: url,
         html: html,
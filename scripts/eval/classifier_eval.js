@@ -0,0 +1,391 @@
+/**
+ * Classifier Evaluation
+ *
+ * Runs the classifier over a labelled gold set and measures how well it extracts and
+ * labels messages, to check whether a prompt, guidelines or model change is better or worse:
+ * node scripts/eval/classifier_eval.js [options]
+ *
+ *   --config <file>     Configuration to evaluate (repeatable; default: configs/baseline.json
+ *                       and configs/candidate.json). With two configurations the second is
+ *                       compared against the first.
+ *   --baseline <file>   Report saved by an earlier run (--out), e.g. from before a prompt
+ *                       change in classifier.js. Its first configuration is compared
+ *                       against the first configuration of this run.
+ *   --case <name>       Only evaluate this gold set case (repeatable)
+ *   --out <file>        Write the reports (and the comparison) as JSON
+ *   --record <provider> Classify with a real provider (openai, anthropic, ...) and record its
+ *                       responses into each configuration's fixtures directory
+ *
+ * Runs offline: the configurations use the mock LLM provider, which replays the responses
+ * recorded in their fixtures directory. A request that was never recorded (for example
+ * after the prompt changed) fails the case; record it again with --record.
+ *
+ * Gold set: one directory per case in scripts/eval/goldset, with the saved HTML of its
+ * pages and a case.json: { description, pages: [{ url, file }], expected: [{ message, type }] }.
+ *
+ * Configuration: { name, description, provider, model, fixtures, guidelines }, paths
+ * relative to the configuration file. Fixture keys do not include the model, so every
+ * configuration needs its own fixtures directory.
+ */
+
+// Set before the config is loaded: the evaluation needs no database, and the other LLM
+// tasks are never called
+process.env.OFFLINE = 'true';
+process.env.LLM_PROVIDER = 'mock';
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../src/backend/config');
+const llm = require('../../src/backend/services/llm');
+const { classifyPages } = require('../../src/backend/services/classifier');
+const { cleanContent, extractSections } = require('../../src/backend/services/contentCleaner');
+const { normalizeText } = require('../../src/backend/services/phraseMatcher');
+
+const GOLDSET_DIR = path.join(__dirname, 'goldset');
+const DEFAULT_GUIDELINES_FILE = path.join(__dirname, '../../database/seeds/default_guidelines.md');
+const DEFAULT_CONFIGS = ['baseline.json', 'candidate.json'].map(file => path.join(__dirname, 'configs', file));
+
+// Metrics of a report, in the order they are printed
+const METRICS = ['precision', 'recall', 'f1', 'type_accuracy', 'brand_product_accuracy'];
+
+/**
+ * Parses the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - { configs, baseline, cases, out, record }
+ */
+function parseArgs(argv) {
+    const args = { configs: [], baseline: null, cases: [], out: null, record: null };
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--config': args.configs.push(path.resolve(value)); i++; break;
+            case '--baseline': args.baseline = path.resolve(value); i++; break;
+            case '--case': args.cases.push(value); i++; break;
+            case '--out': args.out = path.resolve(value); i++; break;
+            case '--record': args.record = value; i++; break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    if (args.configs.length === 0) {
+        args.configs = args.baseline ? [DEFAULT_CONFIGS[0]] : DEFAULT_CONFIGS;
+    }
+    return args;
+}
+
+/**
+ * Loads a configuration file and resolves its paths
+ * @param {string} file - Configuration file
+ * @returns {Object} - { name, description, provider, model, fixturesDir, guidelinesFile, guidelines }
+ */
+function loadConfiguration(file) {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const dir = path.dirname(file);
+    const guidelinesFile = raw.guidelines ? path.resolve(dir, raw.guidelines) : DEFAULT_GUIDELINES_FILE;
+    return {
+        name: raw.name || path.basename(file, '.json'),
+        description: raw.description || null,
+        provider: raw.provider || 'mock',
+        model: raw.model,
+        fixturesDir: path.resolve(dir, raw.fixtures || `../fixtures/${path.basename(file, '.json')}`),
+        guidelinesFile,
+        guidelines: fs.readFileSync(guidelinesFile, 'utf8')
+    };
+}
+
+/**
+ * Loads the gold set cases with their pages prepared like the analysis fetches them
+ * @param {Array<string>} only - Case names to keep (all if empty)
+ * @returns {Array<Object>} - [{ name, description, pages: [{ url, content, sections }], expected }]
+ */
+function loadGoldSet(only = []) {
+    const names = fs.readdirSync(GOLDSET_DIR)
+        .filter(name => fs.existsSync(path.join(GOLDSET_DIR, name, 'case.json')))
+        .filter(name => only.length === 0 || only.includes(name))
+        .sort();
+
+    const missing = only.filter(name => !names.includes(name));
+    if (missing.length > 0) throw new Error(`Unknown gold set case: ${missing.join(', ')}`);
+
+    return names.map(name => {
+        const caseDir = path.join(GOLDSET_DIR, name);
+        const { description, pages, expected } = JSON.parse(fs.readFileSync(path.join(caseDir, 'case.json'), 'utf8'));
+        return {
+            name,
+            description: description || null,
+            pages: pages.map(page => {
+                const html = fs.readFileSync(path.join(caseDir, page.file), 'utf8');
+                return { url: page.url, content: cleanContent(html), sections: extractSections(html) };
+            }),
+            expected
+        };
+    });
+}
+
+/**
+ * Routes the classification task to a configuration's provider, model and fixtures
+ * @param {Object} configuration - Loaded configuration
+ * @param {string|null} recordProvider - Real provider whose responses are recorded
+ */
+function useConfiguration(configuration, recordProvider) {
+    config.llm.tasks.classification = { provider: recordProvider || configuration.provider, model: configuration.model };
+    config.llm.mockFixturesDir = configuration.fixturesDir;
+    config.llm.recordFixtures = !!recordProvider;
+    llm.resetProviders();
+}
+
+// Brand Message and Alternative Brand Phrase are both brand labels
+const labelGroup = type => (type === 'Product Message' ? 'product' : 'brand');
+
+const ratio = (part, whole) => (whole > 0 ? part / whole : null);
+
+/**
+ * Computes the metrics from the counts of a case or of the whole run
+ * @param {Object} counts - { expected, predicted, matched, typeCorrect, groupCorrect }
+ * @returns {Object} - precision, recall, f1, type_accuracy, brand_product_accuracy (null when undefined)
+ */
+function computeMetrics({ expected, predicted, matched, typeCorrect, groupCorrect }) {
+    const precision = ratio(matched, predicted);
+    const recall = ratio(matched, expected);
+    return {
+        precision,
+        recall,
+        f1: precision !== null && recall !== null && precision + recall > 0
+            ? (2 * precision * recall) / (precision + recall)
+            : null,
+        type_accuracy: ratio(typeCorrect, matched),
+        brand_product_accuracy: ratio(groupCorrect, matched)
+    };
+}
+
+/**
+ * Matches the classified messages to the expected ones by normalized text. Each expected
+ * message is matched at most once; the type label is scored on the matched pairs.
+ * @param {Array<Object>} expected - [{ message, type }]
+ * @param {Array<Object>} messages - Classifier output: [{ 'Message Type', Message }]
+ * @returns {Object} - Counts and the missed, unexpected and mislabeled messages
+ */
+function scoreCase(expected, messages) {
+    const remaining = new Map();
+    for (const entry of expected) {
+        const key = normalizeText(entry.message);
+        if (!remaining.has(key)) remaining.set(key, []);
+        remaining.get(key).push(entry);
+    }
+
+    const matched = [];
+    const unexpected = [];
+    for (const msg of messages) {
+        const candidates = remaining.get(normalizeText(msg.Message)) || [];
+        const entry = candidates.shift();
+        if (entry) {
+            matched.push({ message: entry.message, expected_type: entry.type, type: msg['Message Type'] });
+        } else {
+            unexpected.push({ message: msg.Message, type: msg['Message Type'] });
+        }
+    }
+
+    const mislabeled = matched.filter(pair => pair.type !== pair.expected_type);
+    return {
+        counts: {
+            expected: expected.length,
+            predicted: messages.length,
+            matched: matched.length,
+            typeCorrect: matched.length - mislabeled.length,
+            groupCorrect: matched.filter(pair => labelGroup(pair.type) === labelGroup(pair.expected_type)).length
+        },
+        found: matched.map(pair => pair.message),
+        missed: [...remaining.values()].flat().map(({ message, type }) => ({ message, type })),
+        unexpected,
+        mislabeled
+    };
+}
+
+/**
+ * Evaluates one configuration over the gold set
+ * @param {Object} configuration - Loaded configuration
+ * @param {Array<Object>} cases - Gold set cases
+ * @param {string|null} recordProvider - Real provider to record responses from
+ * @returns {Promise<Object>} - Report: { configuration, generated_at, totals, cases }
+ */
+async function evaluateConfiguration(configuration, cases, recordProvider) {
+    useConfiguration(configuration, recordProvider);
+
+    const totalCounts = { expected: 0, predicted: 0, matched: 0, typeCorrect: 0, groupCorrect: 0 };
+    const results = [];
+    for (const goldCase of cases) {
+        let messages = [];
+        let failedChunks = [];
+        let error = null;
+        try {
+            ({ messages, failedChunks } = await classifyPages(goldCase.pages, { guidelines: configuration.guidelines }));
+            if (failedChunks.length > 0) error = `${failedChunks.length} chunks failed: ${failedChunks[0].error}`;
+        } catch (err) {
+            error = err.message;
+        }
+
+        const { counts, found, missed, unexpected, mislabeled } = scoreCase(goldCase.expected, messages);
+        Object.keys(totalCounts).forEach(key => { totalCounts[key] += counts[key]; });
+        results.push({
+            name: goldCase.name,
+            expected: counts.expected,
+            predicted: counts.predicted,
+            matched: counts.matched,
+            ...computeMetrics(counts),
+            found,
+            missed,
+            unexpected,
+            mislabeled,
+            error
+        });
+    }
+
+    return {
+        configuration: {
+            name: configuration.name,
+            description: configuration.description,
+            provider: recordProvider || configuration.provider,
+            model: configuration.model,
+            guidelines: path.relative(process.cwd(), configuration.guidelinesFile)
+        },
+        generated_at: new Date().toISOString(),
+        totals: {
+            cases: cases.length,
+            failed_cases: results.filter(result => result.error).length,
+            expected: totalCounts.expected,
+            predicted: totalCounts.predicted,
+            matched: totalCounts.matched,
+            ...computeMetrics(totalCounts)
+        },
+        cases: results
+    };
+}
+
+const delta = (from, to) => (from !== null && to !== null ? to - from : null);
+const messageSet = list => new Set(list.map(entry => normalizeText(entry.message || entry)));
+
+/**
+ * Compares a candidate report against a baseline report
+ * @param {Object} baseline - Report of the baseline configuration
+ * @param {Object} candidate - Report of the candidate configuration
+ * @returns {Object} - { baseline, candidate, warning, metrics: { metric: { baseline, candidate, delta } }, cases }
+ */
+function compareReports(baseline, candidate) {
+    const compareMetrics = (from, to) => Object.fromEntries(METRICS.map(metric => [metric, {
+        baseline: from ? from[metric] : null,
+        candidate: to ? to[metric] : null,
+        delta: from && to ? delta(from[metric], to[metric]) : null
+    }]));
+
+    const baselineCases = new Map(baseline.cases.map(result => [result.name, result]));
+    const sameCases = baseline.cases.length === candidate.cases.length
+        && candidate.cases.every(result => baselineCases.has(result.name));
+    return {
+        baseline: baseline.configuration.name,
+        candidate: candidate.configuration.name,
+        warning: sameCases ? null : 'The reports cover different gold set cases, so their totals are not comparable',
+        metrics: compareMetrics(baseline.totals, candidate.totals),
+        cases: candidate.cases.map(result => {
+            const before = baselineCases.get(result.name) || null;
+            const foundBefore = messageSet(before ? before.found : []);
+            const foundAfter = messageSet(result.found);
+            const unexpectedBefore = messageSet(before ? before.unexpected : []);
+            const unexpectedAfter = messageSet(result.unexpected);
+            return {
+                name: result.name,
+                metrics: compareMetrics(before, result),
+                // Expected messages the candidate finds and the baseline missed, and the reverse
+                gained: result.found.filter(message => !foundBefore.has(normalizeText(message))),
+                lost: before ? before.found.filter(message => !foundAfter.has(normalizeText(message))) : [],
+                // False positives the candidate adds, and those it no longer makes
+                new_false_positives: result.unexpected.filter(entry => !unexpectedBefore.has(normalizeText(entry.message))),
+                fixed_false_positives: before
+                    ? before.unexpected.filter(entry => !unexpectedAfter.has(normalizeText(entry.message)))
+                    : []
+            };
+        })
+    };
+}
+
+const percent = value => (value === null ? '   n/a' : `${(value * 100).toFixed(1).padStart(5)}%`);
+const signedPercent = value => (value === null ? '' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}`);
+
+function printReport(report) {
+    const { configuration, totals } = report;
+    console.log('');
+    console.log('='.repeat(70));
+    console.log(`CONFIGURATION: ${configuration.name} (${configuration.provider} / ${configuration.model})`);
+    console.log('='.repeat(70));
+
+    for (const result of report.cases) {
+        console.log(`\n${result.error ? '❌' : '📄'} ${result.name}: ${result.matched}/${result.expected} expected found, ${result.predicted} extracted`);
+        if (result.error) console.log(`   Error: ${result.error}`);
+        console.log(`   Precision ${percent(result.precision)}  Recall ${percent(result.recall)}  Type accuracy ${percent(result.type_accuracy)}`);
+        result.missed.forEach(entry => console.log(`   - missed      [${entry.type}] "${entry.message}"`));
+        result.unexpected.forEach(entry => console.log(`   + unexpected  [${entry.type}] "${entry.message}"`));
+        result.mislabeled.forEach(entry => console.log(`   ~ mislabeled  "${entry.message}": ${entry.type} instead of ${entry.expected_type}`));
+    }
+
+    console.log('\n' + '-'.repeat(70));
+    console.log(`Cases: ${totals.cases} (${totals.failed_cases} failed)   Expected: ${totals.expected}   Extracted: ${totals.predicted}   Found: ${totals.matched}`);
+    METRICS.forEach(metric => console.log(`   ${metric.padEnd(24)} ${percent(totals[metric])}`));
+}
+
+function printComparison(comparison) {
+    console.log('');
+    console.log('='.repeat(70));
+    console.log(`COMPARISON: ${comparison.candidate} vs ${comparison.baseline}`);
+    console.log('='.repeat(70));
+    if (comparison.warning) console.log(`⚠️  ${comparison.warning}`);
+    console.log(`   ${'metric'.padEnd(24)} ${'baseline'.padStart(8)} ${'candidate'.padStart(10)}   delta`);
+    for (const metric of METRICS) {
+        const { baseline, candidate, delta: change } = comparison.metrics[metric];
+        console.log(`   ${metric.padEnd(24)} ${percent(baseline).padStart(8)} ${percent(candidate).padStart(10)}   ${signedPercent(change)}`);
+    }
+
+    for (const result of comparison.cases) {
+        const changes = [
+            ...result.gained.map(message => `   ✅ now found         "${message}"`),
+            ...result.lost.map(message => `   ⚠️  no longer found   "${message}"`),
+            ...result.new_false_positives.map(entry => `   ⚠️  new unexpected    [${entry.type}] "${entry.message}"`),
+            ...result.fixed_false_positives.map(entry => `   ✅ fixed unexpected  [${entry.type}] "${entry.message}"`)
+        ];
+        const f1 = result.metrics.f1;
+        console.log(`\n${result.name}: F1 ${percent(f1.baseline)} -> ${percent(f1.candidate)} ${signedPercent(f1.delta)}`);
+        changes.forEach(line => console.log(line));
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const cases = loadGoldSet(args.cases);
+    const configurations = args.configs.map(loadConfiguration);
+
+    console.log(`🧪 Evaluating ${configurations.map(c => c.name).join(', ')} on ${cases.length} gold set cases`);
+    if (args.record) console.log(`   Recording ${args.record} responses into the fixtures directories`);
+
+    const reports = [];
+    for (const configuration of configurations) {
+        const report = await evaluateConfiguration(configuration, cases, args.record);
+        printReport(report);
+        reports.push(report);
+    }
+
+    const baseline = args.baseline ? JSON.parse(fs.readFileSync(args.baseline, 'utf8')).reports[0] : reports[0];
+    const candidate = args.baseline ? reports[0] : reports[1];
+    const comparison = baseline && candidate ? compareReports(baseline, candidate) : null;
+    if (comparison) printComparison(comparison);
+
+    if (args.out) {
+        fs.writeFileSync(args.out, JSON.stringify({ reports, comparison }, null, 2));
+        console.log(`\n💾 Report written to ${args.out}`);
+    }
+
+    // An incomplete evaluation (unrecorded requests, failed chunks) must not pass as a result
+    if (reports.some(report => report.totals.failed_cases > 0)) process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exit(1);
+});
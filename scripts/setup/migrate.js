@@ -0,0 +1,110 @@
+require('dotenv').config();
+const { Client } = require('pg');
+const { MigrationRunner } = require('../../src/backend/storage/database/migrations');
+
+// Usage: node scripts/setup/migrate.js [up|down|status|baseline] [--to <version>] [--steps <n>] [--url <connection_string>]
+//   up        Apply the pending migrations (up to --to)
+//   down      Roll back the last migration (--steps of them, or every one after --to)
+//   status    List applied, pending and changed migrations
+//   baseline  Record the migrations up to --to as applied without running them, for a
+//             database that was migrated by hand with psql
+const USAGE = 'Usage: npm run migrate -- [up|down|status|baseline] [--to <version>] [--steps <n>] [--url <connection_string>]';
+
+function parseArgs(argv) {
+    const args = { command: 'up' };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].substring(2)] = argv[i + 1];
+            i++;
+        } else {
+            args.command = argv[i];
+        }
+    }
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+// Supabase connection string format: postgresql://postgres:[password]@[host]:[port]/postgres
+const connectionString = args.url || process.env.DATABASE_URL || process.env.SUPABASE_DB_URL;
+
+if (!connectionString) {
+    console.error('❌ Missing database connection string.');
+    console.error(`\n${USAGE}`);
+    console.error('   OR set DATABASE_URL or SUPABASE_DB_URL in your .env file');
+    console.error('\n💡 To get your Supabase connection string:');
+    console.error('   1. Go to your Supabase Dashboard');
+    console.error('   2. Navigate to Settings → Database');
+    console.error('   3. Copy the "Connection string" (URI format)');
+    process.exit(1);
+}
+
+if (!['up', 'down', 'status', 'baseline'].includes(args.command)) {
+    console.error(`❌ Unknown command: ${args.command}`);
+    console.error(`\n${USAGE}`);
+    process.exit(1);
+}
+
+function printStatus({ migrations, unknown }) {
+    for (const migration of migrations) {
+        const state = migration.applied ? (migration.changed ? 'changed' : 'applied') : 'pending';
+        const appliedAt = migration.appliedAt ? new Date(migration.appliedAt).toISOString() : '';
+        console.log(`   ${state.padEnd(8)} ${appliedAt.padEnd(24)} ${migration.version}`);
+    }
+    for (const version of unknown) {
+        console.log(`   ${'unknown'.padEnd(8)} ${''.padEnd(24)} ${version}`);
+    }
+}
+
+async function migrate() {
+    const client = new Client({
+        connectionString,
+        // Supabase requires SSL
+        ssl: process.env.DATABASE_SSL === 'true' || /supabase\.(co|com)/.test(connectionString)
+            ? { rejectUnauthorized: false }
+            : false
+    });
+    const runner = new MigrationRunner(client);
+
+    try {
+        await client.connect();
+        console.log('✅ Connected to database');
+
+        if (args.command === 'status') {
+            const status = await runner.status();
+            printStatus(status);
+            const changed = status.migrations.filter(m => m.changed);
+            console.log(`\n📊 ${status.pending.length} pending migration(s)`);
+            if (changed.length > 0) {
+                console.log(`⚠️  Edited after they ran: ${changed.map(m => m.version).join(', ')}`);
+            }
+            if (status.unknown.length > 0) {
+                console.log(`⚠️  Applied by a newer version of the app: ${status.unknown.join(', ')}`);
+            }
+        } else if (args.command === 'up') {
+            const applied = await runner.up({ to: args.to });
+            console.log(applied.length > 0
+                ? `\n✅ Applied ${applied.length} migration(s)`
+                : '\n✅ Database is up to date');
+        } else if (args.command === 'down') {
+            const steps = args.steps ? parseInt(args.steps) : 1;
+            if (!args.to && !(steps > 0)) throw new Error('--steps must be a positive number');
+            const rolledBack = await runner.down({ steps, to: args.to });
+            console.log(`\n✅ Rolled back ${rolledBack.length} migration(s)`);
+        } else if (args.command === 'baseline') {
+            const recorded = await runner.baseline({ to: args.to });
+            console.log(`\n✅ Recorded ${recorded.length} migration(s) as applied`);
+            if (recorded.length > 0) console.log('   Run `npm run migrate` to apply the newer ones');
+        }
+    } catch (error) {
+        console.error('❌ Migration error:', error.message);
+        if (error.code) {
+            console.error(`   Error code: ${error.code}`);
+        }
+        process.exitCode = 1;
+    } finally {
+        await client.end();
+    }
+}
+
+migrate();
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const EVAL_SCRIPT = path.join(__dirname, '../../eval/classifier_eval.js');
+
+// The evaluation replays the recorded responses of the mock provider, so it runs offline
+test('the classifier evaluation scores every gold set case from the recorded responses', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'classifier-eval-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const out = path.join(dir, 'report.json');
+
+    await new Promise((resolve, reject) => {
+        execFile(process.execPath, [EVAL_SCRIPT, '--out', out], { timeout: 120000 }, (error, stdout, stderr) => {
+            if (error) return reject(new Error(`Evaluation failed: ${stderr || stdout}`));
+            resolve();
+        });
+    });
+
+    const { reports, comparison } = JSON.parse(fs.readFileSync(out, 'utf8'));
+    assert.deepStrictEqual(reports.map(report => report.configuration.name), ['baseline', 'candidate']);
+    for (const report of reports) {
+        assert.strictEqual(report.totals.failed_cases, 0, `${report.configuration.name} has failed cases`);
+    }
+    assert.ok(comparison, 'the candidate is compared against the baseline');
+});
@@ -0,0 +1,43 @@
+// Offline, like the classifier evaluation: no database, and every LLM task uses the mock
+// provider, which replays the responses recorded in scripts/tests/fixtures/llm
+process.env.OFFLINE = 'true';
+process.env.LLM_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const llm = require('../../../src/backend/services/llm');
+const { fixtureKey } = require('../../../src/backend/services/llm/providers/mock');
+
+const LINKS_REQUEST = {
+    messages: [
+        { role: 'system', content: 'Sort the homepage links into page categories. Return JSON.' },
+        { role: 'user', content: 'Links:\nhttps://acme.test/about\nhttps://acme.test/careers' }
+    ],
+    temperature: 0
+};
+
+test('the mock provider replays the recorded response of a request', async () => {
+    const completion = await llm.complete('link_analysis', { ...LINKS_REQUEST, responseFormat: 'json' });
+
+    assert.strictEqual(completion.provider, 'mock');
+    assert.strictEqual(completion.cached, false);
+    assert.deepStrictEqual(JSON.parse(completion.content), {
+        about_pages: ['https://acme.test/about'],
+        careers_pages: ['https://acme.test/careers']
+    });
+    assert.deepStrictEqual(completion.usage, { inputTokens: 42, outputTokens: 18 });
+});
+
+test('the mock provider fails for a request that was never recorded', async () => {
+    await assert.rejects(
+        llm.complete('link_analysis', { ...LINKS_REQUEST, responseFormat: 'json', temperature: 0.5 }),
+        /No recorded response for link_analysis request/
+    );
+});
+
+test('fixture keys do not depend on the provider or model', () => {
+    const request = { task: 'link_analysis', ...LINKS_REQUEST, responseFormat: 'json' };
+
+    assert.strictEqual(fixtureKey({ ...request, model: 'gpt-4o-mini' }), fixtureKey({ ...request, model: 'claude-3-5-haiku' }));
+    assert.notStrictEqual(fixtureKey(request), fixtureKey({ ...request, task: 'categorization' }));
+});
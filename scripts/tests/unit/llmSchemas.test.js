@@ -0,0 +1,54 @@
+// Offline: every LLM task uses the mock provider, which replays the responses recorded in
+// scripts/tests/fixtures/llm (the invalid first responses and the answers to the re-asks)
+process.env.OFFLINE = 'true';
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_SCHEMA_REPAIR_ATTEMPTS = '1';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const llm = require('../../../src/backend/services/llm');
+const { validateResponse } = require('../../../src/backend/services/llm/schemas');
+
+test('a response that matches the schema is returned as data', () => {
+    const { value, repaired, problems } = validateResponse('link_analysis', 'Here you go: {"about_pages": ["https://acme.test/about"]}');
+
+    assert.strictEqual(problems, null);
+    assert.strictEqual(repaired, true);
+    assert.deepStrictEqual(value, { about_pages: ['https://acme.test/about'] });
+});
+
+test('an invalid response is sent back with its problems until it is valid', async () => {
+    const issues = [];
+    const completion = await llm.completeJson('classification', {
+        messages: [
+            { role: 'system', content: 'Extract the brand and product messages of the page. Return JSON.' },
+            { role: 'user', content: 'https://acme.test/\nWelcome to Acme. We build the future of payments.' }
+        ],
+        temperature: 0.2,
+        onSchemaIssue: issue => issues.push(issue)
+    });
+
+    assert.deepStrictEqual(completion.data, {
+        messages: [{ 'Message Type': 'Brand Message', Message: 'We build the future of payments', Locations: ['https://acme.test/'] }]
+    });
+    assert.strictEqual(issues.length, 2);
+    assert.match(issues[0], /must have required property 'Locations'.*asking the model to correct it \(1\/1\)/);
+    assert.strictEqual(issues[1], 'classification response is valid after 1 re-ask');
+});
+
+test('a response that is still invalid after the re-asks fails the request', async () => {
+    await assert.rejects(
+        llm.completeJson('categorization', {
+            messages: [
+                { role: 'system', content: 'Group the messages into themes. Return JSON.' },
+                { role: 'user', content: 'm1: We build the future of payments\nm2: Trusted by 10,000 teams' }
+            ],
+            temperature: 0.3
+        }),
+        error => {
+            assert.match(error.message, /^categorization response does not match its schema/);
+            assert.deepStrictEqual(error.schemaProblems, ['/categories/0/name must NOT have fewer than 1 characters']);
+            return true;
+        }
+    );
+});
@@ -0,0 +1,55 @@
+// Offline: the phrase matcher only reads its thresholds from the config
+process.env.OFFLINE = 'true';
+process.env.LLM_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeText, findMatch, matchPages, preparePages } = require('../../../src/backend/services/phraseMatcher');
+
+const PAGES = preparePages([{
+    url: 'https://acme.test/',
+    content: 'Welcome to Acme. We build the future of payments.\nTrusted by 10,000 teams worldwide.',
+    sections: [
+        { heading: 'Hero', headingPath: ['Hero'], text: 'Welcome to Acme. We build the future of payments.' },
+        { heading: 'Customers', headingPath: ['Customers'], text: 'Trusted by 10,000 teams worldwide.' }
+    ]
+}]);
+
+test('texts are compared without case, punctuation or extra whitespace', () => {
+    assert.strictEqual(normalizeText('  We BUILD — the “future”,  of payments! '), 'we build the future of payments');
+});
+
+test('a message quoted from the page is an exact match', () => {
+    const match = findMatch('we build the future of payments', PAGES[0].prepared);
+
+    assert.strictEqual(match.method, 'exact');
+    assert.strictEqual(match.confidence, 1);
+    assert.strictEqual(match.snippet, 'We build the future of payments');
+});
+
+test('a message with a typo is a fuzzy match on the text of the page', () => {
+    const match = findMatch('We build the futrue of payments', PAGES[0].prepared);
+
+    assert.strictEqual(match.method, 'fuzzy');
+    assert.ok(match.confidence < 1);
+    assert.strictEqual(match.snippet, 'We build the future of payments');
+});
+
+test('a paraphrased message does not match', () => {
+    assert.strictEqual(findMatch('Acme reinvents how money moves', PAGES[0].prepared), null);
+});
+
+test('a match lists the section it was found in', () => {
+    const [match] = matchPages('Trusted by 10,000 teams worldwide', PAGES);
+
+    assert.strictEqual(match.url, 'https://acme.test/');
+    assert.deepStrictEqual(match.sections, [{ index: 1, heading: 'Customers', headingPath: ['Customers'] }]);
+});
+
+test('a message spanning two sections is matched against the whole page', () => {
+    const matches = matchPages('We build the future of payments. Trusted by 10,000 teams worldwide.', PAGES);
+
+    assert.strictEqual(matches.length, 1);
+    assert.strictEqual(matches[0].method, 'exact');
+    assert.deepStrictEqual(matches[0].sections, []);
+});
@@ -0,0 +1,96 @@
+// The adapter runs against PGlite (Postgres compiled to WebAssembly, in memory), so the
+// tests need no database server
+const test = require('node:test');
+const assert = require('node:assert');
+const { PGlite } = require('@electric-sql/pglite');
+const { PostgresClient } = require('../../../src/backend/storage/database/postgres');
+
+const SCHEMA = `
+    CREATE TABLE companies (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        url TEXT UNIQUE,
+        analysis_mode TEXT NOT NULL DEFAULT 'smart',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+    CREATE TABLE brand_messages (
+        id SERIAL PRIMARY KEY,
+        company_id INTEGER NOT NULL REFERENCES companies (id),
+        content TEXT NOT NULL,
+        locations TEXT[] NOT NULL DEFAULT '{}'
+    );
+`;
+
+let pglite;
+let db;
+
+test.before(async () => {
+    pglite = new PGlite();
+    await pglite.exec(SCHEMA);
+    // The pool is never connected: queries go to PGlite
+    db = new PostgresClient({ connectionString: 'postgresql://localhost/unused' });
+    db.query = (sql, params) => pglite.query(sql, params);
+});
+
+test.after(async () => {
+    await db.end();
+    await pglite.close();
+});
+
+test('insert leaves out undefined values, so their columns get their default', async () => {
+    const { data, error } = await db
+        .from('companies')
+        .insert({ name: 'Acme', url: 'https://acme.test', analysis_mode: undefined })
+        .select()
+        .single();
+
+    assert.strictEqual(error, null);
+    assert.strictEqual(data.analysis_mode, 'smart');
+    assert.strictEqual(typeof data.created_at, 'string');
+});
+
+test('update leaves out undefined values, so their columns keep their value', async () => {
+    const { data: company } = await db.from('companies').select('id').eq('url', 'https://acme.test').single();
+    const { data, error } = await db
+        .from('companies')
+        .update({ name: undefined, analysis_mode: 'full' })
+        .eq('id', company.id)
+        .select();
+
+    assert.strictEqual(error, null);
+    assert.deepStrictEqual(data.map(row => [row.name, row.analysis_mode]), [['Acme', 'full']]);
+});
+
+test('select embeds the rows a foreign key points to', async () => {
+    const { data: company } = await db.from('companies').select('id').eq('url', 'https://acme.test').single();
+    await db.from('brand_messages').insert([
+        { company_id: company.id, content: 'We build the future of payments', locations: ['https://acme.test/'] },
+        { company_id: company.id, content: 'Trusted by 10,000 teams', locations: [] }
+    ]);
+
+    const { data, error, count } = await db
+        .from('brand_messages')
+        .select('content, locations, companies (name)', { count: 'exact' })
+        .eq('company_id', company.id)
+        .order('id', { ascending: true });
+
+    assert.strictEqual(error, null);
+    assert.strictEqual(count, 2);
+    assert.deepStrictEqual(data, [
+        { content: 'We build the future of payments', locations: ['https://acme.test/'], companies: { name: 'Acme' } },
+        { content: 'Trusted by 10,000 teams', locations: [], companies: { name: 'Acme' } }
+    ]);
+});
+
+test('errors carry the Postgres and PostgREST codes', async () => {
+    const duplicate = await db.from('companies').insert({ name: 'Acme again', url: 'https://acme.test' });
+    assert.strictEqual(duplicate.error.code, '23505');
+
+    const missing = await db.from('companies').select('id').eq('url', 'https://nowhere.test').single();
+    assert.strictEqual(missing.data, null);
+    assert.strictEqual(missing.error.code, 'PGRST116');
+
+    const none = await db.from('companies').select('id').eq('url', 'https://nowhere.test').maybeSingle();
+    assert.strictEqual(none.data, null);
+    assert.strictEqual(none.error, null);
+});
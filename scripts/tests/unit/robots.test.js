@@ -0,0 +1,80 @@
+// Offline: only the robots.txt parser is tested, which reads nothing but its input
+process.env.OFFLINE = 'true';
+process.env.LLM_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRobots, isAllowedBy, patternToRegExp } = require('../../../src/backend/services/robots');
+
+const allowed = (text, url, userAgent = 'BrandAnalyzer') => isAllowedBy(parseRobots(text, userAgent).rules, url);
+
+test('the longest matching rule wins', () => {
+    const text = 'User-agent: *\nDisallow: /shop\nAllow: /shop/catalog\nDisallow: /shop/catalog/private';
+
+    assert.strictEqual(allowed(text, 'https://acme.test/shop/cart'), false);
+    assert.strictEqual(allowed(text, 'https://acme.test/shop/catalog/shoes'), true);
+    assert.strictEqual(allowed(text, 'https://acme.test/shop/catalog/private/list'), false);
+    assert.strictEqual(allowed(text, 'https://acme.test/about'), true);
+});
+
+test('Allow wins a tie between rules of the same length', () => {
+    assert.strictEqual(allowed('User-agent: *\nDisallow: /page\nAllow: /page', 'https://acme.test/page'), true);
+    assert.strictEqual(allowed('User-agent: *\nAllow: /page\nDisallow: /page', 'https://acme.test/page'), true);
+});
+
+test('* matches any characters and a trailing $ anchors the end', () => {
+    assert.strictEqual(patternToRegExp('/blog/*.pdf$').test('/blog/2024/report.pdf'), true);
+    assert.strictEqual(patternToRegExp('/blog/*.pdf$').test('/blog/2024/report.pdf?download=1'), false);
+    assert.strictEqual(patternToRegExp('/search').test('/search?q=shoes'), true);
+    assert.strictEqual(patternToRegExp('/*?sort=').test('/shoes?sort=price'), true);
+    // Other characters are literal
+    assert.strictEqual(patternToRegExp('/a.b').test('/axb'), false);
+
+    const text = 'User-agent: *\nDisallow: /*.pdf$\nDisallow: /*?sessionid=';
+    assert.strictEqual(allowed(text, 'https://acme.test/files/brochure.pdf'), false);
+    assert.strictEqual(allowed(text, 'https://acme.test/files/brochure.pdf.html'), true);
+    assert.strictEqual(allowed(text, 'https://acme.test/cart?sessionid=42'), false);
+});
+
+test('consecutive User-agent lines share one group', () => {
+    const text = [
+        'User-agent: OtherBot',
+        'User-agent: BrandAnalyzer',
+        'Disallow: /private',
+        '',
+        'User-agent: *',
+        'Disallow: /'
+    ].join('\n');
+
+    assert.strictEqual(allowed(text, 'https://acme.test/private/page'), false);
+    assert.strictEqual(allowed(text, 'https://acme.test/products'), true);
+    assert.strictEqual(allowed(text, 'https://acme.test/products', 'OtherBot'), true);
+});
+
+test('a crawler without its own group follows the * group', () => {
+    const text = 'User-agent: OtherBot\nDisallow: /\n\nUser-agent: *\nDisallow: /admin';
+
+    assert.strictEqual(allowed(text, 'https://acme.test/'), true);
+    assert.strictEqual(allowed(text, 'https://acme.test/admin/users'), false);
+    assert.strictEqual(allowed(text, 'https://acme.test/', 'OtherBot'), false);
+});
+
+test('the Crawl-delay of the group becomes the delay between requests', () => {
+    const text = 'User-agent: BrandAnalyzer\nCrawl-delay: 2.5\n\nUser-agent: *\nCrawl-delay: 10';
+
+    assert.strictEqual(parseRobots(text, 'BrandAnalyzer').crawlDelayMs, 2500);
+    assert.strictEqual(parseRobots(text, 'OtherBot').crawlDelayMs, 10000);
+    assert.strictEqual(parseRobots('User-agent: *\nCrawl-delay: soon', 'BrandAnalyzer').crawlDelayMs, 0);
+});
+
+test('Sitemap lines are read whatever group they are in, and comments are ignored', () => {
+    const text = '# Sitemaps\nSitemap: https://acme.test/sitemap.xml\nUser-agent: *\nDisallow: /tmp # scratch\nSitemap: https://acme.test/news.xml';
+    const robots = parseRobots(text, 'BrandAnalyzer');
+
+    assert.deepStrictEqual(robots.sitemaps, ['https://acme.test/sitemap.xml', 'https://acme.test/news.xml']);
+    assert.deepStrictEqual(robots.rules.map(rule => rule.pattern), ['/tmp']);
+});
+
+test('robots.txt itself is always allowed', () => {
+    assert.strictEqual(allowed('User-agent: *\nDisallow: /', 'https://acme.test/robots.txt'), true);
+});
@@ -0,0 +1,48 @@
+// Offline: only the sitemap parser is tested, which reads nothing but its input
+process.env.OFFLINE = 'true';
+process.env.LLM_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSitemap } = require('../../../src/backend/services/sitemap');
+
+test('a sitemap index lists its sitemaps', () => {
+    const { sitemaps, urls } = parseSitemap(`<?xml version="1.0" encoding="UTF-8"?>
+        <sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+            <sitemap><loc>https://acme.test/sitemap-pages.xml</loc><lastmod>2024-05-01</lastmod></sitemap>
+            <sitemap><loc> https://acme.test/sitemap-blog.xml.gz </loc></sitemap>
+        </sitemapindex>`);
+
+    assert.deepStrictEqual(sitemaps, [
+        { loc: 'https://acme.test/sitemap-pages.xml', lastmod: '2024-05-01T00:00:00.000Z' },
+        { loc: 'https://acme.test/sitemap-blog.xml.gz', lastmod: null }
+    ]);
+    assert.deepStrictEqual(urls, []);
+});
+
+test('a urlset lists its pages with their lastmod dates', () => {
+    const { sitemaps, urls } = parseSitemap(`<?xml version="1.0" encoding="UTF-8"?>
+        <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+            <url><loc>https://acme.test/</loc><lastmod>2024-05-01T10:30:00+02:00</lastmod><priority>1.0</priority></url>
+            <url><loc>https://acme.test/about</loc><lastmod>last week</lastmod></url>
+            <url><loc>https://acme.test/careers</loc></url>
+            <url><lastmod>2024-05-01</lastmod></url>
+        </urlset>`);
+
+    assert.deepStrictEqual(sitemaps, []);
+    assert.deepStrictEqual(urls, [
+        { loc: 'https://acme.test/', lastmod: '2024-05-01T08:30:00.000Z' },
+        { loc: 'https://acme.test/about', lastmod: null },
+        { loc: 'https://acme.test/careers', lastmod: null }
+    ]);
+});
+
+test('a plain-text sitemap lists one page per line', () => {
+    const { sitemaps, urls } = parseSitemap('https://acme.test/\r\n  https://acme.test/pricing  \n\nnot a url\nftp://acme.test/file\n');
+
+    assert.deepStrictEqual(sitemaps, []);
+    assert.deepStrictEqual(urls, [
+        { loc: 'https://acme.test/', lastmod: null },
+        { loc: 'https://acme.test/pricing', lastmod: null }
+    ]);
+});
@@ -0,0 +1,63 @@
+/**
+ * Local webhook receiver for testing webhook deliveries
+ *
+ * Prints every event it receives and checks its signature:
+ * node scripts/tools/webhook_receiver.js [port] [secret]
+ *
+ * Register it with POST /api/webhooks { "url": "http://localhost:4000/webhook" } (the server
+ * needs WEBHOOK_ALLOW_PRIVATE_URLS=true to send to localhost) and pass the returned secret
+ * (or set WEBHOOK_SECRET). Set WEBHOOK_RECEIVER_STATUS=500 to make
+ * it reject deliveries and watch the retries in GET /api/webhooks/:id/deliveries.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const port = parseInt(process.argv[2]) || 4000;
+const secret = process.argv[3] || process.env.WEBHOOK_SECRET || null;
+const responseStatus = parseInt(process.env.WEBHOOK_RECEIVER_STATUS) || 200;
+
+/**
+ * Checks the X-Webhook-Signature header of a request
+ * @param {Object} headers - Request headers
+ * @param {string} body - Raw request body
+ * @returns {string} - 'valid', 'invalid' or 'not checked'
+ */
+function verifySignature(headers, body) {
+    if (!secret) return 'not checked';
+    const timestamp = headers['x-webhook-timestamp'];
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    const received = headers['x-webhook-signature'] || '';
+    const valid = received.length === expected.length && crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+    return valid ? 'valid' : 'invalid';
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+        res.writeHead(405);
+        return res.end();
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const signature = verifySignature(req.headers, body);
+        console.log(`\n📨 ${new Date().toISOString()} ${req.headers['x-webhook-event']} (delivery ${req.headers['x-webhook-id']})`);
+        console.log(`   Signature: ${signature === 'valid' ? '✅' : signature === 'invalid' ? '❌' : '⚠️'} ${signature}`);
+        try {
+            console.log(JSON.stringify(JSON.parse(body), null, 2));
+        } catch (e) {
+            console.log(body);
+        }
+
+        const status = signature === 'invalid' ? 401 : responseStatus;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ received: status < 300 }));
+    });
+});
+
+server.listen(port, () => {
+    console.log(`🎧 Webhook receiver listening on http://localhost:${port}/webhook`);
+    if (!secret) console.log('   No secret given: signatures are not checked');
+    if (responseStatus !== 200) console.log(`   Responding with HTTP ${responseStatus}`);
+});
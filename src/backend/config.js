@@ -1,11 +1,120 @@
 require('dotenv').config();
+const path = require('path');
 
-// Validate required environment variables
-const requiredEnvVars = ['OPENAI_API_KEY', 'SUPABASE_URL', 'SUPABASE_ANON_KEY', 'SUPABASE_SERVICE_ROLE_KEY'];
+// LLM provider and model per task. Every task can be switched independently with
+// LLM_<TASK>_PROVIDER / LLM_<TASK>_MODEL, e.g. LLM_LINK_ANALYSIS_MODEL=gpt-4o-mini
+const LLM_PROVIDERS = ['openai', 'azure', 'anthropic', 'openai_compatible', 'mock'];
+const LLM_TASK_DEFAULT_MODELS = {
+    classification: 'gpt-4o-mini',
+    link_analysis: 'gpt-4o-mini',
+    categorization: 'gpt-4o-mini',
+    extraction: 'gpt-4-turbo-preview'
+};
+
+// Model prices in USD per million tokens, used to price the token usage of analyses.
+// Models are matched exactly or by prefix (gpt-4o-mini-2024-07-18 uses gpt-4o-mini);
+// LLM_PRICES adds or overrides entries, e.g. {"my-azure-deployment": {"input": 0.15, "output": 0.6}}
+const DEFAULT_LLM_PRICES = {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-3-opus': { input: 15, output: 75 }
+};
+
+function parseLlmPrices(value) {
+    if (!value) return DEFAULT_LLM_PRICES;
+    try {
+        const prices = JSON.parse(value);
+        const invalid = Object.entries(prices).filter(([, price]) =>
+            !price || typeof price.input !== 'number' || typeof price.output !== 'number');
+        if (invalid.length > 0) {
+            throw new Error(`input and output prices are required for ${invalid.map(([model]) => model).join(', ')}`);
+        }
+        return { ...DEFAULT_LLM_PRICES, ...prices };
+    } catch (error) {
+        console.error(`❌ Invalid LLM_PRICES (${error.message}), using the default prices`);
+        return DEFAULT_LLM_PRICES;
+    }
+}
+
+const defaultLlmProvider = process.env.LLM_PROVIDER || 'openai';
+const llmTasks = {};
+for (const [task, defaultModel] of Object.entries(LLM_TASK_DEFAULT_MODELS)) {
+    const prefix = `LLM_${task.toUpperCase()}`;
+    const provider = process.env[`${prefix}_PROVIDER`] || defaultLlmProvider;
+    // The OpenAI model names are only meaningful defaults for OpenAI and the mock
+    const fallbackModel = ['openai', 'mock'].includes(provider) ? defaultModel : null;
+    llmTasks[task] = {
+        provider,
+        model: process.env[`${prefix}_MODEL`] || process.env.LLM_MODEL || fallbackModel
+    };
+}
+
+// Credentials each provider needs
+const llmProviderEnvVars = {
+    openai: ['OPENAI_API_KEY'],
+    azure: ['AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_API_KEY'],
+    anthropic: ['ANTHROPIC_API_KEY'],
+    openai_compatible: ['OPENAI_COMPATIBLE_BASE_URL'],
+    mock: []
+};
+
+// Database and file storage backends. Supabase provides both; on-prem installs use a
+// plain Postgres database with files on local disk or in an S3-compatible store (MinIO).
+const DATABASE_DRIVERS = ['supabase', 'postgres'];
+const STORAGE_DRIVERS = ['supabase', 'local', 's3'];
+const databaseDriver = process.env.DATABASE_DRIVER || 'supabase';
+const storageDriver = process.env.STORAGE_DRIVER || (databaseDriver === 'supabase' ? 'supabase' : 'local');
+
+// Credentials each driver needs
+const databaseDriverEnvVars = {
+    supabase: ['SUPABASE_URL', 'SUPABASE_ANON_KEY', 'SUPABASE_SERVICE_ROLE_KEY'],
+    postgres: ['DATABASE_URL']
+};
+const storageDriverEnvVars = {
+    supabase: ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'],
+    local: [],
+    s3: ['S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY']
+};
+
+// Validate required environment variables. Offline tools (the classifier evaluation in
+// scripts/eval) set OFFLINE=true: they never use the database.
+const offline = process.env.OFFLINE === 'true';
+const usedLlmProviders = [...new Set(Object.values(llmTasks).map(t => t.provider))];
+const requiredEnvVars = [...new Set([
+    ...(offline ? [] : [...(databaseDriverEnvVars[databaseDriver] || []), ...(storageDriverEnvVars[storageDriver] || [])]),
+    ...usedLlmProviders.flatMap(provider => llmProviderEnvVars[provider] || [])
+])];
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
-if (missingVars.length > 0) {
-    console.error('❌ Missing required environment variables:', missingVars.join(', '));
+const unknownProviders = usedLlmProviders.filter(provider => !LLM_PROVIDERS.includes(provider));
+const tasksWithoutModel = Object.keys(llmTasks).filter(task => !llmTasks[task].model);
+const unknownDrivers = [
+    ...(DATABASE_DRIVERS.includes(databaseDriver) ? [] : [`DATABASE_DRIVER=${databaseDriver} (supported: ${DATABASE_DRIVERS.join(', ')})`]),
+    ...(STORAGE_DRIVERS.includes(storageDriver) ? [] : [`STORAGE_DRIVER=${storageDriver} (supported: ${STORAGE_DRIVERS.join(', ')})`])
+];
+
+if (missingVars.length > 0 || unknownProviders.length > 0 || tasksWithoutModel.length > 0 || unknownDrivers.length > 0) {
+    if (missingVars.length > 0) {
+        console.error('❌ Missing required environment variables:', missingVars.join(', '));
+    }
+    if (unknownProviders.length > 0) {
+        console.error(`❌ Unknown LLM provider: ${unknownProviders.join(', ')} (supported: ${LLM_PROVIDERS.join(', ')})`);
+    }
+    if (unknownDrivers.length > 0) {
+        console.error('❌ Unknown driver:', unknownDrivers.join(', '));
+    }
+    if (tasksWithoutModel.length > 0) {
+        console.error('❌ No LLM model configured for:', tasksWithoutModel.map(t => `LLM_${t.toUpperCase()}_MODEL`).join(', '));
+    }
     console.error('Please set these in your Railway environment variables or .env file');
     // Don't exit in production, but log warning
     if (process.env.NODE_ENV !== 'production') {
@@ -19,8 +128,145 @@ module.exports = {
     supabaseUrl: process.env.SUPABASE_URL,
     supabaseAnonKey: process.env.SUPABASE_ANON_KEY,
     supabaseServiceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+    // Database backend: Supabase (PostgREST) or plain Postgres (see storage/database)
+    database: {
+        driver: databaseDriver,
+        url: process.env.DATABASE_URL,
+        ssl: process.env.DATABASE_SSL === 'true',
+        poolSize: parseInt(process.env.DATABASE_POOL_SIZE) || 10,
+        // Refuse to start on a database with pending migrations (see scripts/setup/migrate.js)
+        checkMigrations: process.env.DATABASE_MIGRATION_CHECK !== 'false'
+    },
+    // File storage backend for screenshot images (see storage/objects)
+    storage: {
+        driver: storageDriver,
+        // Base URL of the links to stored files, e.g. https://analyzer.example.com (local driver)
+        publicUrl: (process.env.STORAGE_PUBLIC_URL || '').replace(/\/+$/, ''),
+        localDir: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../data'),
+        s3: {
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION || 'us-east-1',
+            endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO (default: AWS)
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+                ? process.env.S3_FORCE_PATH_STYLE === 'true'
+                : !!process.env.S3_ENDPOINT,
+            publicUrl: (process.env.S3_PUBLIC_URL || '').replace(/\/+$/, '')
+        }
+    },
     googleDriveClientId: process.env.GOOGLE_DRIVE_CLIENT_ID,
     googleDriveClientSecret: process.env.GOOGLE_DRIVE_CLIENT_SECRET,
     googleDriveRefreshToken: process.env.GOOGLE_DRIVE_REFRESH_TOKEN,
-    scrappeyApiKey: process.env.SCRAPPEY_API_KEY
+    scrappeyApiKey: process.env.SCRAPPEY_API_KEY,
+    // Analysis job worker
+    analysisWorkerConcurrency: parseInt(process.env.ANALYSIS_WORKER_CONCURRENCY) || 1,
+    analysisWorkerPollMs: parseInt(process.env.ANALYSIS_WORKER_POLL_MS) || 5000,
+    analysisJobStaleMs: parseInt(process.env.ANALYSIS_JOB_STALE_MS) || 120000,
+    analysisJobMaxAttempts: parseInt(process.env.ANALYSIS_JOB_MAX_ATTEMPTS) || 3,
+    // Scheduled recurring analyses
+    schedulerEnabled: process.env.SCHEDULER_ENABLED !== 'false',
+    schedulerPollMs: parseInt(process.env.SCHEDULER_POLL_MS) || 60000,
+    // Outbound webhooks
+    webhooks: {
+        timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+        retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000,
+        pollMs: parseInt(process.env.WEBHOOK_POLL_MS) || 10000,
+        // Allow webhook URLs on loopback, private and link-local addresses
+        allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+    },
+    // Trash (soft-deleted companies, messages and screenshots)
+    trash: {
+        retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+        purgeEnabled: process.env.TRASH_PURGE_ENABLED !== 'false',
+        purgePollMs: parseInt(process.env.TRASH_PURGE_POLL_MS) || 3600000
+    },
+    // User accounts and sessions
+    auth: {
+        sessionTtlHours: parseInt(process.env.SESSION_TTL_HOURS) || 168,
+        cookieSecure: process.env.SESSION_COOKIE_SECURE
+            ? process.env.SESSION_COOKIE_SECURE === 'true'
+            : process.env.NODE_ENV === 'production',
+        allowSignup: process.env.AUTH_ALLOW_SIGNUP === 'true',
+        oidc: {
+            issuer: process.env.OIDC_ISSUER,
+            clientId: process.env.OIDC_CLIENT_ID,
+            clientSecret: process.env.OIDC_CLIENT_SECRET,
+            redirectUri: process.env.OIDC_REDIRECT_URI,
+            scopes: process.env.OIDC_SCOPES || 'openid email profile',
+            label: process.env.OIDC_LABEL || 'Single sign-on'
+        }
+    },
+    // Chunked classification
+    classification: {
+        chunkTokens: parseInt(process.env.CLASSIFICATION_CHUNK_TOKENS) || 6000,
+        contextTokens: parseInt(process.env.CLASSIFICATION_CONTEXT_TOKENS) || 128000,
+        outputTokens: parseInt(process.env.CLASSIFICATION_OUTPUT_TOKENS) || 8000,
+        concurrency: parseInt(process.env.CLASSIFICATION_CONCURRENCY) || 3
+    },
+    // Page fetching of analyses: a static request first, rendered in a shared browser when
+    // the static HTML is thin or needs JavaScript (see services/pageFetcher.js)
+    fetching: {
+        mode: ['auto', 'static', 'rendered'].includes(process.env.FETCH_MODE) ? process.env.FETCH_MODE : 'auto',
+        concurrency: parseInt(process.env.FETCH_CONCURRENCY) || 3,
+        timeoutMs: parseInt(process.env.REQUEST_TIMEOUT_MS) || 30000,
+        minTextLength: parseInt(process.env.FETCH_MIN_TEXT_LENGTH) || 500,
+        browserPool: {
+            size: parseInt(process.env.BROWSER_POOL_SIZE) || 1,
+            pagesPerBrowser: parseInt(process.env.BROWSER_POOL_PAGES_PER_BROWSER) || 2,
+            maxUses: parseInt(process.env.BROWSER_POOL_MAX_USES) || 50,
+            idleMs: parseInt(process.env.BROWSER_POOL_IDLE_MS) || 60000
+        }
+    },
+    // Page discovery of full-website analyses: the homepage links, or a crawl of the site
+    // (services/crawler.js) optionally seeded from its sitemaps, categorized by the LLM.
+    // Analyses can override each setting.
+    discovery: {
+        mode: ['crawl', 'sitemap'].includes(process.env.DISCOVERY_MODE) ? process.env.DISCOVERY_MODE : 'homepage',
+        maxPages: parseInt(process.env.MAX_CRAWL_PAGES) || 50,
+        maxDepth: parseInt(process.env.MAX_CRAWL_DEPTH) || 3,
+        maxSitemapFiles: parseInt(process.env.MAX_SITEMAP_FILES) || 20
+    },
+    // robots.txt rules (Allow, Disallow, Crawl-delay) applied to every page fetch of analyses
+    robots: {
+        enabled: process.env.ROBOTS_TXT_ENABLED !== 'false',
+        userAgent: process.env.ROBOTS_USER_AGENT || 'BrandAnalyzer',
+        maxCrawlDelayMs: parseInt(process.env.ROBOTS_MAX_CRAWL_DELAY_MS) || 30000
+    },
+    // Verbatim-match verification of extracted messages
+    phraseMatching: {
+        minConfidence: parseFloat(process.env.PHRASE_MATCH_MIN_CONFIDENCE) || 0.85
+    },
+    // LLM providers
+    llm: {
+        providers: LLM_PROVIDERS,
+        providerEnvVars: llmProviderEnvVars,
+        tasks: llmTasks,
+        azure: {
+            endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+            apiKey: process.env.AZURE_OPENAI_API_KEY,
+            apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01'
+        },
+        anthropic: {
+            apiKey: process.env.ANTHROPIC_API_KEY,
+            maxTokens: parseInt(process.env.ANTHROPIC_MAX_TOKENS) || 4096
+        },
+        openaiCompatible: {
+            baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL,
+            apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed'
+        },
+        mockFixturesDir: process.env.LLM_MOCK_FIXTURES_DIR || path.join(__dirname, '../../scripts/tests/fixtures/llm'),
+        recordFixtures: process.env.LLM_RECORD_FIXTURES === 'true',
+        prices: parseLlmPrices(process.env.LLM_PRICES),
+        // Re-asks for a structured response that does not match its JSON Schema
+        schemaRepairAttempts: process.env.LLM_SCHEMA_REPAIR_ATTEMPTS !== undefined
+            ? Math.max(parseInt(process.env.LLM_SCHEMA_REPAIR_ATTEMPTS) || 0, 0)
+            : 1,
+        // Persistent response cache (llm_cache table)
+        cache: {
+            enabled: process.env.LLM_CACHE_ENABLED !== 'false',
+            ttlHours: parseInt(process.env.LLM_CACHE_TTL_HOURS) || 720
+        }
+    }
 };
@@ -0,0 +1,278 @@
+/**
+ * Authentication and Access Control Middleware
+ * authenticate resolves the session cookie into req.user, req.workspace and req.role
+ * (the public API in routes/v1.js also accepts API keys, see resolveApiKey).
+ * requireRole checks the member's role, and requireAccess checks that a resource named
+ * in the request belongs to the current workspace (answering 404 otherwise, so ids of
+ * other workspaces cannot be probed).
+ */
+
+const config = require('../config');
+const auth = require('../services/auth');
+const workspaces = require('../services/workspaces');
+const apiKeys = require('../services/apiKeys');
+
+const SESSION_COOKIE = 'bma_session';
+
+const NOT_FOUND_MESSAGES = {
+    company: 'Company not found',
+    message: 'Message not found',
+    screenshot: 'Screenshot not found',
+    job: 'Job not found',
+    guideline: 'Guideline version not found',
+    webhook: 'Webhook not found',
+    delivery: 'Delivery not found'
+};
+
+/**
+ * Reads a cookie from the request
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} - Decoded value or null
+ */
+function readCookie(req, name) {
+    const header = req.headers.cookie || '';
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        if (part.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(index + 1).trim());
+            } catch (e) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Sets the session cookie
+ * @param {Object} res - Express response
+ * @param {string} token - Session token
+ * @param {Date} expiresAt - Session expiry
+ */
+function setSessionCookie(res, token, expiresAt) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: config.auth.cookieSecure,
+        expires: expiresAt,
+        path: '/'
+    });
+}
+
+/**
+ * Removes the session cookie
+ * @param {Object} res - Express response
+ */
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', secure: config.auth.cookieSecure, path: '/' });
+}
+
+/**
+ * Starts a session for a user and sets its cookie
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User row
+ * @param {string|null} workspaceId - Workspace to start in (default: the user's first workspace)
+ * @returns {Promise<Object|null>} - The session's workspace { id, name, role }, or null if the user has none
+ */
+async function signIn(req, res, user, workspaceId = null) {
+    const memberships = await workspaces.listUserWorkspaces(user.id);
+    const workspace = memberships.find(w => w.id === workspaceId) || memberships[0] || null;
+
+    const { token, expiresAt } = await auth.createSession({
+        userId: user.id,
+        workspaceId: workspace ? workspace.id : null,
+        userAgent: req.get('user-agent') || null
+    });
+    setSessionCookie(res, token, expiresAt);
+    console.log(`[Auth] ${user.email} signed in`);
+    return workspace;
+}
+
+/**
+ * Resolves the session cookie of a request
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - { user, sessionId, workspace ({ id, name }, null if the
+ *   user belongs to no workspace), role }, or null without a valid session
+ */
+async function resolveSession(req) {
+    const session = await auth.getSession(readCookie(req, SESSION_COOKIE));
+    if (!session) return null;
+
+    let membership = session.workspace_id
+        ? await workspaces.getMembership(session.workspace_id, session.user_id)
+        : null;
+
+    // Removed from the session's workspace: fall back to another one
+    if (!membership) {
+        const [first] = await workspaces.listUserWorkspaces(session.user_id);
+        if (first) {
+            await auth.setSessionWorkspace(session.id, first.id);
+            membership = { role: first.role, workspaces: { id: first.id, name: first.name } };
+        }
+    }
+
+    const hasWorkspace = Boolean(membership && membership.workspaces);
+    return {
+        user: session.users,
+        sessionId: session.id,
+        workspace: hasWorkspace ? { id: membership.workspaces.id, name: membership.workspaces.name } : null,
+        role: hasWorkspace ? membership.role : null
+    };
+}
+
+/**
+ * Resolves the API key sent as `Authorization: Bearer <key>`
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null|undefined>} - { apiKey, workspace }, null for an invalid key,
+ *   undefined if the request has no bearer token
+ */
+async function resolveApiKey(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    if (!match) return undefined;
+
+    const key = await apiKeys.verifyApiKey(match[1]);
+    if (!key) return null;
+
+    const { workspaces: workspace, ...apiKey } = key;
+    return { apiKey, workspace: { id: workspace.id, name: workspace.name } };
+}
+
+/**
+ * Resolves the session of the request. Sets req.user, req.sessionId, req.workspace
+ * ({ id, name }, null if the user belongs to no workspace) and req.role.
+ * Answers 401 without a valid session.
+ */
+async function authenticate(req, res, next) {
+    try {
+        const session = await resolveSession(req);
+        if (!session) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        Object.assign(req, session);
+        next();
+    } catch (error) {
+        console.error('[Auth] Failed to authenticate request:', error);
+        res.status(500).json({ error: 'Failed to authenticate', details: error.message });
+    }
+}
+
+/**
+ * Requires the current workspace role to be at least `role`
+ * @param {string} role - viewer, analyst or admin
+ * @returns {Function} - Express middleware
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.workspace) {
+            return res.status(403).json({ error: 'You are not a member of any workspace' });
+        }
+        if (!workspaces.hasRole(req.role, role)) {
+            return res.status(403).json({ error: `This action requires the ${role} role` });
+        }
+        next();
+    };
+}
+
+/**
+ * Default role check for API routes: reading needs the viewer role, any change the
+ * analyst role. Routes that need more add requireRole('admin').
+ */
+function requireRoleForMethod(req, res, next) {
+    const readOnly = ['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+    return requireRole(readOnly ? 'viewer' : 'analyst')(req, res, next);
+}
+
+/**
+ * Requires a resource named in the request to belong to the current workspace.
+ * Resources without an id in the request are skipped (optional filters). Resources in
+ * the trash are not found unless options.includeTrashed is set.
+ * @param {string} resource - company, message, screenshot, job, guideline, webhook or delivery
+ * @param {Function} getId - Reads the id from the request (default: req.params.id)
+ * @param {Object} options - { includeTrashed }
+ * @returns {Function} - Express middleware
+ */
+function requireAccess(resource, getId = req => req.params.id, options = {}) {
+    return async (req, res, next) => {
+        const id = getId(req);
+        if (!id) return next();
+
+        try {
+            const ownerId = await workspaces.getOwnerWorkspaceId(resource, id, options);
+            // Shared resources (the built-in guidelines) can be read by everyone
+            const shared = ownerId === null && ['GET', 'HEAD'].includes(req.method);
+            if (ownerId === undefined || (!shared && ownerId !== req.workspace.id)) {
+                return res.status(404).json({ error: NOT_FOUND_MESSAGES[resource] });
+            }
+            next();
+        } catch (error) {
+            console.error(`[Auth] Failed to check access to ${resource} ${id}:`, error);
+            res.status(500).json({ error: 'Failed to check access', details: error.message });
+        }
+    };
+}
+
+/**
+ * Authenticates a route called outside the browser session (e.g. by the Cloudflare
+ * extension) with an API key that grants `scope`, sent as `Authorization: Bearer <key>`,
+ * or with the session cookie and the role that gives the same access. Sets req.workspace
+ * and either req.apiKey or req.user and req.role.
+ * @param {string} scope - One of apiKeys.SCOPES
+ * @returns {Function} - Express middleware
+ */
+function authenticateWithScope(scope) {
+    return async (req, res, next) => {
+        try {
+            const key = await resolveApiKey(req);
+            if (key === null) {
+                return res.status(401).json({ error: 'Invalid, revoked or expired API key' });
+            }
+            if (key === undefined) {
+                return authenticate(req, res, () => requireRole(apiKeys.SCOPES[scope].role)(req, res, next));
+            }
+            if (!key.apiKey.scopes.includes(scope)) {
+                return res.status(403).json({ error: `This request requires the ${scope} scope` });
+            }
+
+            req.apiKey = key.apiKey;
+            req.workspace = key.workspace;
+            next();
+        } catch (error) {
+            console.error('[Auth] Failed to authenticate request:', error);
+            res.status(500).json({ error: 'Failed to authenticate', details: error.message });
+        }
+    };
+}
+
+/**
+ * Protects every route below a path: authenticate, then the default role check.
+ * @param {Object} options
+ * @param {Array<string>} options.except - Paths (relative to the mount path) that stay public
+ * @returns {Function} - Express middleware
+ */
+function protect({ except = [] } = {}) {
+    return (req, res, next) => {
+        if (except.includes(req.path)) return next();
+        authenticate(req, res, () => requireRoleForMethod(req, res, next));
+    };
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    readCookie,
+    setSessionCookie,
+    clearSessionCookie,
+    signIn,
+    resolveSession,
+    resolveApiKey,
+    authenticate,
+    authenticateWithScope,
+    requireRole,
+    requireRoleForMethod,
+    requireAccess,
+    protect
+};
@@ -0,0 +1,168 @@
+/**
+ * OpenAPI Document Builder
+ * Builds the OpenAPI 3.0 document of the public API from the endpoint definitions the
+ * routes are registered with (see routes/v1.js), so the document cannot drift from the
+ * routes that actually exist.
+ */
+
+const ERROR_RESPONSES = {
+    400: 'Invalid request',
+    401: 'Missing, invalid, revoked or expired API key',
+    402: 'The LLM budget of the workspace is used up',
+    403: 'The API key lacks the required scope',
+    404: 'Not found in the workspace of the API key',
+    409: 'Conflicting state',
+    500: 'Unexpected error'
+};
+
+/**
+ * Converts an Express path (/jobs/:id) to an OpenAPI path (/jobs/{id})
+ * @param {string} path - Express route path
+ * @returns {string}
+ */
+function toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * Wraps a schema in the response envelope
+ * @param {Object} schema - Schema of the data
+ * @param {boolean} paginated - Whether the data is a page of a list
+ * @returns {Object} - Envelope schema
+ */
+function envelope(schema, paginated) {
+    if (!paginated) {
+        return { type: 'object', required: ['data'], properties: { data: schema } };
+    }
+    return {
+        type: 'object',
+        required: ['data', 'pagination'],
+        properties: {
+            data: { type: 'array', items: schema },
+            pagination: { $ref: '#/components/schemas/Pagination' }
+        }
+    };
+}
+
+/**
+ * Builds the operation object of one endpoint
+ * @param {Object} endpoint - Endpoint definition
+ * @returns {Object} - OpenAPI operation
+ */
+function buildOperation(endpoint) {
+    const pathParameters = [...endpoint.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: { type: 'string', format: 'uuid' }
+    }));
+    const queryParameters = (endpoint.query || []).map(({ name, description, schema }) => ({
+        name,
+        in: 'query',
+        required: false,
+        description,
+        schema
+    }));
+    if (endpoint.paginated) {
+        queryParameters.push(
+            { name: 'limit', in: 'query', required: false, description: 'Page size', schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } },
+            { name: 'offset', in: 'query', required: false, description: 'Items to skip', schema: { type: 'integer', minimum: 0, default: 0 } }
+        );
+    }
+
+    const operation = {
+        operationId: endpoint.operationId,
+        summary: endpoint.summary,
+        tags: [endpoint.tag],
+        parameters: [...pathParameters, ...queryParameters]
+    };
+    if (endpoint.description) operation.description = endpoint.description;
+
+    if (endpoint.scope) {
+        operation.security = [{ apiKey: [] }, { session: [] }];
+        operation['x-required-scope'] = endpoint.scope;
+        operation.description = `${endpoint.description ? `${endpoint.description}\n\n` : ''}Requires the \`${endpoint.scope}\` scope.`;
+    } else {
+        operation.security = [];
+    }
+
+    if (endpoint.body) {
+        operation.requestBody = {
+            required: true,
+            content: { 'application/json': { schema: endpoint.body } }
+        };
+    }
+
+    const status = String(endpoint.status || 200);
+    operation.responses = {
+        [status]: {
+            description: endpoint.responseDescription || 'Success',
+            content: { 'application/json': { schema: endpoint.raw ? endpoint.response : envelope(endpoint.response, endpoint.paginated) } }
+        }
+    };
+    for (const code of endpoint.errors || []) {
+        operation.responses[code] = { $ref: `#/components/responses/Error${code}` };
+    }
+    return operation;
+}
+
+/**
+ * Builds the OpenAPI document
+ * @param {Object} params
+ * @param {Object} params.info - OpenAPI info object (title, version, description)
+ * @param {string} params.basePath - Path the routes are mounted at (e.g. /api/v1)
+ * @param {Array<Object>} params.endpoints - Endpoint definitions
+ * @param {Object} params.schemas - Component schemas referenced by the endpoints
+ * @param {Object} params.scopes - { scope: { description } }
+ * @returns {Object} - OpenAPI 3.0 document
+ */
+function buildDocument({ info, basePath, endpoints, schemas, scopes }) {
+    const paths = {};
+    for (const endpoint of endpoints) {
+        const path = toOpenApiPath(endpoint.path);
+        paths[path] = paths[path] || {};
+        paths[path][endpoint.method] = buildOperation(endpoint);
+    }
+
+    const scopeList = Object.entries(scopes)
+        .map(([scope, { description }]) => `- \`${scope}\`: ${description}`)
+        .join('\n');
+
+    const responses = {};
+    for (const [code, description] of Object.entries(ERROR_RESPONSES)) {
+        responses[`Error${code}`] = {
+            description,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        };
+    }
+
+    return {
+        openapi: '3.0.3',
+        info,
+        servers: [{ url: basePath }],
+        tags: [...new Set(endpoints.map(endpoint => endpoint.tag))].map(name => ({ name })),
+        paths,
+        components: {
+            securitySchemes: {
+                apiKey: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: `API key created by a workspace admin, sent as \`Authorization: Bearer bma_...\`. Scopes:\n${scopeList}`
+                },
+                session: {
+                    type: 'apiKey',
+                    in: 'cookie',
+                    name: 'bma_session',
+                    description: 'Browser session of a signed-in user; scopes follow the member\'s role'
+                }
+            },
+            responses,
+            schemas
+        }
+    };
+}
+
+module.exports = {
+    toOpenApiPath,
+    buildDocument
+};
@@ -0,0 +1,682 @@
+/**
+ * Public REST API, version 1 (mounted at /api/v1)
+ * Stable, documented endpoints for other services: companies, messages, categories,
+ * screenshots and analysis jobs of one workspace. Requests authenticate with an API key
+ * (`Authorization: Bearer bma_...`) or, from the browser, with the session cookie.
+ *
+ * Responses use one envelope:
+ *   { data }                          single resource
+ *   { data: [...], pagination }       lists (?limit=, ?offset=)
+ *   { error: { code, message, details } }
+ *
+ * Every endpoint is registered through endpoint(), which also feeds the OpenAPI
+ * document served at /api/v1/openapi.json.
+ */
+
+const express = require('express');
+const supabase = require('../services/supabase');
+const jobQueue = require('../services/jobQueue');
+const apiKeys = require('../services/apiKeys');
+const workspaces = require('../services/workspaces');
+const review = require('../services/review');
+const usage = require('../services/usage');
+const { resolveSession, resolveApiKey } = require('../middleware/auth');
+const { buildDocument } = require('./openapi');
+const { version } = require('../../../package.json');
+
+const BASE_PATH = '/api/v1';
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const COMPANY_COLUMNS = 'id, url, domain, name, analysis_mode, pages_analyzed, created_at, updated_at';
+const MESSAGE_COLUMNS = 'id, company_id, message_type, content, count, reasoning, locations, category_id, guideline_version_id, review_status, created_at';
+const CATEGORY_COLUMNS = 'id, company_id, name, description, message_count, created_at, updated_at';
+const SCREENSHOT_COLUMNS = 'id, company_id, message_id, image_url, original_url, message_content, status, created_at';
+
+const ERROR_CODES = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    402: 'budget_exceeded',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    500: 'internal_error'
+};
+
+const NOT_FOUND_MESSAGES = {
+    company: 'Company not found',
+    message: 'Message not found',
+    screenshot: 'Screenshot not found',
+    job: 'Job not found'
+};
+
+const router = express.Router();
+const endpoints = [];
+
+// --- Helpers ---
+
+/**
+ * Sends an error in the API's error envelope
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} message - Human readable message
+ * @param {string} details - Optional details (e.g. the underlying error)
+ */
+function sendError(res, status, message, details) {
+    const error = { code: ERROR_CODES[status] || 'error', message };
+    if (details) error.details = details;
+    res.status(status).json({ error });
+}
+
+/**
+ * Reads ?limit= and ?offset=
+ * @param {Object} req - Express request
+ * @returns {Object} - { limit, offset } or { error } if invalid
+ */
+function readPagination(req) {
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { error: 'offset must be a non-negative integer' };
+    }
+    return { limit, offset };
+}
+
+/**
+ * Sends a page of a list
+ * @param {Object} res - Express response
+ * @param {Array} data - Items of the page
+ * @param {number} total - Total number of items
+ * @param {Object} page - { limit, offset }
+ */
+function sendPage(res, data, total, { limit, offset }) {
+    const nextOffset = offset + data.length;
+    res.json({
+        data,
+        pagination: {
+            total,
+            limit,
+            offset,
+            next_offset: nextOffset < total ? nextOffset : null
+        }
+    });
+}
+
+/**
+ * Removes the internal resume checkpoint from a job
+ * @param {Object} job - Job row
+ * @returns {Object} - Job with completed_phases
+ */
+function formatJob(job) {
+    const { checkpoint, locked_by, heartbeat_at, ...details } = job;
+    return {
+        ...details,
+        completed_phases: (checkpoint && checkpoint.completedPhases) || []
+    };
+}
+
+/**
+ * Whether a value is an http(s) URL
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+// --- Middleware ---
+
+/**
+ * Authenticates with an API key, or with the session cookie when no key is sent.
+ * Sets req.workspace and either req.apiKey or req.user and req.role.
+ */
+async function authenticateRequest(req, res, next) {
+    try {
+        const key = await resolveApiKey(req);
+        if (key === null) {
+            return sendError(res, 401, 'Invalid, revoked or expired API key');
+        }
+        if (key) {
+            req.apiKey = key.apiKey;
+            req.workspace = key.workspace;
+            return next();
+        }
+
+        const session = await resolveSession(req);
+        if (!session) {
+            return sendError(res, 401, 'Authentication required: send an API key as "Authorization: Bearer <key>"');
+        }
+        if (!session.workspace) {
+            return sendError(res, 403, 'You are not a member of any workspace');
+        }
+        Object.assign(req, session);
+        next();
+    } catch (error) {
+        console.error('[API v1] Failed to authenticate request:', error);
+        sendError(res, 500, 'Failed to authenticate', error.message);
+    }
+}
+
+/**
+ * Requires an API key with the scope, or a member whose role grants the same access
+ * @param {string} scope - One of apiKeys.SCOPES
+ * @returns {Function} - Express middleware
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        const allowed = req.apiKey
+            ? req.apiKey.scopes.includes(scope)
+            : workspaces.hasRole(req.role, apiKeys.SCOPES[scope].role);
+
+        if (!allowed) {
+            return sendError(res, 403, `This request requires the ${scope} scope`);
+        }
+        next();
+    };
+}
+
+/**
+ * Requires the resource in req.params.id to belong to the request's workspace
+ * @param {string} resource - company, message, screenshot or job
+ * @returns {Function} - Express middleware
+ */
+function requireOwned(resource) {
+    return async (req, res, next) => {
+        try {
+            const ownerId = await workspaces.getOwnerWorkspaceId(resource, req.params.id);
+            if (!ownerId || ownerId !== req.workspace.id) {
+                return sendError(res, 404, NOT_FOUND_MESSAGES[resource]);
+            }
+            next();
+        } catch (error) {
+            console.error(`[API v1] Failed to check access to ${resource} ${req.params.id}:`, error);
+            sendError(res, 500, 'Failed to check access', error.message);
+        }
+    };
+}
+
+/**
+ * Registers an endpoint and records its definition for the OpenAPI document
+ * @param {Object} definition - method, path, operationId, tag, summary, scope, owner
+ *   (resource named by :id), query, body, response, paginated, status, errors
+ * @param {Function} handler - async (req, res) => void
+ */
+function endpoint(definition, handler) {
+    endpoints.push(definition);
+
+    const middleware = [];
+    if (definition.scope) middleware.push(authenticateRequest, requireScope(definition.scope));
+    if (definition.owner) middleware.push(requireOwned(definition.owner));
+
+    router[definition.method](definition.path, ...middleware, async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (error) {
+            console.error(`[API v1] ${definition.method.toUpperCase()} ${definition.path} failed:`, error);
+            sendError(res, 500, 'Unexpected error', error.message);
+        }
+    });
+}
+
+// --- Schemas ---
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const uuid = { type: 'string', format: 'uuid' };
+const nullableUuid = { type: 'string', format: 'uuid', nullable: true };
+const timestamp = { type: 'string', format: 'date-time' };
+const nullableTimestamp = { type: 'string', format: 'date-time', nullable: true };
+
+const SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: {
+                type: 'object',
+                required: ['code', 'message'],
+                properties: {
+                    code: { type: 'string', enum: Object.values(ERROR_CODES) },
+                    message: { type: 'string' },
+                    details: { type: 'string' }
+                }
+            }
+        }
+    },
+    Pagination: {
+        type: 'object',
+        required: ['total', 'limit', 'offset', 'next_offset'],
+        properties: {
+            total: { type: 'integer', description: 'Number of items matching the request' },
+            limit: { type: 'integer' },
+            offset: { type: 'integer' },
+            next_offset: { type: 'integer', nullable: true, description: 'Offset of the next page, null on the last page' }
+        }
+    },
+    Company: {
+        type: 'object',
+        properties: {
+            id: uuid,
+            url: { type: 'string' },
+            domain: { type: 'string' },
+            name: { type: 'string', nullable: true },
+            analysis_mode: { type: 'string', enum: ['full_website', 'specific_pages'] },
+            pages_analyzed: { type: 'integer', nullable: true },
+            created_at: timestamp,
+            updated_at: timestamp
+        }
+    },
+    Message: {
+        type: 'object',
+        properties: {
+            id: uuid,
+            company_id: uuid,
+            message_type: { type: 'string', description: 'e.g. Tagline, Value Proposition, Product Message' },
+            content: { type: 'string' },
+            count: { type: 'integer', description: 'Number of pages the message was found on' },
+            reasoning: { type: 'string', nullable: true },
+            locations: { type: 'array', items: { type: 'string' }, description: 'URLs of the pages the message appears on' },
+            category_id: nullableUuid,
+            category_name: { type: 'string', nullable: true },
+            guideline_version_id: nullableUuid,
+            review_status: { type: 'string', enum: review.REVIEW_STATUSES, description: 'Human review of the message' },
+            created_at: timestamp
+        }
+    },
+    Category: {
+        type: 'object',
+        properties: {
+            id: uuid,
+            company_id: uuid,
+            name: { type: 'string' },
+            description: { type: 'string', nullable: true },
+            message_count: { type: 'integer' },
+            created_at: timestamp,
+            updated_at: timestamp
+        }
+    },
+    Screenshot: {
+        type: 'object',
+        properties: {
+            id: uuid,
+            company_id: uuid,
+            message_id: nullableUuid,
+            image_url: { type: 'string', nullable: true },
+            original_url: { type: 'string', nullable: true, description: 'Page the screenshot was taken of' },
+            message_content: { type: 'string', nullable: true },
+            status: { type: 'string', enum: ['pending', 'processing', 'success', 'failed'] },
+            created_at: timestamp
+        }
+    },
+    Job: {
+        type: 'object',
+        properties: {
+            id: uuid,
+            company_url: { type: 'string' },
+            mode: { type: 'string', enum: ['full_website', 'specific_pages'] },
+            status: { type: 'string', enum: ['queued', 'running', ...jobQueue.TERMINAL_STATUSES] },
+            company_id: nullableUuid,
+            current_phase: { type: 'string', nullable: true },
+            progress: { type: 'integer', minimum: 0, maximum: 100 },
+            last_message: { type: 'string', nullable: true },
+            error: { type: 'string', nullable: true },
+            attempts: { type: 'integer' },
+            page_counts: { type: 'object', additionalProperties: { type: 'integer' } },
+            phase_timings: { type: 'object', additionalProperties: { type: 'object' } },
+            bypass_llm_cache: { type: 'boolean', description: 'Every LLM request went to the provider instead of the response cache' },
+            discovery: { type: 'string', enum: jobQueue.DISCOVERY_MODES, description: 'How the pages of a full-website analysis are found' },
+            crawl_max_pages: { type: 'integer', nullable: true, description: 'Page limit of the crawl (null: server default)' },
+            crawl_max_depth: { type: 'integer', nullable: true, description: 'Link depth limit of the crawl (null: server default)' },
+            url_include: { type: 'array', items: { type: 'string' }, nullable: true, description: 'Path patterns the crawled pages must match' },
+            url_exclude: { type: 'array', items: { type: 'string' }, nullable: true, description: 'Path patterns the crawled pages must not match' },
+            cancel_requested: { type: 'boolean' },
+            started_at: nullableTimestamp,
+            finished_at: nullableTimestamp,
+            created_at: timestamp,
+            updated_at: timestamp
+        }
+    },
+    JobDetail: {
+        allOf: [
+            ref('Job'),
+            {
+                type: 'object',
+                properties: {
+                    pages: { type: 'array', items: { type: 'string' }, nullable: true },
+                    result: { type: 'object', nullable: true, description: 'Summary of a completed analysis' },
+                    log: { type: 'array', items: { type: 'object' }, description: 'Progress log' },
+                    completed_phases: { type: 'array', items: { type: 'string' } }
+                }
+            }
+        ]
+    },
+    CreateJob: {
+        type: 'object',
+        description: 'Give url to analyze the whole site, or pages to analyze only those pages',
+        properties: {
+            url: { type: 'string', description: 'Website URL' },
+            pages: { type: 'array', items: { type: 'string' }, description: 'Specific page URLs (url defaults to the origin of the first page)' },
+            bypass_llm_cache: { type: 'boolean', description: 'Send every LLM request to the provider instead of replaying cached responses (default false)' },
+            discovery: { type: 'string', enum: jobQueue.DISCOVERY_MODES, description: 'homepage: the links of the homepage; crawl: a breadth-first crawl of the site, most important pages first; sitemap: a crawl that also starts from the pages of the sitemaps, recently modified pages first. Pages disallowed by robots.txt are never fetched. The LLM picks the pages to analyze among the links or crawled pages. Ignored with pages (default: server setting, usually homepage)' },
+            crawl_max_pages: { type: 'integer', minimum: 1, maximum: 200, description: 'Pages crawled at most (default: server setting, usually 50)' },
+            crawl_max_depth: { type: 'integer', minimum: 1, maximum: 10, description: 'Links followed from the homepage at most (default: server setting, usually 3)' },
+            url_include: { type: 'array', items: { type: 'string' }, maxItems: 20, description: 'Crawl and sitemap discovery: path patterns the crawled pages must match, in robots.txt syntax (* matches anything, a trailing $ anchors the end, otherwise a prefix), e.g. /products/*. The homepage is always crawled' },
+            url_exclude: { type: 'array', items: { type: 'string' }, maxItems: 20, description: 'Crawl and sitemap discovery: path patterns the crawled pages must not match, e.g. /blog/' }
+        }
+    }
+};
+
+// --- Companies ---
+
+endpoint({
+    method: 'get', path: '/companies', operationId: 'listCompanies', tag: 'Companies',
+    summary: 'List companies, newest first',
+    scope: 'companies:read', paginated: true, response: ref('Company'), errors: [400, 401, 403]
+}, async (req, res) => {
+    const page = readPagination(req);
+    if (page.error) return sendError(res, 400, page.error);
+
+    const { data, count, error } = await supabase
+        .from('companies')
+        .select(COMPANY_COLUMNS, { count: 'exact' })
+        .eq('workspace_id', req.workspace.id)
+        .is('deleted_at', null)
+        .order('created_at', { ascending: false })
+        .range(page.offset, page.offset + page.limit - 1);
+
+    if (error) throw error;
+    sendPage(res, data || [], count || 0, page);
+});
+
+endpoint({
+    method: 'get', path: '/companies/:id', operationId: 'getCompany', tag: 'Companies',
+    summary: 'Get a company',
+    scope: 'companies:read', owner: 'company', response: ref('Company'), errors: [401, 403, 404]
+}, async (req, res) => {
+    const { data, error } = await supabase
+        .from('companies')
+        .select(COMPANY_COLUMNS)
+        .eq('id', req.params.id)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return sendError(res, 404, 'Company not found');
+    res.json({ data });
+});
+
+// --- Messages and Categories ---
+
+endpoint({
+    method: 'get', path: '/companies/:id/messages', operationId: 'listCompanyMessages', tag: 'Messages',
+    summary: 'List the brand messages of a company',
+    query: [
+        { name: 'category_id', description: 'Only messages of this category', schema: uuid },
+        { name: 'message_type', description: 'Only messages of this type', schema: { type: 'string' } },
+        { name: 'review_status', description: 'Only messages with this review status (e.g. approved)', schema: SCHEMAS.Message.properties.review_status }
+    ],
+    scope: 'messages:read', owner: 'company', paginated: true, response: ref('Message'), errors: [400, 401, 403, 404]
+}, async (req, res) => {
+    const page = readPagination(req);
+    if (page.error) return sendError(res, 400, page.error);
+    if (req.query.review_status && !review.REVIEW_STATUSES.includes(req.query.review_status)) {
+        return sendError(res, 400, `review_status must be one of: ${review.REVIEW_STATUSES.join(', ')}`);
+    }
+
+    let query = supabase
+        .from('brand_messages')
+        .select(`${MESSAGE_COLUMNS}, message_categories (name)`, { count: 'exact' })
+        .eq('company_id', req.params.id)
+        .is('deleted_at', null)
+        .order('created_at', { ascending: true })
+        .range(page.offset, page.offset + page.limit - 1);
+
+    if (req.query.category_id) query = query.eq('category_id', req.query.category_id);
+    if (req.query.message_type) query = query.eq('message_type', req.query.message_type);
+    if (req.query.review_status) query = query.eq('review_status', req.query.review_status);
+
+    const { data, count, error } = await query;
+    if (error && error.code === '22P02') return sendError(res, 400, 'category_id must be a UUID');
+    if (error) throw error;
+
+    const messages = (data || []).map(({ message_categories: category, ...message }) => ({
+        ...message,
+        category_name: category ? category.name : null
+    }));
+    sendPage(res, messages, count || 0, page);
+});
+
+endpoint({
+    method: 'get', path: '/messages/:id', operationId: 'getMessage', tag: 'Messages',
+    summary: 'Get a brand message',
+    scope: 'messages:read', owner: 'message', response: ref('Message'), errors: [401, 403, 404]
+}, async (req, res) => {
+    const { data, error } = await supabase
+        .from('brand_messages')
+        .select(`${MESSAGE_COLUMNS}, message_categories (name)`)
+        .eq('id', req.params.id)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return sendError(res, 404, 'Message not found');
+
+    const { message_categories: category, ...message } = data;
+    res.json({ data: { ...message, category_name: category ? category.name : null } });
+});
+
+endpoint({
+    method: 'get', path: '/companies/:id/categories', operationId: 'listCompanyCategories', tag: 'Messages',
+    summary: 'List the message categories of a company, largest first',
+    scope: 'messages:read', owner: 'company', paginated: true, response: ref('Category'), errors: [400, 401, 403, 404]
+}, async (req, res) => {
+    const page = readPagination(req);
+    if (page.error) return sendError(res, 400, page.error);
+
+    const { data, count, error } = await supabase
+        .from('message_categories')
+        .select(CATEGORY_COLUMNS, { count: 'exact' })
+        .eq('company_id', req.params.id)
+        .order('message_count', { ascending: false })
+        .range(page.offset, page.offset + page.limit - 1);
+
+    if (error) throw error;
+    sendPage(res, data || [], count || 0, page);
+});
+
+// --- Screenshots ---
+
+endpoint({
+    method: 'get', path: '/companies/:id/screenshots', operationId: 'listCompanyScreenshots', tag: 'Screenshots',
+    summary: 'List the screenshots (evidence) of a company, newest first',
+    query: [
+        { name: 'message_id', description: 'Only screenshots of this message', schema: uuid },
+        { name: 'status', description: 'Only screenshots with this status', schema: SCHEMAS.Screenshot.properties.status },
+        { name: 'approved_only', description: 'Only screenshots of messages approved in review', schema: { type: 'boolean' } }
+    ],
+    scope: 'screenshots:read', owner: 'company', paginated: true, response: ref('Screenshot'), errors: [400, 401, 403, 404]
+}, async (req, res) => {
+    const page = readPagination(req);
+    if (page.error) return sendError(res, 400, page.error);
+    if (req.query.status && !SCHEMAS.Screenshot.properties.status.enum.includes(req.query.status)) {
+        return sendError(res, 400, `status must be one of: ${SCHEMAS.Screenshot.properties.status.enum.join(', ')}`);
+    }
+
+    let query = supabase
+        .from('screenshots')
+        .select(SCREENSHOT_COLUMNS, { count: 'exact' })
+        .eq('company_id', req.params.id)
+        .is('deleted_at', null)
+        .order('created_at', { ascending: false })
+        .range(page.offset, page.offset + page.limit - 1);
+
+    if (req.query.message_id) query = query.eq('message_id', req.query.message_id);
+    if (req.query.status) query = query.eq('status', req.query.status);
+    if (req.query.approved_only === 'true') {
+        const { data: approved, error: approvedError } = await supabase
+            .from('brand_messages')
+            .select('id')
+            .eq('company_id', req.params.id)
+            .eq('review_status', 'approved')
+            .is('deleted_at', null);
+
+        if (approvedError) throw approvedError;
+        query = query.in('message_id', (approved || []).map(msg => msg.id));
+    }
+
+    const { data, count, error } = await query;
+    if (error && error.code === '22P02') return sendError(res, 400, 'message_id must be a UUID');
+    if (error) throw error;
+    sendPage(res, data || [], count || 0, page);
+});
+
+endpoint({
+    method: 'get', path: '/screenshots/:id', operationId: 'getScreenshot', tag: 'Screenshots',
+    summary: 'Get a screenshot',
+    scope: 'screenshots:read', owner: 'screenshot', response: ref('Screenshot'), errors: [401, 403, 404]
+}, async (req, res) => {
+    const { data, error } = await supabase
+        .from('screenshots')
+        .select(SCREENSHOT_COLUMNS)
+        .eq('id', req.params.id)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return sendError(res, 404, 'Screenshot not found');
+    res.json({ data });
+});
+
+// --- Analysis Jobs ---
+
+endpoint({
+    method: 'get', path: '/jobs', operationId: 'listJobs', tag: 'Jobs',
+    summary: 'List analysis jobs, newest first',
+    query: [
+        { name: 'status', description: 'Only jobs with this status', schema: SCHEMAS.Job.properties.status },
+        { name: 'company_id', description: 'Only jobs of this company', schema: uuid }
+    ],
+    scope: 'jobs:read', paginated: true, response: ref('Job'), errors: [400, 401, 403, 404]
+}, async (req, res) => {
+    const page = readPagination(req);
+    if (page.error) return sendError(res, 400, page.error);
+
+    const { status, company_id } = req.query;
+    if (status && !SCHEMAS.Job.properties.status.enum.includes(status)) {
+        return sendError(res, 400, `status must be one of: ${SCHEMAS.Job.properties.status.enum.join(', ')}`);
+    }
+    if (company_id && await workspaces.getOwnerWorkspaceId('company', company_id) !== req.workspace.id) {
+        return sendError(res, 404, 'Company not found');
+    }
+
+    const { jobs, total } = await jobQueue.listJobs({
+        status,
+        companyId: company_id,
+        workspaceId: req.workspace.id,
+        limit: page.limit,
+        offset: page.offset
+    });
+    sendPage(res, jobs, total, page);
+});
+
+endpoint({
+    method: 'post', path: '/jobs', operationId: 'createJob', tag: 'Jobs',
+    summary: 'Queue a website analysis',
+    description: 'The analysis runs in the background; poll the job or subscribe to the analysis.completed webhook. Refused with 402 while the daily or monthly LLM budget of the workspace is used up.',
+    scope: 'jobs:write', body: ref('CreateJob'), status: 202, responseDescription: 'Queued',
+    response: ref('JobDetail'), errors: [400, 401, 402, 403]
+}, async (req, res) => {
+    const {
+        url, pages, bypass_llm_cache: bypassLlmCache, discovery,
+        crawl_max_pages: maxPages, crawl_max_depth: maxDepth, url_include: include, url_exclude: exclude
+    } = req.body || {};
+
+    if (pages !== undefined && (!Array.isArray(pages) || pages.length === 0 || !pages.every(isHttpUrl))) {
+        return sendError(res, 400, 'pages must be a non-empty array of http(s) URLs');
+    }
+    if (url !== undefined && !isHttpUrl(url)) {
+        return sendError(res, 400, 'url must be an http(s) URL');
+    }
+    if (!url && !pages) {
+        return sendError(res, 400, 'url or pages is required');
+    }
+    if (bypassLlmCache !== undefined && typeof bypassLlmCache !== 'boolean') {
+        return sendError(res, 400, 'bypass_llm_cache must be a boolean');
+    }
+    const discoveryError = jobQueue.validateDiscovery({ mode: discovery, maxPages, maxDepth, include, exclude });
+    if (discoveryError) return sendError(res, 400, discoveryError);
+
+    const budget = await usage.getBudgetStatus(req.workspace.id);
+    if (budget.exceeded) return sendError(res, 402, budget.message);
+
+    const job = await jobQueue.enqueueAnalysis({
+        url: url || new URL(pages[0]).origin,
+        pages: pages || null,
+        workspaceId: req.workspace.id,
+        bypassLlmCache: bypassLlmCache === true,
+        discovery: { mode: discovery, maxPages, maxDepth, include, exclude }
+    });
+    res.status(202).json({ data: formatJob(job) });
+});
+
+endpoint({
+    method: 'get', path: '/jobs/:id', operationId: 'getJob', tag: 'Jobs',
+    summary: 'Get an analysis job with its progress log',
+    scope: 'jobs:read', owner: 'job', response: ref('JobDetail'), errors: [401, 403, 404]
+}, async (req, res) => {
+    const job = await jobQueue.getJob(req.params.id);
+    if (!job) return sendError(res, 404, 'Job not found');
+    res.json({ data: formatJob(job) });
+});
+
+endpoint({
+    method: 'post', path: '/jobs/:id/cancel', operationId: 'cancelJob', tag: 'Jobs',
+    summary: 'Cancel a queued or running analysis job',
+    description: 'A running job stops at its next checkpoint; its status becomes cancelled shortly after.',
+    scope: 'jobs:write', owner: 'job', response: ref('JobDetail'), errors: [401, 403, 404, 409]
+}, async (req, res) => {
+    const existing = await jobQueue.getJob(req.params.id);
+    if (!existing) return sendError(res, 404, 'Job not found');
+    if (jobQueue.TERMINAL_STATUSES.includes(existing.status)) {
+        return sendError(res, 409, `Job already ${existing.status}`);
+    }
+
+    const job = await jobQueue.cancelJob(req.params.id);
+    res.json({ data: formatJob(job) });
+});
+
+// --- OpenAPI Document ---
+
+// Built on first request, once every endpoint (including this one) is registered
+let openApiDocument = null;
+
+endpoint({
+    method: 'get', path: '/openapi.json', operationId: 'getOpenApiDocument', tag: 'Meta',
+    summary: 'This OpenAPI document', raw: true, response: { type: 'object' }
+}, async (req, res) => {
+    if (!openApiDocument) {
+        openApiDocument = buildDocument({
+            info: {
+                title: 'Brand Messaging Analyzer API',
+                version,
+                description: 'Companies, brand messages, screenshots and analysis jobs of a workspace. Lists are paginated with `limit` and `offset`; errors use the `Error` envelope.'
+            },
+            basePath: BASE_PATH,
+            endpoints,
+            schemas: SCHEMAS,
+            scopes: apiKeys.SCOPES
+        });
+    }
+    res.json(openApiDocument);
+});
+
+// Unknown endpoints answer in the error envelope instead of falling through to /api
+router.use((req, res) => {
+    sendError(res, 404, `No endpoint ${req.method} ${BASE_PATH}${req.path}`);
+});
+
+module.exports = router;
@@ -24,7 +24,7 @@ if (typeof File === 'undefined' && typeof global !== 'undefined') {
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
-const { runAnalysisWorkflow } = require('./services/workflow');
+const jobQueue = require('./services/jobQueue');
 const ScreenshotService = require('./services/screenshotService');
 const screenshotService = new ScreenshotService();
 const StandaloneScreenshotService = require('./services/standaloneScreenshotService');
@@ -34,7 +34,29 @@ const supabase = require('./services/supabase');
 const config = require('./config');
 const googleDriveService = require('./services/googleDrive');
 const { saveHtmlEvidence, getHtmlEvidence } = require('./storage');
+const { objectStore, SCREENSHOTS_BUCKET } = require('./storage/objects');
+const migrations = require('./storage/database/migrations');
 const { categorizeMessages } = require('./services/messageCategorizer');
+const llm = require('./services/llm');
+const guidelines = require('./services/guidelines');
+const occurrences = require('./services/occurrences');
+const snapshots = require('./services/snapshots');
+const screenshotBatch = require('./services/screenshotBatch');
+const scheduler = require('./services/scheduler');
+const cron = require('./services/cron');
+const webhooks = require('./services/webhooks');
+const auth = require('./services/auth');
+const oidc = require('./services/oidc');
+const workspaces = require('./services/workspaces');
+const apiKeys = require('./services/apiKeys');
+const auditLog = require('./services/auditLog');
+const usage = require('./services/usage');
+const { createUsageRecorder } = require('./services/llm/pricing');
+const trash = require('./services/trash');
+const brandMessages = require('./services/messages');
+const review = require('./services/review');
+const v1Routes = require('./routes/v1');
+const { protect, authenticate, authenticateWithScope, requireRole, requireAccess, signIn, readCookie, clearSessionCookie, SESSION_COOKIE } = require('./middleware/auth');
 const CleanupUtil = require('./services/cleanupUtil');
 
 const app = express();
@@ -67,12 +89,252 @@ app.use(express.urlencoded({ limit: '50mb', extended: true }));
 const path = require('path');
 app.use(express.static(path.join(__dirname, '../frontend')));
 app.use(express.static(path.join(__dirname, '../../public'))); // Serve public folder
+// Screenshot images of the local object store (STORAGE_DRIVER=local), public like a Supabase bucket
+if (objectStore.name === 'local') {
+    app.use(`/storage/${SCREENSHOTS_BUCKET}`, express.static(objectStore.bucketDirectory(SCREENSHOTS_BUCKET)));
+}
+
+// --- Authentication ---
+
+// 0. Sign-in Options (for the login page)
+app.get('/api/auth/options', async (req, res) => {
+    try {
+        res.json({
+            signupAllowed: await auth.canCreateAccount(),
+            minPasswordLength: auth.MIN_PASSWORD_LENGTH,
+            oidc: oidc.isEnabled() ? { label: config.auth.oidc.label } : null
+        });
+    } catch (error) {
+        console.error('Failed to fetch sign-in options:', error);
+        res.status(500).json({ error: 'Failed to fetch sign-in options', details: error.message });
+    }
+});
+
+// 0b. Create an Account (the first account joins the default workspace as admin)
+app.post('/api/auth/register', async (req, res) => {
+    const { email, password, name } = req.body;
+
+    const validationError = auth.validateCredentials({ email, password });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        if (!(await auth.canCreateAccount())) {
+            return res.status(403).json({ error: 'Sign-up is disabled. Ask a workspace admin to add you.' });
+        }
+
+        const { user, workspace } = await auth.createAccount({ email, password, name });
+        await signIn(req, res, user, workspace.id);
+        res.status(201).json({ user, workspace: { id: workspace.id, name: workspace.name } });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'An account with this email already exists' });
+        }
+        console.error('Failed to create account:', error);
+        res.status(500).json({ error: 'Failed to create account', details: error.message });
+    }
+});
+
+// 0c. Sign In (email and password)
+app.post('/api/auth/login', async (req, res) => {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+        return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    try {
+        const user = await auth.verifyCredentials(email, password);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        const workspace = await signIn(req, res, user);
+        res.json({ user, workspace });
+    } catch (error) {
+        console.error('Failed to sign in:', error);
+        res.status(500).json({ error: 'Failed to sign in', details: error.message });
+    }
+});
+
+// 0d. Sign Out
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await auth.deleteSession(readCookie(req, SESSION_COOKIE));
+        clearSessionCookie(res);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Failed to sign out:', error);
+        res.status(500).json({ error: 'Failed to sign out', details: error.message });
+    }
+});
+
+// 0e. Single Sign-On: redirect to the identity provider (?next=<page> to return to)
+app.get('/api/auth/oidc/login', async (req, res) => {
+    if (!oidc.isEnabled()) {
+        return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
+
+    try {
+        const redirectUri = config.auth.oidc.redirectUri || `${req.protocol}://${req.get('host')}/api/auth/oidc/callback`;
+        const { url, state, codeVerifier } = await oidc.createAuthorizationRequest(redirectUri);
+        // Relative paths only, so the callback cannot redirect to another site
+        const next = /^\/(?!\/)/.test(req.query.next || '') ? req.query.next : '/index.html';
+
+        res.cookie('bma_oidc', Buffer.from(JSON.stringify({ state, codeVerifier, redirectUri, next })).toString('base64url'), {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: config.auth.cookieSecure,
+            maxAge: 10 * 60 * 1000,
+            path: '/api/auth/oidc'
+        });
+        res.redirect(url);
+    } catch (error) {
+        console.error('Failed to start single sign-on:', error);
+        res.status(500).json({ error: 'Failed to start single sign-on', details: error.message });
+    }
+});
+
+// 0f. Single Sign-On: callback from the identity provider
+app.get('/api/auth/oidc/callback', async (req, res) => {
+    const fail = (message) => res.redirect(`/login.html?error=${encodeURIComponent(message)}`);
+    if (!oidc.isEnabled()) {
+        return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
+
+    let pending = null;
+    try {
+        pending = JSON.parse(Buffer.from(readCookie(req, 'bma_oidc') || '', 'base64url').toString('utf8'));
+    } catch (e) {
+        pending = null;
+    }
+    res.clearCookie('bma_oidc', { path: '/api/auth/oidc' });
+
+    if (req.query.error) {
+        return fail(req.query.error_description || req.query.error);
+    }
+    if (!pending || !req.query.code || req.query.state !== pending.state) {
+        return fail('Single sign-on expired, please try again');
+    }
+
+    try {
+        const identity = await oidc.completeAuthorization({
+            code: req.query.code,
+            codeVerifier: pending.codeVerifier,
+            redirectUri: pending.redirectUri
+        });
+
+        let user = await auth.findOidcUser(identity);
+        if (!user) {
+            if (!identity.email) {
+                return fail('The identity provider did not share an email address');
+            }
+            if (!(await auth.canCreateAccount())) {
+                return fail(`No account for ${identity.email}. Ask a workspace admin to add you.`);
+            }
+            ({ user } = await auth.createAccount({
+                email: identity.email,
+                name: identity.name,
+                oidc: { issuer: identity.issuer, subject: identity.subject }
+            }));
+        }
+
+        await signIn(req, res, user);
+        res.redirect(pending.next);
+    } catch (error) {
+        console.error('Single sign-on failed:', error);
+        fail('Single sign-on failed');
+    }
+});
+
+// 0g. Current User (with the current workspace, role and all workspaces of the user)
+app.get('/api/auth/me', authenticate, async (req, res) => {
+    try {
+        res.json({
+            user: req.user,
+            workspace: req.workspace,
+            role: req.role,
+            workspaces: await workspaces.listUserWorkspaces(req.user.id)
+        });
+    } catch (error) {
+        console.error('Failed to fetch current user:', error);
+        res.status(500).json({ error: 'Failed to fetch current user', details: error.message });
+    }
+});
+
+// 0h. Switch to Another Workspace of the User
+app.post('/api/auth/workspace', authenticate, async (req, res) => {
+    const { workspace_id } = req.body;
+
+    try {
+        const membership = workspace_id ? await workspaces.getMembership(workspace_id, req.user.id) : null;
+        if (!membership) {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+
+        await auth.setSessionWorkspace(req.sessionId, workspace_id);
+        res.json({ workspace: membership.workspaces, role: membership.role });
+    } catch (error) {
+        console.error('Failed to switch workspace:', error);
+        res.status(500).json({ error: 'Failed to switch workspace', details: error.message });
+    }
+});
+
+// 0i. Create a Workspace (the creator becomes its admin and switches to it)
+app.post('/api/auth/workspaces', authenticate, async (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+        return res.status(400).json({ error: 'Workspace name is required' });
+    }
+
+    try {
+        const workspace = await workspaces.createWorkspace(name, req.user.id);
+        await auth.setSessionWorkspace(req.sessionId, workspace.id);
+        res.status(201).json({ workspace, role: 'admin' });
+    } catch (error) {
+        console.error('Failed to create workspace:', error);
+        res.status(500).json({ error: 'Failed to create workspace', details: error.message });
+    }
+});
+
+// 0j. Change Password
+app.put('/api/auth/password', authenticate, async (req, res) => {
+    const { current_password, new_password } = req.body;
+
+    const validationError = auth.validateCredentials({ email: req.user.email, password: new_password });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        // Accounts created by single sign-on have no current password to confirm
+        if (await auth.hasPassword(req.user.id) && !(await auth.verifyCredentials(req.user.email, current_password || ''))) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+
+        await auth.setPassword(req.user.id, new_password);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Failed to change password:', error);
+        res.status(500).json({ error: 'Failed to change password', details: error.message });
+    }
+});
+
+// Public REST API for other services (API keys, see routes/v1.js)
+app.use('/api/v1', v1Routes);
+
+// Every API route below requires a session. Reading needs the viewer role and any
+// change the analyst role; admin-only routes add requireRole('admin'). Routes that take
+// a resource id check with requireAccess that it belongs to the current workspace.
+// The evidence upload of the Cloudflare extension authenticates with an API key (below)
+app.use('/api', protect({ except: ['/health', '/evidence/html'] }));
 
 // --- API Endpoints ---
 
-// 1. Start Analysis (Legacy - non-streaming)
+// 1. Start Analysis (queues a durable analysis job)
 app.post('/api/analyze', async (req, res) => {
-    const { url, pages, mode } = req.body;
+    const { url, pages, mode, bypassLlmCache, discovery, crawlMaxPages, crawlMaxDepth, urlInclude, urlExclude } = req.body;
 
     // Validate input
     if (mode === 'specific') {
@@ -96,20 +358,40 @@ app.post('/api/analyze', async (req, res) => {
         }
     }
 
+    const discoveryOptions = { mode: discovery, maxPages: crawlMaxPages, maxDepth: crawlMaxDepth, include: urlInclude, exclude: urlExclude };
+    const discoveryError = jobQueue.validateDiscovery(discoveryOptions);
+    if (discoveryError) {
+        return res.status(400).json({ error: discoveryError });
+    }
+
     try {
-        // Run the workflow with mode and pages if provided
-        const result = await runAnalysisWorkflow(url, mode === 'specific' ? pages : null);
-        res.json({ success: true, companyId: result.companyId });
+        // A workspace that used up its LLM budget cannot start analyses until the next period
+        const budget = await usage.getBudgetStatus(req.workspace.id);
+        if (budget.exceeded) {
+            return res.status(402).json({ error: budget.message, budget });
+        }
+
+        // Queue the job; the worker runs it independently of this request
+        const job = await jobQueue.enqueueAnalysis({
+            url: req.body.url,
+            pages: mode === 'specific' ? pages : null,
+            workspaceId: req.workspace.id,
+            bypassLlmCache: bypassLlmCache === true,
+            discovery: discoveryOptions
+        });
+        res.status(202).json({ success: true, jobId: job.id, status: job.status });
 
     } catch (error) {
-        console.error('Analysis failed:', error);
-        res.status(500).json({ error: 'Analysis failed', details: error.message });
+        console.error('Failed to queue analysis:', error);
+        res.status(500).json({ error: 'Failed to queue analysis', details: error.message });
     }
 });
 
-// 1b. Start Analysis with SSE streaming progress updates
+// 1b. Stream analysis progress with SSE
+// Starts a new job from url/mode/pages (and bypassLlmCache, discovery, crawlMaxPages, crawlMaxDepth,
+// urlInclude and urlExclude, repeated once per pattern), or attaches to an existing one with ?jobId=
 app.get('/api/analyze-stream', async (req, res) => {
-    const { url, pages, mode } = req.query;
+    const { url, pages, mode, jobId, bypassLlmCache, discovery, crawlMaxPages, crawlMaxDepth, urlInclude, urlExclude } = req.query;
 
     // Set up SSE headers immediately to establish connection
     res.setHeader('Content-Type', 'text/event-stream');
@@ -126,6 +408,8 @@ app.get('/api/analyze-stream', async (req, res) => {
         res.write(`data: ${JSON.stringify(data)}\n\n`);
     };
 
+    let unsubscribe = null;
+
     // Send a heartbeat every 5 seconds to keep connection alive
     const heartbeat = setInterval(() => {
         if (!res.writableEnded && !res.destroyed) {
@@ -133,78 +417,196 @@ app.get('/api/analyze-stream', async (req, res) => {
         }
     }, 5000);
 
-    // Clean up on client disconnect
+    const endStream = () => {
+        clearInterval(heartbeat);
+        if (unsubscribe) unsubscribe();
+        if (!res.writableEnded && !res.destroyed) {
+            res.end();
+        }
+    };
+
+    // Clean up on client disconnect (the job itself keeps running)
     req.on('close', () => {
         clearInterval(heartbeat);
+        if (unsubscribe) unsubscribe();
     });
 
-    // Parse pages if it's a JSON string
-    let parsedPages = null;
-    if (pages) {
-        try {
-            parsedPages = JSON.parse(pages);
-        } catch (e) {
-            parsedPages = pages.split(',').map(p => p.trim()).filter(p => p);
+    let job;
+
+    try {
+        if (jobId) {
+            job = await jobQueue.getJob(jobId);
+            if (!job || job.workspace_id !== req.workspace.id) {
+                sendEvent('error', { message: 'Analysis job not found' });
+                return endStream();
+            }
+        } else {
+            // Parse pages if it's a JSON string
+            let parsedPages = null;
+            if (pages) {
+                try {
+                    parsedPages = JSON.parse(pages);
+                } catch (e) {
+                    parsedPages = pages.split(',').map(p => p.trim()).filter(p => p);
+                }
+            }
+
+            // Validate input
+            let finalUrl = url;
+            let validationError = null;
+
+            if (mode === 'specific') {
+                if (!parsedPages || parsedPages.length === 0) {
+                    validationError = 'At least one page URL is required for specific pages mode';
+                } else if (!finalUrl && parsedPages.length > 0) {
+                    try {
+                        const firstPageUrl = new URL(parsedPages[0]);
+                        finalUrl = firstPageUrl.origin;
+                    } catch (e) {
+                        validationError = 'Invalid page URL format';
+                    }
+                }
+            } else {
+                if (!finalUrl) {
+                    validationError = 'URL is required';
+                }
+            }
+
+            const discoveryOptions = {
+                mode: discovery || undefined,
+                maxPages: crawlMaxPages ? Number(crawlMaxPages) : undefined,
+                maxDepth: crawlMaxDepth ? Number(crawlMaxDepth) : undefined,
+                include: urlInclude ? [].concat(urlInclude) : undefined,
+                exclude: urlExclude ? [].concat(urlExclude) : undefined
+            };
+            validationError = validationError || jobQueue.validateDiscovery(discoveryOptions);
+
+            // Watching a job only needs the viewer role, starting one the analyst role
+            if (!workspaces.hasRole(req.role, 'analyst')) {
+                validationError = 'This action requires the analyst role';
+            }
+
+            if (validationError) {
+                sendEvent('error', { message: validationError });
+                return endStream();
+            }
+
+            const budget = await usage.getBudgetStatus(req.workspace.id);
+            if (budget.exceeded) {
+                sendEvent('error', { message: budget.message, budgetExceeded: true });
+                return endStream();
+            }
+
+            job = await jobQueue.enqueueAnalysis({
+                url: finalUrl,
+                pages: mode === 'specific' ? parsedPages : null,
+                workspaceId: req.workspace.id,
+                bypassLlmCache: bypassLlmCache === 'true',
+                discovery: discoveryOptions
+            });
         }
+    } catch (error) {
+        console.error('Failed to start analysis stream:', error);
+        sendEvent('error', { message: error.message || 'Unknown error occurred' });
+        return endStream();
     }
 
-    // Validate input
-    let finalUrl = url;
-    let validationError = null;
+    // Tell the client which job it is watching so it can re-attach later
+    sendEvent('job', { jobId: job.id, status: job.status });
+
+    const sendTerminal = (event) => {
+        if (event.type === 'complete') {
+            sendEvent('complete', {
+                success: true,
+                jobId: job.id,
+                companyId: event.result.companyId,
+                messageCount: event.result.messageCount,
+                pagesVisited: event.result.pagesVisited
+            });
+        } else if (event.type === 'cancelled') {
+            sendEvent('error', { message: 'Analysis was cancelled', jobId: job.id, cancelled: true });
+        } else {
+            sendEvent('error', { message: event.message || 'Analysis failed', jobId: job.id });
+        }
+        endStream();
+    };
 
-    if (mode === 'specific') {
-        if (!parsedPages || parsedPages.length === 0) {
-            validationError = 'At least one page URL is required for specific pages mode';
-        } else if (!finalUrl && parsedPages.length > 0) {
-            try {
-                const firstPageUrl = new URL(parsedPages[0]);
-                finalUrl = firstPageUrl.origin;
-            } catch (e) {
-                validationError = 'Invalid page URL format';
-            }
+    // Subscribe before replaying state so no event is lost in between
+    unsubscribe = jobQueue.subscribe(job.id, (event) => {
+        if (event.type === 'log') {
+            sendEvent('log', { message: event.message, progress: event.progress });
+        } else if (['complete', 'failed', 'cancelled'].includes(event.type)) {
+            sendTerminal(event);
         }
-    } else {
-        if (!finalUrl) {
-            validationError = 'URL is required';
+    });
+
+    // Replay the current state of the job for late subscribers
+    if (jobQueue.TERMINAL_STATUSES.includes(job.status)) {
+        if (job.status === 'completed') {
+            sendTerminal({ type: 'complete', result: job.result || {} });
+        } else {
+            sendTerminal({ type: job.status === 'cancelled' ? 'cancelled' : 'failed', message: job.error });
         }
+    } else if (job.last_message) {
+        sendEvent('log', { message: job.last_message, progress: job.progress });
+    } else if (job.status === 'queued') {
+        sendEvent('log', { message: 'Analysis queued, waiting for a worker...', progress: 0 });
     }
+});
 
-    if (validationError) {
-        sendEvent('error', { message: validationError });
-        clearInterval(heartbeat);
-        res.end();
-        return;
+// 1c. List Analysis Jobs (status and history)
+app.get('/api/jobs', requireAccess('company', req => req.query.company_id), async (req, res) => {
+    const { status, company_id, limit, offset } = req.query;
+
+    if (status && !['queued', 'running', ...jobQueue.TERMINAL_STATUSES].includes(status)) {
+        return res.status(400).json({ error: 'Invalid status filter' });
     }
 
-    // Progress callback for the workflow
-    const progressCallback = (type, message, progress) => {
-        sendEvent(type, { message, progress });
-    };
+    try {
+        const { jobs, total } = await jobQueue.listJobs({ status, companyId: company_id, workspaceId: req.workspace.id, limit, offset });
+        res.json({ jobs, total });
+    } catch (error) {
+        console.error('Failed to list jobs:', error);
+        res.status(500).json({ error: 'Failed to list jobs', details: error.message });
+    }
+});
 
+// 1d. Get Analysis Job (with full progress log, phase timings and error)
+app.get('/api/jobs/:id', requireAccess('job'), async (req, res) => {
     try {
-        // Run the workflow with progress callback
-        const result = await runAnalysisWorkflow(
-            finalUrl,
-            mode === 'specific' ? parsedPages : null,
-            progressCallback
-        );
+        const job = await jobQueue.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
 
-        // Send final success event
-        sendEvent('complete', {
-            success: true,
-            companyId: result.companyId,
-            messageCount: result.messageCount,
-            pagesVisited: result.pagesVisited
+        // The checkpoint holds raw page contents and is only needed to resume
+        const { checkpoint, ...jobDetails } = job;
+        res.json({
+            ...jobDetails,
+            completed_phases: (checkpoint && checkpoint.completedPhases) || []
         });
-
     } catch (error) {
-        console.error('Analysis failed:', error);
-        sendEvent('error', { message: error.message || 'Unknown error occurred' });
-    } finally {
-        clearInterval(heartbeat);
-        if (!res.writableEnded && !res.destroyed) {
-            res.end();
+        console.error('Failed to fetch job:', error);
+        res.status(500).json({ error: 'Failed to fetch job', details: error.message });
+    }
+});
+
+// 1e. Cancel Analysis Job
+app.post('/api/jobs/:id/cancel', requireAccess('job'), async (req, res) => {
+    try {
+        const existing = await jobQueue.getJob(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Job not found' });
         }
+        if (jobQueue.TERMINAL_STATUSES.includes(existing.status)) {
+            return res.status(409).json({ error: `Job already ${existing.status}`, status: existing.status });
+        }
+
+        const job = await jobQueue.cancelJob(req.params.id);
+        res.json({ success: true, jobId: job.id, status: job.status, cancelRequested: job.cancel_requested });
+    } catch (error) {
+        console.error('Failed to cancel job:', error);
+        res.status(500).json({ error: 'Failed to cancel job', details: error.message });
     }
 });
 
@@ -214,6 +616,8 @@ app.get('/api/companies', async (req, res) => {
         const { data, error } = await supabase
             .from('companies')
             .select('*')
+            .eq('workspace_id', req.workspace.id)
+            .is('deleted_at', null)
             .order('created_at', { ascending: false });
 
         if (error) throw error;
@@ -223,57 +627,43 @@ app.get('/api/companies', async (req, res) => {
     }
 });
 
-// 2b. Delete Company
-app.delete('/api/company/:id', async (req, res) => {
+// 2b. Delete Company (moves it, with everything it contains, to the trash)
+app.delete('/api/company/:id', requireRole('admin'), requireAccess('company'), async (req, res) => {
     const { id } = req.params;
 
     try {
-        // First, get the company to verify it exists
-        const { data: company, error: fetchError } = await supabase
-            .from('companies')
-            .select('*')
-            .eq('id', id)
-            .single();
-
-        if (fetchError || !company) {
+        const company = await trash.trashCompany(id, req.user.id);
+        if (!company) {
             return res.status(404).json({ error: 'Company not found' });
         }
 
-        // Get all screenshots for this company to delete from storage
-        const { data: screenshots, error: screenshotsError } = await supabase
+        // Count what is hidden with the company, for the audit log
+        const { count: messageCount } = await supabase
+            .from('brand_messages')
+            .select('id', { count: 'exact', head: true })
+            .eq('company_id', id)
+            .is('deleted_at', null);
+        const { count: screenshotCount } = await supabase
             .from('screenshots')
-            .select('image_url')
-            .eq('company_id', id);
-
-        if (!screenshotsError && screenshots) {
-            // Delete screenshots from storage
-            for (const screenshot of screenshots) {
-                if (screenshot.image_url && screenshot.image_url.includes('supabase.co')) {
-                    try {
-                        const urlParts = screenshot.image_url.split('/screenshots/');
-                        if (urlParts.length > 1) {
-                            const filePath = urlParts[1];
-                            await supabase.storage
-                                .from('screenshots')
-                                .remove([filePath]);
-                        }
-                    } catch (storageErr) {
-                        console.warn('Failed to delete screenshot from storage:', storageErr);
-                        // Continue even if storage deletion fails
-                    }
-                }
-            }
-        }
-
-        // Delete company (cascading deletes will handle messages and screenshots in DB)
-        const { error: deleteError } = await supabase
-            .from('companies')
-            .delete()
-            .eq('id', id);
-
-        if (deleteError) throw deleteError;
+            .select('id', { count: 'exact', head: true })
+            .eq('company_id', id)
+            .is('deleted_at', null);
+
+        await auditLog.recordAudit(req, {
+            action: 'company.deleted',
+            targetType: 'company',
+            targetId: id,
+            companyId: id,
+            before: { ...company, deleted_at: null, deleted_by: null },
+            after: { deleted_at: company.deleted_at, deleted_by: company.deleted_by },
+            metadata: { messages: messageCount || 0, screenshots: screenshotCount || 0 }
+        });
 
-        res.json({ success: true, message: 'Company deleted successfully' });
+        res.json({
+            success: true,
+            message: 'Company moved to the trash',
+            purgeAt: trash.purgeDate(company.deleted_at)
+        });
 
     } catch (error) {
         console.error('Delete company failed:', error);
@@ -282,15 +672,21 @@ app.delete('/api/company/:id', async (req, res) => {
 });
 
 // 3. Get Company Messages (for Company View)
-app.get('/api/company/:id/messages', async (req, res) => {
+app.get('/api/company/:id/messages', requireAccess('company'), async (req, res) => {
     const { id } = req.params;
     const includeCategories = req.query.include_categories === 'true';
+    const reviewStatus = req.query.review_status;
+
+    if (reviewStatus && !review.REVIEW_STATUSES.includes(reviewStatus)) {
+        return res.status(400).json({ error: `review_status must be one of: ${review.REVIEW_STATUSES.join(', ')}` });
+    }
 
     try {
         let query = supabase
             .from('brand_messages')
             .select('*')
-            .eq('company_id', id);
+            .eq('company_id', id)
+            .is('deleted_at', null);
 
         if (includeCategories) {
             // Join with categories directly
@@ -304,9 +700,12 @@ app.get('/api/company/:id/messages', async (req, res) => {
                         description
                     )
                 `)
-                .eq('company_id', id);
+                .eq('company_id', id)
+                .is('deleted_at', null);
         }
 
+        if (reviewStatus) query = query.eq('review_status', reviewStatus);
+
         const { data, error } = await query;
 
         if (error) throw error;
@@ -332,69 +731,36 @@ app.get('/api/company/:id/messages', async (req, res) => {
     }
 });
 
-// 3c. Delete Message (and all associated screenshots)
-app.delete('/api/message/:id', async (req, res) => {
+// 3c. Delete Message (moves it and all associated screenshots to the trash)
+app.delete('/api/message/:id', requireAccess('message'), async (req, res) => {
     const { id } = req.params;
 
     try {
-        // First, get the message to verify it exists
-        const { data: message, error: fetchError } = await supabase
-            .from('brand_messages')
-            .select('*')
-            .eq('id', id)
-            .single();
-
-        if (fetchError || !message) {
+        const trashed = await trash.trashMessage(id, req.user.id);
+        if (!trashed) {
             return res.status(404).json({ error: 'Message not found' });
         }
 
-        // Get all screenshots associated with this message
-        const { data: screenshots, error: screenshotsError } = await supabase
-            .from('screenshots')
-            .select('*')
-            .eq('message_id', id);
-
-        if (!screenshotsError && screenshots && screenshots.length > 0) {
-            // Delete screenshots from storage and database
-            for (const screenshot of screenshots) {
-                // Delete from Supabase Storage if it's a storage URL
-                if (screenshot.image_url && screenshot.image_url.includes('supabase.co')) {
-                    try {
-                        const urlParts = screenshot.image_url.split('/screenshots/');
-                        if (urlParts.length > 1) {
-                            const filePath = urlParts[1];
-                            await supabase.storage
-                                .from('screenshots')
-                                .remove([filePath]);
-                        }
-                    } catch (storageErr) {
-                        console.warn('Failed to delete screenshot from storage:', storageErr);
-                        // Continue even if storage deletion fails
-                    }
-                }
-
-                // Delete from database
-                await supabase
-                    .from('screenshots')
-                    .delete()
-                    .eq('id', screenshot.id);
+        const { message, screenshots } = trashed;
+        console.log(`Moved message ${id} and ${screenshots.length} screenshots to the trash`);
+
+        await auditLog.recordAudit(req, {
+            action: 'message.deleted',
+            targetType: 'message',
+            targetId: id,
+            companyId: message.company_id,
+            before: { ...message, deleted_at: null, deleted_by: null },
+            after: { deleted_at: message.deleted_at, deleted_by: message.deleted_by },
+            metadata: {
+                screenshots: screenshots.map(screenshot => auditLog.snapshotOf(screenshot))
             }
-
-            console.log(`Deleted ${screenshots.length} screenshots associated with message ${id}`);
-        }
-
-        // Delete the message
-        const { error: deleteError } = await supabase
-            .from('brand_messages')
-            .delete()
-            .eq('id', id);
-
-        if (deleteError) throw deleteError;
+        });
 
         res.json({
             success: true,
-            message: 'Message and associated evidence deleted successfully',
-            deletedScreenshots: screenshots ? screenshots.length : 0
+            message: 'Message and associated evidence moved to the trash',
+            deletedScreenshots: screenshots.length,
+            purgeAt: trash.purgeDate(message.deleted_at)
         });
 
     } catch (error) {
@@ -403,38 +769,345 @@ app.delete('/api/message/:id', async (req, res) => {
     }
 });
 
-// 3d. Re-categorize Company Messages (with new theme-based system)
-app.post('/api/company/:id/re-categorize', async (req, res) => {
+// 3h. Edit Message (text, type, reasoning or page URLs)
+app.patch('/api/message/:id', requireAccess('message'), async (req, res) => {
     const { id } = req.params;
-    try {
-        // Fetch all messages for this company
-        const { data: messages, error: fetchError } = await supabase
-            .from('brand_messages')
-            .select('id, content, message_type, reasoning')
-            .eq('company_id', id);
+    const fields = {};
+    for (const field of ['content', 'message_type', 'reasoning', 'locations']) {
+        if (req.body[field] !== undefined) fields[field] = req.body[field];
+    }
 
-        if (fetchError) throw fetchError;
+    if (Object.keys(fields).length === 0) {
+        return res.status(400).json({ error: 'Nothing to update: provide content, message_type, reasoning or locations' });
+    }
+    const invalid = brandMessages.validateMessageFields(fields, { partial: true });
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
 
-        if (!messages || messages.length === 0) {
-            return res.status(404).json({ error: 'No messages found for this company' });
+    try {
+        const [message] = await brandMessages.getActiveMessages([id]);
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
         }
 
-        // Re-categorize with new theme-based system
-        const result = await categorizeMessages(id, messages);
+        const duplicate = await brandMessages.findDuplicate(
+            message.company_id,
+            fields.message_type || message.message_type,
+            fields.content || message.content,
+            [id]
+        );
+        if (duplicate) {
+            return res.status(409).json({ error: 'Another message already has this text and type; merge the two messages instead', duplicate_id: duplicate.id });
+        }
 
-        res.json({
-            success: true,
-            message: `Re-categorized ${messages.length} messages into ${result.categories.length} theme-based categories`,
-            categories: result.categories
+        const updated = await brandMessages.updateMessage(message, fields, req.user.id);
+
+        await auditLog.recordAudit(req, {
+            action: 'message.updated',
+            targetType: 'message',
+            targetId: id,
+            companyId: message.company_id,
+            before: message,
+            after: updated,
+            metadata: { fields: Object.keys(fields) }
         });
+
+        res.json(updated);
     } catch (error) {
-        console.error('Error re-categorizing messages:', error);
-        res.status(500).json({ error: 'Failed to re-categorize messages', details: error.message });
+        console.error('Update message failed:', error);
+        res.status(500).json({ error: 'Failed to update message', details: error.message });
     }
 });
 
-// 3b. Get Company Categories with Messages
-app.get('/api/company/:id/categories', async (req, res) => {
+// 3i. Add a Message to a Company (one the analysis missed)
+app.post('/api/company/:id/messages', requireAccess('company'), async (req, res) => {
+    const { id } = req.params;
+    const { content, message_type, reasoning, locations } = req.body;
+    const fields = { content, message_type, reasoning, locations: locations || [] };
+
+    const invalid = brandMessages.validateMessageFields(fields);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    try {
+        const duplicate = await brandMessages.findDuplicate(id, message_type, content);
+        if (duplicate) {
+            return res.status(409).json({ error: 'The company already has a message with this text and type', duplicate_id: duplicate.id });
+        }
+
+        const message = await brandMessages.createMessage(id, fields, req.user.id);
+
+        await auditLog.recordAudit(req, {
+            action: 'message.created',
+            targetType: 'message',
+            targetId: message.id,
+            companyId: id,
+            after: message
+        });
+
+        res.status(201).json(message);
+    } catch (error) {
+        console.error('Create message failed:', error);
+        res.status(500).json({ error: 'Failed to create message', details: error.message });
+    }
+});
+
+// 3j. Merge Messages (the sources are merged into the target and moved to the trash)
+app.post('/api/messages/merge', requireAccess('message', req => req.body.target_id), async (req, res) => {
+    const { target_id: targetId, source_ids: sourceIds, content, message_type } = req.body;
+
+    if (typeof targetId !== 'string' || !targetId) {
+        return res.status(400).json({ error: 'target_id is required' });
+    }
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0 || !sourceIds.every(sourceId => typeof sourceId === 'string')) {
+        return res.status(400).json({ error: 'source_ids must be a non-empty list of message ids' });
+    }
+    if (sourceIds.includes(targetId) || new Set(sourceIds).size !== sourceIds.length) {
+        return res.status(400).json({ error: 'source_ids must be distinct and must not include target_id' });
+    }
+    const fields = {};
+    if (content !== undefined) fields.content = content;
+    if (message_type !== undefined) fields.message_type = message_type;
+    const invalid = brandMessages.validateMessageFields(fields, { partial: true });
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    try {
+        const found = await brandMessages.getActiveMessages([targetId, ...sourceIds]);
+        const target = found.find(msg => msg.id === targetId);
+        const sources = found.filter(msg => msg.id !== targetId);
+        // Messages of another company (and so possibly another workspace) are reported as missing
+        if (!target || sources.length !== sourceIds.length || sources.some(msg => msg.company_id !== target.company_id)) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        const duplicate = await brandMessages.findDuplicate(
+            target.company_id,
+            fields.message_type || target.message_type,
+            fields.content || target.content,
+            [targetId, ...sourceIds]
+        );
+        if (duplicate) {
+            return res.status(409).json({ error: 'Another message already has this text and type; include it in the merge', duplicate_id: duplicate.id });
+        }
+
+        const result = await brandMessages.mergeMessages(target, sources, fields, req.user.id);
+
+        await auditLog.recordAudit(req, {
+            action: 'messages.merged',
+            targetType: 'message',
+            targetId,
+            companyId: target.company_id,
+            before: { messages: [target, ...sources] },
+            after: { message: result.message, removed_ids: sourceIds },
+            metadata: { merged: sourceIds.length, screenshots: result.screenshots, occurrences: result.occurrences }
+        });
+
+        res.json({
+            success: true,
+            merged: sourceIds.length,
+            movedScreenshots: result.screenshots,
+            kept: result.message
+        });
+    } catch (error) {
+        console.error('Merge messages failed:', error);
+        res.status(500).json({ error: 'Failed to merge messages', details: error.message });
+    }
+});
+
+// 3k. Review Messages (approve, reject, request an edit or reopen one or many messages)
+app.post('/api/messages/review', async (req, res) => {
+    const { message_ids: messageIds, status, comment = null } = req.body;
+
+    if (!Array.isArray(messageIds) || messageIds.length === 0 || !messageIds.every(messageId => typeof messageId === 'string')) {
+        return res.status(400).json({ error: 'message_ids must be a non-empty list of message ids' });
+    }
+    if (!review.REVIEW_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${review.REVIEW_STATUSES.join(', ')}` });
+    }
+    if (comment !== null && typeof comment !== 'string') {
+        return res.status(400).json({ error: 'comment must be a string' });
+    }
+    if (status === 'needs_edit' && !(comment && comment.trim())) {
+        return res.status(400).json({ error: 'A comment describing the edit is required' });
+    }
+
+    try {
+        const ids = [...new Set(messageIds)];
+        const [found, companyIds] = await Promise.all([
+            brandMessages.getActiveMessages(ids),
+            workspaces.listCompanyIds(req.workspace.id)
+        ]);
+        if (found.length !== ids.length || found.some(msg => !companyIds.includes(msg.company_id))) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        // Messages that already have the status are left as they are
+        const changing = found.filter(msg => (msg.review_status || 'pending') !== status);
+        const invalid = changing.filter(msg => !review.canTransition(msg.review_status, status));
+        if (invalid.length > 0) {
+            return res.status(409).json({
+                error: `Cannot change ${invalid.length === 1 ? 'a message' : `${invalid.length} messages`} from ${invalid[0].review_status} to ${status}`,
+                invalid_ids: invalid.map(msg => msg.id)
+            });
+        }
+
+        const reviewComment = comment && comment.trim() ? comment.trim() : null;
+        const updated = await review.reviewMessages(changing, { status, comment: reviewComment }, req.user.id, req.workspace.id);
+
+        await Promise.all(changing.map(msg => auditLog.recordAudit(req, {
+            action: 'message.reviewed',
+            targetType: 'message',
+            targetId: msg.id,
+            companyId: msg.company_id,
+            before: { content: msg.content, review_status: msg.review_status, review_comment: msg.review_comment },
+            after: { content: msg.content, review_status: status, review_comment: reviewComment }
+        })));
+
+        res.json({
+            success: true,
+            reviewed: updated.length,
+            unchanged: found.length - changing.length,
+            messages: updated
+        });
+    } catch (error) {
+        console.error('Review messages failed:', error);
+        res.status(500).json({ error: 'Failed to review messages', details: error.message });
+    }
+});
+
+// 3l. Classifier Feedback (rejected messages and edit requests, newest first)
+app.get('/api/review/feedback', requireAccess('company', req => req.query.company_id), async (req, res) => {
+    const { company_id, verdict, guideline_version_id, limit, offset } = req.query;
+
+    if (verdict && !review.FEEDBACK_VERDICTS.includes(verdict)) {
+        return res.status(400).json({ error: `verdict must be one of: ${review.FEEDBACK_VERDICTS.join(', ')}` });
+    }
+
+    try {
+        const result = await review.listFeedback({
+            workspaceId: req.workspace.id,
+            companyId: company_id,
+            verdict,
+            guidelineVersionId: guideline_version_id,
+            limit,
+            offset
+        });
+        res.json(result);
+    } catch (error) {
+        console.error('Failed to list feedback:', error);
+        res.status(500).json({ error: 'Failed to fetch feedback', details: error.message });
+    }
+});
+
+// 3m. Review Statistics (messages per review status, and classifier precision per guideline version)
+app.get('/api/review/stats', requireAccess('company', req => req.query.company_id), async (req, res) => {
+    try {
+        const companyIds = req.query.company_id
+            ? [req.query.company_id]
+            : await workspaces.listCompanyIds(req.workspace.id);
+        res.json(await review.getReviewStats(companyIds));
+    } catch (error) {
+        console.error('Failed to compute review stats:', error);
+        res.status(500).json({ error: 'Failed to fetch review statistics', details: error.message });
+    }
+});
+
+// 3e. Get Message Occurrences (every place a message appears, with element and context)
+app.get('/api/message/:id/occurrences', requireAccess('message'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const { data: message, error: fetchError } = await supabase
+            .from('brand_messages')
+            .select('id, content, locations')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (fetchError) throw fetchError;
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        const rows = await occurrences.listOccurrences(id);
+        res.json({ message, occurrences: rows });
+    } catch (error) {
+        console.error('Get occurrences failed:', error);
+        res.status(500).json({ error: 'Failed to fetch message occurrences', details: error.message });
+    }
+});
+
+// 3f. List Analysis Snapshots of a Company (newest first)
+app.get('/api/company/:id/snapshots', requireAccess('company'), async (req, res) => {
+    try {
+        const rows = await snapshots.listSnapshots(req.params.id);
+        res.json(rows);
+    } catch (error) {
+        console.error('Failed to list snapshots:', error);
+        res.status(500).json({ error: 'Failed to fetch snapshots', details: error.message });
+    }
+});
+
+// 3g. Diff Analysis Snapshots (latest against the previous one, or ?from=<id>&to=<id>)
+app.get('/api/company/:id/diff', requireAccess('company'), async (req, res) => {
+    try {
+        const result = await snapshots.diffCompanySnapshots(req.params.id, {
+            from: req.query.from || null,
+            to: req.query.to || null
+        });
+        if (!result) {
+            return res.status(404).json({ error: 'Snapshots not found' });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Failed to diff snapshots:', error);
+        res.status(500).json({ error: 'Failed to diff snapshots', details: error.message });
+    }
+});
+
+// 3d. Re-categorize Company Messages (with new theme-based system)
+app.post('/api/company/:id/re-categorize', requireAccess('company'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        // Fetch all messages for this company
+        const { data: messages, error: fetchError } = await supabase
+            .from('brand_messages')
+            .select('id, content, message_type, reasoning')
+            .eq('company_id', id)
+            .is('deleted_at', null);
+
+        if (fetchError) throw fetchError;
+
+        if (!messages || messages.length === 0) {
+            return res.status(404).json({ error: 'No messages found for this company' });
+        }
+
+        // Re-categorize with new theme-based system (its LLM usage counts towards the budget)
+        const usageRecorder = createUsageRecorder();
+        let result;
+        try {
+            result = await categorizeMessages(id, messages, { usage: usageRecorder });
+        } finally {
+            await usage.saveUsage(usageRecorder, { workspaceId: req.workspace.id, companyId: id })
+                .catch(usageError => console.error('Failed to record LLM usage:', usageError.message));
+        }
+
+        res.json({
+            success: true,
+            message: `Re-categorized ${messages.length} messages into ${result.categories.length} theme-based categories`,
+            categories: result.categories
+        });
+    } catch (error) {
+        console.error('Error re-categorizing messages:', error);
+        res.status(500).json({ error: 'Failed to re-categorize messages', details: error.message });
+    }
+});
+
+// 3b. Get Company Categories with Messages
+app.get('/api/company/:id/categories', requireAccess('company'), async (req, res) => {
     const { id } = req.params;
     try {
         // Fetch categories for this company
@@ -457,7 +1130,8 @@ app.get('/api/company/:id/categories', async (req, res) => {
                 const { data: messages, error: messagesError } = await supabase
                     .from('brand_messages')
                     .select('*')
-                    .eq('category_id', category.id);
+                    .eq('category_id', category.id)
+                    .is('deleted_at', null);
 
                 if (messagesError) {
                     console.error(`Error fetching messages for category ${category.id}:`, messagesError);
@@ -485,10 +1159,19 @@ app.get('/api/company/:id/categories', async (req, res) => {
 });
 
 // 4. Generate Screenshot (Visual Proof)
-app.post('/api/screenshot', async (req, res) => {
+app.post('/api/screenshot', requireAccess('company', req => req.body.companyId), requireAccess('message', req => req.body.messageId), async (req, res) => {
     const { companyId, messageId, url, text } = req.body;
 
     try {
+        // The message must belong to the company (a message of another company of the
+        // workspace is reported as missing)
+        if (messageId) {
+            const [message] = await brandMessages.getActiveMessages([messageId]);
+            if (!message || message.company_id !== companyId) {
+                return res.status(404).json({ error: 'Message not found' });
+            }
+        }
+
         // 1. Try Playwright first (primary method - complex with extensions)
         let result = await screenshotService.captureMessage(url, text, messageId);
         let screenshotSource = 'playwright';
@@ -604,21 +1287,21 @@ app.post('/api/screenshot', async (req, res) => {
             console.log(`[Evidence] HTML evidence linked to screenshot: ${htmlEvidencePath}`);
         }
 
-        // 2. Upload to Supabase Storage (always upload to Supabase, even if Scrappey provided a public URL)
+        // 2. Upload to the object store (always upload, even if Scrappey provided a public URL)
         let publicUrl;
 
         if (imageBuffer) {
-            // Upload buffer to Supabase Storage (Playwright, Scrappey base64, or downloaded from Scrappey URL)
+            // Upload buffer to the object store (Playwright, Scrappey base64, or downloaded from Scrappey URL)
             const filename = `${companyId}/${Date.now()}-${Math.random().toString(36).substring(7)}.png`;
 
-            const { data, error } = await supabase.storage
-                .from('screenshots')
-                .upload(filename, imageBuffer, {
+            try {
+                await objectStore.upload(SCREENSHOTS_BUCKET, filename, imageBuffer, {
                     contentType: 'image/png'
                 });
-
-            if (error) {
-                console.warn('Supabase upload failed, falling back to Scrappey URL or base64', error);
+                publicUrl = objectStore.getPublicUrl(SCREENSHOTS_BUCKET, filename);
+                console.log(`[Screenshot] Uploaded to ${objectStore.name} storage: ${publicUrl}`);
+            } catch (error) {
+                console.warn('Storage upload failed, falling back to Scrappey URL or base64', error);
                 // Fallback: use Scrappey's public URL if available, otherwise base64
                 if (scrappeyPublicUrl && screenshotSource === 'scrappey') {
                     publicUrl = scrappeyPublicUrl;
@@ -626,12 +1309,6 @@ app.post('/api/screenshot', async (req, res) => {
                 } else {
                     publicUrl = `data:image/png;base64,${imageBuffer.toString('base64')}`;
                 }
-            } else {
-                const { data: publicData } = supabase.storage
-                    .from('screenshots')
-                    .getPublicUrl(filename);
-                publicUrl = publicData.publicUrl;
-                console.log(`[Screenshot] Uploaded to Supabase Storage: ${publicUrl}`);
             }
         } else if (scrappeyPublicUrl && screenshotSource === 'scrappey') {
             // Only use Scrappey URL directly if we couldn't download it (fallback case)
@@ -698,6 +1375,12 @@ app.post('/api/screenshot', async (req, res) => {
 
         if (dbError) throw dbError;
 
+        // Record the captured element as an occurrence of the message
+        if (screenshotRecord && messageId && result.metadata && result.metadata.element) {
+            occurrences.recordCaptureOccurrence({ messageId, companyId, url, element: result.metadata.element, screenshotId: screenshotRecord.id })
+                .catch(err => console.warn('[Occurrences] Failed to record captured occurrence:', err.message));
+        }
+
         // 4. Mirror to Google Drive (mirror every successful screenshot)
         // Mirror if we have an image buffer (always available now since we download from Scrappey URL)
         if (screenshotRecord && imageBuffer) {
@@ -766,141 +1449,65 @@ app.post('/api/screenshot', async (req, res) => {
 // 4b. Batch Screenshot Generation with Live Status
 // Creates pending records immediately and processes in background
 app.post('/api/screenshots/batch', async (req, res) => {
-    const { tasks } = req.body; // tasks = [{ companyId, messageId, url, text }, ...]
+    let { tasks } = req.body; // tasks = [{ companyId, messageId, url, text }, ...]
+    const { approvedOnly = false } = req.body; // Only capture approved messages
 
     if (!tasks || !Array.isArray(tasks) || tasks.length === 0) {
         return res.status(400).json({ error: 'Tasks array is required' });
     }
 
-    // Generate unique batch ID for grouping
-    const batchId = require('crypto').randomUUID();
-    const batchTimestamp = new Date().toISOString();
-
-    console.log(`[Batch Screenshot] Starting batch ${batchId} with ${tasks.length} screenshots`);
-
     try {
-        // 1. Create pending records immediately with batch_id
-        const pendingRecords = [];
-        for (const task of tasks) {
-            const pendingData = {
-                company_id: task.companyId,
-                message_id: task.messageId,
-                original_url: task.url,
-                message_content: task.text,
-                status: 'pending',
-                attempt_count: 0,
-                batch_id: batchId,
-                created_at: batchTimestamp
-            };
-
-            const { data, error } = await supabase
-                .from('screenshots')
-                .insert(pendingData)
-                .select()
-                .single();
+        const companyIds = await workspaces.listCompanyIds(req.workspace.id);
+        if (tasks.some(task => !companyIds.includes(task.companyId))) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
 
-            if (error) {
-                console.error(`[Batch Screenshot] Failed to create pending record:`, error);
-                continue;
+        // Each message must belong to the company of its task (messages of another company,
+        // possibly of another workspace, are reported as missing)
+        const messageIds = [...new Set(tasks.map(task => task.messageId).filter(Boolean))];
+        if (messageIds.length > 0) {
+            const found = await brandMessages.getActiveMessages(messageIds);
+            const companyOf = new Map(found.map(msg => [msg.id, msg.company_id]));
+            if (tasks.some(task => task.messageId && companyOf.get(task.messageId) !== task.companyId)) {
+                return res.status(404).json({ error: 'Message not found' });
             }
+        }
+    } catch (error) {
+        return res.status(500).json({ error: 'Failed to check companies', details: error.message });
+    }
 
-            pendingRecords.push({
-                id: data.id,
-                companyId: task.companyId,
-                messageId: task.messageId,
-                url: task.url,
-                text: task.text
-            });
+    let skipped = 0;
+    if (approvedOnly === true) {
+        try {
+            ({ tasks, skipped } = await review.filterApprovedTasks(tasks));
+        } catch (error) {
+            return res.status(500).json({ error: 'Failed to check review status', details: error.message });
+        }
+        if (tasks.length === 0) {
+            return res.status(400).json({ error: 'None of the selected messages is approved' });
         }
+    }
 
-        console.log(`[Batch Screenshot] Created ${pendingRecords.length} pending records for batch ${batchId}`);
+    console.log(`[Batch Screenshot] Starting batch with ${tasks.length} screenshots${skipped ? ` (${skipped} of unapproved messages skipped)` : ''}`);
+
+    try {
+        // 1. Create pending records immediately with batch_id
+        const { batchId, records } = await screenshotBatch.createPendingScreenshots(tasks);
 
         // 2. Return pending record IDs and batchId immediately (non-blocking response)
         res.json({
             success: true,
             batchId: batchId,
-            pending: pendingRecords.map(r => ({
+            pending: records.map(r => ({
                 id: r.id,
                 messageId: r.messageId,
                 url: r.url
-            }))
+            })),
+            skipped
         });
 
         // 3. Process screenshots in background (parallel with controlled concurrency)
-        const CONCURRENCY = 3; // Process 3 at a time
-        const chunks = [];
-        for (let i = 0; i < pendingRecords.length; i += CONCURRENCY) {
-            chunks.push(pendingRecords.slice(i, i + CONCURRENCY));
-        }
-
-        for (const chunk of chunks) {
-            await Promise.allSettled(chunk.map(async (record) => {
-                try {
-                    // Update status to processing
-                    // Update status to processing
-                    const { error: processingError } = await supabase
-                        .from('screenshots')
-                        .update({ status: 'processing', attempt_count: 1 })
-                        .eq('id', record.id);
-
-                    if (processingError) throw processingError;
-
-                    console.log(`[Batch Screenshot] Processing ${record.id}: ${record.url}`);
-
-                    // Capture screenshot
-                    const result = await screenshotService.captureMessage(record.url, record.text, record.messageId);
-
-                    if (result && result.buffer) {
-                        // Upload to Supabase storage
-                        const filename = `${record.id}.png`;
-                        const { data: uploadData, error: uploadError } = await supabase.storage
-                            .from('screenshots')
-                            .upload(filename, result.buffer, {
-                                contentType: 'image/png',
-                                upsert: true
-                            });
-
-                        if (uploadError) throw uploadError;
-
-                        const { data: urlData } = supabase.storage
-                            .from('screenshots')
-                            .getPublicUrl(filename);
-
-                        // Update record with success
-                        // Update record with success
-                        const { error: successError } = await supabase
-                            .from('screenshots')
-                            .update({
-                                status: 'success',
-                                image_url: urlData.publicUrl
-                            })
-                            .eq('id', record.id);
-
-                        if (successError) throw successError;
-
-                        console.log(`[Batch Screenshot] Success: ${record.id}`);
-                    } else {
-                        throw new Error('No image data returned');
-                    }
-                } catch (error) {
-                    console.error(`[Batch Screenshot] Failed ${record.id}:`, error.message);
-
-                    // Update record with failure
-                    await supabase
-                        .from('screenshots')
-                        .update({
-                            status: 'failed',
-                            error_message: error.message?.substring(0, 500) || 'Unknown error'
-                        })
-                        .eq('id', record.id);
-                }
-            }));
-
-            // Small delay between chunks
-            await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-
-        console.log(`[Batch Screenshot] Batch processing complete`);
+        await screenshotBatch.processScreenshotBatch(records, screenshotService);
 
     } catch (error) {
         console.error('[Batch Screenshot] Batch failed:', error);
@@ -919,10 +1526,12 @@ app.get('/api/screenshots/status', async (req, res) => {
     const idArray = ids.split(',').filter(id => id.trim());
 
     try {
+        const companyIds = await workspaces.listCompanyIds(req.workspace.id);
         const { data, error } = await supabase
             .from('screenshots')
             .select('id, status, image_url, error_message, attempt_count, original_url, message_id')
-            .in('id', idArray);
+            .in('id', idArray)
+            .in('company_id', companyIds);
 
         if (error) throw error;
 
@@ -939,7 +1548,8 @@ app.get('/api/screenshots/status', async (req, res) => {
 });
 
 // 4a. Receive HTML Evidence from CloudFlare Bypass Extension
-app.post('/api/evidence/html', async (req, res) => {
+// The extension sends an API key with the evidence:write scope (EVIDENCE_API_KEY)
+app.post('/api/evidence/html', authenticateWithScope('evidence:write'), async (req, res) => {
     const { url, html, timestamp, tabId } = req.body;
 
     try {
@@ -1081,17 +1691,22 @@ app.post('/api/screenshot-scrappey', async (req, res) => {
 });
 
 // 5. Get Screenshots (for Evidences Gallery) - includes both successful and failed attempts
-app.get('/api/company/:id/screenshots', async (req, res) => {
+app.get('/api/company/:id/screenshots', requireAccess('company'), async (req, res) => {
     const { id } = req.params;
     try {
         const { data, error } = await supabase
             .from('screenshots')
-            .select('*')
+            .select('*, brand_messages (review_status)')
             .eq('company_id', id)
+            .is('deleted_at', null)
             .order('created_at', { ascending: false });
 
         if (error) throw error;
-        res.json(data || []);
+        // Review status of the message, to export only the evidence of approved messages
+        res.json((data || []).map(({ brand_messages: message, ...screenshot }) => ({
+            ...screenshot,
+            message_review_status: message ? message.review_status : null
+        })));
     } catch (error) {
         res.status(500).json({ error: 'Failed to fetch screenshots' });
     }
@@ -1104,6 +1719,8 @@ app.get('/api/companies-with-proofs', async (req, res) => {
         const { data: companies, error: companiesError } = await supabase
             .from('companies')
             .select('*')
+            .eq('workspace_id', req.workspace.id)
+            .is('deleted_at', null)
             .order('created_at', { ascending: false });
 
         if (companiesError) throw companiesError;
@@ -1111,7 +1728,9 @@ app.get('/api/companies-with-proofs', async (req, res) => {
         // Get proof counts for each company
         const { data: screenshots, error: screenshotsError } = await supabase
             .from('screenshots')
-            .select('company_id');
+            .select('company_id')
+            .in('company_id', companies.map(company => company.id))
+            .is('deleted_at', null);
 
         if (screenshotsError) throw screenshotsError;
 
@@ -1137,7 +1756,7 @@ app.get('/api/companies-with-proofs', async (req, res) => {
 });
 
 // 6. Update Screenshot (with cropped image)
-app.put('/api/screenshot/:id', async (req, res) => {
+app.put('/api/screenshot/:id', requireAccess('screenshot'), async (req, res) => {
     const { id } = req.params;
     const { image } = req.body; // Base64 image data
 
@@ -1181,45 +1800,33 @@ app.put('/api/screenshot/:id', async (req, res) => {
             throw new Error('Failed to convert image data: ' + bufferError.message);
         }
 
-        // Upload new image to Supabase Storage
+        // Upload new image to the object store
         const filename = `${screenshot.company_id}/${Date.now()}-${Math.random().toString(36).substring(7)}.png`;
 
-        const { data: uploadData, error: uploadError } = await supabase.storage
-            .from('screenshots')
-            .upload(filename, imageBuffer, {
+        let publicUrl;
+
+        try {
+            await objectStore.upload(SCREENSHOTS_BUCKET, filename, imageBuffer, {
                 contentType: 'image/png',
                 upsert: false
             });
-
-        let publicUrl;
-
-        if (uploadError) {
-            console.warn('Supabase upload failed, using base64:', uploadError);
-            console.warn('Upload error details:', JSON.stringify(uploadError));
-            // Fallback to base64
-            publicUrl = image;
-        } else {
-            console.log('Image uploaded successfully to Supabase');
-            const { data: publicData } = supabase.storage
-                .from('screenshots')
-                .getPublicUrl(filename);
-            publicUrl = publicData.publicUrl;
+            console.log(`Image uploaded successfully to ${objectStore.name} storage`);
+            publicUrl = objectStore.getPublicUrl(SCREENSHOTS_BUCKET, filename);
 
             // Delete old image from storage if it exists and is a storage URL
-            if (screenshot.image_url && screenshot.image_url.includes('supabase.co')) {
+            const oldFilePath = objectStore.pathFromUrl(SCREENSHOTS_BUCKET, screenshot.image_url);
+            if (oldFilePath) {
                 try {
-                    const urlParts = screenshot.image_url.split('/screenshots/');
-                    if (urlParts.length > 1) {
-                        const oldFilePath = urlParts[1];
-                        await supabase.storage
-                            .from('screenshots')
-                            .remove([oldFilePath]);
-                    }
+                    await objectStore.remove(SCREENSHOTS_BUCKET, [oldFilePath]);
                 } catch (deleteErr) {
                     console.warn('Failed to delete old image from storage:', deleteErr);
                     // Continue even if old image deletion fails
                 }
             }
+        } catch (uploadError) {
+            console.warn('Storage upload failed, using base64:', uploadError.message);
+            // Fallback to base64
+            publicUrl = image;
         }
 
         // Update database with new image URL
@@ -1237,6 +1844,17 @@ app.put('/api/screenshot/:id', async (req, res) => {
         }
 
         console.log('Screenshot updated successfully');
+
+        await auditLog.recordAudit(req, {
+            action: 'screenshot.cropped',
+            targetType: 'screenshot',
+            targetId: id,
+            companyId: screenshot.company_id,
+            before: { image_url: screenshot.image_url },
+            after: { image_url: updatedScreenshot.image_url },
+            metadata: { message_id: screenshot.message_id, original_url: screenshot.original_url }
+        });
+
         res.json({ success: true, screenshot: updatedScreenshot });
 
     } catch (error) {
@@ -1246,7 +1864,7 @@ app.put('/api/screenshot/:id', async (req, res) => {
 });
 
 // 6b. Copy Screenshot (save cropped image as new screenshot)
-app.post('/api/screenshot/:id/copy', async (req, res) => {
+app.post('/api/screenshot/:id/copy', requireAccess('screenshot'), async (req, res) => {
     const { id } = req.params;
     const { image } = req.body; // Base64 image data
 
@@ -1290,29 +1908,22 @@ app.post('/api/screenshot/:id/copy', async (req, res) => {
             throw new Error('Failed to convert image data: ' + bufferError.message);
         }
 
-        // Upload new image to Supabase Storage
+        // Upload new image to the object store
         const filename = `${originalScreenshot.company_id}/${Date.now()}-${Math.random().toString(36).substring(7)}.png`;
 
-        const { data: uploadData, error: uploadError } = await supabase.storage
-            .from('screenshots')
-            .upload(filename, imageBuffer, {
+        let publicUrl;
+
+        try {
+            await objectStore.upload(SCREENSHOTS_BUCKET, filename, imageBuffer, {
                 contentType: 'image/png',
                 upsert: false
             });
-
-        let publicUrl;
-
-        if (uploadError) {
-            console.warn('Supabase upload failed, using base64:', uploadError);
-            console.warn('Upload error details:', JSON.stringify(uploadError));
+            console.log(`Image uploaded successfully to ${objectStore.name} storage`);
+            publicUrl = objectStore.getPublicUrl(SCREENSHOTS_BUCKET, filename);
+        } catch (uploadError) {
+            console.warn('Storage upload failed, using base64:', uploadError.message);
             // Fallback to base64
             publicUrl = image;
-        } else {
-            console.log('Image uploaded successfully to Supabase');
-            const { data: publicData } = supabase.storage
-                .from('screenshots')
-                .getPublicUrl(filename);
-            publicUrl = publicData.publicUrl;
         }
 
         // Create new screenshot record in database (copying metadata from original)
@@ -1344,37 +1955,27 @@ app.post('/api/screenshot/:id/copy', async (req, res) => {
 });
 
 // 6c. Cleanup Duplicate Messages for a Company
-app.post('/api/company/:id/cleanup-duplicates', async (req, res) => {
+app.post('/api/company/:id/cleanup-duplicates', requireAccess('company'), async (req, res) => {
     const { id } = req.params;
 
     try {
-        // Get all messages for this company
+        // Get all messages for this company (not those in the trash)
         const { data: messages, error: fetchError } = await supabase
             .from('brand_messages')
             .select('*')
-            .eq('company_id', id);
+            .eq('company_id', id)
+            .is('deleted_at', null);
 
         if (fetchError) throw fetchError;
         if (!messages || messages.length === 0) {
             return res.json({ success: true, message: 'No messages to clean up', merged: 0 });
         }
 
-        // Helper function to normalize message content for comparison
-        function normalizeMessageContent(text) {
-            return text
-                .toLowerCase()
-                .trim()
-                .replace(/\s+/g, ' ') // Normalize multiple spaces to single space
-                .replace(/[^\w\s]/g, '') // Remove punctuation for comparison
-                .trim();
-        }
-
         // Group messages by normalized content and type
         const duplicateGroups = new Map();
 
         messages.forEach(msg => {
-            const normalized = normalizeMessageContent(msg.content);
-            const key = `${msg.message_type}-${normalized}`;
+            const key = brandMessages.messageKey(msg.message_type, msg.content);
 
             if (!duplicateGroups.has(key)) {
                 duplicateGroups.set(key, []);
@@ -1383,6 +1984,8 @@ app.post('/api/company/:id/cleanup-duplicates', async (req, res) => {
         });
 
         let mergedCount = 0;
+        // Each merge (kept message before and after, removed duplicates) for the audit log
+        const merges = [];
 
         // Merge duplicates
         for (const [key, group] of duplicateGroups.entries()) {
@@ -1401,25 +2004,64 @@ app.post('/api/company/:id/cleanup-duplicates', async (req, res) => {
                 const uniqueLocations = [...new Set(allLocations)];
 
                 // Update primary message
-                await supabase
+                const { error: updateError } = await supabase
                     .from('brand_messages')
                     .update({
                         locations: uniqueLocations,
-                        count: uniqueLocations.length
+                        count: uniqueLocations.length,
+                        aliases: [...new Set(group.flatMap(msg => msg.aliases || []))]
                     })
                     .eq('id', primary.id);
 
-                // Delete duplicate messages
-                const duplicateIds = toMerge.map(m => m.id);
-                await supabase
-                    .from('brand_messages')
-                    .delete()
-                    .in('id', duplicateIds);
+                if (updateError) throw updateError;
+
+                // Move duplicate messages (with their screenshots) to the trash
+                const removed = [];
+                for (const duplicate of toMerge) {
+                    const trashed = await trash.trashMessage(duplicate.id, req.user.id);
+                    if (!trashed) continue;
+                    removed.push(duplicate);
+
+                    const { message, screenshots } = trashed;
+                    await auditLog.recordAudit(req, {
+                        action: 'message.deleted',
+                        targetType: 'message',
+                        targetId: message.id,
+                        companyId: id,
+                        before: { ...message, deleted_at: null, deleted_by: null },
+                        after: { deleted_at: message.deleted_at, deleted_by: message.deleted_by },
+                        metadata: {
+                            reason: 'duplicate',
+                            merged_into: primary.id,
+                            screenshots: screenshots.map(screenshot => auditLog.snapshotOf(screenshot))
+                        }
+                    });
+                }
 
-                mergedCount += toMerge.length;
+                mergedCount += removed.length;
+                merges.push({
+                    kept: primary,
+                    removed,
+                    merged: { id: primary.id, locations: uniqueLocations, count: uniqueLocations.length }
+                });
             }
         }
 
+        if (merges.length > 0) {
+            await auditLog.recordAudit(req, {
+                action: 'messages.deduplicated',
+                targetType: 'company',
+                targetId: id,
+                companyId: id,
+                before: { messages: merges.flatMap(merge => [merge.kept, ...merge.removed]) },
+                after: {
+                    messages: merges.map(merge => merge.merged),
+                    removed_ids: merges.flatMap(merge => merge.removed.map(msg => msg.id))
+                },
+                metadata: { merged: mergedCount, groups: merges.length }
+            });
+        }
+
         res.json({
             success: true,
             message: `Cleaned up ${mergedCount} duplicate messages`,
@@ -1432,57 +2074,647 @@ app.post('/api/company/:id/cleanup-duplicates', async (req, res) => {
     }
 });
 
-// 7. Delete Screenshot
-app.delete('/api/screenshot/:id', async (req, res) => {
+// 7. Delete Screenshot (moves it to the trash)
+app.delete('/api/screenshot/:id', requireAccess('screenshot'), async (req, res) => {
     const { id } = req.params;
     try {
-        // First, get the screenshot record to find the image URL
-        const { data: screenshot, error: fetchError } = await supabase
-            .from('screenshots')
-            .select('*')
-            .eq('id', id)
-            .single();
-
-        if (fetchError || !screenshot) {
+        const screenshot = await trash.trashScreenshot(id, req.user.id);
+        if (!screenshot) {
             return res.status(404).json({ error: 'Screenshot not found' });
         }
 
-        // Delete from Supabase Storage if it's a storage URL
-        if (screenshot.image_url && screenshot.image_url.includes('supabase.co')) {
-            try {
-                // Extract the file path from the URL
-                // URL format: https://[project].supabase.co/storage/v1/object/public/screenshots/[path]
-                const urlParts = screenshot.image_url.split('/screenshots/');
-                if (urlParts.length > 1) {
-                    const filePath = urlParts[1];
-                    const { error: storageError } = await supabase.storage
-                        .from('screenshots')
-                        .remove([filePath]);
-
-                    if (storageError) {
-                        console.warn('Failed to delete from storage:', storageError);
-                        // Continue with DB deletion even if storage deletion fails
-                    }
-                }
-            } catch (storageErr) {
-                console.warn('Error deleting from storage:', storageErr);
-                // Continue with DB deletion
-            }
+        await auditLog.recordAudit(req, {
+            action: 'screenshot.deleted',
+            targetType: 'screenshot',
+            targetId: id,
+            companyId: screenshot.company_id,
+            before: { ...screenshot, deleted_at: null, deleted_by: null },
+            after: { deleted_at: screenshot.deleted_at, deleted_by: screenshot.deleted_by }
+        });
+
+        res.json({
+            success: true,
+            message: 'Screenshot moved to the trash',
+            purgeAt: trash.purgeDate(screenshot.deleted_at)
+        });
+
+    } catch (error) {
+        console.error('Delete screenshot failed:', error);
+        res.status(500).json({ error: 'Failed to delete screenshot', details: error.message });
+    }
+});
+
+// 8. Brand Guidelines: versions of a scope (global, or a company override with ?company_id=)
+app.get('/api/guidelines', requireAccess('company', req => req.query.company_id), async (req, res) => {
+    const companyId = req.query.company_id || null;
+
+    try {
+        const [versions, active] = await Promise.all([
+            guidelines.listVersions(companyId, req.workspace.id),
+            guidelines.getActiveGuidelines(companyId, req.workspace.id)
+        ]);
+        const { content, ...activeSummary } = active;
+        res.json({ active: activeSummary, versions });
+    } catch (error) {
+        console.error('Failed to list guidelines:', error);
+        res.status(500).json({ error: 'Failed to list guidelines', details: error.message });
+    }
+});
+
+// 8b. Get the guidelines a company is classified with (override or global)
+app.get('/api/guidelines/active', requireAccess('company', req => req.query.company_id), async (req, res) => {
+    try {
+        const active = await guidelines.getActiveGuidelines(req.query.company_id || null, req.workspace.id);
+        res.json(active);
+    } catch (error) {
+        console.error('Failed to fetch active guidelines:', error);
+        res.status(500).json({ error: 'Failed to fetch active guidelines', details: error.message });
+    }
+});
+
+// 8c. Get a Guideline Version
+app.get('/api/guidelines/:id', requireAccess('guideline'), async (req, res) => {
+    try {
+        const version = await guidelines.getVersion(req.params.id);
+        if (!version) {
+            return res.status(404).json({ error: 'Guideline version not found' });
         }
+        res.json(version);
+    } catch (error) {
+        console.error('Failed to fetch guideline version:', error);
+        res.status(500).json({ error: 'Failed to fetch guideline version', details: error.message });
+    }
+});
 
-        // Delete from database
-        const { error: deleteError } = await supabase
-            .from('screenshots')
-            .delete()
-            .eq('id', id);
+// 8d. Diff a Guideline Version (against the previous version, or ?against=<id>)
+app.get('/api/guidelines/:id/diff', requireAccess('guideline'), requireAccess('guideline', req => req.query.against), async (req, res) => {
+    try {
+        const result = await guidelines.diffVersions(req.params.id, req.query.against || null);
+        if (!result) {
+            return res.status(404).json({ error: 'Guideline version not found' });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Failed to diff guidelines:', error);
+        res.status(500).json({ error: 'Failed to diff guidelines', details: error.message });
+    }
+});
 
-        if (deleteError) throw deleteError;
+// 8e. Save Guidelines as a New Version (global, or a company override with company_id)
+app.post('/api/guidelines', requireAccess('company', req => req.body.company_id), async (req, res) => {
+    const { content, notes, company_id } = req.body;
 
-        res.json({ success: true, message: 'Screenshot deleted successfully' });
+    if (!content || typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({ error: 'Guidelines content is required' });
+    }
 
+    try {
+        const version = await guidelines.createVersion({
+            content,
+            notes: notes || null,
+            companyId: company_id || null,
+            workspaceId: req.workspace.id
+        });
+        res.status(201).json(version);
     } catch (error) {
-        console.error('Delete screenshot failed:', error);
-        res.status(500).json({ error: 'Failed to delete screenshot', details: error.message });
+        if (error.code === '23503') {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        console.error('Failed to save guidelines:', error);
+        res.status(500).json({ error: 'Failed to save guidelines', details: error.message });
+    }
+});
+
+// 8f. Remove a Company's Guidelines Override (falls back to the global guidelines)
+app.delete('/api/company/:id/guidelines', requireAccess('company'), async (req, res) => {
+    try {
+        const retired = await guidelines.retireOverride(req.params.id);
+        res.json({ success: true, retiredVersions: retired });
+    } catch (error) {
+        console.error('Failed to remove guidelines override:', error);
+        res.status(500).json({ error: 'Failed to remove guidelines override', details: error.message });
+    }
+});
+
+// 9. List Analysis Schedules (with next run time, for the companies list)
+app.get('/api/schedules', async (req, res) => {
+    try {
+        res.json(await scheduler.listSchedules(req.workspace.id));
+    } catch (error) {
+        console.error('Failed to list schedules:', error);
+        res.status(500).json({ error: 'Failed to fetch schedules', details: error.message });
+    }
+});
+
+// 9b. Get a Company's Schedule (with recent runs)
+app.get('/api/company/:id/schedule', requireAccess('company'), async (req, res) => {
+    try {
+        const schedule = await scheduler.getSchedule(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+        const runs = await scheduler.listRuns(req.params.id, req.query.limit);
+        res.json({ schedule, runs });
+    } catch (error) {
+        console.error('Failed to fetch schedule:', error);
+        res.status(500).json({ error: 'Failed to fetch schedule', details: error.message });
+    }
+});
+
+// 9c. Create or Update a Company's Schedule (cron expression in UTC)
+app.put('/api/company/:id/schedule', requireAccess('company'), async (req, res) => {
+    const { cron_expression, enabled = true, recapture_screenshots = false, recapture_approved_only = false } = req.body;
+
+    if (!cron_expression || typeof cron_expression !== 'string') {
+        return res.status(400).json({ error: 'Cron expression is required' });
+    }
+    try {
+        if (!cron.getNextRun(cron_expression)) {
+            return res.status(400).json({ error: 'Cron expression never matches a date' });
+        }
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const schedule = await scheduler.saveSchedule(req.params.id, {
+            cronExpression: cron_expression.trim(),
+            enabled: enabled !== false,
+            recaptureScreenshots: recapture_screenshots === true,
+            recaptureApprovedOnly: recapture_approved_only === true
+        });
+        res.json(schedule);
+    } catch (error) {
+        if (error.code === '23503') {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        console.error('Failed to save schedule:', error);
+        res.status(500).json({ error: 'Failed to save schedule', details: error.message });
+    }
+});
+
+// 9d. Delete a Company's Schedule
+app.delete('/api/company/:id/schedule', requireAccess('company'), async (req, res) => {
+    try {
+        const deleted = await scheduler.deleteSchedule(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Failed to delete schedule:', error);
+        res.status(500).json({ error: 'Failed to delete schedule', details: error.message });
+    }
+});
+
+// 9e. Run a Company's Schedule Now (analysis and, if enabled, screenshot re-capture)
+app.post('/api/company/:id/schedule/run', requireAccess('company'), async (req, res) => {
+    try {
+        const schedule = await scheduler.getSchedule(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+        if (await scheduler.getActiveRun(schedule.id)) {
+            return res.status(409).json({ error: 'A scheduled run is already in progress for this company' });
+        }
+        const budget = await usage.getBudgetStatus(req.workspace.id);
+        if (budget.exceeded) {
+            return res.status(402).json({ error: budget.message, budget });
+        }
+        const run = await scheduler.startRun(schedule, 'manual');
+        res.status(202).json(run);
+    } catch (error) {
+        console.error('Failed to start scheduled run:', error);
+        res.status(500).json({ error: 'Failed to start scheduled run', details: error.message });
+    }
+});
+
+// 10. List Webhooks (?company_id= for a company's webhooks and the workspace-wide ones)
+app.get('/api/webhooks', requireRole('admin'), requireAccess('company', req => req.query.company_id), async (req, res) => {
+    try {
+        const rows = await webhooks.listWebhooks({ workspaceId: req.workspace.id, companyId: req.query.company_id || null });
+        res.json({ webhooks: rows, events: webhooks.WEBHOOK_EVENTS });
+    } catch (error) {
+        console.error('Failed to list webhooks:', error);
+        res.status(500).json({ error: 'Failed to fetch webhooks', details: error.message });
+    }
+});
+
+// 10b. Create a Webhook (the signing secret is only returned here)
+app.post('/api/webhooks', requireRole('admin'), requireAccess('company', req => req.body.company_id), async (req, res) => {
+    const validationError = await webhooks.validateWebhookInput(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const webhook = await webhooks.createWebhook({
+            url: req.body.url,
+            workspaceId: req.workspace.id,
+            companyId: req.body.company_id || null,
+            events: req.body.events || [],
+            description: req.body.description || null
+        });
+        res.status(201).json(webhook);
+    } catch (error) {
+        if (error.code === '23503') {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        console.error('Failed to create webhook:', error);
+        res.status(500).json({ error: 'Failed to create webhook', details: error.message });
+    }
+});
+
+// 10c. Update a Webhook (url, events, enabled, description)
+app.put('/api/webhooks/:id', requireRole('admin'), requireAccess('webhook'), async (req, res) => {
+    const validationError = await webhooks.validateWebhookInput(req.body, true);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const webhook = await webhooks.updateWebhook(req.params.id, {
+            url: req.body.url,
+            events: req.body.events,
+            enabled: typeof req.body.enabled === 'boolean' ? req.body.enabled : undefined,
+            description: req.body.description
+        });
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json(webhook);
+    } catch (error) {
+        console.error('Failed to update webhook:', error);
+        res.status(500).json({ error: 'Failed to update webhook', details: error.message });
+    }
+});
+
+// 10d. Delete a Webhook (and its delivery log)
+app.delete('/api/webhooks/:id', requireRole('admin'), requireAccess('webhook'), async (req, res) => {
+    try {
+        const deleted = await webhooks.deleteWebhook(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Failed to delete webhook:', error);
+        res.status(500).json({ error: 'Failed to delete webhook', details: error.message });
+    }
+});
+
+// 10e. Send a Test Event to a Webhook
+app.post('/api/webhooks/:id/test', requireRole('admin'), requireAccess('webhook'), async (req, res) => {
+    try {
+        const delivery = await webhooks.sendTestEvent(req.params.id);
+        if (!delivery) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json(delivery);
+    } catch (error) {
+        console.error('Failed to send test webhook:', error);
+        res.status(500).json({ error: 'Failed to send test webhook', details: error.message });
+    }
+});
+
+// 10f. Webhook Delivery Log (?status=pending|succeeded|failed, limit, offset)
+app.get('/api/webhooks/:id/deliveries', requireRole('admin'), requireAccess('webhook'), async (req, res) => {
+    try {
+        const webhook = await webhooks.getWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        const { status, limit, offset } = req.query;
+        res.json(await webhooks.listDeliveries(req.params.id, { status, limit, offset }));
+    } catch (error) {
+        console.error('Failed to list webhook deliveries:', error);
+        res.status(500).json({ error: 'Failed to fetch webhook deliveries', details: error.message });
+    }
+});
+
+// 10g. Redeliver a Webhook Delivery
+app.post('/api/webhook-deliveries/:id/redeliver', requireRole('admin'), requireAccess('delivery'), async (req, res) => {
+    try {
+        const delivery = await webhooks.redeliver(req.params.id);
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        res.json(delivery);
+    } catch (error) {
+        console.error('Failed to redeliver webhook:', error);
+        res.status(500).json({ error: 'Failed to redeliver webhook', details: error.message });
+    }
+});
+
+// 11. Current Workspace and its Members
+app.get('/api/workspace', async (req, res) => {
+    try {
+        const members = await workspaces.listMembers(req.workspace.id);
+        res.json({ workspace: req.workspace, role: req.role, members });
+    } catch (error) {
+        console.error('Failed to fetch workspace:', error);
+        res.status(500).json({ error: 'Failed to fetch workspace', details: error.message });
+    }
+});
+
+// 11b. Rename the Current Workspace
+app.put('/api/workspace', requireRole('admin'), async (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+        return res.status(400).json({ error: 'Workspace name is required' });
+    }
+
+    try {
+        const workspace = await workspaces.renameWorkspace(req.workspace.id, name);
+        res.json(workspace);
+    } catch (error) {
+        console.error('Failed to rename workspace:', error);
+        res.status(500).json({ error: 'Failed to rename workspace', details: error.message });
+    }
+});
+
+// 11c. Add a Member (creates the account if needed; without a password it can only
+// sign in with single sign-on)
+app.post('/api/workspace/members', requireRole('admin'), async (req, res) => {
+    const { email, role, password, name } = req.body;
+
+    if (!workspaces.ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${workspaces.ROLES.join(', ')}` });
+    }
+    const validationError = auth.validateCredentials({ email, password }, false);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        let user = await auth.getUserByEmail(email);
+        const created = !user;
+        if (!user) {
+            user = await auth.createUser({ email, password, name });
+        }
+
+        await workspaces.addMember(req.workspace.id, user.id, role);
+        console.log(`[Workspaces] ${user.email} added to workspace ${req.workspace.id} as ${role}`);
+        res.status(201).json({ user_id: user.id, email: user.email, name: user.name, role, created });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'This user is already a member of the workspace' });
+        }
+        console.error('Failed to add workspace member:', error);
+        res.status(500).json({ error: 'Failed to add member', details: error.message });
+    }
+});
+
+// 11d. Change a Member's Role
+app.put('/api/workspace/members/:userId', requireRole('admin'), async (req, res) => {
+    const { role } = req.body;
+
+    if (!workspaces.ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${workspaces.ROLES.join(', ')}` });
+    }
+
+    try {
+        const membership = await workspaces.getMembership(req.workspace.id, req.params.userId);
+        if (!membership) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if (membership.role === 'admin' && role !== 'admin' && await workspaces.countAdmins(req.workspace.id) <= 1) {
+            return res.status(409).json({ error: 'A workspace needs at least one admin' });
+        }
+
+        const updated = await workspaces.updateMemberRole(req.workspace.id, req.params.userId, role);
+        res.json(updated);
+    } catch (error) {
+        console.error('Failed to update workspace member:', error);
+        res.status(500).json({ error: 'Failed to update member', details: error.message });
+    }
+});
+
+// 11e. Remove a Member
+app.delete('/api/workspace/members/:userId', requireRole('admin'), async (req, res) => {
+    try {
+        const membership = await workspaces.getMembership(req.workspace.id, req.params.userId);
+        if (!membership) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if (membership.role === 'admin' && await workspaces.countAdmins(req.workspace.id) <= 1) {
+            return res.status(409).json({ error: 'A workspace needs at least one admin' });
+        }
+
+        await workspaces.removeMember(req.workspace.id, req.params.userId);
+        res.json({ success: true, message: 'Member removed' });
+    } catch (error) {
+        console.error('Failed to remove workspace member:', error);
+        res.status(500).json({ error: 'Failed to remove member', details: error.message });
+    }
+});
+
+// 12. List API Keys of the Workspace
+app.get('/api/api-keys', requireRole('admin'), async (req, res) => {
+    try {
+        const keys = await apiKeys.listApiKeys(req.workspace.id);
+        res.json({ keys, scopes: apiKeys.SCOPES });
+    } catch (error) {
+        console.error('Failed to list API keys:', error);
+        res.status(500).json({ error: 'Failed to fetch API keys', details: error.message });
+    }
+});
+
+// 12b. Create an API Key (the key is only returned here)
+app.post('/api/api-keys', requireRole('admin'), async (req, res) => {
+    const { name, scopes, expires_at } = req.body;
+
+    const validationError = apiKeys.validateApiKeyInput({ name, scopes, expires_at });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const key = await apiKeys.createApiKey({
+            workspaceId: req.workspace.id,
+            name,
+            scopes,
+            createdBy: req.user.id,
+            expiresAt: expires_at || null
+        });
+        res.status(201).json(key);
+    } catch (error) {
+        console.error('Failed to create API key:', error);
+        res.status(500).json({ error: 'Failed to create API key', details: error.message });
+    }
+});
+
+// 12c. Revoke an API Key
+app.delete('/api/api-keys/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const key = await apiKeys.revokeApiKey(req.workspace.id, req.params.id);
+        if (!key) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        res.json(key);
+    } catch (error) {
+        console.error('Failed to revoke API key:', error);
+        res.status(500).json({ error: 'Failed to revoke API key', details: error.message });
+    }
+});
+
+// 13. Audit Log of the Workspace (?company_id, action, target_type, target_id, limit, offset)
+app.get('/api/audit-log', requireAccess('company', req => req.query.company_id), async (req, res) => {
+    const { company_id, action, target_type, target_id, limit, offset } = req.query;
+
+    if (action && !auditLog.AUDIT_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `action must be one of: ${auditLog.AUDIT_ACTIONS.join(', ')}` });
+    }
+    if (target_type && !auditLog.TARGET_TYPES.includes(target_type)) {
+        return res.status(400).json({ error: `target_type must be one of: ${auditLog.TARGET_TYPES.join(', ')}` });
+    }
+
+    try {
+        res.json(await auditLog.listAuditEntries({
+            workspaceId: req.workspace.id,
+            companyId: company_id,
+            action,
+            targetType: target_type,
+            targetId: target_id,
+            limit,
+            offset
+        }));
+    } catch (error) {
+        console.error('Failed to list audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log', details: error.message });
+    }
+});
+
+// Trash routes name the kind of item in the path (/api/trash/message/:id) and also find
+// items that are in the trash
+const TRASH_LABELS = { company: 'Company', message: 'Message', screenshot: 'Screenshot' };
+function requireTrashAccess(req, res, next) {
+    if (!trash.TRASH_TYPES.includes(req.params.type)) {
+        return res.status(400).json({ error: `type must be one of: ${trash.TRASH_TYPES.join(', ')}` });
+    }
+    requireAccess(req.params.type, undefined, { includeTrashed: true })(req, res, next);
+}
+
+// 14. Trash of the Workspace (with the date each item will be purged)
+app.get('/api/trash', async (req, res) => {
+    try {
+        res.json(await trash.listTrash(req.workspace.id));
+    } catch (error) {
+        console.error('Failed to list trash:', error);
+        res.status(500).json({ error: 'Failed to fetch trash', details: error.message });
+    }
+});
+
+// 14b. Restore an Item from the Trash (a message comes back with its screenshots)
+app.post('/api/trash/:type/:id/restore', requireTrashAccess, async (req, res) => {
+    const { type, id } = req.params;
+
+    try {
+        const item = await trash.getItem(type, id);
+        if (!item) {
+            return res.status(404).json({ error: `${TRASH_LABELS[type]} not found` });
+        }
+        if (!item.deleted_at) {
+            return res.status(409).json({ error: `${TRASH_LABELS[type]} is not in the trash` });
+        }
+        if (item.companies && item.companies.deleted_at) {
+            return res.status(409).json({ error: `The company of this ${type} is in the trash; restore the company instead` });
+        }
+        if (type === 'screenshot' && item.brand_messages && item.brand_messages.deleted_at) {
+            return res.status(409).json({ error: 'The message of this screenshot is in the trash; restore the message instead' });
+        }
+
+        const { companies, brand_messages, ...before } = item;
+        const restored = await trash.restoreItem(type, item);
+
+        await auditLog.recordAudit(req, {
+            action: `${type}.restored`,
+            targetType: type,
+            targetId: id,
+            companyId: type === 'company' ? id : item.company_id,
+            before: { deleted_at: before.deleted_at, deleted_by: before.deleted_by },
+            after: restored.item,
+            metadata: type === 'message' ? { screenshots: restored.screenshots } : {}
+        });
+
+        res.json({ success: true, [type]: restored.item, restoredScreenshots: restored.screenshots });
+    } catch (error) {
+        console.error(`Failed to restore ${type}:`, error);
+        res.status(500).json({ error: `Failed to restore ${type}`, details: error.message });
+    }
+});
+
+// 14c. Permanently Delete an Item from the Trash (and its files in storage)
+app.delete('/api/trash/:type/:id', requireRole('admin'), requireTrashAccess, async (req, res) => {
+    const { type, id } = req.params;
+
+    try {
+        const item = await trash.getItem(type, id);
+        if (!item) {
+            return res.status(404).json({ error: `${TRASH_LABELS[type]} not found` });
+        }
+        if (!item.deleted_at) {
+            return res.status(409).json({ error: `${TRASH_LABELS[type]} is not in the trash` });
+        }
+
+        const { companies, brand_messages, ...before } = item;
+        const screenshots = await trash.purgeItem(type, item);
+
+        await auditLog.recordAudit(req, {
+            action: `${type}.purged`,
+            targetType: type,
+            targetId: id,
+            companyId: type === 'company' ? id : item.company_id,
+            before,
+            metadata: { screenshots }
+        });
+
+        res.json({ success: true, deletedScreenshots: screenshots });
+    } catch (error) {
+        console.error(`Failed to purge ${type}:`, error);
+        res.status(500).json({ error: `Failed to delete ${type}`, details: error.message });
+    }
+});
+
+// 15. LLM Usage of the Workspace: tokens and cost per day or month, company and model,
+// and the budgets (?period=day|month, from, to as YYYY-MM-DD in UTC, company_id)
+app.get('/api/usage', requireAccess('company', req => req.query.company_id), async (req, res) => {
+    const { period, from, to, company_id } = req.query;
+    const invalid = usage.validateReportQuery({ period, from, to });
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    try {
+        const report = await usage.getUsageReport(req.workspace.id, { period, from, to, companyId: company_id || null });
+        res.json(report);
+    } catch (error) {
+        console.error('Failed to fetch LLM usage:', error);
+        res.status(500).json({ error: 'Failed to fetch LLM usage', details: error.message });
+    }
+});
+
+// 15b. Set the LLM Budgets of the Workspace (daily_budget_usd, monthly_budget_usd; null removes a limit)
+app.put('/api/usage/budget', requireRole('admin'), async (req, res) => {
+    const budgets = {};
+    for (const [field, name] of [['daily_budget_usd', 'dailyBudgetUsd'], ['monthly_budget_usd', 'monthlyBudgetUsd']]) {
+        const value = req.body[field];
+        if (value === undefined) continue;
+        if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)) {
+            return res.status(400).json({ error: `${field} must be a positive amount in USD or null` });
+        }
+        budgets[name] = value;
+    }
+    if (Object.keys(budgets).length === 0) {
+        return res.status(400).json({ error: 'Nothing to update: provide daily_budget_usd or monthly_budget_usd' });
+    }
+
+    try {
+        const budget = await usage.setBudgets(req.workspace.id, budgets);
+        res.json(budget);
+    } catch (error) {
+        console.error('Failed to update LLM budgets:', error);
+        res.status(500).json({ error: 'Failed to update LLM budgets', details: error.message });
     }
 });
 
@@ -1494,30 +2726,83 @@ app.get('/api/health', async (req, res) => {
         services: {}
     };
 
-    // Check Supabase connection
+    // Check the database connection
+    health.services.database_driver = config.database.driver;
+    health.services.storage_driver = config.storage.driver;
     try {
         const { error } = await supabase.from('companies').select('id').limit(1);
-        health.services.supabase = error ? 'error' : 'ok';
-        if (error) health.services.supabase_error = error.message;
+        health.services.database = error ? 'error' : 'ok';
+        if (error) health.services.database_error = error.message;
     } catch (err) {
-        health.services.supabase = 'error';
-        health.services.supabase_error = err.message;
+        health.services.database = 'error';
+        health.services.database_error = err.message;
     }
 
-    // Check OpenAI API key
-    health.services.openai = config.openaiApiKey ? 'configured' : 'missing';
+    // Check that every LLM task has a configured provider
+    const llmTasks = llm.describeTasks();
+    health.services.llm = Object.values(llmTasks).every(t => t.configured) ? 'configured' : 'missing';
+    health.services.llm_tasks = llmTasks;
 
     // Check optional services
     health.services.scrappey = config.scrappeyApiKey ? 'configured' : 'optional';
     health.services.googleDrive = config.googleDriveClientId ? 'configured' : 'optional';
 
-    const allCriticalOk = health.services.supabase === 'ok' && health.services.openai === 'configured';
+    const allCriticalOk = health.services.database === 'ok' && health.services.llm === 'configured';
     res.status(allCriticalOk ? 200 : 503).json(health);
 });
 
-const server = app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-});
+// Refuses to serve a database with pending migrations: routes and workers would fail
+// on missing tables and columns
+async function checkMigrations() {
+    try {
+        const { migrations: list, pending, unknown } = await migrations.checkDatabase(supabase);
+        if (unknown.length > 0) {
+            console.warn(`⚠️  Database has migrations this version does not know: ${unknown.join(', ')}`);
+        }
+        if (pending.length === 0) return true;
+
+        console.error(`❌ Database is behind: ${pending.length} pending migration(s): ${pending.join(', ')}`);
+        if (list.every(m => !m.applied)) {
+            console.error('   If the migrations were run by hand, record them first with `npm run migrate -- baseline --to <last applied migration>`');
+        }
+        console.error('   Run `npm run migrate` (see docs/MIGRATION_GUIDE.md), or set DATABASE_MIGRATION_CHECK=false to start anyway');
+    } catch (error) {
+        console.error('❌ Could not check the database migrations:', error.message);
+    }
+    return false;
+}
+
+async function start() {
+    if (config.database.checkMigrations && !(await checkMigrations())) {
+        process.exit(1);
+    }
+
+    const server = app.listen(PORT, () => {
+        console.log(`Server running on http://localhost:${PORT}`);
+    });
+
+    // Start the background worker that executes queued analysis jobs
+    const analysisWorker = new jobQueue.JobWorker();
+    analysisWorker.start();
+
+    // Start the dispatcher that retries failed webhook deliveries
+    const webhookDispatcher = new webhooks.WebhookDispatcher();
+    webhookDispatcher.start();
+
+    // Start the scheduler that runs recurring analyses and evidence re-capture
+    if (config.schedulerEnabled) {
+        const analysisScheduler = new scheduler.Scheduler({ screenshotService });
+        analysisScheduler.start();
+    }
+
+    // Start the job that purges items kept in the trash longer than TRASH_RETENTION_DAYS
+    if (config.trash.purgeEnabled) {
+        const trashPurger = new trash.TrashPurger();
+        trashPurger.start();
+    }
+
+    // Disable timeout for long-running analysis
+    server.setTimeout(0);
+}
 
-// Disable timeout for long-running analysis
-server.setTimeout(0);
+start();
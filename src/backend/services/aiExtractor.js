@@ -1,11 +1,7 @@
-const OpenAI = require('openai');
+const llm = require('./llm');
 
 class AIExtractor {
-    constructor(apiKey) {
-        this.openai = new OpenAI({
-            apiKey: apiKey || process.env.OPENAI_API_KEY
-        });
-
+    constructor() {
         this.messageCategories = {
             positioning_statement: { min: 10, max: 25 },
             value_proposition: { min: 8, max: 20 },
@@ -70,8 +66,7 @@ Return a JSON array of messages in this exact format:
                     }))
             };
 
-            const response = await this.openai.chat.completions.create({
-                model: 'gpt-4-turbo-preview',
+            const response = await llm.complete('extraction', {
                 messages: [
                     {
                         role: 'system',
@@ -83,10 +78,10 @@ Return a JSON array of messages in this exact format:
                     }
                 ],
                 temperature: 0.3,
-                response_format: { type: 'json_object' }
+                responseFormat: 'json'
             });
 
-            const result = JSON.parse(response.choices[0].message.content);
+            const result = JSON.parse(response.content);
             const messages = Array.isArray(result) ? result : (result.messages || []);
 
             // Validate and filter messages
@@ -5,6 +5,8 @@
  * to help avoid bot detection on protected websites.
  */
 
+const { setTimeout: sleep } = require('timers/promises');
+
 // Common user agents (Chrome on Windows, Mac, and Linux)
 const USER_AGENTS = [
     // Chrome on Windows
@@ -365,6 +367,9 @@ class RateLimiter {
         this.requestCounts = {};
         this.cooldownPeriod = options.cooldownPeriod || 60000; // 1 minute cooldown after many requests
         this.maxRequestsBeforeCooldown = options.maxRequestsBeforeCooldown || 10;
+        this.activeDomains = {}; // domain -> number of tasks working on it
+        this.nextSlot = {}; // domain -> earliest time of the next request (waitTurn)
+        this.crawlDelays = {}; // domain -> Crawl-delay of its robots.txt in milliseconds
     }
 
     /**
@@ -387,8 +392,9 @@ class RateLimiter {
                 this.requestCounts[domain] = { count: 0, windowStart: now };
             }
 
-            // Calculate base delay with randomization
+            // Calculate base delay with randomization, at least the site's Crawl-delay
             let delay = this.minDelay + Math.floor(Math.random() * (this.maxDelay - this.minDelay));
+            delay = Math.max(delay, this.crawlDelays[domain] || 0);
 
             // Add extra delay if we've made many requests to this domain
             if (this.requestCounts[domain].count >= this.maxRequestsBeforeCooldown) {
@@ -417,6 +423,57 @@ class RateLimiter {
         }
     }
 
+    /**
+     * Wait for the next request slot of a domain. Unlike wait(), concurrent callers are
+     * spaced out: each takes the slot one delay after the previous caller's.
+     * @param {string} url - The URL to request
+     * @param {AbortSignal} signal - Optional cancellation signal
+     */
+    async waitTurn(url, signal) {
+        let domain;
+        try {
+            domain = new URL(url).hostname;
+        } catch (e) {
+            return;
+        }
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlot[domain] || 0);
+        this.nextSlot[domain] = slot + this.getDelay(url);
+        if (slot > now) {
+            await sleep(slot - now, undefined, { signal });
+        }
+        this.recordRequest(url);
+    }
+
+    /**
+     * Hold back the next requests to a domain, e.g. after HTTP 429 Too Many Requests
+     * @param {string} url - Any URL of the domain
+     * @param {number} ms - Pause in milliseconds
+     */
+    backOff(url, ms) {
+        try {
+            const domain = new URL(url).hostname;
+            this.nextSlot[domain] = Math.max(this.nextSlot[domain] || 0, Date.now() + ms);
+            console.log(`[RateLimiter] Backing off ${domain} for ${ms}ms`);
+        } catch (e) { }
+    }
+
+    /**
+     * Set the minimum delay between requests to a domain (Crawl-delay of its robots.txt)
+     * @param {string} url - Any URL of the domain
+     * @param {number} ms - Delay in milliseconds (0 to remove it)
+     */
+    setCrawlDelay(url, ms) {
+        try {
+            const domain = new URL(url).hostname;
+            if (ms > 0) {
+                this.crawlDelays[domain] = ms;
+            } else {
+                delete this.crawlDelays[domain];
+            }
+        } catch (e) { }
+    }
+
     /**
      * Record that a request was made
      * @param {string} url - The URL that was requested
@@ -427,6 +484,42 @@ class RateLimiter {
             this.lastRequestTime[domain] = Date.now();
         } catch (e) { }
     }
+
+    /**
+     * Marks a domain as busy while a long task (analysis, screenshot batch) works on it
+     * @param {string} url - Any URL of the domain
+     * @returns {Function} - Call to release the domain
+     */
+    acquireDomain(url) {
+        let domain;
+        try {
+            domain = new URL(url).hostname;
+        } catch (e) {
+            return () => { };
+        }
+        this.activeDomains[domain] = (this.activeDomains[domain] || 0) + 1;
+
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            this.activeDomains[domain]--;
+            if (this.activeDomains[domain] <= 0) delete this.activeDomains[domain];
+        };
+    }
+
+    /**
+     * Check whether a task is currently working on a domain
+     * @param {string} url - Any URL of the domain
+     * @returns {boolean}
+     */
+    isDomainBusy(url) {
+        try {
+            return !!this.activeDomains[new URL(url).hostname];
+        } catch (e) {
+            return false;
+        }
+    }
 }
 
 // Create singleton instances
@@ -0,0 +1,179 @@
+/**
+ * API Keys Service
+ * Keys authenticate other services against the public REST API (/api/v1). A key belongs
+ * to a workspace and grants scopes; it is sent as `Authorization: Bearer bma_...`.
+ * Only the key's SHA-256 is stored, so a lost key cannot be shown again, only revoked.
+ */
+
+const crypto = require('crypto');
+const supabase = require('./supabase');
+
+// Scopes a key can grant, with the workspace role that gives the same access to a
+// signed-in user calling /api/v1 from the browser
+const SCOPES = {
+    'companies:read': { role: 'viewer', description: 'List and read companies' },
+    'messages:read': { role: 'viewer', description: 'Read brand messages and their categories' },
+    'screenshots:read': { role: 'viewer', description: 'Read screenshots (evidence)' },
+    'jobs:read': { role: 'viewer', description: 'List and read analysis jobs' },
+    'jobs:write': { role: 'analyst', description: 'Queue and cancel analysis jobs' },
+    'evidence:write': { role: 'analyst', description: 'Upload HTML evidence (Cloudflare extension)' }
+};
+
+const KEY_PREFIX = 'bma_';
+// Characters of the key kept in clear text to recognize it in the list of keys
+const DISPLAY_PREFIX_LENGTH = 12;
+// A key's last_used_at is refreshed at most this often
+const TOUCH_MS = 60 * 1000;
+
+// Columns returned when listing keys (never the hash)
+const API_KEY_COLUMNS = 'id, workspace_id, name, key_prefix, scopes, created_by, expires_at, last_used_at, revoked_at, created_at';
+
+/**
+ * SHA-256 of an API key, as stored in the api_keys table
+ * @param {string} key - Full API key
+ * @returns {string} - Hex digest
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Validates the name, scopes and expiry of a new key
+ * @param {Object} body - { name, scopes, expires_at }
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateApiKeyInput({ name, scopes, expires_at }) {
+    if (typeof name !== 'string' || !name.trim()) return 'Key name is required';
+    if (!Array.isArray(scopes) || scopes.length === 0) return 'At least one scope is required';
+
+    const unknown = scopes.filter(scope => !SCOPES[scope]);
+    if (unknown.length > 0) {
+        return `Unknown scopes: ${unknown.join(', ')} (supported: ${Object.keys(SCOPES).join(', ')})`;
+    }
+
+    if (expires_at !== undefined && expires_at !== null) {
+        const expiresAt = Date.parse(expires_at);
+        if (Number.isNaN(expiresAt)) return 'expires_at must be an ISO 8601 date';
+        if (expiresAt <= Date.now()) return 'expires_at must be in the future';
+    }
+    return null;
+}
+
+/**
+ * Creates an API key
+ * @param {Object} params
+ * @param {string} params.workspaceId - Workspace the key can access
+ * @param {string} params.name - What the key is used for
+ * @param {Array<string>} params.scopes - Granted scopes
+ * @param {string} params.createdBy - User UUID of the creator
+ * @param {string|null} params.expiresAt - Optional expiry (ISO 8601)
+ * @returns {Promise<Object>} - The key row plus `key`, the only time the full key is returned
+ */
+async function createApiKey({ workspaceId, name, scopes, createdBy = null, expiresAt = null }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+    const { data, error } = await supabase
+        .from('api_keys')
+        .insert({
+            workspace_id: workspaceId,
+            name: name.trim(),
+            key_prefix: key.substring(0, DISPLAY_PREFIX_LENGTH),
+            key_hash: hashKey(key),
+            scopes: [...new Set(scopes)],
+            created_by: createdBy,
+            expires_at: expiresAt
+        })
+        .select(API_KEY_COLUMNS)
+        .single();
+
+    if (error) throw error;
+    console.log(`[ApiKeys] Created key ${data.id} (${data.name}) for workspace ${workspaceId}`);
+    return { ...data, key };
+}
+
+/**
+ * Lists the keys of a workspace, newest first (revoked keys included)
+ * @param {string} workspaceId - Workspace UUID
+ * @returns {Promise<Array<Object>>}
+ */
+async function listApiKeys(workspaceId) {
+    const { data, error } = await supabase
+        .from('api_keys')
+        .select(API_KEY_COLUMNS)
+        .eq('workspace_id', workspaceId)
+        .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Revokes a key of a workspace
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string} id - Key UUID
+ * @returns {Promise<Object|null>} - The key row, or null if the workspace has no such key
+ */
+async function revokeApiKey(workspaceId, id) {
+    const { data, error } = await supabase
+        .from('api_keys')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('workspace_id', workspaceId)
+        .is('revoked_at', null)
+        .select(API_KEY_COLUMNS);
+
+    if (error && error.code === '22P02') return null;
+    if (error) throw error;
+    if (data && data.length > 0) {
+        console.log(`[ApiKeys] Revoked key ${id}`);
+        return data[0];
+    }
+
+    // Already revoked keys are returned unchanged
+    const { data: existing, error: fetchError } = await supabase
+        .from('api_keys')
+        .select(API_KEY_COLUMNS)
+        .eq('id', id)
+        .eq('workspace_id', workspaceId)
+        .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    return existing;
+}
+
+/**
+ * Looks up the key sent with a request
+ * @param {string} key - Full API key
+ * @returns {Promise<Object|null>} - Key row with its workspace ({ id, name }), or null if
+ *   unknown, revoked or expired
+ */
+async function verifyApiKey(key) {
+    if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+    const { data, error } = await supabase
+        .from('api_keys')
+        .select(`${API_KEY_COLUMNS}, workspaces (id, name)`)
+        .eq('key_hash', hashKey(key))
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data || data.revoked_at || !data.workspaces) return null;
+    if (data.expires_at && Date.parse(data.expires_at) <= Date.now()) return null;
+
+    if (!data.last_used_at || Date.now() - Date.parse(data.last_used_at) > TOUCH_MS) {
+        await supabase
+            .from('api_keys')
+            .update({ last_used_at: new Date().toISOString() })
+            .eq('id', data.id);
+    }
+    return data;
+}
+
+module.exports = {
+    SCOPES,
+    validateApiKeyInput,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    verifyApiKey
+};
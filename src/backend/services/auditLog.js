@@ -0,0 +1,138 @@
+/**
+ * Audit Log Service
+ * Append-only record of destructive and editing actions: who did what to which company,
+ * message or screenshot, with a snapshot of the data before and after. Entries are
+ * written after the change succeeded; the table rejects updates and deletes.
+ */
+
+const supabase = require('./supabase');
+
+// Actions that are recorded (*.deleted moves to the trash, *.purged deletes permanently)
+const AUDIT_ACTIONS = [
+    'company.deleted',
+    'company.restored',
+    'company.purged',
+    'message.created',
+    'message.updated',
+    'message.reviewed',
+    'message.deleted',
+    'message.restored',
+    'message.purged',
+    'messages.merged',
+    'messages.deduplicated',
+    'screenshot.cropped',
+    'screenshot.deleted',
+    'screenshot.restored',
+    'screenshot.purged'
+];
+
+const TARGET_TYPES = ['company', 'message', 'screenshot'];
+
+// Inline images (base64 data URIs) are replaced by their size in snapshots
+const MAX_INLINE_LENGTH = 1000;
+
+/**
+ * Copies a row for a snapshot, leaving out inline image data
+ * @param {Object|null} row - Database row
+ * @returns {Object|null}
+ */
+function snapshotOf(row) {
+    if (!row) return null;
+    const snapshot = {};
+    for (const [key, value] of Object.entries(row)) {
+        snapshot[key] = typeof value === 'string' && value.startsWith('data:') && value.length > MAX_INLINE_LENGTH
+            ? `[inline data, ${value.length} characters]`
+            : value;
+    }
+    return snapshot;
+}
+
+/**
+ * Records an action. Never throws: the change it describes has already been made, so a
+ * failed write is logged instead of failing the request.
+ * @param {Object} req - Express request (actor and workspace are taken from it); background
+ *   jobs pass { workspace } and are recorded without an actor
+ * @param {Object} entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} entry.targetType - 'company', 'message' or 'screenshot'
+ * @param {string} entry.targetId - UUID of the changed row
+ * @param {string|null} entry.companyId - Company the target belongs to
+ * @param {Object|null} entry.before - Data before the change
+ * @param {Object|null} entry.after - Data after the change (null for deletions)
+ * @param {Object} entry.metadata - Additional details (e.g. counts of cascaded rows)
+ * @returns {Promise<Object|null>} - The entry, or null if it could not be written
+ */
+async function recordAudit(req, { action, targetType, targetId, companyId = null, before = null, after = null, metadata = {} }) {
+    if (!req.workspace) {
+        console.error(`[Audit] No workspace for ${action} on ${targetType} ${targetId}, not recorded`);
+        return null;
+    }
+
+    try {
+        const { data, error } = await supabase
+            .from('audit_log')
+            .insert({
+                workspace_id: req.workspace.id,
+                company_id: companyId,
+                actor_user_id: req.user ? req.user.id : null,
+                actor_email: req.user ? req.user.email : null,
+                actor_api_key_id: req.apiKey ? req.apiKey.id : null,
+                action,
+                target_type: targetType,
+                target_id: targetId,
+                before: snapshotOf(before),
+                after: snapshotOf(after),
+                metadata
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        console.log(`[Audit] ${action} ${targetType} ${targetId} by ${data.actor_email || data.actor_api_key_id || 'system'}`);
+        return data;
+    } catch (error) {
+        console.error(`[Audit] Failed to record ${action} on ${targetType} ${targetId}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Lists the entries of a workspace, newest first
+ * @param {Object} params
+ * @param {string} params.workspaceId - Workspace UUID
+ * @param {string} params.companyId - Only entries of this company
+ * @param {string} params.action - Only this action
+ * @param {string} params.targetType - Only this target type
+ * @param {string} params.targetId - Only entries about this row
+ * @param {number} params.limit - Page size (max 200)
+ * @param {number} params.offset - Entries to skip
+ * @returns {Promise<{entries: Array<Object>, total: number}>}
+ */
+async function listAuditEntries({ workspaceId, companyId, action, targetType, targetId, limit = 50, offset = 0 }) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const start = Math.max(parseInt(offset) || 0, 0);
+
+    let query = supabase
+        .from('audit_log')
+        .select('*', { count: 'exact' })
+        .eq('workspace_id', workspaceId)
+        .order('created_at', { ascending: false })
+        .range(start, start + pageSize - 1);
+
+    if (companyId) query = query.eq('company_id', companyId);
+    if (action) query = query.eq('action', action);
+    if (targetType) query = query.eq('target_type', targetType);
+    if (targetId) query = query.eq('target_id', targetId);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    return { entries: data || [], total: count || 0 };
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    TARGET_TYPES,
+    snapshotOf,
+    recordAudit,
+    listAuditEntries
+};
@@ -0,0 +1,370 @@
+/**
+ * Accounts and Sessions
+ * Users sign in with an email and password (stored as scrypt hashes) or through single
+ * sign-on (see oidc.js). Signing in creates a session: the browser keeps a random token
+ * in an HttpOnly cookie and only its SHA-256 is stored in the sessions table.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const supabase = require('./supabase');
+const config = require('../config');
+const workspaces = require('./workspaces');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Columns returned for a user (never the password hash)
+const USER_COLUMNS = 'id, email, name, created_at, last_login_at';
+const MIN_PASSWORD_LENGTH = 8;
+// A session's last_seen_at is refreshed at most this often
+const SESSION_TOUCH_MS = 5 * 60 * 1000;
+
+/**
+ * Emails are compared case-insensitively and stored lowercase
+ * @param {string} email - Email address
+ * @returns {string} - Normalized email
+ */
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Hashes a password with scrypt and a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} - `scrypt$<salt hex>$<hash hex>`
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(String(password), salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string|null} storedHash - Hash from hashPassword
+ * @returns {Promise<boolean>} - true if the password matches
+ */
+async function verifyPassword(password, storedHash) {
+    const [scheme, saltHex, hashHex] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Validates the email and password of a sign-up or new member
+ * @param {Object} body - { email, password }
+ * @param {boolean} passwordRequired - false when the account may sign in with single sign-on only
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateCredentials({ email, password }, passwordRequired = true) {
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizeEmail(email))) return 'A valid email address is required';
+    if (password === undefined && !passwordRequired) return null;
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Whether a new account can be created: the first account always can (it becomes the
+ * admin of the default workspace), later ones only when AUTH_ALLOW_SIGNUP is set
+ * @returns {Promise<boolean>}
+ */
+async function canCreateAccount() {
+    if (config.auth.allowSignup) return true;
+
+    const { count, error } = await supabase
+        .from('users')
+        .select('id', { count: 'exact', head: true });
+
+    if (error) throw error;
+    return !count;
+}
+
+/**
+ * Fetches a user by id
+ * @param {string} id - User UUID
+ * @returns {Promise<Object|null>} - User row or null
+ */
+async function getUser(id) {
+    const { data, error } = await supabase
+        .from('users')
+        .select(USER_COLUMNS)
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Fetches a user by email
+ * @param {string} email - Email address
+ * @returns {Promise<Object|null>} - User row or null
+ */
+async function getUserByEmail(email) {
+    const { data, error } = await supabase
+        .from('users')
+        .select(USER_COLUMNS)
+        .eq('email', normalizeEmail(email))
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Creates a user. Without a password the user can only sign in with single sign-on.
+ * @param {Object} params
+ * @param {string} params.email - Email address
+ * @param {string} params.password - Optional password
+ * @param {string} params.name - Optional display name
+ * @param {Object} params.oidc - Optional { issuer, subject } of a single sign-on identity
+ * @returns {Promise<Object>} - The user row (throws 23505 if the email is taken)
+ */
+async function createUser({ email, password = null, name = null, oidc = null }) {
+    const { data, error } = await supabase
+        .from('users')
+        .insert({
+            email: normalizeEmail(email),
+            name: name || null,
+            password_hash: password ? await hashPassword(password) : null,
+            oidc_issuer: oidc ? oidc.issuer : null,
+            oidc_subject: oidc ? oidc.subject : null
+        })
+        .select(USER_COLUMNS)
+        .single();
+
+    if (error) throw error;
+    console.log(`[Auth] Created user ${data.email}`);
+    return data;
+}
+
+/**
+ * Creates the account of someone signing up and gives them a workspace: the first
+ * account joins the default workspace (which owns the data created before accounts
+ * existed) as admin, later accounts get a new workspace of their own
+ * @param {Object} params - Same as createUser
+ * @returns {Promise<Object>} - { user, workspace }
+ */
+async function createAccount(params) {
+    const user = await createUser(params);
+    let workspace = await workspaces.getUnclaimedWorkspace();
+
+    if (workspace) {
+        await workspaces.addMember(workspace.id, user.id, 'admin');
+    } else {
+        workspace = await workspaces.createWorkspace(`${user.name || user.email}'s workspace`, user.id);
+    }
+    return { user, workspace };
+}
+
+/**
+ * Checks an email and password
+ * @param {string} email - Email address
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object|null>} - The user, or null if the credentials are wrong
+ */
+async function verifyCredentials(email, password) {
+    const { data: user, error } = await supabase
+        .from('users')
+        .select(`${USER_COLUMNS}, password_hash`)
+        .eq('email', normalizeEmail(email))
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!user || !(await verifyPassword(password, user.password_hash))) return null;
+
+    const { password_hash, ...publicUser } = user;
+    return publicUser;
+}
+
+/**
+ * Whether a user has a password (accounts created by single sign-on have none)
+ * @param {string} userId - User UUID
+ * @returns {Promise<boolean>}
+ */
+async function hasPassword(userId) {
+    const { data, error } = await supabase
+        .from('users')
+        .select('password_hash')
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return Boolean(data && data.password_hash);
+}
+
+/**
+ * Replaces a user's password
+ * @param {string} userId - User UUID
+ * @param {string} password - New plain text password
+ */
+async function setPassword(userId, password) {
+    const { error } = await supabase
+        .from('users')
+        .update({ password_hash: await hashPassword(password) })
+        .eq('id', userId);
+
+    if (error) throw error;
+}
+
+/**
+ * Finds the user of a single sign-on identity. An existing account with the same
+ * (verified) email is linked to the identity on its first sign-in.
+ * @param {Object} identity - { issuer, subject, email, emailVerified, name }
+ * @returns {Promise<Object|null>} - The user, or null if there is no account yet
+ */
+async function findOidcUser(identity) {
+    const { data: linked, error } = await supabase
+        .from('users')
+        .select(USER_COLUMNS)
+        .eq('oidc_issuer', identity.issuer)
+        .eq('oidc_subject', identity.subject)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (linked) return linked;
+    if (!identity.email || identity.emailVerified === false) return null;
+
+    const user = await getUserByEmail(identity.email);
+    if (!user) return null;
+
+    const { error: linkError } = await supabase
+        .from('users')
+        .update({ oidc_issuer: identity.issuer, oidc_subject: identity.subject, name: user.name || identity.name || null })
+        .eq('id', user.id);
+
+    if (linkError) throw linkError;
+    console.log(`[Auth] Linked single sign-on identity to ${user.email}`);
+    return user;
+}
+
+/**
+ * SHA-256 of a session token, as stored in the sessions table
+ * @param {string} token - Session token from the cookie
+ * @returns {string} - Hex digest
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Starts a session for a user in one of their workspaces
+ * @param {Object} params
+ * @param {string} params.userId - User UUID
+ * @param {string} params.workspaceId - Workspace the user starts in
+ * @param {string} params.userAgent - Optional User-Agent header
+ * @returns {Promise<Object>} - { token, expiresAt }
+ */
+async function createSession({ userId, workspaceId, userAgent = null }) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + config.auth.sessionTtlHours * 60 * 60 * 1000);
+
+    const { error } = await supabase
+        .from('sessions')
+        .insert({
+            user_id: userId,
+            workspace_id: workspaceId,
+            token_hash: hashToken(token),
+            user_agent: userAgent ? userAgent.substring(0, 500) : null,
+            expires_at: expiresAt.toISOString(),
+            last_seen_at: now.toISOString()
+        });
+
+    if (error) throw error;
+
+    await supabase
+        .from('users')
+        .update({ last_login_at: now.toISOString() })
+        .eq('id', userId);
+
+    // Expired sessions are only useful until the next sign-in
+    await supabase
+        .from('sessions')
+        .delete()
+        .lt('expires_at', now.toISOString());
+
+    return { token, expiresAt };
+}
+
+/**
+ * Looks up the session of a token
+ * @param {string} token - Session token from the cookie
+ * @returns {Promise<Object|null>} - Session row with its user, or null if unknown or expired
+ */
+async function getSession(token) {
+    if (!token) return null;
+
+    const { data: session, error } = await supabase
+        .from('sessions')
+        .select(`id, user_id, workspace_id, expires_at, last_seen_at, users (${USER_COLUMNS})`)
+        .eq('token_hash', hashToken(token))
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!session || !session.users || Date.parse(session.expires_at) <= Date.now()) return null;
+
+    if (Date.now() - Date.parse(session.last_seen_at) > SESSION_TOUCH_MS) {
+        await supabase
+            .from('sessions')
+            .update({ last_seen_at: new Date().toISOString() })
+            .eq('id', session.id);
+    }
+    return session;
+}
+
+/**
+ * Switches the workspace of a session
+ * @param {string} sessionId - Session UUID
+ * @param {string} workspaceId - Workspace UUID (membership is checked by the caller)
+ */
+async function setSessionWorkspace(sessionId, workspaceId) {
+    const { error } = await supabase
+        .from('sessions')
+        .update({ workspace_id: workspaceId })
+        .eq('id', sessionId);
+
+    if (error) throw error;
+}
+
+/**
+ * Ends a session (sign out)
+ * @param {string} token - Session token from the cookie
+ */
+async function deleteSession(token) {
+    if (!token) return;
+
+    const { error } = await supabase
+        .from('sessions')
+        .delete()
+        .eq('token_hash', hashToken(token));
+
+    if (error) throw error;
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    normalizeEmail,
+    hashPassword,
+    verifyPassword,
+    validateCredentials,
+    canCreateAccount,
+    getUser,
+    getUserByEmail,
+    createUser,
+    createAccount,
+    verifyCredentials,
+    hasPassword,
+    setPassword,
+    findOidcUser,
+    createSession,
+    getSession,
+    setSessionWorkspace,
+    deleteSession
+};
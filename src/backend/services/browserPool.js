@@ -0,0 +1,183 @@
+const { chromium } = require('playwright');
+const path = require('path');
+const fs = require('fs');
+const config = require('../config');
+
+/**
+ * Browser Pool
+ * Shared headless Chromium instances for rendered page fetches, so an analysis launches
+ * one browser instead of one per page. Up to `size` browsers are launched on demand and
+ * each runs up to `pagesPerBrowser` fetches at a time, in separate contexts; further
+ * callers wait for a free slot. A browser is relaunched after `maxUses` fetches (Chromium
+ * grows over long runs) or when it crashes, and every browser is closed once the pool has
+ * been idle for `idleMs`.
+ */
+
+const EXTENSION_PATH = path.resolve(__dirname, '..', '..', '..', 'extensions', 'chrome-extension');
+
+// Same flags as the screenshot browser, with HTTP/2 off (some bot protections reset
+// HTTP/2 connections of headless browsers) and the automation flag hidden
+function launchArgs() {
+    return [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+        '--disable-software-rasterizer',
+        ...(fs.existsSync(EXTENSION_PATH) ? [`--load-extension=${EXTENSION_PATH}`] : []),
+        '--disable-background-networking',
+        '--disable-background-timer-throttling',
+        '--disable-backgrounding-occluded-windows',
+        '--disable-renderer-backgrounding',
+        '--disable-features=TranslateUI',
+        '--disable-ipc-flooding-protection',
+        '--disable-blink-features=AutomationControlled',
+        '--disable-http2'
+    ];
+}
+
+class BrowserPool {
+    /**
+     * @param {Object} options
+     * @param {number} options.size - Maximum number of browsers
+     * @param {number} options.pagesPerBrowser - Fetches running at once in one browser
+     * @param {number} options.maxUses - Fetches after which a browser is relaunched
+     * @param {number} options.idleMs - Idle time after which the browsers are closed
+     */
+    constructor({ size = 1, pagesPerBrowser = 2, maxUses = 50, idleMs = 60000 } = {}) {
+        this.pagesPerBrowser = pagesPerBrowser;
+        this.maxUses = maxUses;
+        this.idleMs = idleMs;
+        this.slots = Array.from({ length: size }, () => ({
+            browser: null,
+            launching: null,
+            active: 0,
+            uses: 0,
+            retiring: false
+        }));
+        this.waiting = [];
+        this.idleTimer = null;
+    }
+
+    /**
+     * @returns {Object} - { browsers, active, waiting }
+     */
+    stats() {
+        return {
+            browsers: this.slots.filter(slot => slot.browser).length,
+            active: this.slots.reduce((total, slot) => total + slot.active, 0),
+            waiting: this.waiting.length
+        };
+    }
+
+    /**
+     * Runs fn with a browser of the pool, waiting for a free slot if needed
+     * @param {Function} fn - async (browser) => result
+     * @param {Object} options - Optional settings
+     * @param {AbortSignal} options.signal - Stops waiting for a slot when signalled
+     * @returns {Promise<*>} - Result of fn
+     */
+    async withBrowser(fn, { signal } = {}) {
+        const slot = await this.acquire(signal);
+        try {
+            // A crashed browser is replaced
+            if (slot.browser && !slot.browser.isConnected()) slot.browser = null;
+            const browser = slot.browser || await (slot.launching || this.launch(slot));
+            return await fn(browser);
+        } finally {
+            this.release(slot);
+        }
+    }
+
+    // Reserves a place in the least busy browser (launched later if needed)
+    async acquire(signal) {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+
+        for (;;) {
+            if (signal) signal.throwIfAborted();
+            const free = this.slots
+                .filter(slot => !slot.retiring && slot.active < this.pagesPerBrowser)
+                .sort((a, b) => (b.browser ? 1 : 0) - (a.browser ? 1 : 0) || a.active - b.active);
+            if (free.length > 0) {
+                free[0].active++;
+                return free[0];
+            }
+            await new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    this.waiting = this.waiting.filter(waiter => waiter !== wake);
+                    reject(signal.reason);
+                };
+                const wake = () => {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    resolve();
+                };
+                if (signal) signal.addEventListener('abort', onAbort, { once: true });
+                this.waiting.push(wake);
+            });
+        }
+    }
+
+    async launch(slot) {
+        console.log('[BrowserPool] Launching browser');
+        slot.launching = chromium.launch({ headless: true, args: launchArgs(), timeout: 30000 })
+            .then(browser => {
+                browser.on('disconnected', () => {
+                    if (slot.browser === browser) slot.browser = null;
+                });
+                slot.browser = browser;
+                slot.uses = 0;
+                return browser;
+            })
+            .finally(() => {
+                slot.launching = null;
+            });
+        return slot.launching;
+    }
+
+    release(slot) {
+        slot.active--;
+        slot.uses++;
+        if (slot.uses >= this.maxUses) slot.retiring = true;
+
+        if (slot.retiring && slot.active === 0) {
+            const browser = slot.browser;
+            slot.browser = null;
+            slot.uses = 0;
+            slot.retiring = false;
+            if (browser) {
+                console.log('[BrowserPool] Relaunching browser after its maximum number of fetches');
+                browser.close().catch(() => { });
+            }
+        }
+
+        const wake = this.waiting.shift();
+        if (wake) wake();
+
+        if (this.stats().active === 0 && this.waiting.length === 0) {
+            this.idleTimer = setTimeout(() => this.close(), this.idleMs);
+            this.idleTimer.unref();
+        }
+    }
+
+    // Closes every browser; the pool launches new ones on the next fetch
+    async close() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        const browsers = this.slots.filter(slot => slot.browser && slot.active === 0).map(slot => {
+            const browser = slot.browser;
+            slot.browser = null;
+            return browser;
+        });
+        if (browsers.length > 0) console.log(`[BrowserPool] Closing ${browsers.length} idle browser(s)`);
+        await Promise.all(browsers.map(browser => browser.close().catch(() => { })));
+    }
+}
+
+// Shared by every analysis of the process
+const browserPool = new BrowserPool(config.fetching.browserPool);
+
+module.exports = {
+    BrowserPool,
+    browserPool
+};
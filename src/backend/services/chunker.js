@@ -0,0 +1,116 @@
+/**
+ * Content Chunker
+ * Splits page content into chunks that fit a token budget for classification. Pages
+ * are split at section boundaries (headings); a section larger than the budget is split
+ * at sentence boundaries. Small pages are packed together so a site with many short
+ * pages needs few requests. Every part of a chunk keeps its URL and section, so the
+ * classified messages can be attributed back to where they came from.
+ */
+
+// Rough average for English text with the OpenAI tokenizers
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimates the number of tokens of a text
+ * @param {string} text - Text to measure
+ * @returns {number} - Approximate token count
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Splits a text into pieces of at most maxTokens, at sentence boundaries where possible
+ * and at word boundaries for sentences that are longer than the budget
+ * @param {string} text - Text to split
+ * @param {number} maxTokens - Token budget per piece
+ * @returns {Array<string>} - Text pieces
+ */
+function splitText(text, maxTokens) {
+    if (estimateTokens(text) <= maxTokens) return [text];
+
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+    const sentences = text.match(/[^.!?]+(?:[.!?]+|$)/g) || [text];
+    const pieces = [];
+    let current = '';
+
+    const flush = () => {
+        if (current.trim()) pieces.push(current.trim());
+        current = '';
+    };
+
+    for (const sentence of sentences) {
+        if (sentence.length > maxChars) {
+            flush();
+            let piece = '';
+            for (const word of sentence.split(/\s+/)) {
+                if (piece && piece.length + word.length + 1 > maxChars) {
+                    pieces.push(piece);
+                    piece = '';
+                }
+                piece = piece ? `${piece} ${word}` : word;
+            }
+            current = piece;
+            continue;
+        }
+        if (current.length + sentence.length > maxChars) flush();
+        current += sentence;
+    }
+    flush();
+
+    return pieces;
+}
+
+/**
+ * Returns the sections of a page. Pages fetched before section extraction existed
+ * only have their content, which becomes a single untitled section.
+ * @param {Object} page - { url, content, sections }
+ * @returns {Array<Object>} - [{ heading, headingPath, text }]
+ */
+function getPageSections(page) {
+    if (Array.isArray(page.sections) && page.sections.length > 0) return page.sections;
+    return page.content ? [{ heading: null, headingPath: [], text: page.content }] : [];
+}
+
+/**
+ * Packs the sections of all pages into chunks of at most maxTokens
+ * @param {Array<Object>} pages - [{ url, content, sections }]
+ * @param {number} maxTokens - Token budget per chunk
+ * @returns {Array<Object>} - [{ index, tokens, parts: [{ url, heading, headingPath, text }] }]
+ */
+function chunkPages(pages, maxTokens) {
+    const chunks = [];
+    let current = { parts: [], tokens: 0 };
+
+    const flush = () => {
+        if (current.parts.length > 0) {
+            chunks.push({ index: chunks.length, ...current });
+        }
+        current = { parts: [], tokens: 0 };
+    };
+
+    for (const page of pages) {
+        for (const section of getPageSections(page)) {
+            for (const text of splitText(section.text, maxTokens)) {
+                const tokens = estimateTokens(text);
+                if (current.tokens + tokens > maxTokens) flush();
+                current.parts.push({
+                    url: page.url,
+                    heading: section.heading || null,
+                    headingPath: section.headingPath || [],
+                    text
+                });
+                current.tokens += tokens;
+            }
+        }
+    }
+    flush();
+
+    return chunks;
+}
+
+module.exports = {
+    estimateTokens,
+    splitText,
+    chunkPages
+};
@@ -31,7 +31,128 @@ const removeHtmlTagsButKeepLinks = (htmlString) => {
     }
 };
 
+// Private-use characters that mark heading boundaries in the extracted text
+const SECTION_START = '\uE000';
+const SECTION_END = '\uE001';
+
+/**
+ * Builds a CSS selector and an XPath for an element of a cheerio document
+ * @param {Object} el - Cheerio element node
+ * @returns {Object} - { selector, xpath }
+ */
+const getElementPath = (el) => {
+    const cssSteps = [];
+    const xpathSteps = [];
+    let useId = true;
+
+    for (let node = el; node && node.type === 'tag'; node = node.parent) {
+        const siblings = node.parent
+            ? node.parent.children.filter(child => child.type === 'tag' && child.name === node.name)
+            : [node];
+        const position = siblings.indexOf(node) + 1;
+
+        xpathSteps.unshift(siblings.length > 1 ? `${node.name}[${position}]` : node.name);
+
+        if (useId && node.name !== 'html') {
+            const id = node.attribs && node.attribs.id;
+            if (id && /^[A-Za-z][\w-]*$/.test(id)) {
+                cssSteps.unshift(`#${id}`);
+                useId = false; // The id anchors the selector, the rest is only needed for the XPath
+            } else {
+                cssSteps.unshift(siblings.length > 1 ? `${node.name}:nth-of-type(${position})` : node.name);
+            }
+        }
+    }
+
+    return { selector: cssSteps.join(' > '), xpath: `/${xpathSteps.join('/')}` };
+};
+
+/**
+ * Splits a page into sections at its headings (h1-h4), with the same elements removed
+ * as cleanContent. Each section's text starts with its heading, so headline messages
+ * stay part of the classified content. The text blocks of a section (elements with
+ * text of their own) are listed with their selector, to locate messages in the DOM.
+ * @param {string} htmlString - Raw page HTML
+ * @returns {Array<Object>} - [{ heading, headingPath, text, blocks: [{ tag, selector, xpath, text }] }] in document order
+ */
+const extractSections = (htmlString) => {
+    if (!htmlString || typeof htmlString !== "string") return [];
+
+    try {
+        const $ = cheerio.load(htmlString);
+
+        // Link URLs are not appended here: they would break up the sentences that
+        // messages are quoted from
+        $('script, style, svg, iframe, noscript, meta, link, head').remove();
+
+        // Collect the text blocks under each heading (0 = before the first heading)
+        const blocksByHeading = new Map();
+        let headingNumber = 0;
+        $('body *').each((i, el) => {
+            if ($(el).is('h1, h2, h3, h4')) headingNumber++;
+            const ownText = $(el).contents().filter((j, node) => node.type === 'text').text().trim();
+            if (!ownText) return;
+
+            if (!blocksByHeading.has(headingNumber)) blocksByHeading.set(headingNumber, []);
+            blocksByHeading.get(headingNumber).push({
+                tag: el.tagName,
+                ...getElementPath(el),
+                text: $(el).text().replace(/\s+/g, ' ').trim()
+            });
+        });
+
+        // Keep words of adjacent blocks apart (<li>Fast</li><li>Secure</li>)
+        $('p, div, li, td, th, dt, dd, br, h5, h6, section, article, header, footer, nav, button, blockquote, figcaption, label').after(' ');
+
+        // Replace every heading with a marker carrying its level, number and text
+        $('h1, h2, h3, h4').each((i, el) => {
+            const level = parseInt(el.tagName.substring(1));
+            const text = $(el).text().replace(/\s+/g, ' ').trim();
+            $(el).replaceWith(` ${SECTION_START}${level}|${i + 1}|${text}${SECTION_END} `);
+        });
+
+        const fullText = $.text().replace(/\s+/g, ' ').trim();
+
+        const sections = [];
+        const headingStack = []; // [{ level, text }] of the enclosing headings
+        const markerPattern = new RegExp(`${SECTION_START}(\\d)\\|(\\d+)\\|([^${SECTION_END}]*)${SECTION_END}`, 'g');
+        let heading = null;
+        let lastIndex = 0;
+        let match;
+
+        const pushSection = (text) => {
+            const trimmed = text.trim();
+            if (!trimmed && !heading) return;
+            sections.push({
+                heading: heading && heading.text ? heading.text : null,
+                headingPath: headingStack.map(h => h.text),
+                text: [heading ? heading.text : '', trimmed].filter(Boolean).join(' '),
+                blocks: blocksByHeading.get(heading ? heading.number : 0) || []
+            });
+        };
+
+        while ((match = markerPattern.exec(fullText)) !== null) {
+            pushSection(fullText.substring(lastIndex, match.index));
+
+            const level = parseInt(match[1]);
+            while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= level) {
+                headingStack.pop();
+            }
+            heading = { level, number: parseInt(match[2]), text: match[3] };
+            if (heading.text) headingStack.push(heading);
+            lastIndex = markerPattern.lastIndex;
+        }
+        pushSection(fullText.substring(lastIndex));
+
+        return sections.filter(section => section.text.length > 0);
+    } catch (error) {
+        console.error('Error in extractSections:', error.message);
+        return [];
+    }
+};
+
 // Export the function
 module.exports = {
-    cleanContent: removeHtmlTagsButKeepLinks
+    cleanContent: removeHtmlTagsButKeepLinks,
+    extractSections
 };
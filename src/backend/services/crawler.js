@@ -1,18 +1,29 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
 const { URL } = require('url');
+const config = require('../config');
+const pageFetcher = require('./pageFetcher');
+const robots = require('./robots');
 
+// Pages are fetched through the page fetcher (static request first, browser when needed);
+// its rate limiter keeps the requests to the site apart. Links robots.txt disallows are
+// not queued.
 class WebCrawler {
+    // options.include / options.exclude: path patterns (robots.txt syntax, e.g. /blog/*)
+    // that queued pages must match / must not match; the start page is always crawled
     constructor(options = {}) {
-        this.maxPages = options.maxPages || parseInt(process.env.MAX_CRAWL_PAGES) || 50;
-        this.maxDepth = options.maxDepth || parseInt(process.env.MAX_CRAWL_DEPTH) || 3;
-        this.crawlDelay = options.crawlDelay || parseInt(process.env.CRAWL_DELAY_MS) || 1000;
-        this.timeout = options.timeout || parseInt(process.env.REQUEST_TIMEOUT_MS) || 30000;
+        this.maxPages = options.maxPages || config.discovery.maxPages;
+        this.maxDepth = options.maxDepth || config.discovery.maxDepth;
+        this.concurrency = options.concurrency || config.fetching.concurrency;
+        this.include = (options.include || []).map(robots.patternToRegExp);
+        this.exclude = (options.exclude || []).map(robots.patternToRegExp);
 
         this.visited = new Set();
+        this.queued = new Set();
         this.queue = [];
         this.results = [];
         this.baseDomain = null;
+        this.startUrl = null;
+        this.robots = null;
     }
 
     // Priority scoring for different page types
@@ -57,6 +68,14 @@ class WebCrawler {
         }
     }
 
+    // Check the include and exclude patterns against the path and query of a URL
+    matchesFilters(url) {
+        const { pathname, search } = new URL(url);
+        const path = pathname + search;
+        if (this.exclude.some(pattern => pattern.test(path))) return false;
+        return this.include.length === 0 || this.include.some(pattern => pattern.test(path));
+    }
+
     // Check if URL should be crawled
     shouldCrawl(url) {
         try {
@@ -66,6 +85,10 @@ class WebCrawler {
             // Must be same domain
             if (urlObj.hostname !== baseDomainObj.hostname) return false;
 
+            // Must be allowed by robots.txt and the include/exclude patterns
+            if (this.robots && !this.robots.isAllowed(url)) return false;
+            if (!this.matchesFilters(url)) return false;
+
             // Skip common non-content URLs
             const skipPatterns = [
                 /\.(pdf|jpg|jpeg|png|gif|svg|css|js|xml|json|zip|exe)$/i,
@@ -119,36 +142,55 @@ class WebCrawler {
         return pageUrl;
     }
 
+    // Get page title (shown to the LLM that categorizes the crawled pages)
+    getTitle(html) {
+        const $ = cheerio.load(html);
+        return $('title').first().text().trim() || $('h1').first().text().trim();
+    }
+
     // Fetch a single page
-    async fetchPage(url) {
+    async fetchPage(url, signal) {
         try {
-            const response = await axios.get(url, {
-                timeout: this.timeout,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (compatible; BrandAnalyzer/1.0; +http://example.com/bot)',
-                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-                    'Accept-Language': 'en-US,en;q=0.9',
-                },
-                maxRedirects: 5,
-                validateStatus: (status) => status >= 200 && status < 400
-            });
-
+            const page = await pageFetcher.fetchPage(url, { signal });
             return {
-                url: response.request.res.responseUrl || url,
-                html: response.data,
-                statusCode: response.status,
-                contentType: response.headers['content-type'] || ''
+                url: page.finalUrl || url,
+                html: page.html,
+                tier: page.tier,
+                reason: page.reason
             };
         } catch (error) {
+            if (signal && signal.aborted) throw error;
+            // The start page decides whether the site can be crawled at all
+            if (url === this.startUrl) throw error;
             console.error(`Error fetching ${url}:`, error.message);
             return null;
         }
     }
 
+    // Queue a page unless it was visited or queued before
+    enqueue(url, depth, lastmod = null) {
+        if (this.visited.has(url) || this.queued.has(url)) return;
+        this.queued.add(url);
+        this.queue.push({
+            url,
+            depth,
+            priority: this.getPagePriority(url),
+            lastmod
+        });
+    }
+
     // Main crawl function
-    async crawl(startUrl, onProgress) {
+    // options.signal stops the crawl when the analysis is cancelled
+    // options.seeds ([{ url, lastmod }], e.g. from the sitemaps) are queued at depth 1 once
+    // the start page is crawled, so they compete with its links by priority, then recency
+    async crawl(startUrl, onProgress, options = {}) {
+        const { signal, seeds = [] } = options;
+        this.startUrl = startUrl;
         this.baseDomain = new URL(startUrl).origin;
+        // A site name that does not resolve fails the request of the start page below
+        this.robots = await robots.getRobots(startUrl).catch(() => null);
         this.visited.clear();
+        this.queued.clear();
         this.queue = [];
         this.results = [];
 
@@ -160,68 +202,86 @@ class WebCrawler {
         });
 
         while (this.queue.length > 0 && this.results.length < this.maxPages) {
-            // Sort queue by priority
-            this.queue.sort((a, b) => b.priority - a.priority);
-
-            const { url, depth } = this.queue.shift();
+            // Sort queue by priority, recently modified pages first
+            this.queue.sort((a, b) => b.priority - a.priority || (b.lastmod || '').localeCompare(a.lastmod || ''));
 
-            // Skip if already visited
-            if (this.visited.has(url)) continue;
+            // Fetch the most important queued pages together
+            const batch = [];
+            const batchSize = Math.min(this.concurrency, this.maxPages - this.results.length);
+            while (this.queue.length > 0 && batch.length < batchSize) {
+                const item = this.queue.shift();
 
-            // Mark as visited
-            this.visited.add(url);
+                // Skip if already visited
+                if (this.visited.has(item.url)) continue;
 
-            // Fetch page
-            const page = await this.fetchPage(url);
+                // Mark as visited
+                this.visited.add(item.url);
+                batch.push(item);
+            }
 
-            if (!page) continue;
+            const pages = await Promise.all(batch.map(item => this.fetchPage(item.url, signal)));
 
-            // Check content type
-            if (!page.contentType.includes('text/html')) continue;
+            for (let i = 0; i < batch.length; i++) {
+                const page = pages[i];
+                const { depth } = batch[i];
+                if (!page || this.results.length >= this.maxPages) continue;
 
-            // Get canonical URL
-            const canonicalUrl = this.getCanonicalUrl(page.html, page.url);
+                // Follow a redirect of the homepage to another host (e.g. example.com -> www.example.com)
+                if (depth === 0 && new URL(page.url).origin !== this.baseDomain) {
+                    this.baseDomain = new URL(page.url).origin;
+                    this.robots = await robots.getRobots(page.url).catch(() => null);
+                }
 
-            // Skip if canonical is different and already visited
-            if (canonicalUrl !== page.url && this.visited.has(canonicalUrl)) {
-                continue;
-            }
+                // Get canonical URL (unless it points off the site)
+                let canonicalUrl = this.getCanonicalUrl(page.html, page.url);
+                if (!canonicalUrl || !this.shouldCrawl(canonicalUrl)) canonicalUrl = page.url;
 
-            // Add to results
-            this.results.push({
-                url: canonicalUrl,
-                html: page.html,
-                depth: depth,
-                crawledAt: new Date().toISOString()
-            });
-
-            // Report progress
-            if (onProgress) {
-                onProgress({
-                    crawled: this.results.length,
-                    total: this.maxPages,
-                    currentUrl: canonicalUrl
+                // Skip if canonical is different and already visited
+                if (canonicalUrl !== batch[i].url && this.visited.has(canonicalUrl)) {
+                    continue;
+                }
+                this.visited.add(canonicalUrl);
+                this.visited.add(page.url);
+
+                // Add to results
+                this.results.push({
+                    url: canonicalUrl,
+                    title: this.getTitle(page.html),
+                    html: page.html,
+                    tier: page.tier,
+                    reason: page.reason,
+                    depth: depth,
+                    priority: this.getPagePriority(canonicalUrl),
+                    crawledAt: new Date().toISOString()
                 });
-            }
 
-            // Extract and queue new links if not at max depth
-            if (depth < this.maxDepth) {
-                const links = this.extractLinks(page.html, canonicalUrl);
-
-                for (const link of links) {
-                    if (!this.visited.has(link) && !this.queue.find(item => item.url === link)) {
-                        this.queue.push({
-                            url: link,
-                            depth: depth + 1,
-                            priority: this.getPagePriority(link)
-                        });
+                // Report progress
+                if (onProgress) {
+                    onProgress({
+                        crawled: this.results.length,
+                        total: this.maxPages,
+                        currentUrl: canonicalUrl
+                    });
+                }
+
+                // Extract and queue new links if not at max depth
+                if (depth < this.maxDepth) {
+                    const links = this.extractLinks(page.html, canonicalUrl);
+
+                    for (const link of links) {
+                        this.enqueue(link, depth + 1);
                     }
                 }
-            }
 
-            // Delay between requests
-            if (this.queue.length > 0 && this.results.length < this.maxPages) {
-                await new Promise(resolve => setTimeout(resolve, this.crawlDelay));
+                // Queue the seeds once the host of the site is known (a sitemap may list
+                // example.com pages of www.example.com)
+                if (depth === 0) {
+                    for (const seed of seeds) {
+                        const { pathname, search } = new URL(seed.url);
+                        const url = this.normalizeUrl(pathname + search, this.baseDomain);
+                        if (url && this.shouldCrawl(url)) this.enqueue(url, 1, seed.lastmod);
+                    }
+                }
             }
         }
 
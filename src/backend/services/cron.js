@@ -0,0 +1,160 @@
+/**
+ * Cron Expressions
+ * Parses standard 5-field cron expressions (minute hour day-of-month month day-of-week)
+ * and computes their next run time. Fields support `*`, numbers, ranges (`1-5`), lists
+ * (`1,15`), steps (`*\/15`, `0-30/10`) and month / weekday names (`jan`, `mon`). As in
+ * cron, when both day fields are restricted a day matches if either of them matches.
+ * Times are evaluated in UTC.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+};
+
+// Stop searching after this many years (e.g. for `0 0 30 2 *`)
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parses one value of a field (number or name)
+ * @param {string} value - Field value
+ * @param {Object} field - Field definition
+ * @returns {number} - Numeric value
+ */
+function parseValue(value, field) {
+    const nameIndex = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+    const number = nameIndex !== -1 ? nameIndex + (field.name === 'month' ? 1 : 0) : Number(value);
+    if (!/^\w+$/.test(value) || !Number.isInteger(number) || number < field.min || number > field.max) {
+        throw new Error(`Invalid ${field.name} value "${value}" (allowed: ${field.min}-${field.max})`);
+    }
+    return number;
+}
+
+/**
+ * Parses one field into the set of values it matches
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} - Matching values
+ */
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid ${field.name} step "${stepText}"`);
+        }
+
+        let start = field.min;
+        let end = field.max;
+        if (range !== '*') {
+            const bounds = range.split('-');
+            if (bounds.length > 2) throw new Error(`Invalid ${field.name} range "${range}"`);
+            start = parseValue(bounds[0], field);
+            end = bounds.length === 2 ? parseValue(bounds[1], field) : (stepText === undefined ? start : field.max);
+            if (end < start) throw new Error(`Invalid ${field.name} range "${range}"`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parses a cron expression
+ * @param {string} expression - 5-field cron expression or macro (@daily, @weekly, ...)
+ * @returns {Object} - { minutes, hours, daysOfMonth, months, daysOfWeek, dayOfMonthRestricted, dayOfWeekRestricted }
+ * @throws {Error} - If the expression is invalid
+ */
+function parseCron(expression) {
+    const text = (expression || '').trim();
+    const fields = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Cron expression must have 5 fields (minute hour day-of-month month day-of-week), got "${text}"`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((value, i) => parseField(value, FIELDS[i]));
+    // 7 is also Sunday
+    if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        dayOfMonthRestricted: fields[2] !== '*',
+        dayOfWeekRestricted: fields[4] !== '*'
+    };
+}
+
+/**
+ * Checks whether a day matches the day-of-month and day-of-week fields
+ * @param {Object} schedule - Parsed expression
+ * @param {Date} date - Day to check (UTC)
+ * @returns {boolean}
+ */
+function matchesDay(schedule, date) {
+    const dayOfMonth = schedule.daysOfMonth.has(date.getUTCDate());
+    const dayOfWeek = schedule.daysOfWeek.has(date.getUTCDay());
+    if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) return dayOfMonth || dayOfWeek;
+    return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Computes the first run time strictly after a date
+ * @param {string|Object} expression - Cron expression or the result of parseCron
+ * @param {Date} after - Start point (default: now)
+ * @returns {Date|null} - Next run time, or null if the expression never matches
+ */
+function getNextRun(expression, after = new Date()) {
+    const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    const limit = after.getTime() + MAX_SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+    while (date.getTime() <= limit) {
+        if (!schedule.months.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0);
+            continue;
+        }
+        if (!matchesDay(schedule, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0);
+            continue;
+        }
+        if (!schedule.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0);
+            continue;
+        }
+        if (!schedule.minutes.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1);
+            continue;
+        }
+        return date;
+    }
+
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    getNextRun
+};
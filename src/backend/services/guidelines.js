@@ -0,0 +1,271 @@
+/**
+ * Brand Guidelines Service
+ * The brand/product guidelines injected into the classification prompt are stored as
+ * immutable versions in the brand_guidelines table. The global guidelines of a workspace
+ * (workspace_id, no company_id) apply to all its companies; a company can have its own
+ * override versions. The latest non-retired version of a scope is the active one.
+ * Versions with neither id are used outside of workspaces (scripts).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const supabase = require('./supabase');
+
+const DEFAULT_GUIDELINES_FILE = path.join(__dirname, '../../../database/seeds/default_guidelines.md');
+const VERSION_LIST_COLUMNS = 'id, company_id, workspace_id, version, notes, created_at, retired_at';
+
+/**
+ * Restricts a brand_guidelines query to a scope
+ * @param {Object} query - Supabase query
+ * @param {string|null} companyId - Company UUID for an override, null for the global guidelines
+ * @param {string|null} workspaceId - Workspace of the global guidelines
+ * @returns {Object} - The filtered query
+ */
+function inScope(query, companyId, workspaceId) {
+    if (companyId) return query.eq('company_id', companyId);
+    query = query.is('company_id', null);
+    return workspaceId ? query.eq('workspace_id', workspaceId) : query.is('workspace_id', null);
+}
+
+/**
+ * Returns the latest version of a scope
+ * @param {string|null} companyId - Company UUID, or null for the global guidelines
+ * @param {string|null} workspaceId - Workspace of the global guidelines
+ * @returns {Promise<Object|null>} - Guideline version row or null
+ */
+async function getLatestVersion(companyId, workspaceId = null) {
+    let query = supabase
+        .from('brand_guidelines')
+        .select('*')
+        .is('retired_at', null)
+        .order('version', { ascending: false })
+        .limit(1);
+
+    query = inScope(query, companyId, workspaceId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Seeds version 1 of a workspace's global guidelines from
+ * database/seeds/default_guidelines.md when it has no global version yet
+ * @param {string|null} workspaceId - Workspace UUID
+ * @returns {Promise<Object>} - The global guideline version
+ */
+async function ensureDefaultGuidelines(workspaceId = null) {
+    const existing = await getLatestVersion(null, workspaceId);
+    if (existing) return existing;
+
+    const content = fs.readFileSync(DEFAULT_GUIDELINES_FILE, 'utf8');
+    const { data, error } = await supabase
+        .from('brand_guidelines')
+        .insert({ company_id: null, workspace_id: workspaceId, version: 1, content, notes: 'Initial guidelines' })
+        .select()
+        .single();
+
+    // Another instance seeded it at the same time (unique version per scope)
+    if (error && error.code === '23505') return getLatestVersion(null, workspaceId);
+    if (error) throw error;
+
+    console.log(`[Guidelines] Seeded global guidelines version 1${workspaceId ? ` for workspace ${workspaceId}` : ''}`);
+    return data;
+}
+
+/**
+ * Resolves the guidelines used to classify a company's content: the company
+ * override if it has one, otherwise the global guidelines of its workspace
+ * @param {string|null} companyId - Company UUID
+ * @param {string|null} workspaceId - Workspace UUID
+ * @returns {Promise<Object>} - Guideline version row with source: 'company'|'global'
+ */
+async function getActiveGuidelines(companyId = null, workspaceId = null) {
+    if (companyId) {
+        const override = await getLatestVersion(companyId);
+        if (override) return { ...override, source: 'company' };
+    }
+    const global = await ensureDefaultGuidelines(workspaceId);
+    return { ...global, source: 'global' };
+}
+
+/**
+ * Fetches one guideline version with its content
+ * @param {string} id - Guideline version UUID
+ * @returns {Promise<Object|null>} - Guideline version row or null
+ */
+async function getVersion(id) {
+    const { data, error } = await supabase
+        .from('brand_guidelines')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Lists the versions of a scope, newest first (without content)
+ * @param {string|null} companyId - Company UUID, or null for the global guidelines
+ * @param {string|null} workspaceId - Workspace of the global guidelines
+ * @returns {Promise<Array<Object>>} - Guideline version rows
+ */
+async function listVersions(companyId = null, workspaceId = null) {
+    if (!companyId) await ensureDefaultGuidelines(workspaceId);
+
+    let query = supabase
+        .from('brand_guidelines')
+        .select(VERSION_LIST_COLUMNS)
+        .order('version', { ascending: false });
+
+    query = inScope(query, companyId, workspaceId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Saves edited guidelines as the next version of a scope
+ * @param {Object} params
+ * @param {string} params.content - Full guidelines text
+ * @param {string} params.notes - Optional change note
+ * @param {string|null} params.companyId - Company UUID for an override, null for global
+ * @param {string|null} params.workspaceId - Workspace of the global guidelines
+ * @returns {Promise<Object>} - The new guideline version row
+ */
+async function createVersion({ content, notes = null, companyId = null, workspaceId = null }) {
+    if (!companyId) await ensureDefaultGuidelines(workspaceId);
+
+    // Versions are numbered per scope, including retired ones
+    let query = supabase
+        .from('brand_guidelines')
+        .select('version')
+        .order('version', { ascending: false })
+        .limit(1);
+    query = inScope(query, companyId, workspaceId);
+
+    const { data: latest, error: latestError } = await query;
+    if (latestError) throw latestError;
+    const nextVersion = latest && latest.length > 0 ? latest[0].version + 1 : 1;
+
+    const { data, error } = await supabase
+        .from('brand_guidelines')
+        .insert({ company_id: companyId, workspace_id: companyId ? null : workspaceId, version: nextVersion, content, notes })
+        .select()
+        .single();
+
+    if (error) throw error;
+    console.log(`[Guidelines] Saved ${companyId ? `override for company ${companyId}` : 'global guidelines'} version ${nextVersion}`);
+    return data;
+}
+
+/**
+ * Removes a company's override so it falls back to the global guidelines. The
+ * versions are retired rather than deleted, so messages classified with them
+ * keep their reference.
+ * @param {string} companyId - Company UUID
+ * @returns {Promise<number>} - Number of retired versions
+ */
+async function retireOverride(companyId) {
+    const { data, error } = await supabase
+        .from('brand_guidelines')
+        .update({ retired_at: new Date().toISOString() })
+        .eq('company_id', companyId)
+        .is('retired_at', null)
+        .select('id');
+
+    if (error) throw error;
+    return data ? data.length : 0;
+}
+
+/**
+ * Line-based diff of two texts using the longest common subsequence
+ * @param {string} oldText - Previous content
+ * @param {string} newText - New content
+ * @returns {Array<Object>} - [{ type: 'equal'|'added'|'removed', line }]
+ */
+function diffLines(oldText, newText) {
+    const a = (oldText || '').split('\n');
+    const b = (newText || '').split('\n');
+
+    // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            diff.push({ type: 'equal', line: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            diff.push({ type: 'removed', line: a[i++] });
+        } else {
+            diff.push({ type: 'added', line: b[j++] });
+        }
+    }
+    while (i < a.length) diff.push({ type: 'removed', line: a[i++] });
+    while (j < b.length) diff.push({ type: 'added', line: b[j++] });
+
+    return diff;
+}
+
+/**
+ * Diffs a version against another version, by default the previous version of its scope
+ * @param {string} id - Guideline version UUID
+ * @param {string} againstId - Optional version UUID to compare with
+ * @returns {Promise<Object|null>} - { from, to, diff, stats } or null if not found
+ */
+async function diffVersions(id, againstId = null) {
+    const to = await getVersion(id);
+    if (!to) return null;
+
+    let from = null;
+    if (againstId) {
+        from = await getVersion(againstId);
+        if (!from) return null;
+    } else if (to.version > 1) {
+        let query = supabase
+            .from('brand_guidelines')
+            .select('*')
+            .lt('version', to.version)
+            .order('version', { ascending: false })
+            .limit(1);
+        query = inScope(query, to.company_id, to.workspace_id);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        from = data && data.length > 0 ? data[0] : null;
+    }
+
+    const diff = diffLines(from ? from.content : '', to.content);
+    const summarize = ({ content, ...version }) => version;
+
+    return {
+        from: from ? summarize(from) : null,
+        to: summarize(to),
+        diff,
+        stats: {
+            added: diff.filter(d => d.type === 'added').length,
+            removed: diff.filter(d => d.type === 'removed').length
+        }
+    };
+}
+
+module.exports = {
+    getActiveGuidelines,
+    getVersion,
+    listVersions,
+    createVersion,
+    retireOverride,
+    diffVersions,
+    diffLines
+};
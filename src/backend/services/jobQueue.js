@@ -0,0 +1,658 @@
+/**
+ * Analysis Job Queue
+ * Analyses are stored as durable jobs in the analysis_jobs table and executed by a
+ * polling worker loop, so a browser refresh, proxy timeout or server restart no
+ * longer kills a half-finished run. Interrupted jobs resume from their last checkpoint.
+ */
+
+const EventEmitter = require('events');
+const os = require('os');
+const supabase = require('./supabase');
+const config = require('../config');
+const { runAnalysisWorkflow } = require('./workflow');
+const { rateLimiter } = require('./antiDetection');
+const { diffCompanySnapshots } = require('./snapshots');
+const webhooks = require('./webhooks');
+
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Page discovery of full-website analyses (see discoverPages in workflow.js)
+const DISCOVERY_MODES = ['homepage', 'crawl', 'sitemap'];
+const CRAWL_LIMITS = { maxPages: 200, maxDepth: 10 };
+// Include/exclude path patterns of crawls (robots.txt syntax, see WebCrawler)
+const URL_PATTERN_LIMITS = { count: 20, length: 200 };
+
+// Columns returned when listing jobs (the log and checkpoint can be large)
+const JOB_SUMMARY_COLUMNS = 'id, workspace_id, company_url, mode, status, company_id, current_phase, progress, last_message, error, attempts, page_counts, phase_timings, bypass_llm_cache, discovery, crawl_max_pages, crawl_max_depth, url_include, url_exclude, cancel_requested, started_at, finished_at, created_at, updated_at';
+
+// In-process event bus for job progress: listeners subscribe to `job:<id>`,
+// the worker running a job listens to `cancel:<id>`
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+/**
+ * Stores a new analysis job. The worker loop picks it up asynchronously.
+ * @param {Object} params
+ * @param {string} params.url - The company URL to analyze
+ * @param {Array<string>|null} params.pages - Specific pages (null for full website)
+ * @param {string} params.workspaceId - Workspace the analyzed company belongs to
+ * @param {boolean} params.bypassLlmCache - Send every LLM request to the provider instead of replaying cached responses
+ * @param {Object} params.discovery - Page discovery of a full-website analysis: { mode, maxPages, maxDepth,
+ *   include, exclude } (see validateDiscovery; defaults: DISCOVERY_MODE, MAX_CRAWL_PAGES, MAX_CRAWL_DEPTH)
+ * @returns {Promise<Object>} - The created job row
+ */
+async function enqueueAnalysis({ url, pages = null, workspaceId = null, bypassLlmCache = false, discovery = {} }) {
+    const specificPages = pages && pages.length > 0 ? pages : null;
+    const discoveryMode = discovery.mode || config.discovery.mode;
+    const crawls = discoveryMode === 'crawl' || discoveryMode === 'sitemap';
+    const patterns = list => crawls && list && list.length > 0 ? list : null;
+
+    const { data, error } = await supabase
+        .from('analysis_jobs')
+        .insert({
+            company_url: url,
+            workspace_id: workspaceId,
+            mode: specificPages ? 'specific_pages' : 'full_website',
+            pages: specificPages,
+            bypass_llm_cache: !!bypassLlmCache,
+            discovery: discoveryMode,
+            // Limits and patterns only apply to crawls; without limits the crawl uses the server's
+            crawl_max_pages: crawls ? discovery.maxPages || null : null,
+            crawl_max_depth: crawls ? discovery.maxDepth || null : null,
+            url_include: patterns(discovery.include),
+            url_exclude: patterns(discovery.exclude),
+            status: 'queued',
+            checkpoint: {}
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+    console.log(`[JobQueue] Enqueued analysis job ${data.id} for ${url}`);
+    return data;
+}
+
+/**
+ * Checks the page discovery options of a new analysis
+ * @param {Object} discovery - { mode, maxPages, maxDepth, include, exclude } (all optional)
+ * @returns {string|null} - The problem, or null if the options are valid
+ */
+function validateDiscovery({ mode, maxPages, maxDepth, include, exclude }) {
+    if (mode !== undefined && !DISCOVERY_MODES.includes(mode)) {
+        return `The discovery mode must be one of: ${DISCOVERY_MODES.join(', ')}`;
+    }
+    if (maxPages !== undefined && !(Number.isInteger(maxPages) && maxPages >= 1 && maxPages <= CRAWL_LIMITS.maxPages)) {
+        return `The crawl page limit must be an integer from 1 to ${CRAWL_LIMITS.maxPages}`;
+    }
+    if (maxDepth !== undefined && !(Number.isInteger(maxDepth) && maxDepth >= 1 && maxDepth <= CRAWL_LIMITS.maxDepth)) {
+        return `The crawl depth must be an integer from 1 to ${CRAWL_LIMITS.maxDepth}`;
+    }
+    for (const [name, list] of [['include', include], ['exclude', exclude]]) {
+        if (list === undefined) continue;
+        if (!Array.isArray(list) || list.length > URL_PATTERN_LIMITS.count) {
+            return `The ${name} patterns must be an array of at most ${URL_PATTERN_LIMITS.count} paths`;
+        }
+        if (!list.every(pattern => typeof pattern === 'string' && pattern.startsWith('/') && pattern.length <= URL_PATTERN_LIMITS.length)) {
+            return `Each ${name} pattern must be a path starting with "/" of at most ${URL_PATTERN_LIMITS.length} characters`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Fetches a single job by id
+ * @param {string} jobId - The job UUID
+ * @returns {Promise<Object|null>} - The job row or null if not found
+ */
+async function getJob(jobId) {
+    const { data, error } = await supabase
+        .from('analysis_jobs')
+        .select('*')
+        .eq('id', jobId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Lists jobs, newest first
+ * @param {Object} filters
+ * @param {string} filters.status - Only jobs in this status
+ * @param {string} filters.companyId - Only jobs of this company
+ * @param {string} filters.workspaceId - Only jobs of this workspace
+ * @param {number} filters.limit - Page size (default: 50, max: 200)
+ * @param {number} filters.offset - Number of jobs to skip
+ * @returns {Promise<Object>} - { jobs, total }
+ */
+async function listJobs({ status, companyId, workspaceId, limit = 50, offset = 0 } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const start = Math.max(parseInt(offset) || 0, 0);
+
+    let query = supabase
+        .from('analysis_jobs')
+        .select(JOB_SUMMARY_COLUMNS, { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .range(start, start + pageSize - 1);
+
+    if (status) query = query.eq('status', status);
+    if (companyId) query = query.eq('company_id', companyId);
+    if (workspaceId) query = query.eq('workspace_id', workspaceId);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    return { jobs: data || [], total: count || 0 };
+}
+
+/**
+ * Cancels a job. Queued jobs are cancelled immediately; for running jobs a cancel
+ * request is stored and the worker running it aborts its in-flight page fetches and
+ * LLM requests (right away in this process, on its next heartbeat otherwise).
+ * @param {string} jobId - The job UUID
+ * @returns {Promise<Object|null>} - The updated job row, or null if not found
+ */
+async function cancelJob(jobId) {
+    const job = await getJob(jobId);
+    if (!job || TERMINAL_STATUSES.includes(job.status)) return job;
+
+    const now = new Date().toISOString();
+
+    if (job.status === 'queued') {
+        const { data: cancelled, error } = await supabase
+            .from('analysis_jobs')
+            .update({ status: 'cancelled', cancel_requested: true, finished_at: now, updated_at: now })
+            .eq('id', jobId)
+            .eq('status', 'queued')
+            .select();
+
+        if (error) throw error;
+        if (cancelled && cancelled.length > 0) {
+            console.log(`[JobQueue] Cancelled queued job ${jobId}`);
+            emit(jobId, terminalEvent(cancelled[0]));
+            return cancelled[0];
+        }
+        // The job was claimed in the meantime, cancel it as a running job
+    }
+
+    const { data: updated, error } = await supabase
+        .from('analysis_jobs')
+        .update({ cancel_requested: true, updated_at: now })
+        .eq('id', jobId)
+        .select()
+        .single();
+
+    if (error) throw error;
+    console.log(`[JobQueue] Cancellation requested for running job ${jobId}`);
+    jobEvents.emit(`cancel:${jobId}`);
+    return updated;
+}
+
+/**
+ * Subscribes to progress events of a job. Events are delivered in-process as they
+ * happen; the job row is also polled so a job run by another instance still reaches
+ * its terminal event.
+ * @param {string} jobId - The job UUID
+ * @param {Function} listener - Receives { type: 'log'|'error'|'complete'|'failed'|'cancelled', message, progress, job }
+ * @param {Object} options
+ * @param {number} options.pollIntervalMs - How often to re-read the job row (default: 5000)
+ * @returns {Function} - Unsubscribe function
+ */
+function subscribe(jobId, listener, options = {}) {
+    const pollIntervalMs = options.pollIntervalMs || 5000;
+    let finished = false;
+
+    const handler = (event) => {
+        if (finished) return;
+        if (['complete', 'failed', 'cancelled'].includes(event.type)) finished = true;
+        listener(event);
+    };
+    jobEvents.on(`job:${jobId}`, handler);
+
+    const poll = setInterval(async () => {
+        if (finished) return;
+        try {
+            const job = await getJob(jobId);
+            if (job && TERMINAL_STATUSES.includes(job.status)) {
+                handler(terminalEvent(job));
+            }
+        } catch (error) {
+            console.warn(`[JobQueue] Failed to poll job ${jobId}:`, error.message);
+        }
+    }, pollIntervalMs);
+
+    return () => {
+        finished = true;
+        clearInterval(poll);
+        jobEvents.off(`job:${jobId}`, handler);
+    };
+}
+
+/**
+ * Builds the terminal event for a finished job row
+ * @param {Object} job - Job row in a terminal status
+ * @returns {Object} - Event for subscribers
+ */
+function terminalEvent(job) {
+    if (job.status === 'completed') {
+        return { type: 'complete', job, result: job.result || {} };
+    }
+    if (job.status === 'cancelled') {
+        return { type: 'cancelled', job, message: 'Analysis was cancelled' };
+    }
+    return { type: 'failed', job, message: job.error || 'Analysis failed' };
+}
+
+// Hostname of a company URL (the domain the rate limiter tracks), null if the URL is invalid
+function hostnameOf(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (e) {
+        return null;
+    }
+}
+
+function emit(jobId, event) {
+    jobEvents.emit(`job:${jobId}`, event);
+}
+
+/**
+ * Sends the webhook events of a finished job: analysis.completed or analysis.failed,
+ * and message.changed when a completed run differs from the company's previous one
+ * @param {Object} job - Job row in a terminal status
+ */
+async function notifyJobFinished(job) {
+    if (job.status === 'failed') {
+        await webhooks.dispatchEvent('analysis.failed', {
+            workspaceId: job.workspace_id,
+            companyId: job.company_id || null,
+            data: { job_id: job.id, company_url: job.company_url, error: job.error, current_phase: job.current_phase }
+        });
+        return;
+    }
+    if (job.status !== 'completed') return;
+
+    const result = job.result || {};
+    await webhooks.dispatchEvent('analysis.completed', {
+        workspaceId: job.workspace_id,
+        companyId: job.company_id,
+        data: { job_id: job.id, company_url: job.company_url, result }
+    });
+
+    if (!result.snapshotId) return;
+    try {
+        const diff = await diffCompanySnapshots(job.company_id, { to: result.snapshotId });
+        const { summary } = diff || {};
+        if (!summary || summary.added + summary.removed + summary.moved + summary.category_changes === 0) return;
+
+        await webhooks.dispatchEvent('message.changed', {
+            workspaceId: job.workspace_id,
+            companyId: job.company_id,
+            data: {
+                job_id: job.id,
+                from_snapshot_id: diff.from.id,
+                to_snapshot_id: diff.to.id,
+                summary,
+                added: diff.added,
+                removed: diff.removed,
+                moved: diff.moved,
+                category_changes: diff.category_changes
+            }
+        });
+    } catch (error) {
+        console.warn(`[JobQueue] Failed to diff job ${job.id} for webhooks:`, error.message);
+    }
+}
+
+/**
+ * Polling worker that claims queued jobs and runs them with bounded concurrency
+ */
+class JobWorker {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || config.analysisWorkerConcurrency;
+        this.pollIntervalMs = options.pollIntervalMs || config.analysisWorkerPollMs;
+        this.staleAfterMs = options.staleAfterMs || config.analysisJobStaleMs;
+        this.maxAttempts = options.maxAttempts || config.analysisJobMaxAttempts;
+        this.heartbeatIntervalMs = Math.max(1000, Math.floor(this.staleAfterMs / 4));
+
+        this.running = new Map(); // jobId -> Promise
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    /**
+     * Start polling for jobs
+     */
+    start() {
+        if (this.timer) return;
+        console.log(`[JobWorker] Starting worker ${WORKER_ID} (concurrency ${this.concurrency}, poll every ${this.pollIntervalMs}ms)`);
+        this.tick();
+        this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    }
+
+    /**
+     * Stop polling. Jobs already running are left to finish.
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * One polling iteration: requeue abandoned jobs, then fill free slots
+     */
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+        try {
+            await this.recoverStaleJobs();
+            while (this.running.size < this.concurrency) {
+                const job = await this.claimNext();
+                if (!job) break;
+                const promise = this.runJob(job).finally(() => this.running.delete(job.id));
+                this.running.set(job.id, promise);
+            }
+        } catch (error) {
+            console.error('[JobWorker] Poll failed:', error.message);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * Puts running jobs whose worker stopped sending heartbeats back in the queue,
+     * or fails them once they have used up their attempts
+     */
+    async recoverStaleJobs() {
+        const staleBefore = new Date(Date.now() - this.staleAfterMs).toISOString();
+        const { data: staleJobs, error } = await supabase
+            .from('analysis_jobs')
+            .select('id, attempts, locked_by, cancel_requested')
+            .eq('status', 'running')
+            .lt('heartbeat_at', staleBefore);
+
+        if (error) throw error;
+
+        for (const job of staleJobs || []) {
+            if (this.running.has(job.id)) continue;
+
+            const exhausted = job.attempts >= this.maxAttempts;
+            let update = { status: 'queued', locked_by: null };
+            if (job.cancel_requested) {
+                update = { status: 'cancelled', finished_at: new Date().toISOString(), locked_by: null };
+            } else if (exhausted) {
+                update = {
+                    status: 'failed',
+                    error: `Worker ${job.locked_by || 'unknown'} stopped responding and the job exceeded ${this.maxAttempts} attempts`,
+                    finished_at: new Date().toISOString(),
+                    locked_by: null
+                };
+            }
+
+            // Conditional update so only one worker recovers each job
+            const { data: recovered } = await supabase
+                .from('analysis_jobs')
+                .update({ ...update, updated_at: new Date().toISOString() })
+                .eq('id', job.id)
+                .eq('status', 'running')
+                .lt('heartbeat_at', staleBefore)
+                .select();
+
+            if (recovered && recovered.length > 0) {
+                console.warn(`[JobWorker] Job ${job.id} was abandoned by ${job.locked_by}; ${update.status === 'queued' ? 'requeued for resume' : `marked as ${update.status}`}`);
+                if (update.status !== 'queued') {
+                    emit(job.id, terminalEvent(recovered[0]));
+                    await notifyJobFinished(recovered[0]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Claims the oldest queued job using a compare-and-set on its status. Jobs whose domain
+     * is busy (a running job of any worker, or a screenshot batch of this instance) wait, so
+     * a site is never analyzed twice at the same time.
+     * @returns {Promise<Object|null>} - The claimed job or null if no job can start
+     */
+    async claimNext() {
+        const { data: candidates, error } = await supabase
+            .from('analysis_jobs')
+            .select('id, attempts, company_url')
+            .eq('status', 'queued')
+            .order('created_at', { ascending: true })
+            .limit(20);
+
+        if (error) throw error;
+        if (!candidates || candidates.length === 0) return null;
+
+        const { data: running, error: runningError } = await supabase
+            .from('analysis_jobs')
+            .select('company_url')
+            .eq('status', 'running');
+
+        if (runningError) throw runningError;
+        const busyHosts = new Set((running || []).map(job => hostnameOf(job.company_url)).filter(Boolean));
+
+        for (const candidate of candidates) {
+            if (rateLimiter.isDomainBusy(candidate.company_url) || busyHosts.has(hostnameOf(candidate.company_url))) {
+                continue;
+            }
+            const now = new Date().toISOString();
+            const { data: claimed } = await supabase
+                .from('analysis_jobs')
+                .update({
+                    status: 'running',
+                    locked_by: WORKER_ID,
+                    attempts: (candidate.attempts || 0) + 1,
+                    heartbeat_at: now,
+                    started_at: now,
+                    updated_at: now
+                })
+                .eq('id', candidate.id)
+                .eq('status', 'queued')
+                .select();
+
+            if (claimed && claimed.length > 0) {
+                return claimed[0];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Runs a claimed job to completion, persisting progress, the full progress log,
+     * phase timings and checkpoints
+     * @param {Object} job - The claimed job row
+     */
+    async runJob(job) {
+        console.log(`[JobWorker] Running job ${job.id} (attempt ${job.attempts}) for ${job.company_url}`);
+
+        // Aborting cancels in-flight page fetches and LLM requests of the workflow
+        const controller = new AbortController();
+        const onCancel = () => {
+            if (!controller.signal.aborted) {
+                console.log(`[JobWorker] Cancelling job ${job.id}`);
+                controller.abort();
+            }
+        };
+        jobEvents.on(`cancel:${job.id}`, onCancel);
+        if (job.cancel_requested) onCancel();
+
+        // Scheduled runs and screenshot batches wait while the domain is being analyzed
+        const releaseDomain = rateLimiter.acquireDomain(job.company_url);
+
+        // The heartbeat also picks up cancel requests made through another instance
+        const heartbeat = setInterval(() => {
+            supabase
+                .from('analysis_jobs')
+                .update({ heartbeat_at: new Date().toISOString() })
+                .eq('id', job.id)
+                .eq('locked_by', WORKER_ID)
+                .select('cancel_requested')
+                .then(({ data, error }) => {
+                    if (error) console.warn(`[JobWorker] Heartbeat failed for ${job.id}:`, error.message);
+                    if (data && data[0] && data[0].cancel_requested) onCancel();
+                })
+                .catch(error => console.warn(`[JobWorker] Heartbeat failed for ${job.id}:`, error.message));
+        }, this.heartbeatIntervalMs);
+
+        // Full progress log of the job, kept across resumed attempts
+        const log = Array.isArray(job.log) ? [...job.log] : [];
+        const phaseTimings = { ...(job.phase_timings || {}) };
+        let currentPhase = job.current_phase || null;
+
+        // Persist the latest progress and log, but not more than once every 2 seconds
+        let lastProgressWrite = 0;
+        let latestProgress = job.progress || 0;
+        const progressCallback = (type, message, progress) => {
+            if (progress !== null && progress !== undefined) latestProgress = progress;
+            log.push({ at: new Date().toISOString(), type, phase: currentPhase, message, progress });
+            emit(job.id, { type, message, progress });
+
+            const now = Date.now();
+            if (now - lastProgressWrite < 2000 && progress === null) return;
+            lastProgressWrite = now;
+            supabase
+                .from('analysis_jobs')
+                .update({ progress: latestProgress, last_message: message, log, updated_at: new Date().toISOString() })
+                .eq('id', job.id)
+                .then(({ error }) => {
+                    if (error) console.warn(`[JobWorker] Failed to save progress for ${job.id}:`, error.message);
+                })
+                .catch(error => console.warn(`[JobWorker] Failed to save progress for ${job.id}:`, error.message));
+        };
+
+        // Closes the timing entry of the phase that was running when the job stopped
+        const endPhaseTiming = (phase, outcome) => {
+            const timing = phase && phaseTimings[phase];
+            if (!timing || timing.finished_at) return;
+            timing.finished_at = new Date().toISOString();
+            timing.duration_ms = Date.parse(timing.finished_at) - Date.parse(timing.started_at);
+            timing.outcome = outcome;
+        };
+
+        try {
+            const result = await runAnalysisWorkflow(job.company_url, job.pages, progressCallback, {
+                checkpoint: job.checkpoint,
+                jobId: job.id,
+                workspaceId: job.workspace_id,
+                bypassLlmCache: !!job.bypass_llm_cache,
+                discovery: {
+                    mode: job.discovery || 'homepage',
+                    ...(job.crawl_max_pages ? { maxPages: job.crawl_max_pages } : {}),
+                    ...(job.crawl_max_depth ? { maxDepth: job.crawl_max_depth } : {}),
+                    include: job.url_include || [],
+                    exclude: job.url_exclude || []
+                },
+                signal: controller.signal,
+                onPhaseStart: (phase) => {
+                    currentPhase = phase;
+                    phaseTimings[phase] = { started_at: new Date().toISOString(), attempt: job.attempts };
+                    supabase
+                        .from('analysis_jobs')
+                        .update({ current_phase: phase, phase_timings: phaseTimings, updated_at: new Date().toISOString() })
+                        .eq('id', job.id)
+                        .then(({ error }) => {
+                            if (error) console.warn(`[JobWorker] Failed to save phase ${phase} for ${job.id}:`, error.message);
+                        })
+                        .catch(error => console.warn(`[JobWorker] Failed to save phase ${phase} for ${job.id}:`, error.message));
+                },
+                onPhaseEnd: (phase) => endPhaseTiming(phase, 'completed'),
+                onCheckpoint: async (checkpoint) => {
+                    const { error } = await supabase
+                        .from('analysis_jobs')
+                        .update({
+                            checkpoint,
+                            company_id: checkpoint.state.companyId || null,
+                            phase_timings: phaseTimings,
+                            page_counts: checkpoint.state.pageCounts || {},
+                            updated_at: new Date().toISOString()
+                        })
+                        .eq('id', job.id);
+                    if (error) throw error;
+                }
+            });
+
+            const { data: finishedJobs, error: finishError } = await supabase
+                .from('analysis_jobs')
+                .update({
+                    status: 'completed',
+                    result,
+                    company_id: result.companyId,
+                    log,
+                    phase_timings: phaseTimings,
+                    page_counts: result.pageCounts || {},
+                    progress: 100,
+                    last_message: 'Analysis workflow completed successfully.',
+                    current_phase: null,
+                    locked_by: null,
+                    finished_at: new Date().toISOString(),
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', job.id)
+                .eq('locked_by', WORKER_ID)
+                .select();
+
+            if (!finishError && (!finishedJobs || finishedJobs.length === 0)) {
+                console.warn(`[JobWorker] Job ${job.id} completed, but another worker has taken it over; result discarded`);
+                return;
+            }
+            const finishedJob = finishedJobs && finishedJobs[0];
+            console.log(`[JobWorker] Job ${job.id} completed`);
+            emit(job.id, terminalEvent(finishedJob || { ...job, status: 'completed', result }));
+            await notifyJobFinished(finishedJob || { ...job, status: 'completed', result, company_id: result.companyId });
+        } catch (error) {
+            const cancelled = controller.signal.aborted;
+            const status = cancelled ? 'cancelled' : 'failed';
+            if (cancelled) {
+                console.log(`[JobWorker] Job ${job.id} cancelled`);
+            } else {
+                console.error(`[JobWorker] Job ${job.id} failed:`, error.message);
+            }
+            endPhaseTiming(currentPhase, status);
+
+            // current_phase is kept so the history shows where the run stopped
+            const { data: stoppedJobs, error: stopError } = await supabase
+                .from('analysis_jobs')
+                .update({
+                    status,
+                    error: cancelled ? null : (error.message || 'Unknown error'),
+                    log,
+                    phase_timings: phaseTimings,
+                    locked_by: null,
+                    finished_at: new Date().toISOString(),
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', job.id)
+                .eq('locked_by', WORKER_ID)
+                .select();
+
+            if (!stopError && (!stoppedJobs || stoppedJobs.length === 0)) {
+                console.warn(`[JobWorker] Job ${job.id} ${status}, but another worker has taken it over; not recorded`);
+                return;
+            }
+            const stoppedJob = stoppedJobs && stoppedJobs[0];
+            emit(job.id, terminalEvent(stoppedJob || { ...job, status, error: error.message }));
+            await notifyJobFinished(stoppedJob || { ...job, status, error: error.message });
+        } finally {
+            clearInterval(heartbeat);
+            jobEvents.off(`cancel:${job.id}`, onCancel);
+            releaseDomain();
+        }
+    }
+}
+
+module.exports = {
+    enqueueAnalysis,
+    validateDiscovery,
+    getJob,
+    listJobs,
+    cancelJob,
+    subscribe,
+    JobWorker,
+    TERMINAL_STATUSES,
+    DISCOVERY_MODES
+};
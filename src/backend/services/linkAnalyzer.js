@@ -1,12 +1,8 @@
-const OpenAI = require('openai');
 const cheerio = require('cheerio');
-const config = require('../config');
+const llm = require('./llm');
 
-const openai = new OpenAI({
-    apiKey: config.openaiApiKey,
-});
-
-const SYSTEM_PROMPT = `# HTML Link Categorizer
+// The homepage links get the top 5 per category; a crawl of the site can keep more pages
+const buildSystemPrompt = (maxPerCategory = 5) => `# HTML Link Categorizer
 You are an expert at identifying the most important pages on a company website for brand analysis.
 Categorize the provided links into the following structure. 
 
@@ -21,7 +17,7 @@ Categorize the provided links into the following structure.
 ## Rules:
 1. Return ONLY valid JSON.
 2. Use absolute URLs.
-3. Limit each category to the top 5 most relevant links.
+3. Limit each category to the top ${maxPerCategory} most relevant links.
 4. If no links fit, return an empty array.
 
 Output Schema:
@@ -39,9 +35,15 @@ Output Schema:
  * @param {string} htmlContent - Raw HTML of the page
  * @param {string} baseUrl - The base URL of the website
  * @param {Array} preExtractedLinks - Optional links already extracted by Playwright
+ * @param {Object} options - Optional settings
+ * @param {AbortSignal} options.signal - Aborts the LLM request
+ * @param {Object} options.cache - LLM response cache options ({ bypass, stats }, see llm.complete)
+ * @param {Object} options.usage - LLM token usage counter (see llm.complete)
+ * @param {Function} options.onSchemaIssue - Called with each response schema violation (see llm.completeJson)
+ * @param {number} options.maxPerCategory - Links kept per category (default: 5)
  * @returns {Promise<Object>} - Categorized links
  */
-async function analyzeLinks(htmlContent, baseUrl, preExtractedLinks = null) {
+async function analyzeLinks(htmlContent, baseUrl, preExtractedLinks = null, options = {}) {
     try {
         const $ = cheerio.load(htmlContent);
         const links = [];
@@ -85,10 +87,9 @@ async function analyzeLinks(htmlContent, baseUrl, preExtractedLinks = null) {
         // Truncate links list to avoid token limits (max 100 links for categorization)
         const truncatedLinks = links.slice(0, 100);
 
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
+        const completion = await llm.completeJson('link_analysis', {
             messages: [
-                { role: "system", content: SYSTEM_PROMPT },
+                { role: "system", content: buildSystemPrompt(options.maxPerCategory) },
                 {
                     role: "user",
                     content: JSON.stringify({
@@ -98,11 +99,15 @@ async function analyzeLinks(htmlContent, baseUrl, preExtractedLinks = null) {
                 }
             ],
             temperature: 0,
-            response_format: { type: "json_object" }
+            signal: options.signal,
+            cache: options.cache,
+            usage: options.usage,
+            onSchemaIssue: options.onSchemaIssue
         });
 
-        return JSON.parse(completion.choices[0].message.content);
+        return completion.data;
     } catch (error) {
+        if (options.signal && options.signal.aborted) throw error;
         console.error("Error in Link Analyzer:", error.message);
         // Fallback to basic categorization if AI fails
         return {
@@ -0,0 +1,215 @@
+/**
+ * LLM Response Cache
+ * Persists LLM responses in the llm_cache table so that re-analyzing unchanged pages
+ * replays the earlier responses instead of paying for the same requests again. An entry
+ * is keyed by task, provider, model, prompt version (a hash of the system messages, which
+ * include the guidelines) and content hash (a hash of the other messages), and expires
+ * after LLM_CACHE_TTL_HOURS. The cache never fails a request: lookup and write errors are
+ * logged and the request goes to the provider.
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+
+// Expired entries are deleted at most this often (on a write)
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+let lastPurgeAt = 0;
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+// Loaded on demand: the mock provider is never cached, and the offline classifier
+// evaluation that uses it has no database
+const db = () => require('../supabase');
+
+/**
+ * Whether responses of a provider are cached. Mock responses are already recorded, and
+ * recording fixtures needs real responses.
+ * @param {string} providerName - Provider name
+ * @returns {boolean}
+ */
+function isCacheable(providerName) {
+    return config.llm.cache.enabled && providerName !== 'mock' && !config.llm.recordFixtures;
+}
+
+/**
+ * Builds the cache key of a request
+ * @param {Object} request - { task, provider, model, messages, temperature, responseFormat }
+ * @returns {Object} - { key, promptVersion, contentHash }
+ */
+function buildCacheKey({ task, provider, model, messages, temperature, responseFormat }) {
+    const prompt = messages.filter(message => message.role === 'system').map(message => message.content);
+    const content = messages.filter(message => message.role !== 'system').map(({ role, content }) => ({ role, content }));
+
+    const promptVersion = sha256(JSON.stringify(prompt)).substring(0, 16);
+    const contentHash = sha256(JSON.stringify(content));
+    const key = sha256(JSON.stringify({
+        task,
+        provider,
+        model,
+        promptVersion,
+        contentHash,
+        temperature: temperature ?? null,
+        responseFormat: responseFormat || null
+    }));
+    return { key, promptVersion, contentHash };
+}
+
+/**
+ * Returns the cached response of a request, if it has not expired
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} - { content, model, usage } or null
+ */
+async function getCachedResponse(key) {
+    try {
+        const { data, error } = await db()
+            .from('llm_cache')
+            .select('response, hit_count')
+            .eq('key', key)
+            .gt('expires_at', new Date().toISOString())
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return null;
+
+        db()
+            .from('llm_cache')
+            .update({ hit_count: (data.hit_count || 0) + 1, last_hit_at: new Date().toISOString() })
+            .eq('key', key)
+            .then(({ error: hitError }) => {
+                if (hitError) console.warn('[LLMCache] Failed to count hit:', hitError.message);
+            });
+
+        return data.response;
+    } catch (error) {
+        console.warn('[LLMCache] Lookup failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Stores a response. Responses requested as JSON are only stored when they parse, so a
+ * malformed response is requested again instead of being replayed.
+ * @param {Object} entry - { key, promptVersion, contentHash, task, provider, model, responseFormat }
+ * @param {Object} response - Provider response: { content, model, usage }
+ */
+async function storeResponse(entry, response) {
+    if (entry.responseFormat === 'json') {
+        try {
+            JSON.parse(response.content);
+        } catch (e) {
+            return;
+        }
+    }
+
+    try {
+        const now = Date.now();
+        const { error } = await db()
+            .from('llm_cache')
+            .upsert({
+                key: entry.key,
+                task: entry.task,
+                provider: entry.provider,
+                model: entry.model,
+                prompt_version: entry.promptVersion,
+                content_hash: entry.contentHash,
+                response: { content: response.content, model: response.model, usage: response.usage },
+                hit_count: 0,
+                created_at: new Date(now).toISOString(),
+                last_hit_at: null,
+                expires_at: new Date(now + config.llm.cache.ttlHours * 60 * 60 * 1000).toISOString()
+            }, { onConflict: 'key' });
+
+        if (error) throw error;
+        if (now - lastPurgeAt > PURGE_INTERVAL_MS) {
+            lastPurgeAt = now;
+            await purgeExpired();
+        }
+    } catch (error) {
+        console.warn('[LLMCache] Failed to store response:', error.message);
+    }
+}
+
+/**
+ * Deletes the response of a request (e.g. a cached response that fails its JSON Schema)
+ * @param {string} key - Cache key
+ */
+async function deleteResponse(key) {
+    try {
+        const { error } = await db()
+            .from('llm_cache')
+            .delete()
+            .eq('key', key);
+
+        if (error) throw error;
+    } catch (error) {
+        console.warn('[LLMCache] Failed to delete response:', error.message);
+    }
+}
+
+/**
+ * Deletes the expired entries
+ * @returns {Promise<number>} - Number of deleted entries
+ */
+async function purgeExpired() {
+    const { data, error } = await db()
+        .from('llm_cache')
+        .delete()
+        .lt('expires_at', new Date().toISOString())
+        .select('key');
+
+    if (error) throw error;
+    const count = (data || []).length;
+    if (count > 0) console.log(`[LLMCache] Deleted ${count} expired entries`);
+    return count;
+}
+
+/**
+ * Creates a hit/miss counter for the LLM requests of a run (passed as cache.stats)
+ * @returns {Object} - { hits, misses, bypassed, savedInputTokens, savedOutputTokens }
+ */
+function createCacheStats() {
+    return { hits: 0, misses: 0, bypassed: 0, savedInputTokens: 0, savedOutputTokens: 0 };
+}
+
+/**
+ * Adds the counts of one stats object to another
+ * @param {Object} total - Stats that are incremented
+ * @param {Object} stats - Stats to add
+ * @returns {Object} - total
+ */
+function addCacheStats(total, stats) {
+    for (const [name, value] of Object.entries(stats)) {
+        total[name] = (total[name] || 0) + value;
+    }
+    return total;
+}
+
+/**
+ * Describes hit/miss counts for the job log
+ * @param {Object} stats - Cache stats
+ * @returns {string} - e.g. "4 hits, 1 miss (80% hit rate, 12,300 tokens saved)"
+ */
+function describeCacheStats({ hits, misses, bypassed, savedInputTokens, savedOutputTokens }) {
+    const parts = [`${hits} ${hits === 1 ? 'hit' : 'hits'}`, `${misses} ${misses === 1 ? 'miss' : 'misses'}`];
+    if (bypassed > 0) parts.push(`${bypassed} bypassed`);
+
+    const lookups = hits + misses;
+    const details = [];
+    if (lookups > 0) details.push(`${Math.round((hits / lookups) * 100)}% hit rate`);
+    if (savedInputTokens + savedOutputTokens > 0) {
+        details.push(`${(savedInputTokens + savedOutputTokens).toLocaleString('en-US')} tokens saved`);
+    }
+    return `${parts.join(', ')}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+}
+
+module.exports = {
+    isCacheable,
+    buildCacheKey,
+    getCachedResponse,
+    deleteResponse,
+    storeResponse,
+    purgeExpired,
+    createCacheStats,
+    addCacheStats,
+    describeCacheStats
+};
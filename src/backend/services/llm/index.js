@@ -0,0 +1,224 @@
+/**
+ * LLM Provider Layer
+ * Single entry point for all LLM calls. Each task (classification, link_analysis,
+ * categorization, extraction) is routed to the provider and model configured for it,
+ * so e.g. link categorization can run on a cheaper model than classification.
+ * Structured outputs are requested with completeJson, which validates them against the
+ * task's JSON Schema.
+ */
+
+const config = require('../../config');
+const OpenAIProvider = require('./providers/openai');
+const AzureOpenAIProvider = require('./providers/azure');
+const AnthropicProvider = require('./providers/anthropic');
+const { MockProvider, RecordingProvider } = require('./providers/mock');
+const responseCache = require('./cache');
+const { recordUsage } = require('./pricing');
+const { getSchema, validateResponse } = require('./schemas');
+
+const providers = new Map(); // provider name -> instance
+
+/**
+ * Creates the adapter for a provider name
+ * @param {string} name - openai, azure, anthropic, openai_compatible or mock
+ * @returns {Object} - Provider with complete(request)
+ */
+function createProvider(name) {
+    switch (name) {
+        case 'openai':
+            return new OpenAIProvider({ apiKey: config.openaiApiKey });
+        case 'azure':
+            return new AzureOpenAIProvider(config.llm.azure);
+        case 'anthropic':
+            return new AnthropicProvider(config.llm.anthropic);
+        case 'openai_compatible':
+            return new OpenAIProvider({
+                name: 'openai_compatible',
+                apiKey: config.llm.openaiCompatible.apiKey,
+                baseURL: config.llm.openaiCompatible.baseUrl
+            });
+        case 'mock':
+            return new MockProvider({ fixturesDir: config.llm.mockFixturesDir });
+        default:
+            throw new Error(`Unknown LLM provider: ${name}`);
+    }
+}
+
+/**
+ * Returns the (cached) provider instance for a provider name
+ * @param {string} name - Provider name
+ * @returns {Object} - Provider instance
+ */
+function getProvider(name) {
+    if (!providers.has(name)) {
+        let provider = createProvider(name);
+        if (config.llm.recordFixtures && name !== 'mock') {
+            provider = new RecordingProvider(provider, config.llm.mockFixturesDir);
+        }
+        providers.set(name, provider);
+    }
+    return providers.get(name);
+}
+
+/**
+ * Drops the provider instances, so the next request creates them from the current
+ * configuration (the classifier evaluation switches provider and fixtures between runs)
+ */
+function resetProviders() {
+    providers.clear();
+}
+
+/**
+ * Returns the provider and model configured for a task
+ * @param {string} task - Task name
+ * @returns {Object} - { provider, model }
+ */
+function getTaskConfig(task) {
+    const taskConfig = config.llm.tasks[task];
+    if (!taskConfig) {
+        throw new Error(`Unknown LLM task: ${task}`);
+    }
+    return taskConfig;
+}
+
+/**
+ * Sends a chat completion request for a task. Responses are cached (see ./cache): an
+ * identical request replays the stored response without calling the provider. The token
+ * usage of the request is added to request.usage (see ./pricing).
+ * @param {string} task - Task name (classification, link_analysis, categorization, extraction)
+ * @param {Object} request
+ * @param {Array<Object>} request.messages - Chat messages: [{ role: 'system'|'user'|'assistant', content }]
+ * @param {number} request.temperature - Sampling temperature
+ * @param {string} request.responseFormat - 'json' to request a JSON object, omit for text
+ * @param {AbortSignal} request.signal - Aborts the request
+ * @param {Object} request.cache - Cache options
+ * @param {boolean} request.cache.bypass - Skip the cached response (the new one is still stored)
+ * @param {Object} request.cache.stats - Hit/miss counter from createCacheStats
+ * @param {Object} request.usage - Usage counter from createUsageRecorder
+ * @param {Function} request.validate - (content) => boolean; only valid responses are stored, and a
+ *   cached response that is no longer valid is deleted and requested again
+ * @returns {Promise<Object>} - { content, provider, model, usage: { inputTokens, outputTokens }, cached }
+ */
+async function complete(task, { messages, temperature, responseFormat, signal, cache = {}, usage = null, validate = null }) {
+    const { provider: providerName, model } = getTaskConfig(task);
+    const provider = getProvider(providerName);
+    const stats = cache.stats || null;
+
+    let cacheEntry = null;
+    if (responseCache.isCacheable(provider.name)) {
+        cacheEntry = {
+            ...responseCache.buildCacheKey({ task, provider: provider.name, model, messages, temperature, responseFormat }),
+            task,
+            provider: provider.name,
+            model,
+            responseFormat
+        };
+
+        if (cache.bypass) {
+            if (stats) stats.bypassed++;
+        } else {
+            let cached = await responseCache.getCachedResponse(cacheEntry.key);
+            if (cached && validate && !validate(cached.content)) {
+                await responseCache.deleteResponse(cacheEntry.key);
+                cached = null;
+            }
+            if (cached) {
+                if (signal) signal.throwIfAborted();
+                if (stats) {
+                    stats.hits++;
+                    stats.savedInputTokens += (cached.usage && cached.usage.inputTokens) || 0;
+                    stats.savedOutputTokens += (cached.usage && cached.usage.outputTokens) || 0;
+                }
+                if (usage) recordUsage(usage, { task, provider: provider.name, model, usage: cached.usage, cached: true });
+                return { ...cached, provider: provider.name, cached: true };
+            }
+            if (stats) stats.misses++;
+        }
+    }
+
+    const response = await provider.complete({ task, model, messages, temperature, responseFormat, signal });
+    if (usage) recordUsage(usage, { task, provider: provider.name, model, usage: response.usage, cached: false });
+    if (cacheEntry && (!validate || validate(response.content))) await responseCache.storeResponse(cacheEntry, response);
+    return { ...response, provider: provider.name, cached: false };
+}
+
+/**
+ * Sends a request for a task's structured output and validates the response against the
+ * task's JSON Schema (see ./schemas). An invalid response is sent back to the model with
+ * the problems found, up to LLM_SCHEMA_REPAIR_ATTEMPTS times; a response that is still
+ * invalid fails the request. Violations and repairs are reported to request.onSchemaIssue.
+ * @param {string} task - Task name with a schema (classification, link_analysis, categorization)
+ * @param {Object} request - As for complete (the response format is always JSON)
+ * @param {Function} request.onSchemaIssue - Called with the description of each violation or repair
+ * @returns {Promise<Object>} - The completion (see complete) with the validated output as data
+ */
+async function completeJson(task, { messages, onSchemaIssue = null, ...request }) {
+    const report = (message) => {
+        console.warn(`[LLM] ${message}`);
+        if (onSchemaIssue) onSchemaIssue(message);
+    };
+    const reasks = count => `${count} re-ask${count === 1 ? '' : 's'}`;
+    const maxRepairs = config.llm.schemaRepairAttempts;
+    let conversation = messages;
+
+    for (let attempt = 0; ; attempt++) {
+        const completion = await complete(task, {
+            ...request,
+            messages: conversation,
+            responseFormat: 'json',
+            // Responses that fail the schema are not cached, or each replay would re-ask again
+            validate: content => !validateResponse(task, content).problems
+        });
+        const { value, repaired, problems } = validateResponse(task, completion.content);
+
+        if (!problems) {
+            if (repaired) report(`${task} response had text around the JSON object, which was removed`);
+            if (attempt > 0) report(`${task} response is valid after ${reasks(attempt)}`);
+            return { ...completion, data: value };
+        }
+
+        const description = `${task} response does not match its schema: ${problems.join('; ')}`;
+        if (attempt >= maxRepairs) {
+            report(maxRepairs > 0 ? `${description} (still invalid after ${reasks(attempt)})` : description);
+            const error = new Error(description);
+            error.schemaProblems = problems;
+            throw error;
+        }
+
+        report(`${description}; asking the model to correct it (${attempt + 1}/${maxRepairs})`);
+        conversation = [
+            ...messages,
+            { role: 'assistant', content: completion.content },
+            {
+                role: 'user',
+                content: `Your response does not match the required JSON Schema:\n- ${problems.join('\n- ')}\n\n`
+                    + `Schema:\n${JSON.stringify(getSchema(task))}\n\nReturn the complete corrected JSON object only.`
+            }
+        ];
+    }
+}
+
+/**
+ * Describes the provider, model and credential status of every task (for health checks)
+ * @returns {Object} - { task: { provider, model, configured } }
+ */
+function describeTasks() {
+    const tasks = {};
+    for (const [task, { provider, model }] of Object.entries(config.llm.tasks)) {
+        const envVars = config.llm.providerEnvVars[provider] || [];
+        tasks[task] = {
+            provider,
+            model,
+            configured: config.llm.providers.includes(provider) && !!model && envVars.every(name => !!process.env[name])
+        };
+    }
+    return tasks;
+}
+
+module.exports = {
+    complete,
+    completeJson,
+    getProvider,
+    resetProviders,
+    describeTasks
+};
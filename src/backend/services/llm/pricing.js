@@ -0,0 +1,126 @@
+/**
+ * LLM Token Usage and Pricing
+ * Counts the tokens of the LLM requests of a run, per task, provider and model, and prices
+ * them from the model price table (config.llm.prices, USD per million tokens). Responses
+ * replayed from the response cache are counted as cached requests without tokens: nothing
+ * was consumed for them.
+ */
+
+const config = require('../../config');
+
+/**
+ * Returns the price of a model: an exact entry of the price table, or else the longest
+ * entry the model name starts with (so gpt-4o-mini-2024-07-18 is priced as gpt-4o-mini)
+ * @param {string} model - Model name
+ * @returns {Object|null} - { input, output } in USD per million tokens, or null if unknown
+ */
+function getModelPrice(model) {
+    const prices = config.llm.prices;
+    if (!model) return null;
+    if (prices[model]) return prices[model];
+
+    const prefix = Object.keys(prices)
+        .filter(name => model.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? prices[prefix] : null;
+}
+
+/**
+ * Prices a number of tokens
+ * @param {string} model - Model name
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Completion tokens
+ * @returns {number|null} - Cost in USD, or null if the model has no price
+ */
+function priceTokens(model, inputTokens, outputTokens) {
+    const price = getModelPrice(model);
+    if (!price) return null;
+    return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+}
+
+/**
+ * Creates a usage counter for the LLM requests of a run (passed as usage to llm.complete)
+ * @returns {Object} - { entries: { '<task>|<provider>|<model>': entry } }
+ */
+function createUsageRecorder() {
+    return { entries: {} };
+}
+
+/**
+ * Adds a completed request to a usage counter
+ * @param {Object} recorder - Counter from createUsageRecorder
+ * @param {Object} request - { task, provider, model, usage: { inputTokens, outputTokens }, cached }
+ */
+function recordUsage(recorder, { task, provider, model, usage, cached }) {
+    const key = `${task}|${provider}|${model}`;
+    if (!recorder.entries[key]) {
+        recorder.entries[key] = { task, provider, model, requests: 0, cachedRequests: 0, inputTokens: 0, outputTokens: 0 };
+    }
+
+    const entry = recorder.entries[key];
+    entry.requests++;
+    if (cached) {
+        entry.cachedRequests++;
+        return;
+    }
+    entry.inputTokens += (usage && usage.inputTokens) || 0;
+    entry.outputTokens += (usage && usage.outputTokens) || 0;
+}
+
+/**
+ * Lists the entries of a usage counter with their cost
+ * @param {Object} recorder - Counter from createUsageRecorder
+ * @returns {Array<Object>} - [{ task, provider, model, requests, cachedRequests, inputTokens, outputTokens, costUsd }]
+ */
+function getUsageEntries(recorder) {
+    return Object.values(recorder.entries).map(entry => ({
+        ...entry,
+        costUsd: priceTokens(entry.model, entry.inputTokens, entry.outputTokens)
+    }));
+}
+
+/**
+ * Adds up usage entries. Tokens of models without a price are counted in unpricedTokens
+ * and left out of the cost.
+ * @param {Array<Object>} entries - Entries with requests, cachedRequests, inputTokens, outputTokens, costUsd
+ * @returns {Object} - { requests, cachedRequests, inputTokens, outputTokens, costUsd, unpricedTokens }
+ */
+function summarizeUsage(entries) {
+    const summary = { requests: 0, cachedRequests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpricedTokens: 0 };
+    for (const entry of entries) {
+        summary.requests += entry.requests;
+        summary.cachedRequests += entry.cachedRequests;
+        summary.inputTokens += entry.inputTokens;
+        summary.outputTokens += entry.outputTokens;
+        if (entry.costUsd === null || entry.costUsd === undefined) {
+            summary.unpricedTokens += entry.inputTokens + entry.outputTokens;
+        } else {
+            summary.costUsd += entry.costUsd;
+        }
+    }
+    return summary;
+}
+
+/**
+ * Describes a usage summary for the job log
+ * @param {Object} summary - From summarizeUsage
+ * @returns {string} - e.g. "5 requests (2 cached), 12,000 input + 800 output tokens, $0.0023"
+ */
+function describeUsage({ requests, cachedRequests, inputTokens, outputTokens, costUsd, unpricedTokens }) {
+    const format = number => number.toLocaleString('en-US');
+    let text = `${requests} ${requests === 1 ? 'request' : 'requests'}`;
+    if (cachedRequests > 0) text += ` (${cachedRequests} cached)`;
+    text += `, ${format(inputTokens)} input + ${format(outputTokens)} output tokens, $${costUsd.toFixed(4)}`;
+    if (unpricedTokens > 0) text += ` (${format(unpricedTokens)} tokens of models without a price)`;
+    return text;
+}
+
+module.exports = {
+    getModelPrice,
+    priceTokens,
+    createUsageRecorder,
+    recordUsage,
+    getUsageEntries,
+    summarizeUsage,
+    describeUsage
+};
@@ -0,0 +1,81 @@
+const axios = require('axios');
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Messages API adapter (called over HTTP, no SDK dependency).
+ * JSON mode is emulated with a system instruction and by prefilling the reply with "{".
+ */
+class AnthropicProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.apiKey - Anthropic API key
+     * @param {number} options.maxTokens - Maximum output tokens per request
+     */
+    constructor({ apiKey, maxTokens = 4096 }) {
+        this.name = 'anthropic';
+        this.apiKey = apiKey;
+        this.maxTokens = maxTokens;
+    }
+
+    /**
+     * @param {Object} request - { model, messages, temperature, responseFormat, signal }
+     * @returns {Promise<Object>} - { content, model, usage }
+     */
+    async complete({ model, messages, temperature, responseFormat, signal }) {
+        const json = responseFormat === 'json';
+
+        // Anthropic takes the system prompt separately from the conversation
+        const system = messages
+            .filter(m => m.role === 'system')
+            .map(m => m.content)
+            .concat(json ? ['Respond with a single valid JSON object and nothing else.'] : [])
+            .join('\n\n');
+        const conversation = messages
+            .filter(m => m.role !== 'system')
+            .map(m => ({ role: m.role, content: m.content }));
+        if (json) conversation.push({ role: 'assistant', content: '{' });
+
+        const body = { model, max_tokens: this.maxTokens, messages: conversation };
+        if (system) body.system = system;
+        if (temperature !== undefined) body.temperature = temperature;
+
+        let response;
+        try {
+            response = await axios.post(API_URL, body, {
+                headers: {
+                    'x-api-key': this.apiKey,
+                    'anthropic-version': API_VERSION,
+                    'content-type': 'application/json'
+                },
+                signal
+            });
+        } catch (error) {
+            // Expose the HTTP status like the OpenAI SDK so callers' 429 retries keep working
+            if (error.response) {
+                const apiMessage = error.response.data && error.response.data.error && error.response.data.error.message;
+                const apiError = new Error(`Anthropic API error ${error.response.status}: ${apiMessage || error.message}`);
+                apiError.status = error.response.status;
+                throw apiError;
+            }
+            throw error;
+        }
+
+        const text = response.data.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+
+        return {
+            content: json ? `{${text}` : text,
+            model: response.data.model || model,
+            usage: {
+                inputTokens: response.data.usage ? response.data.usage.input_tokens : null,
+                outputTokens: response.data.usage ? response.data.usage.output_tokens : null
+            }
+        };
+    }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,46 @@
+const OpenAIProvider = require('./openai');
+
+/**
+ * Azure OpenAI adapter. The task's model is the name of the Azure deployment;
+ * Azure routes by deployment in the URL, so one client is kept per deployment.
+ */
+class AzureOpenAIProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.endpoint - Resource endpoint, e.g. https://my-resource.openai.azure.com
+     * @param {string} options.apiKey - Azure OpenAI key
+     * @param {string} options.apiVersion - API version, e.g. 2024-06-01
+     */
+    constructor({ endpoint, apiKey, apiVersion }) {
+        this.name = 'azure';
+        this.endpoint = endpoint.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.apiVersion = apiVersion;
+        this.deployments = new Map(); // deployment -> OpenAIProvider
+    }
+
+    getDeployment(deployment) {
+        if (!this.deployments.has(deployment)) {
+            this.deployments.set(deployment, new OpenAIProvider({
+                name: this.name,
+                apiKey: this.apiKey,
+                baseURL: `${this.endpoint}/openai/deployments/${encodeURIComponent(deployment)}`,
+                clientOptions: {
+                    defaultQuery: { 'api-version': this.apiVersion },
+                    defaultHeaders: { 'api-key': this.apiKey }
+                }
+            }));
+        }
+        return this.deployments.get(deployment);
+    }
+
+    /**
+     * @param {Object} request - { model (deployment), messages, temperature, responseFormat, signal }
+     * @returns {Promise<Object>} - { content, model, usage }
+     */
+    async complete(request) {
+        return this.getDeployment(request.model).complete(request);
+    }
+}
+
+module.exports = AzureOpenAIProvider;
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Builds the fixture key of a request: a hash of everything that determines the
+ * response except the provider and model, so recordings replay under any provider
+ * @param {Object} request - { task, messages, temperature, responseFormat }
+ * @returns {string} - Hex sha256
+ */
+function fixtureKey({ task, messages, temperature, responseFormat }) {
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify({ task, messages, temperature: temperature ?? null, responseFormat: responseFormat || null }))
+        .digest('hex');
+}
+
+/**
+ * Deterministic provider for tests: replays responses recorded in the fixtures
+ * directory and fails loudly for requests that were never recorded
+ */
+class MockProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.fixturesDir - Directory with recorded <key>.json fixtures
+     */
+    constructor({ fixturesDir }) {
+        this.name = 'mock';
+        this.fixturesDir = fixturesDir;
+    }
+
+    async complete(request) {
+        if (request.signal) request.signal.throwIfAborted();
+
+        const key = fixtureKey(request);
+        const file = path.join(this.fixturesDir, `${key}.json`);
+        if (!fs.existsSync(file)) {
+            throw new Error(`[LLM] No recorded response for ${request.task} request ${key} in ${this.fixturesDir}. Record it with LLM_RECORD_FIXTURES=true.`);
+        }
+
+        const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return {
+            content: fixture.response.content,
+            model: fixture.response.model || 'mock',
+            usage: fixture.response.usage || { inputTokens: null, outputTokens: null }
+        };
+    }
+}
+
+/**
+ * Wraps a real provider and writes each response to the fixtures directory so it
+ * can later be replayed by MockProvider
+ */
+class RecordingProvider {
+    /**
+     * @param {Object} provider - The provider whose responses are recorded
+     * @param {string} fixturesDir - Directory to write fixtures to
+     */
+    constructor(provider, fixturesDir) {
+        this.name = provider.name;
+        this.provider = provider;
+        this.fixturesDir = fixturesDir;
+    }
+
+    async complete(request) {
+        const response = await this.provider.complete(request);
+
+        const key = fixtureKey(request);
+        const { signal, ...recordedRequest } = request;
+        fs.mkdirSync(this.fixturesDir, { recursive: true });
+        fs.writeFileSync(
+            path.join(this.fixturesDir, `${key}.json`),
+            JSON.stringify({ key, provider: this.provider.name, request: recordedRequest, response }, null, 2)
+        );
+        console.log(`[LLM] Recorded ${request.task} response as fixture ${key}`);
+
+        return response;
+    }
+}
+
+module.exports = { MockProvider, RecordingProvider, fixtureKey };
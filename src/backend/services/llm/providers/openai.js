@@ -0,0 +1,46 @@
+const OpenAI = require('openai');
+
+/**
+ * OpenAI chat completions adapter. Also used for OpenAI-compatible local servers
+ * (Ollama, llama.cpp, vLLM) by passing their baseURL.
+ */
+class OpenAIProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Provider name used in logs and results
+     * @param {string} options.apiKey - API key (local servers usually accept any value)
+     * @param {string} options.baseURL - Optional API base URL
+     * @param {Object} options.clientOptions - Extra options for the OpenAI client
+     */
+    constructor({ name = 'openai', apiKey, baseURL, clientOptions = {} }) {
+        this.name = name;
+        this.client = new OpenAI({
+            apiKey,
+            ...(baseURL ? { baseURL } : {}),
+            ...clientOptions
+        });
+    }
+
+    /**
+     * @param {Object} request - { model, messages, temperature, responseFormat, signal }
+     * @returns {Promise<Object>} - { content, model, usage }
+     */
+    async complete({ model, messages, temperature, responseFormat, signal }) {
+        const body = { model, messages };
+        if (temperature !== undefined) body.temperature = temperature;
+        if (responseFormat === 'json') body.response_format = { type: 'json_object' };
+
+        const completion = await this.client.chat.completions.create(body, { signal });
+
+        return {
+            content: completion.choices[0].message.content,
+            model: completion.model || model,
+            usage: {
+                inputTokens: completion.usage ? completion.usage.prompt_tokens : null,
+                outputTokens: completion.usage ? completion.usage.completion_tokens : null
+            }
+        };
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,140 @@
+/**
+ * LLM Response Schemas
+ * JSON Schemas of the structured outputs of the LLM tasks, and the parsing and validation
+ * of responses against them (see completeJson in ./index). A response that is not valid
+ * JSON gets a local repair first (markdown fences and text around the object removed).
+ */
+
+const Ajv = require('ajv');
+
+// Values of brand_messages.message_type (see services/messages.js)
+const MESSAGE_TYPES = ['Brand Message', 'Alternative Brand Phrase', 'Product Message'];
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const urlList = { type: 'array', items: { type: 'string', pattern: '^https?://' } };
+
+const SCHEMAS = {
+    // classifier.js: messages extracted from a chunk of pages
+    classification: {
+        type: 'object',
+        required: ['messages'],
+        properties: {
+            messages: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['Message Type', 'Message', 'Locations'],
+                    properties: {
+                        'Message Type': { enum: MESSAGE_TYPES },
+                        Message: { type: 'string', minLength: 1 },
+                        Count: { type: 'integer', minimum: 0 },
+                        Reasoning: { type: 'string' },
+                        Locations: stringList
+                    }
+                }
+            }
+        }
+    },
+    // linkAnalyzer.js: absolute URLs of the homepage links per category
+    link_analysis: {
+        type: 'object',
+        properties: {
+            homepage: urlList,
+            product_pages: urlList,
+            about_pages: urlList,
+            contact_pages: urlList,
+            insights_pages: urlList,
+            careers_pages: urlList
+        }
+    },
+    // messageCategorizer.js: theme categories with the ids of their messages
+    categorization: {
+        type: 'object',
+        required: ['categories'],
+        properties: {
+            categories: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['name', 'message_ids'],
+                    properties: {
+                        name: { type: 'string', minLength: 1 },
+                        description: { type: 'string' },
+                        message_ids: stringList
+                    }
+                }
+            }
+        }
+    }
+};
+
+// Problems listed per invalid response (the first ones are enough to correct it)
+const MAX_PROBLEMS = 5;
+
+const ajv = new Ajv({ allErrors: true });
+const validators = new Map(); // task -> compiled schema
+
+/**
+ * Returns the schema of a task's output
+ * @param {string} task - Task name
+ * @returns {Object} - JSON Schema
+ */
+function getSchema(task) {
+    const schema = SCHEMAS[task];
+    if (!schema) {
+        throw new Error(`No response schema for LLM task: ${task}`);
+    }
+    return schema;
+}
+
+/**
+ * Parses a JSON response, removing markdown fences and text around the object if needed
+ * @param {string} text - Response content
+ * @returns {Object} - { value, repaired } or { error } if it is not JSON
+ */
+function parseJsonResponse(text) {
+    try {
+        return { value: JSON.parse(text), repaired: false };
+    } catch (error) {
+        const unfenced = String(text || '').replace(/```(?:json)?/gi, '');
+        const start = unfenced.indexOf('{');
+        const end = unfenced.lastIndexOf('}');
+        if (start !== -1 && end > start) {
+            try {
+                return { value: JSON.parse(unfenced.substring(start, end + 1)), repaired: true };
+            } catch (e) {
+                // Not recoverable, report the original parse error
+            }
+        }
+        return { error: `not valid JSON (${error.message})` };
+    }
+}
+
+/**
+ * Parses a response and validates it against the schema of its task
+ * @param {string} task - Task name
+ * @param {string} text - Response content
+ * @returns {Object} - { value, repaired, problems } where problems is null for a valid response
+ */
+function validateResponse(task, text) {
+    if (!validators.has(task)) validators.set(task, ajv.compile(getSchema(task)));
+    const validate = validators.get(task);
+
+    const { value, repaired, error } = parseJsonResponse(text);
+    if (error) return { value: null, repaired: false, problems: [error] };
+    if (validate(value)) return { value, repaired, problems: null };
+
+    const problems = validate.errors
+        .slice(0, MAX_PROBLEMS)
+        .map(problem => `${problem.instancePath || '/'} ${problem.message}`);
+    if (validate.errors.length > MAX_PROBLEMS) problems.push(`and ${validate.errors.length - MAX_PROBLEMS} more`);
+    return { value, repaired, problems };
+}
+
+module.exports = {
+    MESSAGE_TYPES,
+    SCHEMAS,
+    getSchema,
+    parseJsonResponse,
+    validateResponse
+};
@@ -1,18 +1,18 @@
-const OpenAI = require('openai');
-const config = require('../config');
 const supabase = require('./supabase');
-
-const openai = new OpenAI({
-    apiKey: config.openaiApiKey,
-});
+const llm = require('./llm');
 
 /**
  * Main entry point for categorizing messages
  * @param {string} companyId - The company UUID
  * @param {Array} messages - Array of message objects with id, content, message_type
+ * @param {Object} options - Optional settings
+ * @param {AbortSignal} options.signal - Aborts the LLM request
+ * @param {Object} options.cache - LLM response cache options ({ bypass, stats }, see llm.complete)
+ * @param {Object} options.usage - LLM token usage counter (see llm.complete)
+ * @param {Function} options.onSchemaIssue - Called with each response schema violation (see llm.completeJson)
  * @returns {Promise<Object>} - Categorized result with categories array
  */
-async function categorizeMessages(companyId, messages) {
+async function categorizeMessages(companyId, messages, options = {}) {
     try {
         console.log(`[Categorizer] Starting categorization for company ${companyId} with ${messages.length} messages`);
 
@@ -25,8 +25,8 @@ async function categorizeMessages(companyId, messages) {
         const prompt = generateCategoriesPrompt(messages);
         console.log(`[Categorizer] Generated prompt (${prompt.length} chars)`);
 
-        // Call OpenAI
-        const aiResponse = await callOpenAIForCategorization(prompt);
+        // Call the LLM configured for categorization
+        const aiResponse = await callLLMForCategorization(prompt, options);
         console.log('[Categorizer] Received AI response');
 
         // Validate and normalize
@@ -45,7 +45,7 @@ async function categorizeMessages(companyId, messages) {
 }
 
 /**
- * Generates the prompt for OpenAI to categorize messages
+ * Generates the prompt for the LLM to categorize messages
  * @param {Array} messages - Array of message objects
  * @returns {string} - Formatted prompt string
  */
@@ -172,15 +172,15 @@ REMEMBER: Think about what the messages are TALKING ABOUT. Group messages that s
 }
 
 /**
- * Calls OpenAI API for categorization
+ * Calls the categorization LLM
  * @param {string} prompt - The prompt to send
+ * @param {Object} options - Optional settings ({ signal, cache, usage, onSchemaIssue })
  * @param {number} retries - Number of retries remaining
- * @returns {Promise<Object>} - Parsed JSON response
+ * @returns {Promise<Object>} - Response validated against the categorization schema
  */
-async function callOpenAIForCategorization(prompt, retries = 3) {
+async function callLLMForCategorization(prompt, options = {}, retries = 3) {
     try {
-        const completion = await openai.chat.completions.create({
-            model: 'gpt-4o-mini',
+        const completion = await llm.completeJson('categorization', {
             messages: [
                 {
                     role: 'system',
@@ -232,43 +232,35 @@ Remember: Completeness and accuracy of message ID mapping is MANDATORY. Missing
                 }
             ],
             temperature: 0.3,
-            response_format: { type: 'json_object' }
+            signal: options.signal,
+            cache: options.cache,
+            usage: options.usage,
+            onSchemaIssue: options.onSchemaIssue
         });
 
-        const responseText = completion.choices[0].message.content;
-        const parsed = JSON.parse(responseText);
-
-        return parsed;
+        return completion.data;
     } catch (error) {
+        if (options.signal && options.signal.aborted) throw error;
+
         if (error.status === 429 && retries > 0) {
             console.warn(`[Categorizer] Rate limit hit. Retrying in ${4 - retries} seconds...`);
             await new Promise(resolve => setTimeout(resolve, (4 - retries) * 2000));
-            return callOpenAIForCategorization(prompt, retries - 1);
-        }
-
-        if (error.message.includes('JSON') && retries > 0) {
-            console.warn(`[Categorizer] JSON parse error. Retrying...`);
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            return callOpenAIForCategorization(prompt, retries - 1);
+            return callLLMForCategorization(prompt, options, retries - 1);
         }
 
-        console.error('[Categorizer] OpenAI API error:', error.message);
-        throw new Error(`OpenAI API failed: ${error.message}`);
+        console.error('[Categorizer] LLM API error:', error.message);
+        throw new Error(`LLM request failed: ${error.message}`);
     }
 }
 
 /**
- * Validates and normalizes the AI response
- * @param {Object} aiResponse - Raw AI response
+ * Normalizes the AI response: the categorization schema guarantees its shape, this checks
+ * the message IDs and category names against the input
+ * @param {Object} aiResponse - AI response, validated against the categorization schema
  * @param {Array<string>} expectedMessageIds - Array of expected message IDs
  * @returns {Promise<Object>} - Validated and normalized structure
  */
 async function validateAndNormalizeCategories(aiResponse, expectedMessageIds) {
-    // Validate structure
-    if (!aiResponse || !aiResponse.categories || !Array.isArray(aiResponse.categories)) {
-        throw new Error('Invalid AI response: missing categories array');
-    }
-
     const categories = aiResponse.categories;
     const normalizedCategories = [];
     const allAssignedMessageIds = new Set();
@@ -276,11 +268,6 @@ async function validateAndNormalizeCategories(aiResponse, expectedMessageIds) {
 
     // Validate each category
     for (const cat of categories) {
-        if (!cat.name || !cat.message_ids || !Array.isArray(cat.message_ids)) {
-            console.warn('[Categorizer] Skipping invalid category:', cat);
-            continue;
-        }
-
         // Normalize category name
         const normalizedName = normalizeCategoryName(cat.name);
         if (!normalizedName || normalizedName.length === 0) {
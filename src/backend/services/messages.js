@@ -0,0 +1,301 @@
+/**
+ * Brand Messages Service
+ * Manual changes to the messages of a company: correcting their text or type, adding a
+ * message the analysis missed and merging near-identical messages. A message is identified
+ * by its type and normalized text; the identities a message had before it was edited or
+ * merged are kept in its aliases, so a later analysis that finds the old text again
+ * updates the edited message instead of adding the old one back.
+ */
+
+const supabase = require('./supabase');
+const { trashMessage } = require('./trash');
+
+// Values of brand_messages.message_type (the types the classifier assigns)
+const MESSAGE_TYPES = ['Brand Message', 'Alternative Brand Phrase', 'Product Message'];
+
+const MAX_CONTENT_LENGTH = 1000;
+const MAX_REASONING_LENGTH = 2000;
+
+// Review statuses that apply to the text of a message: changing the text returns it to pending
+const REVIEWED_FOR_TEXT = ['approved', 'needs_edit'];
+
+// Normalizes message content for comparison
+// Handles case, punctuation, and whitespace differences
+function normalizeMessageContent(text) {
+    return text
+        .toLowerCase()
+        .trim()
+        .replace(/\s+/g, ' ') // Normalize multiple spaces to single space
+        .replace(/[^\w\s]/g, '') // Remove punctuation for comparison
+        .trim();
+}
+
+// Identity of a message within a company: its type and normalized text
+function messageKey(type, content) {
+    return `${type}-${normalizeMessageContent(content)}`;
+}
+
+// Combines section attributions ({ url, heading, headingPath }) without duplicates
+function mergeSections(...lists) {
+    const merged = new Map();
+    for (const section of lists.flat()) {
+        if (!section) continue;
+        const key = `${section.url}|${(section.headingPath || []).join('>')}|${section.heading}`;
+        if (!merged.has(key)) merged.set(key, section);
+    }
+    return [...merged.values()];
+}
+
+// Combines location matches ({ url, confidence, snippet, method }), keeping the most confident match per URL
+function mergeLocationMatches(...lists) {
+    const merged = new Map();
+    for (const match of lists.flat()) {
+        if (!match) continue;
+        const existing = merged.get(match.url);
+        if (!existing || match.confidence > existing.confidence) merged.set(match.url, match);
+    }
+    return [...merged.values()];
+}
+
+function isPageUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Checks the editable fields of a message
+ * @param {Object} fields - { content, message_type, reasoning, locations }
+ * @param {Object} options
+ * @param {boolean} options.partial - Only check the fields that are present (for updates)
+ * @returns {string|null} - The problem, or null if the fields are valid
+ */
+function validateMessageFields(fields, { partial = false } = {}) {
+    const { content, message_type: type, reasoning, locations } = fields;
+
+    if (!partial || content !== undefined) {
+        if (typeof content !== 'string' || !content.trim()) return 'content is required';
+        if (content.trim().length > MAX_CONTENT_LENGTH) return `content must be at most ${MAX_CONTENT_LENGTH} characters`;
+    }
+    if (!partial || type !== undefined) {
+        if (!MESSAGE_TYPES.includes(type)) return `message_type must be one of: ${MESSAGE_TYPES.join(', ')}`;
+    }
+    if (reasoning !== undefined && reasoning !== null) {
+        if (typeof reasoning !== 'string') return 'reasoning must be a string';
+        if (reasoning.length > MAX_REASONING_LENGTH) return `reasoning must be at most ${MAX_REASONING_LENGTH} characters`;
+    }
+    if (locations !== undefined) {
+        if (!Array.isArray(locations) || !locations.every(isPageUrl)) return 'locations must be a list of http(s) page URLs';
+    }
+    return null;
+}
+
+/**
+ * Finds an active message of the company with the same type and normalized text
+ * @param {string} companyId - Company UUID
+ * @param {string} type - Message type
+ * @param {string} content - Message text
+ * @param {Array<string>} excludeIds - Messages to ignore (the ones being edited or merged)
+ * @returns {Promise<Object|null>}
+ */
+async function findDuplicate(companyId, type, content, excludeIds = []) {
+    const { data, error } = await supabase
+        .from('brand_messages')
+        .select('*')
+        .eq('company_id', companyId)
+        .eq('message_type', type)
+        .is('deleted_at', null);
+
+    if (error) throw error;
+    const key = messageKey(type, content);
+    return (data || []).find(msg => !excludeIds.includes(msg.id) && messageKey(msg.message_type, msg.content) === key) || null;
+}
+
+/**
+ * Gets active messages by id
+ * @param {Array<string>} ids - Message UUIDs
+ * @returns {Promise<Array<Object>>} - The messages found (trashed ones are left out)
+ */
+async function getActiveMessages(ids) {
+    const { data, error } = await supabase
+        .from('brand_messages')
+        .select('*')
+        .in('id', ids)
+        .is('deleted_at', null);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Adds a message the analysis missed
+ * @param {string} companyId - Company UUID
+ * @param {Object} fields - Validated { content, message_type, reasoning, locations }
+ * @param {string} userId - User adding the message
+ * @returns {Promise<Object>} - The new message
+ */
+async function createMessage(companyId, { content, message_type: type, reasoning = null, locations = [] }, userId) {
+    const uniqueLocations = [...new Set(locations)];
+    const { data, error } = await supabase
+        .from('brand_messages')
+        .insert({
+            company_id: companyId,
+            message_type: type,
+            content: content.trim(),
+            reasoning: reasoning || null,
+            locations: uniqueLocations,
+            count: uniqueLocations.length || 1,
+            source: 'manual',
+            created_by: userId
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+    console.log(`[Messages] Added message ${data.id} to company ${companyId}`);
+    return data;
+}
+
+/**
+ * Corrects a message. When its text or type changes, its previous identity becomes an alias
+ * and an approval or edit request goes back to pending review.
+ * @param {Object} message - The current row
+ * @param {Object} fields - Validated fields to change ({ content, message_type, reasoning, locations })
+ * @param {string} userId - User editing the message
+ * @returns {Promise<Object>} - The updated message
+ */
+async function updateMessage(message, fields, userId) {
+    const changes = { updated_at: new Date().toISOString(), updated_by: userId };
+    if (fields.content !== undefined) changes.content = fields.content.trim();
+    if (fields.message_type !== undefined) changes.message_type = fields.message_type;
+    if (fields.reasoning !== undefined) changes.reasoning = fields.reasoning || null;
+    if (fields.locations !== undefined) {
+        changes.locations = [...new Set(fields.locations)];
+        changes.count = changes.locations.length || 1;
+    }
+
+    const previousKey = messageKey(message.message_type, message.content);
+    const newKey = messageKey(changes.message_type || message.message_type, changes.content || message.content);
+    if (newKey !== previousKey) {
+        changes.aliases = [...new Set([...(message.aliases || []), previousKey])].filter(alias => alias !== newKey);
+        // The new text needs a new review (an edit request is answered by the edit)
+        if (REVIEWED_FOR_TEXT.includes(message.review_status)) changes.review_status = 'pending';
+    }
+
+    const { data, error } = await supabase
+        .from('brand_messages')
+        .update(changes)
+        .eq('id', message.id)
+        .select()
+        .single();
+
+    if (error) throw error;
+    console.log(`[Messages] Updated message ${message.id}`);
+    return data;
+}
+
+/**
+ * Merges messages into one of them, like the duplicate cleanup does: the kept message gets
+ * the union of their locations, sections and location matches, their screenshots and
+ * occurrences, and their identities as aliases. The other messages are moved to the trash.
+ * @param {Object} target - Message that is kept
+ * @param {Array<Object>} sources - Messages merged into it (same company)
+ * @param {Object} fields - Validated content / message_type for the kept message (optional)
+ * @param {string} userId - User merging the messages
+ * @returns {Promise<{message: Object, screenshots: number, occurrences: number}>}
+ */
+async function mergeMessages(target, sources, fields, userId) {
+    const all = [target, ...sources];
+    const sourceIds = sources.map(msg => msg.id);
+    const content = fields.content !== undefined ? fields.content.trim() : target.content;
+    const type = fields.message_type !== undefined ? fields.message_type : target.message_type;
+    const key = messageKey(type, content);
+
+    const locations = [...new Set(all.flatMap(msg => msg.locations || []))];
+    const aliases = [...new Set(all.flatMap(msg => [messageKey(msg.message_type, msg.content), ...(msg.aliases || [])]))]
+        .filter(alias => alias !== key);
+
+    const changes = {
+        content,
+        message_type: type,
+        locations,
+        count: locations.length || 1,
+        sections: mergeSections(...all.map(msg => msg.sections || [])),
+        location_matches: mergeLocationMatches(...all.map(msg => msg.location_matches || [])),
+        aliases,
+        updated_at: new Date().toISOString(),
+        updated_by: userId
+    };
+    if (key !== messageKey(target.message_type, target.content) && REVIEWED_FOR_TEXT.includes(target.review_status)) {
+        changes.review_status = 'pending';
+    }
+
+    const { data: merged, error: updateError } = await supabase
+        .from('brand_messages')
+        .update(changes)
+        .eq('id', target.id)
+        .select()
+        .single();
+
+    if (updateError) throw updateError;
+
+    // Screenshots (including those in the trash) now prove the kept message
+    const { data: screenshots, error: screenshotsError } = await supabase
+        .from('screenshots')
+        .update({ message_id: target.id })
+        .in('message_id', sourceIds)
+        .select('id');
+
+    if (screenshotsError) throw screenshotsError;
+
+    // Occurrences the kept message already has at the same position stay with their message
+    const { data: occurrenceRows, error: occurrencesError } = await supabase
+        .from('message_occurrences')
+        .select('id, message_id, page_url, source, occurrence_index')
+        .in('message_id', [target.id, ...sourceIds]);
+
+    if (occurrencesError) throw occurrencesError;
+
+    const rows = occurrenceRows || [];
+    const positions = new Set();
+    const movable = [];
+    for (const row of [...rows.filter(r => r.message_id === target.id), ...rows.filter(r => r.message_id !== target.id)]) {
+        const position = `${row.page_url}|${row.source}|${row.occurrence_index}`;
+        if (positions.has(position)) continue;
+        positions.add(position);
+        if (row.message_id !== target.id) movable.push(row.id);
+    }
+
+    if (movable.length > 0) {
+        const { error: moveError } = await supabase
+            .from('message_occurrences')
+            .update({ message_id: target.id })
+            .in('id', movable);
+
+        if (moveError) throw moveError;
+    }
+
+    // The merged messages (now without screenshots) stay restorable until the retention period ends
+    for (const sourceId of sourceIds) {
+        await trashMessage(sourceId, userId);
+    }
+
+    console.log(`[Messages] Merged ${sourceIds.length} messages into ${target.id}`);
+    return { message: merged, screenshots: (screenshots || []).length, occurrences: movable.length };
+}
+
+module.exports = {
+    MESSAGE_TYPES,
+    normalizeMessageContent,
+    messageKey,
+    mergeSections,
+    mergeLocationMatches,
+    validateMessageFields,
+    findDuplicate,
+    getActiveMessages,
+    createMessage,
+    updateMessage,
+    mergeMessages
+};
@@ -0,0 +1,188 @@
+/**
+ * Message Occurrences Service
+ * Records where exactly a message appears: one row per occurrence on a page, with the
+ * element (CSS selector and XPath), the surrounding text and the heading path.
+ * Occurrences come from the analysis (static HTML) and from screenshot capture (the
+ * element found in the rendered page). Re-running either updates last_seen_at.
+ */
+
+const supabase = require('./supabase');
+const { findMatch } = require('./phraseMatcher');
+
+const CONTEXT_CHARS = 150;
+const OCCURRENCE_CONFLICT_KEY = 'message_id,page_url,source,occurrence_index';
+
+/**
+ * Returns the text around a snippet
+ * @param {string} text - Text containing the snippet
+ * @param {string} snippet - Matched snippet
+ * @returns {string} - Snippet with up to CONTEXT_CHARS characters before and after
+ */
+function contextAround(text, snippet) {
+    const index = text.indexOf(snippet);
+    if (index === -1) return text.substring(0, snippet.length + 2 * CONTEXT_CHARS);
+
+    const start = Math.max(0, index - CONTEXT_CHARS);
+    const end = Math.min(text.length, index + snippet.length + CONTEXT_CHARS);
+    return `${start > 0 ? '…' : ''}${text.substring(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Locates the occurrences of a message on one page. Within each matching section the
+ * deepest text blocks that quote the message are the occurrences; a message spread over
+ * several blocks is one occurrence without a selector.
+ * @param {string} message - Message text
+ * @param {Object} preparedPage - Page from phraseMatcher.preparePages
+ * @param {Object} pageMatch - The page's result from phraseMatcher.matchPages
+ * @returns {Array<Object>} - Occurrence rows without message and company ids
+ */
+function locateOccurrences(message, preparedPage, pageMatch) {
+    const occurrences = [];
+    const add = (fields) => occurrences.push({
+        page_url: preparedPage.url,
+        occurrence_index: occurrences.length,
+        selector: null,
+        xpath: null,
+        element_tag: null,
+        heading_path: [],
+        ...fields
+    });
+
+    if (pageMatch.sections.length === 0) {
+        add({
+            snippet: pageMatch.snippet,
+            context: contextAround(preparedPage.prepared.text, pageMatch.snippet),
+            confidence: pageMatch.confidence
+        });
+        return occurrences;
+    }
+
+    for (const { index } of pageMatch.sections) {
+        const section = preparedPage.sections[index];
+        const sectionText = section.prepared.text;
+        const headingPath = section.headingPath || [];
+
+        const matched = section.blocks
+            .map(block => ({ block, match: findMatch(message, block.text) }))
+            .filter(({ match }) => match);
+        // A parent block contains the text of its children: keep the innermost ones
+        const innermost = matched.filter(({ block }) =>
+            !matched.some(other => other.block !== block && other.block.xpath.startsWith(`${block.xpath}/`))
+        );
+
+        if (innermost.length === 0) {
+            const match = findMatch(message, section.prepared);
+            if (!match) continue;
+            add({
+                snippet: match.snippet,
+                context: contextAround(sectionText, match.snippet),
+                heading_path: headingPath,
+                confidence: match.confidence
+            });
+            continue;
+        }
+
+        for (const { block, match } of innermost) {
+            add({
+                selector: block.selector,
+                xpath: block.xpath,
+                element_tag: block.tag,
+                snippet: match.snippet,
+                context: contextAround(sectionText.includes(match.snippet) ? sectionText : block.text, match.snippet),
+                heading_path: headingPath,
+                confidence: match.confidence
+            });
+        }
+    }
+
+    return occurrences;
+}
+
+/**
+ * Saves the occurrences found by an analysis. Known occurrences (same page and index)
+ * are updated and keep their first_seen_at.
+ * @param {string} companyId - Company UUID
+ * @param {Array<Object>} entries - [{ messageId, occurrences }]
+ * @returns {Promise<number>} - Number of saved occurrences
+ */
+async function saveAnalysisOccurrences(companyId, entries) {
+    const seenAt = new Date().toISOString();
+    const rows = entries.flatMap(({ messageId, occurrences }) => (occurrences || []).map(occurrence => ({
+        ...occurrence,
+        message_id: messageId,
+        company_id: companyId,
+        source: 'analysis',
+        last_seen_at: seenAt
+    })));
+
+    // Batch upserts to avoid timeouts
+    const batchSize = 500;
+    for (let i = 0; i < rows.length; i += batchSize) {
+        const { error } = await supabase
+            .from('message_occurrences')
+            .upsert(rows.slice(i, i + batchSize), { onConflict: OCCURRENCE_CONFLICT_KEY });
+
+        if (error) throw error;
+    }
+
+    return rows.length;
+}
+
+/**
+ * Records the element a screenshot was taken of
+ * @param {Object} params
+ * @param {string} params.messageId - Message UUID
+ * @param {string} params.companyId - Company UUID
+ * @param {string} params.url - Captured page URL
+ * @param {Object} params.element - { selector, xpath, tag, text } from the screenshot service
+ * @param {string} params.screenshotId - Screenshot UUID
+ * @returns {Promise<Object>} - The occurrence row
+ */
+async function recordCaptureOccurrence({ messageId, companyId, url, element, screenshotId = null }) {
+    const { data, error } = await supabase
+        .from('message_occurrences')
+        .upsert({
+            message_id: messageId,
+            company_id: companyId,
+            page_url: url,
+            source: 'capture',
+            occurrence_index: 0,
+            selector: element.selector || null,
+            xpath: element.xpath || null,
+            element_tag: element.tag || null,
+            snippet: element.text ? element.text.substring(0, 500) : null,
+            context: element.context || null,
+            screenshot_id: screenshotId,
+            last_seen_at: new Date().toISOString()
+        }, { onConflict: OCCURRENCE_CONFLICT_KEY })
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Lists the occurrences of a message, grouped by page
+ * @param {string} messageId - Message UUID
+ * @returns {Promise<Array<Object>>} - Occurrence rows
+ */
+async function listOccurrences(messageId) {
+    const { data, error } = await supabase
+        .from('message_occurrences')
+        .select('*')
+        .eq('message_id', messageId)
+        .order('page_url', { ascending: true })
+        .order('source', { ascending: true })
+        .order('occurrence_index', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+module.exports = {
+    locateOccurrences,
+    saveAnalysisOccurrences,
+    recordCaptureOccurrence,
+    listOccurrences
+};
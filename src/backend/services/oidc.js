@@ -0,0 +1,113 @@
+/**
+ * Single Sign-On (OpenID Connect)
+ * Authorization code flow with PKCE against the provider configured with OIDC_ISSUER,
+ * OIDC_CLIENT_ID and OIDC_CLIENT_SECRET. The code is exchanged server-side and the
+ * identity is read from the provider's userinfo endpoint.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+
+let discoveryCache = null;
+
+/**
+ * Whether single sign-on is configured
+ * @returns {boolean}
+ */
+function isEnabled() {
+    const { issuer, clientId, clientSecret } = config.auth.oidc;
+    return Boolean(issuer && clientId && clientSecret);
+}
+
+/**
+ * Fetches (once) the provider's discovery document
+ * @returns {Promise<Object>} - { authorization_endpoint, token_endpoint, userinfo_endpoint, ... }
+ */
+async function discover() {
+    if (discoveryCache) return discoveryCache;
+
+    const issuer = config.auth.oidc.issuer.replace(/\/+$/, '');
+    const response = await axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+    if (!response.data || !response.data.authorization_endpoint || !response.data.token_endpoint) {
+        throw new Error(`Invalid OpenID configuration at ${issuer}`);
+    }
+
+    discoveryCache = response.data;
+    return discoveryCache;
+}
+
+/**
+ * Builds the URL that sends the browser to the provider's sign-in page
+ * @param {string} redirectUri - Callback URL registered with the provider
+ * @returns {Promise<Object>} - { url, state, codeVerifier }; state and codeVerifier must be
+ *   kept (in a cookie) until the callback
+ */
+async function createAuthorizationRequest(redirectUri) {
+    const discovery = await discover();
+    const state = crypto.randomBytes(16).toString('base64url');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    const url = new URL(discovery.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: config.auth.oidc.clientId,
+        redirect_uri: redirectUri,
+        scope: config.auth.oidc.scopes,
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    }).toString();
+
+    return { url: url.toString(), state, codeVerifier };
+}
+
+/**
+ * Exchanges the authorization code and reads the signed-in identity
+ * @param {Object} params
+ * @param {string} params.code - Code from the callback
+ * @param {string} params.codeVerifier - PKCE verifier from createAuthorizationRequest
+ * @param {string} params.redirectUri - Same callback URL as the authorization request
+ * @returns {Promise<Object>} - { issuer, subject, email, emailVerified, name }
+ */
+async function completeAuthorization({ code, codeVerifier, redirectUri }) {
+    const discovery = await discover();
+    const { clientId, clientSecret } = config.auth.oidc;
+
+    const tokenResponse = await axios.post(discovery.token_endpoint, new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier,
+        client_id: clientId,
+        client_secret: clientSecret
+    }).toString(), {
+        timeout: 10000,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' }
+    });
+
+    const accessToken = tokenResponse.data && tokenResponse.data.access_token;
+    if (!accessToken) throw new Error('The identity provider did not return an access token');
+    if (!discovery.userinfo_endpoint) throw new Error('The identity provider has no userinfo endpoint');
+
+    const { data: claims } = await axios.get(discovery.userinfo_endpoint, {
+        timeout: 10000,
+        headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    if (!claims || !claims.sub) throw new Error('The identity provider did not return a subject');
+
+    return {
+        issuer: discovery.issuer || config.auth.oidc.issuer,
+        subject: String(claims.sub),
+        email: claims.email || null,
+        emailVerified: claims.email_verified,
+        name: claims.name || claims.preferred_username || null
+    };
+}
+
+module.exports = {
+    isEnabled,
+    createAuthorizationRequest,
+    completeAuthorization
+};
@@ -0,0 +1,283 @@
+const axios = require('axios');
+const http = require('http');
+const https = require('https');
+const cheerio = require('cheerio');
+const config = require('../config');
+const ScreenshotService = require('./screenshotService');
+const { browserPool } = require('./browserPool');
+const robots = require('./robots');
+const { rateLimiter, proxyManager, generateRandomFingerprint, generateHeaders } = require('./antiDetection');
+
+/**
+ * Page Fetcher
+ * Fetches the pages of an analysis in tiers. A static request (axios with browser-like
+ * headers) comes first; the page is rendered in a browser of the shared pool only when
+ * the static HTML is thin, an empty JavaScript app shell or a bot challenge, or when the
+ * site refused the request. If rendering fails, thin static HTML is still used. Every
+ * request waits its turn in the rate limiter, so pages fetched in parallel reach a site
+ * one delay apart (at least the Crawl-delay of the site's robots.txt), and pages its
+ * robots.txt disallows are not fetched. FETCH_MODE=static or FETCH_MODE=rendered forces a
+ * single tier.
+ */
+
+// Markup of bot challenges served instead of the page
+const CHALLENGE_PATTERNS = [
+    /<title>\s*(just a moment|attention required|access denied|pardon our interruption)/i,
+    /cf-browser-verification|cf_chl_opt|id="challenge-form"/i,
+    /_Incapsula_Resource|px-captcha|captcha-delivery\.com/i
+];
+
+// Mount points of client-rendered apps (React, Vue, Next.js, Nuxt, Angular)
+const APP_ROOT_SELECTOR = '#root, #app, #__next, #__nuxt, app-root';
+
+// Keep-alive agents shared by the static requests
+const httpAgent = new http.Agent({ keepAlive: true });
+const httpsAgent = new https.Agent({ keepAlive: true, minVersion: 'TLSv1.2' });
+
+// Popup, challenge and lazy-loading handling of the rendered tier
+const renderer = new ScreenshotService();
+
+const isDnsError = error => error.code === 'ENOTFOUND' || /ENOTFOUND|ERR_NAME_NOT_RESOLVED/.test(error.message || '');
+
+/**
+ * Error for a domain that does not resolve, with a hint for common typos
+ * @param {string} url - Page URL
+ * @param {Error} originalError - Error of the request
+ * @returns {Error} - Error with code ENOTFOUND
+ */
+function domainError(url, originalError) {
+    let domain = url;
+    try {
+        domain = new URL(url).hostname;
+    } catch (e) {
+        // If URL parsing fails, use the original URL
+    }
+
+    let suggestion = '';
+    if (domain.includes('bluesheild')) {
+        suggestion = ' Did you mean "blueshield" (with an "i")?';
+    } else if (domain.includes('blueshield') && !domain.includes('bluecross')) {
+        suggestion = ' Did you mean "bluecrossblueshield.com"?';
+    }
+
+    const error = new Error(`Cannot resolve domain "${domain}". The domain name may be incorrect or the website may be down.${suggestion}`);
+    error.code = 'ENOTFOUND';
+    error.originalError = originalError;
+    return error;
+}
+
+/**
+ * Error for a page the robots.txt of its site disallows
+ * @param {string} url - Page URL
+ * @returns {Error} - Error with code ROBOTS_DISALLOWED
+ */
+function robotsError(url) {
+    const error = new Error(`Disallowed by robots.txt (${url})`);
+    error.code = 'ROBOTS_DISALLOWED';
+    return error;
+}
+
+/**
+ * Decides whether static HTML can be analyzed as is
+ * @param {string} html - HTML of the static request
+ * @param {number} minTextLength - Minimum visible text (default: FETCH_MIN_TEXT_LENGTH)
+ * @returns {string|null} - Why the page needs rendering, or null
+ */
+function needsRendering(html, minTextLength = config.fetching.minTextLength) {
+    if (!html || typeof html !== 'string') return 'empty response';
+    if (CHALLENGE_PATTERNS.some(pattern => pattern.test(html))) return 'bot challenge';
+
+    const $ = cheerio.load(html);
+    $('script, style, noscript, template, svg').remove();
+
+    const appRoot = $(APP_ROOT_SELECTOR).first();
+    if (appRoot.length > 0 && appRoot.text().trim().length === 0) return 'empty JavaScript app shell';
+
+    const textLength = $('body').text().replace(/\s+/g, ' ').trim().length;
+    if (textLength < minTextLength) return `thin content (${textLength} characters of text)`;
+
+    return null;
+}
+
+// Retry-After header (seconds or HTTP date) in milliseconds, between 1 and 60 seconds
+function retryAfterMs(value) {
+    const seconds = Number(value);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+    return Number.isFinite(ms) ? Math.min(Math.max(ms, 1000), 60000) : 10000;
+}
+
+/**
+ * Static tier: one HTTP request with randomized browser-like headers
+ * @param {string} url - Page URL
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @returns {Promise<Object>} - { status, html, contentType, retryAfter, finalUrl }
+ */
+async function fetchStatic(url, signal) {
+    const fingerprint = generateRandomFingerprint();
+    const headers = generateHeaders(fingerprint);
+    headers['User-Agent'] = fingerprint.userAgent;
+    headers['Connection'] = 'keep-alive';
+
+    const response = await axios.get(url, {
+        headers,
+        timeout: config.fetching.timeoutMs,
+        httpAgent,
+        httpsAgent,
+        signal,
+        maxRedirects: 10,
+        responseType: 'text',
+        validateStatus: () => true // Error statuses decide the next tier
+    });
+
+    return {
+        status: response.status,
+        html: typeof response.data === 'string' ? response.data : '',
+        contentType: response.headers['content-type'] || '',
+        retryAfter: response.headers['retry-after'],
+        finalUrl: (response.request && response.request.res && response.request.res.responseUrl) || url
+    };
+}
+
+/**
+ * Rendered tier: loads the page in a pooled browser, retrying once with a new
+ * fingerprint (and the next proxy, if any) when the site blocks or times out
+ * @param {string} url - Page URL
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @returns {Promise<string>} - Rendered HTML
+ */
+async function fetchRendered(url, signal) {
+    const maxAttempts = 2;
+    for (let attempt = 1; ; attempt++) {
+        await rateLimiter.waitTurn(url, signal);
+        const proxy = proxyManager.getNextProxy();
+        try {
+            return await browserPool.withBrowser(
+                browser => renderer.renderPageContent(browser, url, { proxy, signal }),
+                { signal }
+            );
+        } catch (error) {
+            if (signal && signal.aborted) throw error;
+            if (proxy) proxyManager.markFailed(proxy);
+            if (attempt >= maxAttempts || isDnsError(error)) throw error;
+            console.warn(`[PageFetcher] Rendering ${url} failed (${error.message}), retrying`);
+        }
+    }
+}
+
+/**
+ * Fetches a page with the cheapest tier that yields usable HTML
+ * @param {string} url - Page URL
+ * @param {Object} options - Optional settings
+ * @param {AbortSignal} options.signal - Aborts the request or closes the page when signalled
+ * @param {string} options.mode - 'auto', 'static' or 'rendered' (default: FETCH_MODE)
+ * @returns {Promise<Object>} - { html, tier: 'static' or 'rendered', reason, finalUrl } (reason:
+ *   why the static HTML was not enough, null for pages the static tier handled; finalUrl: the
+ *   URL after redirects of the static request)
+ * @throws {Error} - With code ROBOTS_DISALLOWED when robots.txt disallows the page
+ */
+async function fetchPage(url, { signal, mode = config.fetching.mode } = {}) {
+    let allowed;
+    try {
+        allowed = await robots.isAllowed(url);
+    } catch (error) {
+        if (isDnsError(error)) throw domainError(url, error);
+        throw error;
+    }
+    if (!allowed) throw robotsError(url);
+
+    let staticHtml = null;
+    let finalUrl = url;
+    let reason = 'rendering forced by FETCH_MODE';
+
+    if (mode !== 'rendered') {
+        let response = null;
+        try {
+            await rateLimiter.waitTurn(url, signal);
+            response = await fetchStatic(url, signal);
+            if (response.status === 429) {
+                // Too many requests: hold back every request to the site, then try once more
+                rateLimiter.backOff(url, retryAfterMs(response.retryAfter));
+                await rateLimiter.waitTurn(url, signal);
+                response = await fetchStatic(url, signal);
+            }
+        } catch (error) {
+            if (signal && signal.aborted) throw error;
+            if (isDnsError(error)) throw domainError(url, error);
+            if (mode === 'static') throw error;
+            reason = `static request failed: ${error.message}`;
+        }
+
+        if (response) {
+            if (response.status === 404 || response.status === 410) {
+                throw new Error(`Page not found (HTTP ${response.status})`);
+            }
+
+            if (response.status >= 400) {
+                reason = `HTTP ${response.status}`;
+            } else if (response.contentType && !/html|xml|text\/plain/i.test(response.contentType)) {
+                throw new Error(`Not an HTML page (${response.contentType})`);
+            } else {
+                staticHtml = response.html;
+                finalUrl = response.finalUrl;
+                reason = needsRendering(staticHtml);
+                if (!reason) return { html: staticHtml, tier: 'static', reason: null, finalUrl };
+            }
+
+            if (mode === 'static') {
+                if (staticHtml) return { html: staticHtml, tier: 'static', reason, finalUrl };
+                throw new Error(`Static request failed (${reason})`);
+            }
+        }
+    }
+
+    try {
+        const html = await fetchRendered(url, signal);
+        return { html, tier: 'rendered', reason, finalUrl };
+    } catch (error) {
+        if (signal && signal.aborted) throw error;
+        if (isDnsError(error)) throw domainError(url, error);
+        if (!staticHtml) throw error;
+        // Thin static HTML beats no page at all
+        console.warn(`[PageFetcher] Rendering ${url} failed, using the static HTML:`, error.message);
+        return { html: staticHtml, tier: 'static', reason: `${reason}; rendering failed: ${error.message}`, finalUrl };
+    }
+}
+
+/**
+ * Fetches pages a few at a time (FETCH_CONCURRENCY). Requests to the same site are
+ * still spaced out by the rate limiter.
+ * @param {Array<string>} urls - Page URLs
+ * @param {Object} options - Optional settings
+ * @param {AbortSignal} options.signal - Cancellation signal
+ * @param {number} options.concurrency - Pages fetched at once (default: FETCH_CONCURRENCY)
+ * @param {Function} options.onStart - Called with (url, index) before each fetch
+ * @returns {Promise<Array<Object>>} - In URL order: { url, html, tier, reason } or { url, error }
+ */
+async function fetchPages(urls, options = {}) {
+    const { signal } = options;
+    const concurrency = options.concurrency || config.fetching.concurrency;
+    const results = new Array(urls.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < urls.length) {
+            const index = next++;
+            const url = urls[index];
+            if (options.onStart) options.onStart(url, index);
+            try {
+                results[index] = { url, ...await fetchPage(url, { signal }) };
+            } catch (error) {
+                if (signal && signal.aborted) throw error;
+                results[index] = { url, error };
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+    return results;
+}
+
+module.exports = {
+    fetchPage,
+    fetchPages,
+    needsRendering
+};
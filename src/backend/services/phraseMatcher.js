@@ -0,0 +1,275 @@
+/**
+ * Phrase Matcher
+ * Verifies that an extracted message is quoted from a page rather than paraphrased.
+ * Texts are normalized (case, punctuation, quotes, dashes, whitespace) and matched as
+ * word sequences: an exact match first, then fuzzy windows anchored on the first or
+ * last words of the message, then whole sentences of similar length. Fuzzy candidates
+ * are scored with a character edit distance and never cross a sentence boundary.
+ */
+
+const config = require('../config');
+
+// Words, including inner apostrophes (don't, it's)
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+const SENTENCE_BOUNDARY = /[.!?\n|•]+/g;
+
+/**
+ * Normalizes one word for comparison
+ * @param {string} word - Word from the original text
+ * @returns {string} - Normalized word
+ */
+function normalizeWord(word) {
+    return word.normalize('NFKC').toLowerCase().replace(/’/g, "'");
+}
+
+/**
+ * Normalizes a text: lowercase words separated by single spaces, without punctuation
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+function normalizeText(text) {
+    return ((text || '').match(WORD_PATTERN) || []).map(normalizeWord).join(' ');
+}
+
+/**
+ * Tokenizes a text once so it can be matched against many messages
+ * @param {string} text - Page or section text
+ * @returns {Object} - { text, tokens: [{ word, start, end, sentence }], sentences: [[first, last]], normalized, words }
+ */
+function prepareText(text) {
+    const source = text || '';
+
+    // Character offsets where a new sentence starts
+    const boundaries = [];
+    for (const match of source.matchAll(SENTENCE_BOUNDARY)) boundaries.push(match.index);
+
+    const tokens = [];
+    let sentence = 0;
+    let boundaryIndex = 0;
+    for (const match of source.matchAll(WORD_PATTERN)) {
+        while (boundaryIndex < boundaries.length && boundaries[boundaryIndex] < match.index) {
+            boundaryIndex++;
+            if (tokens.length > 0 && tokens[tokens.length - 1].sentence === sentence) sentence++;
+        }
+        tokens.push({
+            word: normalizeWord(match[0]),
+            start: match.index,
+            end: match.index + match[0].length,
+            sentence
+        });
+    }
+
+    // [first token, last token] of every sentence
+    const sentences = [];
+    tokens.forEach((token, i) => {
+        if (!sentences[token.sentence]) sentences[token.sentence] = [i, i];
+        sentences[token.sentence][1] = i;
+    });
+
+    return {
+        text: source,
+        tokens,
+        sentences: sentences.filter(Boolean),
+        normalized: ` ${tokens.map(t => t.word).join(' ')} `,
+        words: new Set(tokens.map(t => t.word))
+    };
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Stop early once the distance exceeds this
+ * @returns {number} - Number of single-character edits (maxDistance + 1 if it stopped early)
+ */
+function editDistance(a, b, maxDistance = Infinity) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = new Uint16Array(b.length + 1).map((_, j) => j);
+    let current = new Uint16Array(b.length + 1);
+    for (let i = 1; i <= a.length; i++) {
+        current[0] = i;
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            if (current[j] < rowMin) rowMin = current[j];
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        [previous, current] = [current, previous];
+    }
+    return previous[b.length];
+}
+
+/**
+ * Similarity of two normalized strings, from 0 (unrelated) to 1 (identical)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} minSimilarity - Returns 0 as soon as the result is known to be below this
+ * @returns {number} - 1 - edit distance / length of the longer string
+ */
+function similarity(a, b, minSimilarity = 0) {
+    const length = Math.max(a.length, b.length);
+    if (length === 0) return 1;
+    const maxDistance = Math.floor((1 - minSimilarity) * length);
+    const distance = editDistance(a, b, maxDistance);
+    return distance > maxDistance ? 0 : 1 - distance / length;
+}
+
+// Original text covered by tokens [first, last]
+function snippetOf(prepared, first, last) {
+    return prepared.text.substring(prepared.tokens[first].start, prepared.tokens[last].end);
+}
+
+/**
+ * Finds the best occurrence of a message in a text
+ * @param {string} message - Message text as extracted by the LLM
+ * @param {string|Object} text - Text, or the result of prepareText
+ * @param {Object} options - { minConfidence }
+ * @returns {Object|null} - { confidence, snippet, method: 'exact'|'fuzzy'|'sentence' } or null if below minConfidence
+ */
+function findMatch(message, text, options = {}) {
+    const minConfidence = options.minConfidence ?? config.phraseMatching.minConfidence;
+    const prepared = typeof text === 'string' ? prepareText(text) : text;
+    const messageWords = normalizeText(message).split(' ').filter(Boolean);
+    if (messageWords.length === 0 || prepared.tokens.length === 0) return null;
+
+    const normalizedMessage = messageWords.join(' ');
+    const tokens = prepared.tokens;
+
+    // 1. Exact match of the word sequence
+    const exactIndex = prepared.normalized.indexOf(` ${normalizedMessage} `);
+    if (exactIndex !== -1) {
+        // Token index = number of spaces before the match position
+        const first = prepared.normalized.substring(1, exactIndex + 1).split(' ').length - 1;
+        return {
+            confidence: 1,
+            snippet: snippetOf(prepared, first, first + messageWords.length - 1),
+            method: 'exact'
+        };
+    }
+
+    // Not enough words in common to be a near-verbatim quote
+    const shared = messageWords.filter(word => prepared.words.has(word)).length;
+    if (shared / messageWords.length < minConfidence - 0.25) return null;
+
+    const messageWordSet = new Set(messageWords);
+    const seen = new Set();
+    let best = null;
+    const consider = (first, last, method) => {
+        if (first < 0 || last >= tokens.length || first > last) return;
+        if (tokens[first].sentence !== tokens[last].sentence) return;
+        const key = `${first}:${last}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        // Cheap bounds before the edit distance: shared words and length difference
+        const window = tokens.slice(first, last + 1);
+        const common = window.filter(t => messageWordSet.has(t.word)).length;
+        if (common / Math.max(window.length, messageWords.length) < minConfidence - 0.25) return;
+        const candidate = window.map(t => t.word).join(' ');
+        const longest = Math.max(candidate.length, normalizedMessage.length);
+        if (1 - Math.abs(candidate.length - normalizedMessage.length) / longest < minConfidence) return;
+
+        const confidence = similarity(normalizedMessage, candidate, Math.max(minConfidence, best ? best.confidence : 0));
+        if (confidence >= minConfidence && (!best || confidence > best.confidence)) {
+            best = { confidence, snippet: snippetOf(prepared, first, last), method };
+        }
+    };
+
+    // 2. Fuzzy windows anchored on the first or last words of the message
+    const length = messageWords.length;
+    const slack = Math.max(1, Math.floor(length * 0.2));
+    const firstWords = new Set(messageWords.slice(0, 2));
+    const lastWords = new Set(messageWords.slice(-2));
+    tokens.forEach((token, i) => {
+        for (let size = Math.max(1, length - slack); size <= length + slack; size++) {
+            if (firstWords.has(token.word)) {
+                consider(i, i + size - 1, 'fuzzy');
+                consider(i - 1, i + size - 2, 'fuzzy');
+            }
+            if (lastWords.has(token.word)) {
+                consider(i - size + 1, i, 'fuzzy');
+                consider(i - size + 2, i + 1, 'fuzzy');
+            }
+        }
+    });
+
+    // 3. Sentence alignment: whole sentences of similar length
+    for (const [first, last] of prepared.sentences) {
+        const size = last - first + 1;
+        if (Math.abs(size - length) <= slack) consider(first, last, 'sentence');
+    }
+
+    if (!best || best.confidence < minConfidence) return null;
+    return { ...best, confidence: Math.round(best.confidence * 1000) / 1000 };
+}
+
+/**
+ * Matches a message against every page, and every section of the pages that have them
+ * (the whole page text when no single section matches)
+ * @param {string} message - Message text
+ * @param {Array<Object>} pages - [{ url, prepared, sections: [{ heading, headingPath, prepared }] }]
+ * @param {Object} options - { minConfidence }
+ * @returns {Array<Object>} - [{ url, confidence, snippet, method, sections: [{ index, heading, headingPath }] }] for matching pages
+ */
+function matchPages(message, pages, options = {}) {
+    const matches = [];
+
+    for (const page of pages) {
+        const sectionMatches = (page.sections || [])
+            .map((section, index) => ({ index, section, match: findMatch(message, section.prepared, options) }))
+            .filter(({ match }) => match);
+
+        let best = sectionMatches.reduce((top, { match }) => (!top || match.confidence > top.confidence ? match : top), null);
+        if (!best) {
+            // No section holds the whole message (or the page has none): it may span sections
+            best = findMatch(message, page.prepared, options);
+        }
+        if (!best) continue;
+
+        matches.push({
+            url: page.url,
+            ...best,
+            sections: sectionMatches.map(({ index, section }) => ({
+                index,
+                heading: section.heading,
+                headingPath: section.headingPath || []
+            }))
+        });
+    }
+
+    return matches;
+}
+
+/**
+ * Tokenizes pages (and their sections) for matchPages
+ * @param {Array<Object>} pageContents - [{ url, content, sections }]
+ * @returns {Array<Object>} - [{ url, prepared, sections: [{ heading, headingPath, blocks, prepared }] }]
+ */
+function preparePages(pageContents) {
+    return pageContents.map(page => ({
+        url: page.url,
+        prepared: prepareText(page.content),
+        sections: (page.sections || []).map(section => ({
+            heading: section.heading,
+            headingPath: section.headingPath,
+            blocks: section.blocks || [],
+            prepared: prepareText(section.text)
+        }))
+    }));
+}
+
+module.exports = {
+    normalizeText,
+    prepareText,
+    findMatch,
+    matchPages,
+    preparePages,
+    similarity
+};
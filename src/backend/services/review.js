@@ -0,0 +1,187 @@
+/**
+ * Message Review Service
+ * Human QA of extracted messages. Every message starts as pending; a reviewer approves it,
+ * rejects it or asks for an edit, with a comment. Rejections and edit requests are kept in
+ * message_feedback with the message as the classifier produced it, to measure how often
+ * the classifier is wrong. Exports and screenshot batches can be limited to approved messages.
+ */
+
+const supabase = require('./supabase');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'needs_edit'];
+
+// Allowed changes of review status. A rejected message is reopened before an edit is requested.
+const REVIEW_TRANSITIONS = {
+    pending: ['approved', 'rejected', 'needs_edit'],
+    needs_edit: ['pending', 'approved', 'rejected'],
+    approved: ['pending', 'rejected', 'needs_edit'],
+    rejected: ['pending', 'approved']
+};
+
+// Review decisions that are stored as classifier feedback
+const FEEDBACK_VERDICTS = ['rejected', 'needs_edit'];
+
+/**
+ * Whether a message can move from one review status to another
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+    return (REVIEW_TRANSITIONS[from || 'pending'] || []).includes(to);
+}
+
+/**
+ * Sets the review status of messages and stores rejections and edit requests as feedback
+ * @param {Array<Object>} messages - Message rows whose status may change to the new one
+ * @param {Object} review
+ * @param {string} review.status - New status (one of REVIEW_STATUSES)
+ * @param {string|null} review.comment - Reviewer comment
+ * @param {string} reviewerId - User reviewing the messages
+ * @param {string} workspaceId - Workspace of the messages
+ * @returns {Promise<Array<Object>>} - The updated messages
+ */
+async function reviewMessages(messages, { status, comment = null }, reviewerId, workspaceId) {
+    if (messages.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from('brand_messages')
+        .update({
+            review_status: status,
+            review_comment: comment,
+            reviewed_by: reviewerId,
+            reviewed_at: new Date().toISOString()
+        })
+        .in('id', messages.map(msg => msg.id))
+        .select();
+
+    if (error) throw error;
+
+    if (FEEDBACK_VERDICTS.includes(status)) {
+        const { error: feedbackError } = await supabase
+            .from('message_feedback')
+            .insert(messages.map(msg => ({
+                workspace_id: workspaceId,
+                company_id: msg.company_id,
+                message_id: msg.id,
+                verdict: status,
+                comment,
+                message_type: msg.message_type,
+                content: msg.content,
+                reasoning: msg.reasoning,
+                locations: msg.locations || [],
+                message_source: msg.source || 'analysis',
+                guideline_version_id: msg.guideline_version_id || null,
+                reviewer_id: reviewerId
+            })));
+
+        if (feedbackError) throw feedbackError;
+    }
+
+    console.log(`[Review] Marked ${messages.length} messages as ${status}`);
+    return data || [];
+}
+
+/**
+ * Lists the classifier feedback of a workspace, newest first
+ * @param {Object} params
+ * @param {string} params.workspaceId - Workspace UUID
+ * @param {string} params.companyId - Only feedback on this company's messages
+ * @param {string} params.verdict - Only 'rejected' or 'needs_edit'
+ * @param {string} params.guidelineVersionId - Only messages classified with this guideline version
+ * @param {number} params.limit - Page size (max 200)
+ * @param {number} params.offset - Entries to skip
+ * @returns {Promise<{entries: Array<Object>, total: number}>}
+ */
+async function listFeedback({ workspaceId, companyId, verdict, guidelineVersionId, limit = 50, offset = 0 }) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const start = Math.max(parseInt(offset) || 0, 0);
+
+    let query = supabase
+        .from('message_feedback')
+        .select('*', { count: 'exact' })
+        .eq('workspace_id', workspaceId)
+        .order('created_at', { ascending: false })
+        .range(start, start + pageSize - 1);
+
+    if (companyId) query = query.eq('company_id', companyId);
+    if (verdict) query = query.eq('verdict', verdict);
+    if (guidelineVersionId) query = query.eq('guideline_version_id', guidelineVersionId);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    return { entries: data || [], total: count || 0 };
+}
+
+/**
+ * Counts messages per review status, overall and per guideline version. Precision is the
+ * share of reviewed (approved or rejected) messages that were approved.
+ * @param {Array<string>} companyIds - Companies to count
+ * @returns {Promise<Object>} - { counts, by_guideline_version: [{ guideline_version_id, counts, precision }] }
+ */
+async function getReviewStats(companyIds) {
+    const emptyCounts = () => Object.fromEntries(REVIEW_STATUSES.map(status => [status, 0]));
+    const counts = emptyCounts();
+    const byVersion = new Map();
+
+    if (companyIds.length > 0) {
+        const { data, error } = await supabase
+            .from('brand_messages')
+            .select('review_status, guideline_version_id')
+            .in('company_id', companyIds)
+            .is('deleted_at', null);
+
+        if (error) throw error;
+
+        for (const msg of data || []) {
+            const status = msg.review_status || 'pending';
+            const version = msg.guideline_version_id || null;
+            if (!byVersion.has(version)) byVersion.set(version, emptyCounts());
+            counts[status]++;
+            byVersion.get(version)[status]++;
+        }
+    }
+
+    const precision = ({ approved, rejected }) => (approved + rejected > 0 ? approved / (approved + rejected) : null);
+    return {
+        counts,
+        precision: precision(counts),
+        by_guideline_version: [...byVersion.entries()].map(([version, versionCounts]) => ({
+            guideline_version_id: version,
+            counts: versionCounts,
+            precision: precision(versionCounts)
+        }))
+    };
+}
+
+/**
+ * Keeps the screenshot tasks of approved messages
+ * @param {Array<Object>} tasks - [{ companyId, messageId, url, text }]
+ * @returns {Promise<{tasks: Array<Object>, skipped: number}>}
+ */
+async function filterApprovedTasks(tasks) {
+    const messageIds = [...new Set(tasks.map(task => task.messageId).filter(Boolean))];
+    if (messageIds.length === 0) return { tasks: [], skipped: tasks.length };
+
+    const { data, error } = await supabase
+        .from('brand_messages')
+        .select('id')
+        .in('id', messageIds)
+        .eq('review_status', 'approved');
+
+    if (error) throw error;
+
+    const approved = new Set((data || []).map(msg => msg.id));
+    const kept = tasks.filter(task => approved.has(task.messageId));
+    return { tasks: kept, skipped: tasks.length - kept.length };
+}
+
+module.exports = {
+    REVIEW_STATUSES,
+    FEEDBACK_VERDICTS,
+    canTransition,
+    reviewMessages,
+    listFeedback,
+    getReviewStats,
+    filterApprovedTasks
+};
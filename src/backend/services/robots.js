@@ -0,0 +1,227 @@
+const axios = require('axios');
+const config = require('../config');
+const { rateLimiter } = require('./antiDetection');
+
+/**
+ * robots.txt
+ * Reads the robots.txt of a site once per hour and applies its rules for ROBOTS_USER_AGENT
+ * (or the `*` group): Allow and Disallow paths with `*` and `$` wildcards, where the longest
+ * matching rule wins and Allow wins ties (RFC 9309), and Crawl-delay, which the rate limiter
+ * keeps between requests to the site (capped at ROBOTS_MAX_CRAWL_DELAY_MS). A missing
+ * robots.txt (4xx) allows everything; one that cannot be read because of a server error
+ * (5xx) or an unreachable server disallows everything, as RFC 9309 requires, while other
+ * failures such as a timeout allow everything. Either way it is read again after
+ * UNREACHABLE_TTL_MS. A site name that does not resolve is an error and is not cached.
+ * ROBOTS_TXT_ENABLED=false ignores robots.txt.
+ */
+
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const UNREACHABLE_TTL_MS = 5 * 60 * 1000;
+const MAX_ROBOTS_BYTES = 512 * 1024;
+
+// Errors of a name that does not resolve: the site cannot be fetched at all
+const DNS_ERROR_CODES = ['ENOTFOUND', 'EAI_AGAIN'];
+// Errors of a server that cannot be reached
+const UNREACHABLE_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// origin -> { robots: Promise<Object>, expiresAt }
+const cache = new Map();
+
+/**
+ * Turns a robots.txt path pattern into a regular expression on path and query:
+ * `*` matches any characters, a trailing `$` anchors the end, otherwise it is a prefix
+ * @param {string} pattern - Path pattern, e.g. /blog/*.pdf$
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Path and query of a URL, as robots.txt rules see it
+function pathOf(url) {
+    const { pathname, search } = new URL(url);
+    return pathname + search;
+}
+
+/**
+ * Parses robots.txt into the rules of one user agent
+ * @param {string} text - robots.txt content
+ * @param {string} userAgent - Product token of the crawler (e.g. BrandAnalyzer)
+ * @returns {Object} - { rules: [{ allow, pattern, regex }], crawlDelayMs, sitemaps }
+ */
+function parseRobots(text, userAgent) {
+    const groups = [];
+    const sitemaps = [];
+    let group = null;
+    let inAgentLines = false;
+
+    for (const rawLine of text.split(/\r?\n|\r/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const colon = line.indexOf(':');
+        if (colon < 1) continue;
+        const field = line.slice(0, colon).trim().toLowerCase();
+        const value = line.slice(colon + 1).trim();
+
+        if (field === 'sitemap') {
+            // Sitemap lines belong to no group
+            if (value) sitemaps.push(value);
+        } else if (field === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!inAgentLines) {
+                group = { agents: [], rules: [], crawlDelay: null };
+                groups.push(group);
+            }
+            group.agents.push(value.toLowerCase());
+            inAgentLines = true;
+        } else if (group) {
+            inAgentLines = false;
+            if ((field === 'allow' || field === 'disallow') && value) {
+                group.rules.push({ allow: field === 'allow', pattern: value, regex: patternToRegExp(value) });
+            } else if (field === 'crawl-delay') {
+                const seconds = parseFloat(value);
+                if (Number.isFinite(seconds) && seconds > 0) group.crawlDelay = seconds;
+            }
+        }
+    }
+
+    // Groups naming the crawler win over the `*` groups; matching groups are combined
+    const token = userAgent.toLowerCase();
+    let matching = groups.filter(g => g.agents.some(agent => agent !== '*' && agent.split('/')[0] === token));
+    if (matching.length === 0) matching = groups.filter(g => g.agents.includes('*'));
+
+    const delays = matching.map(g => g.crawlDelay).filter(delay => delay !== null);
+    return {
+        rules: matching.flatMap(g => g.rules),
+        crawlDelayMs: delays.length > 0 ? Math.round(Math.max(...delays) * 1000) : 0,
+        sitemaps
+    };
+}
+
+/**
+ * Decides whether parsed rules allow a URL
+ * @param {Array<Object>} rules - Rules of parseRobots
+ * @param {string} url - Page URL
+ * @returns {boolean}
+ */
+function isAllowedBy(rules, url) {
+    let path;
+    try {
+        path = pathOf(url);
+    } catch (e) {
+        return true;
+    }
+    // robots.txt itself is always allowed
+    if (path === '/robots.txt') return true;
+
+    let best = null;
+    for (const rule of rules) {
+        if (!rule.regex.test(path)) continue;
+        if (!best || rule.pattern.length > best.pattern.length ||
+            (rule.pattern.length === best.pattern.length && rule.allow)) {
+            best = rule;
+        }
+    }
+    return !best || best.allow;
+}
+
+// Rules of a site without robots.txt
+function allowAll() {
+    return { rules: [], crawlDelayMs: 0, sitemaps: [] };
+}
+
+// Rules of a site whose robots.txt is unreachable
+function disallowAll() {
+    return { rules: [{ allow: false, pattern: '/', regex: patternToRegExp('/') }], crawlDelayMs: 0, sitemaps: [], unread: true };
+}
+
+async function loadRobots(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    let parsed = allowAll();
+    try {
+        const response = await axios.get(robotsUrl, {
+            headers: { 'User-Agent': `Mozilla/5.0 (compatible; ${config.robots.userAgent})` },
+            timeout: config.fetching.timeoutMs,
+            maxRedirects: 5,
+            maxContentLength: MAX_ROBOTS_BYTES,
+            responseType: 'text',
+            validateStatus: () => true
+        });
+        if (response.status >= 200 && response.status < 300 && typeof response.data === 'string') {
+            parsed = parseRobots(response.data, config.robots.userAgent);
+        } else if (response.status >= 500) {
+            console.warn(`[Robots] ${robotsUrl} returned HTTP ${response.status}, disallowing every page`);
+            parsed = disallowAll();
+        }
+    } catch (error) {
+        if (DNS_ERROR_CODES.includes(error.code)) throw error;
+        if (UNREACHABLE_ERROR_CODES.includes(error.code)) {
+            console.warn(`[Robots] ${robotsUrl} is unreachable, disallowing every page:`, error.message);
+            parsed = disallowAll();
+        } else {
+            console.warn(`[Robots] Could not read ${robotsUrl}, allowing every page:`, error.message);
+            parsed = { ...allowAll(), unread: true };
+        }
+    }
+
+    const crawlDelayMs = Math.min(parsed.crawlDelayMs, config.robots.maxCrawlDelayMs);
+    rateLimiter.setCrawlDelay(origin, crawlDelayMs);
+    if (parsed.rules.length > 0 || crawlDelayMs > 0) {
+        console.log(`[Robots] ${origin}: ${parsed.rules.length} rule(s)${crawlDelayMs > 0 ? `, crawl delay ${crawlDelayMs}ms` : ''}`);
+    }
+
+    return {
+        ...parsed,
+        crawlDelayMs,
+        isAllowed: url => isAllowedBy(parsed.rules, url)
+    };
+}
+
+/**
+ * Gets the robots.txt rules of the site of a URL (cached per origin and shared by
+ * concurrent analyses of the site)
+ * @param {string} url - Any URL of the site
+ * @returns {Promise<Object>} - { rules, crawlDelayMs, sitemaps, isAllowed(url) }
+ * @throws {Error} - With code ENOTFOUND or EAI_AGAIN when the name of the site does not resolve
+ */
+async function getRobots(url) {
+    if (!config.robots.enabled) return { ...allowAll(), isAllowed: () => true };
+
+    const origin = new URL(url).origin;
+    const cached = cache.get(origin);
+    if (cached && cached.expiresAt > Date.now()) return cached.robots;
+
+    const robots = loadRobots(origin);
+    const entry = { robots, expiresAt: Date.now() + CACHE_TTL_MS };
+    cache.set(origin, entry);
+    // A robots.txt that could not be read is tried again sooner, and a failed lookup on the next request
+    robots.then(result => {
+        if (result.unread) entry.expiresAt = Math.min(entry.expiresAt, Date.now() + UNREACHABLE_TTL_MS);
+    }, () => {
+        if (cache.get(origin) === entry) cache.delete(origin);
+    });
+    return robots;
+}
+
+/**
+ * Checks a URL against the robots.txt of its site
+ * @param {string} url - Page URL
+ * @returns {Promise<boolean>}
+ * @throws {Error} - With code ENOTFOUND or EAI_AGAIN when the name of the site does not resolve
+ */
+async function isAllowed(url) {
+    const robots = await getRobots(url);
+    return robots.isAllowed(url);
+}
+
+module.exports = {
+    getRobots,
+    isAllowed,
+    parseRobots,
+    isAllowedBy,
+    patternToRegExp
+};
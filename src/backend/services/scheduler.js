@@ -0,0 +1,467 @@
+/**
+ * Analysis Scheduler
+ * Re-runs the analysis of a company on a cron schedule and, optionally, re-captures
+ * the screenshots of every message that already has evidence. Each execution is
+ * recorded in schedule_runs: 'analyzing' (the analysis job runs) -> 'capturing'
+ * (screenshots are re-captured) -> 'completed' or 'failed'.
+ *
+ * A due run waits while the company's domain is busy (an analysis job of the company
+ * is queued or running, or the rate limiter reports work on the domain), so scheduled
+ * runs never hit the same site concurrently with other work.
+ */
+
+const os = require('os');
+const supabase = require('./supabase');
+const config = require('../config');
+const { getNextRun } = require('./cron');
+const { enqueueAnalysis, getJob } = require('./jobQueue');
+const { createPendingScreenshots, processScreenshotBatch } = require('./screenshotBatch');
+const { rateLimiter } = require('./antiDetection');
+const { listCompanyIds } = require('./workspaces');
+const { getBudgetStatus } = require('./usage');
+
+const SCHEDULER_ID = `${os.hostname()}-${process.pid}`;
+const ACTIVE_RUN_STATUSES = ['analyzing', 'capturing'];
+
+/**
+ * Lists the schedules of a workspace's companies
+ * @param {string} workspaceId - Workspace UUID
+ * @returns {Promise<Array<Object>>} - Schedule rows with companies { id, name, url, workspace_id }
+ */
+async function listSchedules(workspaceId) {
+    const companyIds = await listCompanyIds(workspaceId);
+    if (companyIds.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from('analysis_schedules')
+        .select('*, companies (id, name, url, workspace_id)')
+        .in('company_id', companyIds)
+        .order('next_run_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Fetches the schedule of a company
+ * @param {string} companyId - Company UUID
+ * @returns {Promise<Object|null>} - Schedule row with companies { id, name, url }, or null
+ */
+async function getSchedule(companyId) {
+    const { data, error } = await supabase
+        .from('analysis_schedules')
+        .select('*, companies (id, name, url, workspace_id)')
+        .eq('company_id', companyId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Creates or updates the schedule of a company and computes its next run
+ * @param {string} companyId - Company UUID
+ * @param {Object} params
+ * @param {string} params.cronExpression - Validated cron expression (UTC)
+ * @param {boolean} params.enabled - Whether the schedule runs (default: true)
+ * @param {boolean} params.recaptureScreenshots - Re-capture evidence after the analysis (default: false)
+ * @param {boolean} params.recaptureApprovedOnly - Only re-capture evidence of approved messages (default: false)
+ * @returns {Promise<Object>} - The schedule row
+ */
+async function saveSchedule(companyId, { cronExpression, enabled = true, recaptureScreenshots = false, recaptureApprovedOnly = false }) {
+    const nextRun = enabled ? getNextRun(cronExpression) : null;
+
+    const { data, error } = await supabase
+        .from('analysis_schedules')
+        .upsert({
+            company_id: companyId,
+            cron_expression: cronExpression,
+            enabled,
+            recapture_screenshots: recaptureScreenshots,
+            recapture_approved_only: recaptureApprovedOnly,
+            next_run_at: nextRun ? nextRun.toISOString() : null,
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'company_id' })
+        .select()
+        .single();
+
+    if (error) throw error;
+    console.log(`[Scheduler] Saved schedule "${cronExpression}" for company ${companyId} (next run: ${data.next_run_at || 'none'})`);
+    return data;
+}
+
+/**
+ * Deletes the schedule of a company (its run history goes with it)
+ * @param {string} companyId - Company UUID
+ * @returns {Promise<boolean>} - true if a schedule was deleted
+ */
+async function deleteSchedule(companyId) {
+    const { data, error } = await supabase
+        .from('analysis_schedules')
+        .delete()
+        .eq('company_id', companyId)
+        .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+}
+
+/**
+ * Lists the runs of a company's schedule, newest first
+ * @param {string} companyId - Company UUID
+ * @param {number} limit - Maximum number of runs (default: 20)
+ * @returns {Promise<Array<Object>>} - Run rows
+ */
+async function listRuns(companyId, limit = 20) {
+    const { data, error } = await supabase
+        .from('schedule_runs')
+        .select('*')
+        .eq('company_id', companyId)
+        .order('created_at', { ascending: false })
+        .limit(Math.min(Math.max(parseInt(limit) || 20, 1), 100));
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Returns the run of a schedule that is still in progress
+ * @param {string} scheduleId - Schedule UUID
+ * @returns {Promise<Object|null>} - Active run row or null
+ */
+async function getActiveRun(scheduleId) {
+    const { data, error } = await supabase
+        .from('schedule_runs')
+        .select('*')
+        .eq('schedule_id', scheduleId)
+        .in('status', ACTIVE_RUN_STATUSES)
+        .limit(1);
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Checks whether other work is hitting the company's domain: a queued or running
+ * analysis job of the same URL, or a task registered with the rate limiter
+ * @param {string} url - Company URL
+ * @returns {Promise<boolean>}
+ */
+async function isDomainBusy(url) {
+    if (rateLimiter.isDomainBusy(url)) return true;
+
+    const { data, error } = await supabase
+        .from('analysis_jobs')
+        .select('id')
+        .eq('company_url', url)
+        .in('status', ['queued', 'running'])
+        .limit(1);
+
+    if (error) throw error;
+    return (data || []).length > 0;
+}
+
+/**
+ * Starts a run: enqueues a full analysis of the company and records the run
+ * @param {Object} schedule - Schedule row with companies { url, workspace_id }
+ * @param {string} trigger - 'schedule' or 'manual'
+ * @returns {Promise<Object>} - The run row
+ */
+async function startRun(schedule, trigger = 'schedule') {
+    const job = await enqueueAnalysis({ url: schedule.companies.url, workspaceId: schedule.companies.workspace_id });
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+        .from('schedule_runs')
+        .insert({
+            schedule_id: schedule.id,
+            company_id: schedule.company_id,
+            trigger,
+            status: 'analyzing',
+            job_id: job.id,
+            started_at: now,
+            updated_at: now
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    await supabase
+        .from('analysis_schedules')
+        .update({ last_run_at: now, updated_at: now })
+        .eq('id', schedule.id);
+
+    console.log(`[Scheduler] Started ${trigger} run ${data.id} for ${schedule.companies.url} (job ${job.id})`);
+    return data;
+}
+
+/**
+ * Marks a run as finished
+ * @param {string} runId - Run UUID
+ * @param {string} status - 'completed' or 'failed'
+ * @param {Object} fields - Extra columns to store (error, screenshot counts)
+ */
+async function finishRun(runId, status, fields = {}) {
+    const now = new Date().toISOString();
+    const { error } = await supabase
+        .from('schedule_runs')
+        .update({ status, ...fields, finished_at: now, updated_at: now })
+        .eq('id', runId);
+
+    if (error) throw error;
+    console.log(`[Scheduler] Run ${runId} ${status}${fields.error ? `: ${fields.error}` : ''}`);
+}
+
+/**
+ * Builds the screenshot tasks of a company: one per message and page that already
+ * has a successful screenshot, with the message's current text
+ * @param {string} companyId - Company UUID
+ * @param {Object} options
+ * @param {boolean} options.approvedOnly - Only messages approved in review
+ * @returns {Promise<Array<Object>>} - [{ companyId, messageId, url, text }]
+ */
+async function getTrackedScreenshotTasks(companyId, { approvedOnly = false } = {}) {
+    const { data: screenshots, error } = await supabase
+        .from('screenshots')
+        .select('message_id, original_url')
+        .eq('company_id', companyId)
+        .eq('status', 'success')
+        .is('deleted_at', null)
+        .not('message_id', 'is', null);
+
+    if (error) throw error;
+
+    let messagesQuery = supabase
+        .from('brand_messages')
+        .select('id, content')
+        .eq('company_id', companyId)
+        .is('deleted_at', null);
+
+    if (approvedOnly) messagesQuery = messagesQuery.eq('review_status', 'approved');
+
+    const { data: messages, error: messagesError } = await messagesQuery;
+
+    if (messagesError) throw messagesError;
+
+    const contents = new Map((messages || []).map(m => [m.id, m.content]));
+    const tasks = new Map();
+    for (const screenshot of screenshots || []) {
+        const key = `${screenshot.message_id}|${screenshot.original_url}`;
+        if (tasks.has(key) || !screenshot.original_url || !contents.has(screenshot.message_id)) continue;
+        tasks.set(key, {
+            companyId,
+            messageId: screenshot.message_id,
+            url: screenshot.original_url,
+            text: contents.get(screenshot.message_id)
+        });
+    }
+
+    return [...tasks.values()];
+}
+
+/**
+ * Polling loop that starts due schedules and moves their runs forward
+ */
+class Scheduler {
+    /**
+     * @param {Object} options
+     * @param {Object} options.screenshotService - ScreenshotService used to re-capture evidence
+     * @param {number} options.pollIntervalMs - How often schedules are checked (default: SCHEDULER_POLL_MS)
+     */
+    constructor(options = {}) {
+        this.screenshotService = options.screenshotService;
+        this.pollIntervalMs = options.pollIntervalMs || config.schedulerPollMs;
+        // A capturing run that has not reported progress for this long was interrupted
+        this.staleAfterMs = options.staleAfterMs || config.analysisJobStaleMs * 5;
+
+        this.capturing = new Map(); // runId -> Promise
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    /**
+     * Start polling for due schedules
+     */
+    start() {
+        if (this.timer) return;
+        console.log(`[Scheduler] Starting scheduler ${SCHEDULER_ID} (poll every ${this.pollIntervalMs}ms)`);
+        this.tick();
+        this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    }
+
+    /**
+     * Stop polling. Captures already running are left to finish.
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * One polling iteration: advance active runs, then start due schedules
+     */
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+        try {
+            await this.advanceRuns();
+            await this.startDueSchedules();
+        } catch (error) {
+            console.error('[Scheduler] Poll failed:', error.message);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * Starts a run for every enabled schedule whose next run time has passed. The next
+     * run time is advanced with a compare-and-set so only one instance starts each run.
+     */
+    async startDueSchedules() {
+        const now = new Date();
+        const { data: dueSchedules, error } = await supabase
+            .from('analysis_schedules')
+            .select('*, companies (id, name, url, workspace_id, deleted_at)')
+            .eq('enabled', true)
+            .lte('next_run_at', now.toISOString());
+
+        if (error) throw error;
+
+        for (const schedule of dueSchedules || []) {
+            // Schedules of companies in the trash are paused until the company is restored
+            if (!schedule.companies || schedule.companies.deleted_at) continue;
+            if (await getActiveRun(schedule.id)) continue;
+            if (await isDomainBusy(schedule.companies.url)) {
+                console.log(`[Scheduler] ${schedule.companies.url} is busy, postponing scheduled run`);
+                continue;
+            }
+
+            const nextRun = getNextRun(schedule.cron_expression, now);
+            const { data: claimed } = await supabase
+                .from('analysis_schedules')
+                .update({ next_run_at: nextRun ? nextRun.toISOString() : null, updated_at: now.toISOString() })
+                .eq('id', schedule.id)
+                .eq('next_run_at', schedule.next_run_at)
+                .select();
+
+            if (!claimed || claimed.length === 0) continue;
+
+            try {
+                // A workspace that used up its LLM budget skips its scheduled runs
+                const budget = await getBudgetStatus(schedule.companies.workspace_id);
+                if (budget.exceeded) {
+                    console.log(`[Scheduler] Skipping scheduled run for ${schedule.companies.url}: ${budget.message}`);
+                    continue;
+                }
+                await startRun(schedule, 'schedule');
+            } catch (runError) {
+                console.error(`[Scheduler] Failed to start run for ${schedule.companies.url}:`, runError.message);
+            }
+        }
+    }
+
+    /**
+     * Moves active runs forward: finished analysis jobs complete the run or start the
+     * screenshot re-capture, and interrupted captures are marked as failed
+     */
+    async advanceRuns() {
+        const { data: runs, error } = await supabase
+            .from('schedule_runs')
+            .select('*, analysis_schedules (id, recapture_screenshots, recapture_approved_only, companies (url))')
+            .in('status', ACTIVE_RUN_STATUSES);
+
+        if (error) throw error;
+
+        for (const run of runs || []) {
+            if (run.status === 'capturing') {
+                const stale = Date.now() - Date.parse(run.updated_at) > this.staleAfterMs;
+                if (!this.capturing.has(run.id) && stale) {
+                    await finishRun(run.id, 'failed', { error: 'Screenshot capture was interrupted' });
+                }
+                continue;
+            }
+
+            const job = run.job_id ? await getJob(run.job_id) : null;
+            if (!job || ['failed', 'cancelled'].includes(job.status)) {
+                await finishRun(run.id, 'failed', { error: job ? (job.error || `Analysis ${job.status}`) : 'Analysis job not found' });
+            } else if (job.status === 'completed') {
+                const schedule = run.analysis_schedules;
+                if (schedule && schedule.recapture_screenshots) {
+                    await this.startCapture(run, schedule.companies.url, { approvedOnly: schedule.recapture_approved_only === true });
+                } else {
+                    await finishRun(run.id, 'completed');
+                }
+            }
+        }
+    }
+
+    /**
+     * Re-captures the tracked screenshots of a run's company in the background. Waits
+     * for the next poll while the domain is busy.
+     * @param {Object} run - Run row in 'analyzing' status
+     * @param {string} url - Company URL
+     * @param {Object} options
+     * @param {boolean} options.approvedOnly - Only re-capture evidence of approved messages
+     */
+    async startCapture(run, url, { approvedOnly = false } = {}) {
+        if (rateLimiter.isDomainBusy(url)) {
+            console.log(`[Scheduler] ${url} is busy, postponing screenshot capture of run ${run.id}`);
+            return;
+        }
+
+        // Compare-and-set so only one instance captures the run
+        const { data: claimed } = await supabase
+            .from('schedule_runs')
+            .update({ status: 'capturing', locked_by: SCHEDULER_ID, updated_at: new Date().toISOString() })
+            .eq('id', run.id)
+            .eq('status', 'analyzing')
+            .select();
+
+        if (!claimed || claimed.length === 0) return;
+
+        const capture = (async () => {
+            const tasks = await getTrackedScreenshotTasks(run.company_id, { approvedOnly });
+            if (tasks.length === 0) {
+                await finishRun(run.id, 'completed', { screenshots_total: 0 });
+                return;
+            }
+
+            const { batchId, records } = await createPendingScreenshots(tasks);
+            await supabase
+                .from('schedule_runs')
+                .update({ screenshot_batch_id: batchId, screenshots_total: records.length, updated_at: new Date().toISOString() })
+                .eq('id', run.id);
+
+            console.log(`[Scheduler] Run ${run.id}: re-capturing ${records.length} screenshots`);
+            const { succeeded, failed } = await processScreenshotBatch(records, this.screenshotService, {
+                onProgress: (progress) => {
+                    supabase
+                        .from('schedule_runs')
+                        .update({ screenshots_succeeded: progress.succeeded, screenshots_failed: progress.failed, updated_at: new Date().toISOString() })
+                        .eq('id', run.id)
+                        .then(() => { });
+                }
+            });
+
+            await finishRun(run.id, 'completed', { screenshots_succeeded: succeeded, screenshots_failed: failed });
+        })()
+            .catch(captureError => finishRun(run.id, 'failed', { error: captureError.message }).catch(() => { }))
+            .finally(() => this.capturing.delete(run.id));
+
+        this.capturing.set(run.id, capture);
+    }
+}
+
+module.exports = {
+    listSchedules,
+    getSchedule,
+    saveSchedule,
+    deleteSchedule,
+    listRuns,
+    getActiveRun,
+    startRun,
+    Scheduler
+};
@@ -0,0 +1,198 @@
+/**
+ * Screenshot Batches
+ * Captures screenshots for many (message, page) pairs: pending records are created
+ * first so the UI can poll their status, then the captures run with bounded
+ * concurrency. Used by the batch endpoint and by scheduled evidence re-capture.
+ */
+
+const crypto = require('crypto');
+const supabase = require('./supabase');
+const { objectStore, SCREENSHOTS_BUCKET } = require('../storage/objects');
+const occurrences = require('./occurrences');
+const { rateLimiter } = require('./antiDetection');
+const webhooks = require('./webhooks');
+
+const CONCURRENCY = 3; // Process 3 at a time
+
+/**
+ * Creates a pending screenshot record for every task
+ * @param {Array<Object>} tasks - [{ companyId, messageId, url, text }]
+ * @returns {Promise<Object>} - { batchId, records: [{ id, batchId, companyId, messageId, url, text }] }
+ */
+async function createPendingScreenshots(tasks) {
+    // Generate unique batch ID for grouping
+    const batchId = crypto.randomUUID();
+    const batchTimestamp = new Date().toISOString();
+
+    const records = [];
+    for (const task of tasks) {
+        const pendingData = {
+            company_id: task.companyId,
+            message_id: task.messageId,
+            original_url: task.url,
+            message_content: task.text,
+            status: 'pending',
+            attempt_count: 0,
+            batch_id: batchId,
+            created_at: batchTimestamp
+        };
+
+        const { data, error } = await supabase
+            .from('screenshots')
+            .insert(pendingData)
+            .select()
+            .single();
+
+        if (error) {
+            console.error(`[Batch Screenshot] Failed to create pending record:`, error);
+            continue;
+        }
+
+        records.push({
+            id: data.id,
+            batchId,
+            companyId: task.companyId,
+            messageId: task.messageId,
+            url: task.url,
+            text: task.text
+        });
+    }
+
+    console.log(`[Batch Screenshot] Created ${records.length} pending records for batch ${batchId}`);
+    return { batchId, records };
+}
+
+/**
+ * Captures one pending screenshot and stores the image and the captured element
+ * @param {Object} record - Pending record from createPendingScreenshots
+ * @param {Object} screenshotService - ScreenshotService instance
+ * @returns {Promise<boolean>} - true if the screenshot was captured
+ */
+async function captureRecord(record, screenshotService) {
+    try {
+        // Update status to processing
+        const { error: processingError } = await supabase
+            .from('screenshots')
+            .update({ status: 'processing', attempt_count: 1 })
+            .eq('id', record.id);
+
+        if (processingError) throw processingError;
+
+        console.log(`[Batch Screenshot] Processing ${record.id}: ${record.url}`);
+
+        // Capture screenshot
+        const result = await screenshotService.captureMessage(record.url, record.text, record.messageId);
+
+        if (!result || !result.buffer) {
+            throw new Error('No image data returned');
+        }
+
+        // Upload to the object store
+        const filename = `${record.id}.png`;
+        await objectStore.upload(SCREENSHOTS_BUCKET, filename, result.buffer, {
+            contentType: 'image/png',
+            upsert: true
+        });
+
+        // Update record with success
+        const { error: successError } = await supabase
+            .from('screenshots')
+            .update({
+                status: 'success',
+                image_url: objectStore.getPublicUrl(SCREENSHOTS_BUCKET, filename)
+            })
+            .eq('id', record.id);
+
+        if (successError) throw successError;
+
+        if (record.messageId && result.metadata && result.metadata.element) {
+            await occurrences.recordCaptureOccurrence({
+                messageId: record.messageId,
+                companyId: record.companyId,
+                url: record.url,
+                element: result.metadata.element,
+                screenshotId: record.id
+            }).catch(err => console.warn('[Occurrences] Failed to record captured occurrence:', err.message));
+        }
+
+        console.log(`[Batch Screenshot] Success: ${record.id}`);
+        return true;
+    } catch (error) {
+        console.error(`[Batch Screenshot] Failed ${record.id}:`, error.message);
+
+        // Update record with failure
+        await supabase
+            .from('screenshots')
+            .update({
+                status: 'failed',
+                error_message: error.message?.substring(0, 500) || 'Unknown error'
+            })
+            .eq('id', record.id);
+        return false;
+    }
+}
+
+/**
+ * Captures the pending screenshots of a batch, a few at a time. The domains of the
+ * batch are marked as busy in the rate limiter until it finishes.
+ * @param {Array<Object>} records - Pending records from createPendingScreenshots
+ * @param {Object} screenshotService - ScreenshotService instance
+ * @param {Object} options - Optional settings
+ * @param {Function} options.onProgress - Called as ({ done, total, succeeded, failed }) after each group
+ * @returns {Promise<Object>} - { succeeded, failed }
+ */
+async function processScreenshotBatch(records, screenshotService, options = {}) {
+    const releases = [...new Set(records.map(record => record.url))].map(url => rateLimiter.acquireDomain(url));
+    let succeeded = 0;
+    let failed = 0;
+
+    try {
+        for (let i = 0; i < records.length; i += CONCURRENCY) {
+            const group = records.slice(i, i + CONCURRENCY);
+            const results = await Promise.all(group.map(record => captureRecord(record, screenshotService)));
+            group.forEach((record, j) => { record.status = results[j] ? 'success' : 'failed'; });
+            succeeded += results.filter(Boolean).length;
+            failed += results.filter(ok => !ok).length;
+            if (options.onProgress) options.onProgress({ done: succeeded + failed, total: records.length, succeeded, failed });
+
+            // Small delay between groups
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+    } finally {
+        releases.forEach(release => release());
+    }
+
+    console.log(`[Batch Screenshot] Batch processing complete (${succeeded} succeeded, ${failed} failed)`);
+    await notifyBatchCompleted(records);
+    return { succeeded, failed };
+}
+
+/**
+ * Sends the screenshot.batch.completed webhook event, once per company of the batch
+ * @param {Array<Object>} records - Processed records with their status
+ */
+async function notifyBatchCompleted(records) {
+    const byCompany = new Map();
+    for (const record of records) {
+        if (!byCompany.has(record.companyId)) byCompany.set(record.companyId, []);
+        byCompany.get(record.companyId).push(record);
+    }
+
+    for (const [companyId, companyRecords] of byCompany) {
+        await webhooks.dispatchEvent('screenshot.batch.completed', {
+            companyId,
+            data: {
+                batch_id: companyRecords[0].batchId,
+                total: companyRecords.length,
+                succeeded: companyRecords.filter(r => r.status === 'success').length,
+                failed: companyRecords.filter(r => r.status === 'failed').length,
+                screenshots: companyRecords.map(r => ({ id: r.id, message_id: r.messageId, url: r.url, status: r.status }))
+            }
+        });
+    }
+}
+
+module.exports = {
+    createPendingScreenshots,
+    processScreenshotBatch
+};
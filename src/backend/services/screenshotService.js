@@ -7,8 +7,6 @@ const {
     generateRandomFingerprint,
     generateHeaders,
     applyFingerprintEvasion,
-    proxyManager,
-    rateLimiter,
 } = require('./antiDetection');
 
 class ScreenshotService {
@@ -826,6 +824,42 @@ class ScreenshotService {
     return null;
 }
 
+    // CSS selector, XPath, text and surrounding text of an element in the rendered page
+    async describeElement(element) {
+        return element.evaluate((el) => {
+            const cssSteps = [];
+            const xpathSteps = [];
+            let useId = true;
+
+            for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+                const name = node.tagName.toLowerCase();
+                const siblings = node.parentElement
+                    ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName)
+                    : [node];
+                const position = siblings.indexOf(node) + 1;
+
+                xpathSteps.unshift(siblings.length > 1 ? `${name}[${position}]` : name);
+                if (useId && name !== 'html') {
+                    if (node.id && /^[A-Za-z][\w-]*$/.test(node.id)) {
+                        cssSteps.unshift(`#${node.id}`);
+                        useId = false;
+                    } else {
+                        cssSteps.unshift(siblings.length > 1 ? `${name}:nth-of-type(${position})` : name);
+                    }
+                }
+            }
+
+            const textOf = (node) => (node.innerText || node.textContent || '').replace(/\s+/g, ' ').trim();
+            return {
+                selector: cssSteps.join(' > '),
+                xpath: `/${xpathSteps.join('/')}`,
+                tag: el.tagName.toLowerCase(),
+                text: textOf(el),
+                context: el.parentElement ? textOf(el.parentElement).substring(0, 600) : null
+            };
+        }).catch(() => null);
+    }
+
     // Calculate bounding box with context
     async calculateBoundingBox(element, page) {
     const box = await element.boundingBox();
@@ -1234,6 +1268,9 @@ class ScreenshotService {
             element = await this.findElementWithText(page, messageText);
         }
 
+        // Only an element found by the full message text is an occurrence of the message
+        const elementInfo = element ? await this.describeElement(element) : null;
+
         // If still not found, try searching for partial matches with different lengths
         if (!element) {
             console.log('Full text not found, trying partial matches...');
@@ -1390,7 +1427,8 @@ class ScreenshotService {
                 width: viewport.width,
                 height: viewport.height
             },
-            capturedAt: new Date().toISOString()
+            capturedAt: new Date().toISOString(),
+            element: elementInfo
         };
 
         return {
@@ -1482,87 +1520,26 @@ class ScreenshotService {
 
     return screenshots;
 }
-    // Fetch full page content (HTML) using Playwright with retry strategies
-    async fetchPageContent(url, retryCount = 0) {
-    let context = null;
-    let page = null;
-    const maxRetries = 3;
-
-    // Different strategies for each retry attempt
-    const strategies = [
-        { name: 'stealth-mode', forceHttp1: true, extraArgs: ['--disable-http2', '--disable-blink-features=AutomationControlled'] },
-        { name: 'default', forceHttp1: false, extraArgs: [] },
-        { name: 'http1-fallback', forceHttp1: true, extraArgs: ['--disable-http2'] }
-    ];
 
-    const strategy = strategies[Math.min(retryCount, strategies.length - 1)];
-
-    // Generate a new random fingerprint for each retry
-    const fingerprint = generateRandomFingerprint();
-    const headers = generateHeaders(fingerprint);
-
-    // Get proxy if available (rotate on each retry)
-    const proxy = proxyManager.getNextProxy();
-
-    console.log(`[Playwright] Fetching content for: ${url} (Strategy: ${strategy.name}, Attempt: ${retryCount + 1}/${maxRetries}${proxy ? ', Using proxy' : ''})`);
-
-    try {
-        // Apply rate limiting before request
-        await rateLimiter.wait(url);
-
-        // Initialize browser with retry and specific strategy
-        for (let i = 0; i < 3; i++) {
-            try {
-                // If we need HTTP/1.1 or special args, recreate browser with those settings
-                if (strategy.extraArgs.length > 0 && this.browser) {
-                    await this.close();
-                }
-
-                if (!this.browser) {
-                    const extensionPath = path.resolve(__dirname, '..', '..', '..', 'extensions', 'chrome-extension');
-
-                    // Build browser launch options
-                    const launchOptions = {
-                        headless: true,
-                        args: [
-                            '--no-sandbox',
-                            '--disable-setuid-sandbox',
-                            '--disable-dev-shm-usage',
-                            '--disable-gpu',
-                            '--disable-software-rasterizer',
-                            ...(fs.existsSync(extensionPath) ? [`--load-extension=${extensionPath}`] : []),
-                            '--disable-background-networking',
-                            '--disable-background-timer-throttling',
-                            '--disable-backgrounding-occluded-windows',
-                            '--disable-renderer-backgrounding',
-                            '--disable-features=TranslateUI',
-                            '--disable-ipc-flooding-protection',
-                            '--disable-blink-features=AutomationControlled', // Always hide automation
-                            ...strategy.extraArgs  // Add strategy-specific args (like --disable-http2)
-                        ],
-                        timeout: 30000
-                    };
-
-                    // Add proxy if available
-                    if (proxy) {
-                        launchOptions.proxy = { server: proxy };
-                    }
-
-                    this.browser = await chromium.launch(launchOptions);
-                } else {
-                    await this.init();
-                }
-                break;
-            } catch (initError) {
-                if (i === 2) throw initError;
-                console.warn(`Browser init failed, retrying... (${i + 1}/3)`);
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                this.browser = null;
-            }
-        }
+    /**
+     * Renders a page in a new context of a running browser and returns its HTML, once
+     * challenges, popups and lazy-loaded content have been dealt with
+     * @param {Object} browser - Playwright browser
+     * @param {string} url - Page URL
+     * @param {Object} options - Optional settings
+     * @param {Object} options.fingerprint - Browser fingerprint (default: random)
+     * @param {Object} options.headers - Extra HTTP headers (default: matching the fingerprint)
+     * @param {string} options.proxy - Proxy server of the context
+     * @param {AbortSignal} options.signal - Closes the context when signalled
+     * @returns {Promise<string>} - The page HTML; throws for blocked or suspiciously short pages
+     */
+    async renderPageContent(browser, url, options = {}) {
+        const fingerprint = options.fingerprint || generateRandomFingerprint();
+        const headers = options.headers || generateHeaders(fingerprint);
 
         // Create context with randomized browser fingerprint
-        context = await this.browser.newContext({
+        const context = await browser.newContext({
+            ...(options.proxy ? { proxy: { server: options.proxy } } : {}),
             userAgent: fingerprint.userAgent,
             viewport: fingerprint.viewport,
             locale: fingerprint.locale,
@@ -1571,139 +1548,97 @@ class ScreenshotService {
             extraHTTPHeaders: headers
         });
 
-        page = await context.newPage();
-
-        // Apply fingerprint evasion scripts
-        await applyFingerprintEvasion(page, fingerprint);
-
-        // Record the request
-        rateLimiter.recordRequest(url);
-
-        // Navigate to page with increased timeout
-        const timeout = 90000; // 90 seconds for protected sites
+        // Closing the context makes the pending navigation fail immediately
+        const onAbort = () => context.close().catch(() => { });
+        if (options.signal) options.signal.addEventListener('abort', onAbort, { once: true });
 
         try {
-            await page.goto(url, {
-                waitUntil: 'domcontentloaded',
-                timeout: timeout
-            });
-        } catch (navError) {
-            // Check for HTTP/2 protocol errors
-            if (navError.message.includes('ERR_HTTP2_PROTOCOL_ERROR') ||
-                navError.message.includes('ERR_HTTP2_') ||
-                navError.message.includes('PROTOCOL_ERROR')) {
-                console.warn(`[Playwright] HTTP/2 protocol error detected, will retry with HTTP/1.1`);
-                throw navError; // Re-throw to trigger retry with different strategy
-            }
-
-            // For timeout or other errors, try with 'load' event
-            console.warn(`[Playwright] Navigation failed with domcontentloaded, trying load event...`);
-            await page.goto(url, {
-                waitUntil: 'load',
-                timeout: timeout
-            });
-        }
+            const page = await context.newPage();
 
-        // Wait for initial load
-        await page.waitForTimeout(2000);
+            // Apply fingerprint evasion scripts (the caller waited its turn in the rate limiter)
+            await applyFingerprintEvasion(page, fingerprint);
 
-        // Check for and wait for Cloudflare challenge to complete
-        const cloudflareResolved = await this.waitForCloudflareChallenge(page, 30000);
-        if (!cloudflareResolved) {
-            console.warn('[Playwright] Cloudflare challenge may not have completed');
-        }
+            // Navigate to page with increased timeout
+            const timeout = 90000; // 90 seconds for protected sites
 
-        // Wait for dynamic content with longer delay for protected sites
-        await page.waitForTimeout(2000);
+            try {
+                await page.goto(url, {
+                    waitUntil: 'domcontentloaded',
+                    timeout: timeout
+                });
+            } catch (navError) {
+                // Check for HTTP/2 protocol errors
+                if (navError.message.includes('ERR_HTTP2_PROTOCOL_ERROR') ||
+                    navError.message.includes('ERR_HTTP2_') ||
+                    navError.message.includes('PROTOCOL_ERROR')) {
+                    console.warn(`[Playwright] HTTP/2 protocol error detected, will retry with HTTP/1.1`);
+                    throw navError; // Re-throw to trigger retry with different strategy
+                }
 
-        // Try to wait for network idle briefly
-        try {
-            await page.waitForLoadState('networkidle', { timeout: 10000 });
-        } catch (e) {
-            // Network may never be idle on some sites, continue anyway
-        }
+                // For timeout or other errors, try with 'load' event
+                console.warn(`[Playwright] Navigation failed with domcontentloaded, trying load event...`);
+                await page.goto(url, {
+                    waitUntil: 'load',
+                    timeout: timeout
+                });
+            }
 
-        // Handle popups/cookie banners using existing logic
-        await this.closePopups(page);
+            // Wait for initial load
+            await page.waitForTimeout(2000);
 
-        // Wait after closing popups for page to settle
-        await page.waitForTimeout(1000);
+            // Check for and wait for Cloudflare challenge to complete
+            const cloudflareResolved = await this.waitForCloudflareChallenge(page, 30000);
+            if (!cloudflareResolved) {
+                console.warn('[Playwright] Cloudflare challenge may not have completed');
+            }
 
-        // Scroll to trigger lazy loading
-        await this.scrollPageToRevealContent(page);
+            // Wait for dynamic content with longer delay for protected sites
+            await page.waitForTimeout(2000);
 
-        // Wait for lazy-loaded content
-        await page.waitForTimeout(1500);
+            // Try to wait for network idle briefly
+            try {
+                await page.waitForLoadState('networkidle', { timeout: 10000 });
+            } catch (e) {
+                // Network may never be idle on some sites, continue anyway
+            }
 
-        // Get content
-        const content = await page.content();
+            // Handle popups/cookie banners using existing logic
+            await this.closePopups(page);
 
-        // Check for blocked page first
-        const isBlocked = await this.detectErrorPage(page);
-        if (isBlocked) {
-            throw new Error('Page returned error or blocked response');
-        }
+            // Wait after closing popups for page to settle
+            await page.waitForTimeout(1000);
 
-        // Validate we got actual content (not a challenge page)
-        // Typical websites have at least 10KB of HTML
-        if (content.length < 5000) {
-            console.warn(`[Playwright] Suspiciously short content (${content.length} chars), likely blocked`);
-            throw new Error(`Blocked: Content too short (${content.length} chars)`);
-        }
+            // Scroll to trigger lazy loading
+            await this.scrollPageToRevealContent(page);
 
-        // Log content length for debugging
-        console.log(`[Playwright] Successfully fetched ${content.length} characters from ${url}`);
+            // Wait for lazy-loaded content
+            await page.waitForTimeout(1500);
 
-        return content;
+            // Get content
+            const content = await page.content();
 
-    } catch (error) {
-        console.error(`[Playwright] Error fetching content for ${url}:`, error.message);
+            // Check for blocked page first
+            const isBlocked = await this.detectErrorPage(page);
+            if (isBlocked) {
+                throw new Error('Page returned error or blocked response');
+            }
 
-        // Mark proxy as failed if using one
-        if (proxy) {
-            proxyManager.markFailed(proxy);
-        }
+            // Validate we got actual content (not a challenge page)
+            // Typical websites have at least 10KB of HTML
+            if (content.length < 5000) {
+                console.warn(`[Playwright] Suspiciously short content (${content.length} chars), likely blocked`);
+                throw new Error(`Blocked: Content too short (${content.length} chars)`);
+            }
 
-        // Cleanup before retry
-        try {
-            if (page) await page.close().catch(() => { });
-            if (context) await context.close().catch(() => { });
-        } catch (e) { }
+            // Log content length for debugging
+            console.log(`[Playwright] Successfully fetched ${content.length} characters from ${url}`);
 
-        // Check if we should retry with a different strategy
-        if (retryCount < maxRetries - 1) {
-            const shouldRetry =
-                error.message.includes('ERR_HTTP2_') ||
-                error.message.includes('PROTOCOL_ERROR') ||
-                error.message.includes('timeout') ||
-                error.message.includes('Navigation failed') ||
-                error.message.includes('net::ERR_') ||
-                error.message.includes('blocked') ||
-                error.message.includes('Cloudflare') ||
-                error.message.includes('challenge');
-
-            if (shouldRetry) {
-                console.log(`[Playwright] Retrying with different strategy (${retryCount + 2}/${maxRetries})...`);
-                await new Promise(resolve => setTimeout(resolve, 3000)); // Wait 3s before retry for rate limiting
-
-                // Close browser to apply new strategy
-                await this.close();
-
-                return this.fetchPageContent(url, retryCount + 1);
-            }
+            return content;
+        } finally {
+            if (options.signal) options.signal.removeEventListener('abort', onAbort);
+            await context.close().catch(() => { });
         }
-
-        throw error;
-    } finally {
-        // Cleanup
-        try {
-            if (page) await page.close().catch(() => { });
-        } catch (e) { }
-        try {
-            if (context) await context.close().catch(() => { });
-        } catch (e) { }
     }
 }
-}
 
 module.exports = ScreenshotService;
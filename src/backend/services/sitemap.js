@@ -0,0 +1,165 @@
+const axios = require('axios');
+const { promisify } = require('util');
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+const config = require('../config');
+const robots = require('./robots');
+const { rateLimiter } = require('./antiDetection');
+
+/**
+ * Sitemaps
+ * Lists the pages of a site from its sitemaps: the Sitemap lines of its robots.txt, else
+ * /sitemap.xml. Sitemap indexes are followed (up to MAX_SITEMAP_FILES files in all), gzip
+ * sitemaps are decompressed and plain-text sitemaps (one URL per line) are read as well.
+ * Only pages of the site (with or without www.) that robots.txt allows are kept, with their
+ * lastmod date.
+ */
+
+const MAX_INDEX_DEPTH = 3;
+// The sitemap protocol allows 50 MB (uncompressed) per file; larger files are rare and
+// would be parsed in memory, so files are read up to 10 MB, downloaded and decompressed
+const MAX_SITEMAP_BYTES = 10 * 1024 * 1024;
+// Limit of the sitemap protocol: 50,000 URLs per file
+const MAX_URLS = 50000;
+
+const gunzip = promisify(zlib.gunzip);
+
+// lastmod (W3C datetime) as an ISO timestamp, null when missing or invalid
+function parseLastmod(value) {
+    if (!value) return null;
+    const time = Date.parse(value.trim());
+    return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+/**
+ * Parses one sitemap file
+ * @param {string} text - Sitemap content (XML or plain text)
+ * @returns {Object} - { sitemaps: [{ loc, lastmod }], urls: [{ loc, lastmod }] }
+ */
+function parseSitemap(text) {
+    const sitemaps = [];
+    const urls = [];
+
+    if (!/^\s*</.test(text)) {
+        // Plain-text sitemap
+        for (const line of text.split(/\r?\n/)) {
+            const loc = line.trim();
+            if (/^https?:\/\//i.test(loc)) urls.push({ loc, lastmod: null });
+        }
+        return { sitemaps, urls };
+    }
+
+    const $ = cheerio.load(text, { xmlMode: true });
+    $('sitemapindex > sitemap').each((_, element) => {
+        const loc = $(element).children('loc').first().text().trim();
+        if (loc) sitemaps.push({ loc, lastmod: parseLastmod($(element).children('lastmod').first().text()) });
+    });
+    $('urlset > url').each((_, element) => {
+        const loc = $(element).children('loc').first().text().trim();
+        if (loc) urls.push({ loc, lastmod: parseLastmod($(element).children('lastmod').first().text()) });
+    });
+    return { sitemaps, urls };
+}
+
+/**
+ * Downloads one sitemap file, decompressing gzip (by its magic bytes, since .gz sitemaps
+ * are usually served without Content-Encoding)
+ * @param {string} url - Sitemap URL
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @returns {Promise<string>} - Sitemap content
+ */
+async function downloadSitemap(url, signal) {
+    await rateLimiter.waitTurn(url, signal);
+    const response = await axios.get(url, {
+        headers: { 'User-Agent': `Mozilla/5.0 (compatible; ${config.robots.userAgent})` },
+        timeout: config.fetching.timeoutMs,
+        signal,
+        maxRedirects: 5,
+        maxContentLength: MAX_SITEMAP_BYTES,
+        responseType: 'arraybuffer'
+    });
+
+    let body = Buffer.from(response.data);
+    if (body[0] === 0x1f && body[1] === 0x8b) {
+        body = await gunzip(body, { maxOutputLength: MAX_SITEMAP_BYTES });
+    }
+    return body.toString('utf8');
+}
+
+/**
+ * Lists the pages in the sitemaps of a site
+ * @param {string} siteUrl - Homepage URL
+ * @param {Object} options - Optional settings
+ * @param {AbortSignal} options.signal - Cancellation signal
+ * @param {number} options.maxFiles - Sitemap files read at most (default: MAX_SITEMAP_FILES)
+ * @returns {Promise<Array<Object>>} - [{ url, lastmod }], in sitemap order; empty when the
+ *   site has no readable sitemap
+ */
+async function readSitemaps(siteUrl, options = {}) {
+    const { signal } = options;
+    const maxFiles = options.maxFiles || config.discovery.maxSitemapFiles;
+    const site = new URL(siteUrl);
+    const bareHost = hostname => hostname.replace(/^www\./, '');
+    let siteRobots;
+    try {
+        siteRobots = await robots.getRobots(siteUrl);
+    } catch (error) {
+        // The site name does not resolve: the crawl of the homepage reports it
+        console.warn(`[Sitemap] Could not read the sitemaps of ${site.origin}:`, error.message);
+        return [];
+    }
+
+    const declared = siteRobots.sitemaps.length > 0;
+    const queue = (declared ? siteRobots.sitemaps : [`${site.origin}/sitemap.xml`])
+        .map(loc => ({ loc, depth: 0 }));
+    const seenFiles = new Set();
+    const pages = new Map();
+    let files = 0;
+
+    while (queue.length > 0 && files < maxFiles && pages.size < MAX_URLS) {
+        const { loc, depth } = queue.shift();
+        if (seenFiles.has(loc)) continue;
+        seenFiles.add(loc);
+        files++;
+
+        let parsed;
+        try {
+            parsed = parseSitemap(await downloadSitemap(loc, signal));
+        } catch (error) {
+            if (signal && signal.aborted) throw error;
+            // A site without a sitemap is common; only declared sitemaps are worth a warning
+            if (declared || depth > 0) console.warn(`[Sitemap] Could not read ${loc}:`, error.message);
+            continue;
+        }
+
+        if (depth < MAX_INDEX_DEPTH) {
+            // Recently modified sitemaps of an index first, in case MAX_SITEMAP_FILES cuts it short
+            const children = parsed.sitemaps.sort((a, b) => (b.lastmod || '').localeCompare(a.lastmod || ''));
+            queue.push(...children.map(entry => ({ loc: entry.loc, depth: depth + 1 })));
+        }
+
+        for (const entry of parsed.urls) {
+            let url;
+            try {
+                url = new URL(entry.loc);
+            } catch (e) {
+                continue;
+            }
+            url.hash = '';
+            if (bareHost(url.hostname) !== bareHost(site.hostname) || !siteRobots.isAllowed(url.href)) continue;
+            if (!pages.has(url.href)) pages.set(url.href, { url: url.href, lastmod: entry.lastmod });
+            if (pages.size >= MAX_URLS) break;
+        }
+    }
+
+    if (queue.length > 0 && files >= maxFiles) {
+        console.warn(`[Sitemap] Stopped after ${files} sitemap files of ${site.origin} (MAX_SITEMAP_FILES)`);
+    }
+    console.log(`[Sitemap] ${pages.size} page(s) in ${files} sitemap file(s) of ${site.origin}`);
+    return Array.from(pages.values());
+}
+
+module.exports = {
+    readSitemaps,
+    parseSitemap
+};
@@ -0,0 +1,209 @@
+/**
+ * Analysis Snapshots Service
+ * Every completed analysis stores a snapshot of the messages it found (with their pages
+ * and categories). brand_messages accumulates messages over all runs, so comparing two
+ * snapshots is the only way to tell what changed on a site between runs.
+ */
+
+const supabase = require('./supabase');
+const { normalizeText } = require('./phraseMatcher');
+
+const SNAPSHOT_LIST_COLUMNS = 'id, company_id, job_id, guideline_version_id, page_count, message_count, created_at';
+
+// Identity of a message across runs: its type and normalized text
+function messageKey(type, content) {
+    return `${type}-${normalizeText(content)}`;
+}
+
+/**
+ * Stores the snapshot of an analysis run. Messages are linked to their brand_messages
+ * row and current category. Re-running it for the same job replaces the snapshot.
+ * @param {Object} params
+ * @param {string} params.companyId - Company UUID
+ * @param {string} params.jobId - Analysis job UUID (optional)
+ * @param {string} params.guidelineVersionId - Guideline version used to classify (optional)
+ * @param {Array<string>} params.pages - URLs analyzed in this run
+ * @param {Array<Object>} params.messages - Verified messages of this run ({ 'Message Type', Message, Locations })
+ * @returns {Promise<Object>} - The snapshot row
+ */
+async function createSnapshot({ companyId, jobId = null, guidelineVersionId = null, pages, messages }) {
+    const { data: companyMessages, error: messagesError } = await supabase
+        .from('brand_messages')
+        .select('id, message_type, content, category_id')
+        .eq('company_id', companyId);
+    if (messagesError) throw messagesError;
+
+    const { data: categories, error: categoriesError } = await supabase
+        .from('message_categories')
+        .select('id, name')
+        .eq('company_id', companyId);
+    if (categoriesError) throw categoriesError;
+
+    const categoryNames = new Map((categories || []).map(c => [c.id, c.name]));
+    const rowsByKey = new Map();
+    for (const row of companyMessages || []) {
+        const key = messageKey(row.message_type, row.content);
+        if (!rowsByKey.has(key)) rowsByKey.set(key, row);
+    }
+
+    // One entry per message, merging duplicates of this run
+    const entries = new Map();
+    for (const msg of messages) {
+        const key = messageKey(msg['Message Type'], msg.Message);
+        const entry = entries.get(key);
+        if (entry) {
+            entry.locations = [...new Set([...entry.locations, ...(msg.Locations || [])])];
+            continue;
+        }
+        const row = rowsByKey.get(key);
+        entries.set(key, {
+            key,
+            message_id: row ? row.id : null,
+            message_type: msg['Message Type'],
+            content: msg.Message,
+            locations: [...new Set(msg.Locations || [])],
+            category: row && row.category_id ? categoryNames.get(row.category_id) || null : null
+        });
+    }
+
+    const snapshot = {
+        company_id: companyId,
+        job_id: jobId,
+        guideline_version_id: guidelineVersionId,
+        pages,
+        page_count: pages.length,
+        message_count: entries.size,
+        messages: [...entries.values()]
+    };
+
+    const query = jobId
+        ? supabase.from('analysis_snapshots').upsert(snapshot, { onConflict: 'job_id' })
+        : supabase.from('analysis_snapshots').insert(snapshot);
+    const { data, error } = await query.select().single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Lists the snapshots of a company, newest first (without messages)
+ * @param {string} companyId - Company UUID
+ * @returns {Promise<Array<Object>>} - Snapshot rows
+ */
+async function listSnapshots(companyId) {
+    const { data, error } = await supabase
+        .from('analysis_snapshots')
+        .select(SNAPSHOT_LIST_COLUMNS)
+        .eq('company_id', companyId)
+        .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Fetches one snapshot of a company
+ * @param {string} companyId - Company UUID
+ * @param {string} id - Snapshot UUID
+ * @returns {Promise<Object|null>} - Snapshot row or null
+ */
+async function getSnapshot(companyId, id) {
+    const { data, error } = await supabase
+        .from('analysis_snapshots')
+        .select('*')
+        .eq('company_id', companyId)
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Compares two snapshots. A message missing from the newer snapshot only counts as
+ * removed if one of its pages was analyzed again; otherwise it is listed as unchecked.
+ * Likewise a page only counts as removed from a message if it was analyzed again.
+ * @param {Object} from - Older snapshot
+ * @param {Object} to - Newer snapshot
+ * @returns {Object} - { added, removed, unchecked, moved, category_changes, summary }
+ */
+function diffSnapshots(from, to) {
+    const fromMessages = new Map(from.messages.map(m => [m.key, m]));
+    const toMessages = new Map(to.messages.map(m => [m.key, m]));
+    const reanalyzedPages = new Set(to.pages || []);
+
+    const added = to.messages.filter(m => !fromMessages.has(m.key));
+    const removed = [];
+    const unchecked = [];
+    const moved = [];
+    const categoryChanges = [];
+
+    for (const previous of from.messages) {
+        const current = toMessages.get(previous.key);
+        if (!current) {
+            const wasRechecked = previous.locations.some(url => reanalyzedPages.has(url));
+            (wasRechecked ? removed : unchecked).push(previous);
+            continue;
+        }
+
+        const addedLocations = current.locations.filter(url => !previous.locations.includes(url));
+        const removedLocations = previous.locations.filter(url => !current.locations.includes(url) && reanalyzedPages.has(url));
+        if (addedLocations.length > 0 || removedLocations.length > 0) {
+            moved.push({ ...current, added_locations: addedLocations, removed_locations: removedLocations });
+        }
+
+        if (previous.category && current.category && previous.category !== current.category) {
+            categoryChanges.push({ ...current, from_category: previous.category, to_category: current.category });
+        }
+    }
+
+    return {
+        added,
+        removed,
+        unchecked,
+        moved,
+        category_changes: categoryChanges,
+        summary: {
+            added: added.length,
+            removed: removed.length,
+            unchecked: unchecked.length,
+            moved: moved.length,
+            category_changes: categoryChanges.length
+        }
+    };
+}
+
+/**
+ * Diffs two snapshots of a company. Defaults: `to` is the latest snapshot and `from`
+ * the one before `to`.
+ * @param {string} companyId - Company UUID
+ * @param {Object} params - { from, to } snapshot UUIDs (optional)
+ * @returns {Promise<Object|null>} - { from, to, ...diff } or null if there is nothing to compare
+ */
+async function diffCompanySnapshots(companyId, { from: fromId = null, to: toId = null } = {}) {
+    const snapshots = await listSnapshots(companyId);
+
+    const toSummary = toId ? snapshots.find(s => s.id === toId) : snapshots[0];
+    if (!toSummary) return null;
+    const fromSummary = fromId
+        ? snapshots.find(s => s.id === fromId)
+        : snapshots.find(s => s.created_at < toSummary.created_at);
+    if (!fromSummary) return null;
+
+    const [from, to] = await Promise.all([getSnapshot(companyId, fromSummary.id), getSnapshot(companyId, toSummary.id)]);
+    const summarize = ({ messages, pages, ...snapshot }) => snapshot;
+
+    return {
+        from: summarize(from),
+        to: summarize(to),
+        ...diffSnapshots(from, to)
+    };
+}
+
+module.exports = {
+    createSnapshot,
+    listSnapshots,
+    getSnapshot,
+    diffSnapshots,
+    diffCompanySnapshots
+};
@@ -25,6 +25,8 @@ class StandaloneScreenshotService {
         // Cloudflare bypass settings
         this.cloudflareExtensionEnabled = process.env.CLOUDFLARE_EXTENSION_ENABLED !== 'false';
         this.cloudflareBypassTimeout = parseInt(process.env.CLOUDFLARE_BYPASS_TIMEOUT) || 180000; // 3 mins
+        // API key (evidence:write scope) the extension sends with the HTML evidence
+        this.evidenceApiKey = process.env.EVIDENCE_API_KEY || null;
 
         // Initialize consent neutralizer
         this.neutralizer = new ConsentNeutralizer();
@@ -130,6 +132,25 @@ class StandaloneScreenshotService {
         throw new Error('All free capture methods failed (Playwright, Puppeteer, Selenium). Paid APIs are disabled.');
     }
 
+    /**
+     * Hands the evidence API key to the Cloudflare extension (chrome.storage of its
+     * service worker), which sends it with the HTML it posts to /api/evidence/html
+     * @param {Object} context - Persistent context with the extension loaded
+     */
+    async configureCloudflareExtension(context) {
+        if (!this.evidenceApiKey) {
+            this.log('warn', 'EVIDENCE_API_KEY is not set: the Cloudflare extension cannot upload HTML evidence');
+            return;
+        }
+        try {
+            const worker = context.serviceWorkers().find(sw => sw.url().startsWith('chrome-extension://'))
+                || await context.waitForEvent('serviceworker', { timeout: 5000 });
+            await worker.evaluate(apiKey => chrome.storage.local.set({ apiKey }), this.evidenceApiKey);
+        } catch (error) {
+            this.log('warn', `Could not configure the Cloudflare extension: ${error.message}`);
+        }
+    }
+
     /**
      * Main capture method with consent neutralization AND Cloudflare bypass
      */
@@ -190,6 +211,7 @@ class StandaloneScreenshotService {
                     serviceWorkers: 'block' // Layer 7
                 });
                 context = browser; // browser IS the context in persistent mode
+                if (useCloudflareExt) await this.configureCloudflareExtension(context);
                 page = await context.newPage();
             } else {
                 // Standard launch (no extensions)
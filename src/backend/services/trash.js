@@ -0,0 +1,394 @@
+/**
+ * Trash Service
+ * Deleting a company, message or screenshot moves it to the trash (sets deleted_at)
+ * instead of removing it. A message is trashed together with its screenshots, which get
+ * the same deleted_at so restoring the message brings back exactly those screenshots.
+ * A trashed company hides everything it contains. The TrashPurger permanently removes
+ * items (with their files in storage) once they have been in the trash longer than the
+ * retention period.
+ */
+
+const supabase = require('./supabase');
+const { objectStore, SCREENSHOTS_BUCKET } = require('../storage/objects');
+const config = require('../config');
+const { recordAudit } = require('./auditLog');
+
+const TRASH_TYPES = ['company', 'message', 'screenshot'];
+
+const TABLES = {
+    company: 'companies',
+    message: 'brand_messages',
+    screenshot: 'screenshots'
+};
+
+// Items purged per type and poll, so a large backlog is spread over several polls
+const PURGE_BATCH_SIZE = 50;
+
+/**
+ * When an item in the trash will be purged
+ * @param {string} deletedAt - When the item was trashed (ISO 8601)
+ * @returns {string} - ISO 8601 date
+ */
+function purgeDate(deletedAt) {
+    return new Date(Date.parse(deletedAt) + config.trash.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Removes the image files of screenshots from storage. Failures are logged, so a file
+ * that is already gone does not block the purge.
+ * @param {Array<Object>} screenshots - Screenshot rows ({ image_url })
+ */
+async function removeStorageObjects(screenshots) {
+    // Images stored elsewhere (base64 fallbacks, external URLs) have no path
+    const paths = screenshots
+        .map(screenshot => objectStore.pathFromUrl(SCREENSHOTS_BUCKET, screenshot.image_url))
+        .filter(Boolean);
+    if (paths.length === 0) return;
+
+    try {
+        await objectStore.remove(SCREENSHOTS_BUCKET, paths);
+    } catch (storageErr) {
+        console.warn('[Trash] Failed to delete screenshots from storage:', storageErr.message);
+    }
+}
+
+/**
+ * Moves a company to the trash
+ * @param {string} companyId - Company UUID
+ * @param {string|null} userId - User who deleted it
+ * @returns {Promise<Object|null>} - The company row, or null if it is not active
+ */
+async function trashCompany(companyId, userId) {
+    const { data, error } = await supabase
+        .from('companies')
+        .update({ deleted_at: new Date().toISOString(), deleted_by: userId })
+        .eq('id', companyId)
+        .is('deleted_at', null)
+        .select();
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Moves a message and its screenshots to the trash
+ * @param {string} messageId - Message UUID
+ * @param {string|null} userId - User who deleted it
+ * @returns {Promise<{message: Object, screenshots: Array<Object>}|null>} - null if the
+ *   message is not active
+ */
+async function trashMessage(messageId, userId) {
+    const deletedAt = new Date().toISOString();
+    const { data, error } = await supabase
+        .from('brand_messages')
+        .update({ deleted_at: deletedAt, deleted_by: userId })
+        .eq('id', messageId)
+        .is('deleted_at', null)
+        .select();
+
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    const { data: screenshots, error: screenshotsError } = await supabase
+        .from('screenshots')
+        .update({ deleted_at: deletedAt, deleted_by: userId })
+        .eq('message_id', messageId)
+        .is('deleted_at', null)
+        .select();
+
+    if (screenshotsError) throw screenshotsError;
+    return { message: data[0], screenshots: screenshots || [] };
+}
+
+/**
+ * Moves a screenshot to the trash
+ * @param {string} screenshotId - Screenshot UUID
+ * @param {string|null} userId - User who deleted it
+ * @returns {Promise<Object|null>} - The screenshot row, or null if it is not active
+ */
+async function trashScreenshot(screenshotId, userId) {
+    const { data, error } = await supabase
+        .from('screenshots')
+        .update({ deleted_at: new Date().toISOString(), deleted_by: userId })
+        .eq('id', screenshotId)
+        .is('deleted_at', null)
+        .select();
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Lists the trash of a workspace, most recently deleted first. Messages and screenshots
+ * of trashed companies are not listed separately, nor are screenshots trashed with their
+ * message (they are counted on the message).
+ * @param {string} workspaceId - Workspace UUID
+ * @returns {Promise<Object>} - { companies, messages, screenshots, retention_days }
+ */
+async function listTrash(workspaceId) {
+    const { data: companies, error: companiesError } = await supabase
+        .from('companies')
+        .select('id, name, domain, url, deleted_at, deleted_by')
+        .eq('workspace_id', workspaceId)
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false });
+
+    if (companiesError) throw companiesError;
+
+    const { data: activeCompanies, error: activeError } = await supabase
+        .from('companies')
+        .select('id')
+        .eq('workspace_id', workspaceId)
+        .is('deleted_at', null);
+
+    if (activeError) throw activeError;
+    const companyIds = (activeCompanies || []).map(company => company.id);
+
+    let messages = [];
+    let screenshots = [];
+    if (companyIds.length > 0) {
+        const { data: messageRows, error: messagesError } = await supabase
+            .from('brand_messages')
+            .select('id, company_id, message_type, content, deleted_at, deleted_by, companies (name, domain)')
+            .in('company_id', companyIds)
+            .not('deleted_at', 'is', null)
+            .order('deleted_at', { ascending: false });
+
+        if (messagesError) throw messagesError;
+        messages = messageRows || [];
+
+        const { data: screenshotRows, error: screenshotsError } = await supabase
+            .from('screenshots')
+            .select('id, company_id, message_id, original_url, image_url, status, deleted_at, deleted_by, companies (name, domain), brand_messages (content, deleted_at)')
+            .in('company_id', companyIds)
+            .not('deleted_at', 'is', null)
+            .order('deleted_at', { ascending: false });
+
+        if (screenshotsError) throw screenshotsError;
+        screenshots = screenshotRows || [];
+    }
+
+    // Screenshots trashed with their message share its deleted_at
+    const messageDeletedAt = new Map(messages.map(message => [message.id, message.deleted_at]));
+    const trashedWithMessage = screenshot => messageDeletedAt.get(screenshot.message_id) === screenshot.deleted_at;
+    const screenshotCounts = new Map();
+    for (const screenshot of screenshots.filter(trashedWithMessage)) {
+        screenshotCounts.set(screenshot.message_id, (screenshotCounts.get(screenshot.message_id) || 0) + 1);
+    }
+
+    return {
+        companies: (companies || []).map(company => ({ ...company, purge_at: purgeDate(company.deleted_at) })),
+        messages: messages.map(message => ({
+            ...message,
+            screenshot_count: screenshotCounts.get(message.id) || 0,
+            purge_at: purgeDate(message.deleted_at)
+        })),
+        screenshots: screenshots
+            .filter(screenshot => !trashedWithMessage(screenshot))
+            .map(screenshot => ({ ...screenshot, purge_at: purgeDate(screenshot.deleted_at) })),
+        retention_days: config.trash.retentionDays
+    };
+}
+
+// Parents whose trash state decides whether an item can be restored on its own
+const PARENT_COLUMNS = {
+    company: '*',
+    message: '*, companies (deleted_at)',
+    screenshot: '*, companies (deleted_at), brand_messages (deleted_at)'
+};
+
+/**
+ * Fetches an item, whether or not it is in the trash
+ * @param {string} type - company, message or screenshot
+ * @param {string} id - Item UUID
+ * @returns {Promise<Object|null>} - The row (messages and screenshots with companies
+ *   { deleted_at }, screenshots also with brand_messages { deleted_at }), or null if it
+ *   does not exist
+ */
+async function getItem(type, id) {
+    const { data, error } = await supabase
+        .from(TABLES[type])
+        .select(PARENT_COLUMNS[type])
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error && error.code === '22P02') return null;
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Restores an item from the trash (a message with the screenshots trashed with it)
+ * @param {string} type - company, message or screenshot
+ * @param {Object} item - The trashed row (see getItem)
+ * @returns {Promise<{item: Object, screenshots: number}>} - The restored row and the
+ *   number of screenshots restored with it
+ */
+async function restoreItem(type, item) {
+    const { data, error } = await supabase
+        .from(TABLES[type])
+        .update({ deleted_at: null, deleted_by: null })
+        .eq('id', item.id)
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    let screenshots = 0;
+    if (type === 'message') {
+        const { data: restored, error: screenshotsError } = await supabase
+            .from('screenshots')
+            .update({ deleted_at: null, deleted_by: null })
+            .eq('message_id', item.id)
+            .eq('deleted_at', item.deleted_at)
+            .select('id');
+
+        if (screenshotsError) throw screenshotsError;
+        screenshots = (restored || []).length;
+    }
+
+    console.log(`[Trash] Restored ${type} ${item.id}${screenshots ? ` with ${screenshots} screenshots` : ''}`);
+    return { item: data, screenshots };
+}
+
+/**
+ * Permanently deletes an item and the files of its screenshots. A company takes its
+ * messages and screenshots with it, a message its screenshots.
+ * @param {string} type - company, message or screenshot
+ * @param {Object} item - The row
+ * @returns {Promise<number>} - Number of screenshots deleted
+ */
+async function purgeItem(type, item) {
+    const column = { company: 'company_id', message: 'message_id', screenshot: 'id' }[type];
+    const { data: screenshots, error: screenshotsError } = await supabase
+        .from('screenshots')
+        .select('id, image_url')
+        .eq(column, item.id);
+
+    if (screenshotsError) throw screenshotsError;
+    await removeStorageObjects(screenshots || []);
+
+    // Screenshots only follow their company (not their message) when it is deleted
+    if (type === 'message' && screenshots && screenshots.length > 0) {
+        const { error } = await supabase
+            .from('screenshots')
+            .delete()
+            .eq('message_id', item.id);
+        if (error) throw error;
+    }
+
+    const { error } = await supabase
+        .from(TABLES[type])
+        .delete()
+        .eq('id', item.id);
+
+    if (error) throw error;
+    console.log(`[Trash] Purged ${type} ${item.id} (${(screenshots || []).length} screenshots)`);
+    return (screenshots || []).length;
+}
+
+/**
+ * Purges every item that has been in the trash longer than the retention period
+ * @returns {Promise<Object>} - Number of purged items per type
+ */
+async function purgeExpired() {
+    const cutoff = new Date(Date.now() - config.trash.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const purged = { company: 0, message: 0, screenshot: 0 };
+
+    for (const type of TRASH_TYPES) {
+        const { data: expired, error } = await supabase
+            .from(TABLES[type])
+            .select(type === 'company' ? '*' : '*, companies (workspace_id)')
+            .lt('deleted_at', cutoff)
+            .order('deleted_at', { ascending: true })
+            .limit(PURGE_BATCH_SIZE);
+
+        if (error) throw error;
+
+        for (const item of expired || []) {
+            try {
+                const screenshots = await purgeItem(type, item);
+                purged[type]++;
+
+                const workspaceId = type === 'company' ? item.workspace_id : item.companies && item.companies.workspace_id;
+                const { companies, ...before } = item;
+                await recordAudit({ workspace: workspaceId ? { id: workspaceId } : null }, {
+                    action: `${type}.purged`,
+                    targetType: type,
+                    targetId: item.id,
+                    companyId: type === 'company' ? item.id : item.company_id,
+                    before,
+                    metadata: { screenshots, retention_days: config.trash.retentionDays }
+                });
+            } catch (purgeError) {
+                console.error(`[Trash] Failed to purge ${type} ${item.id}:`, purgeError.message);
+            }
+        }
+    }
+
+    return purged;
+}
+
+/**
+ * Polling loop that purges expired items from the trash
+ */
+class TrashPurger {
+    constructor(options = {}) {
+        this.pollIntervalMs = options.pollIntervalMs || config.trash.purgePollMs;
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    /**
+     * Start purging periodically
+     */
+    start() {
+        if (this.timer) return;
+        console.log(`[Trash] Starting purge job (retention ${config.trash.retentionDays} days, poll every ${this.pollIntervalMs}ms)`);
+        this.tick();
+        this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    }
+
+    /**
+     * Stop purging
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * One polling iteration
+     */
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+        try {
+            const purged = await purgeExpired();
+            const total = purged.company + purged.message + purged.screenshot;
+            if (total > 0) {
+                console.log(`[Trash] Purged ${purged.company} companies, ${purged.message} messages and ${purged.screenshot} screenshots`);
+            }
+        } catch (error) {
+            console.error('[Trash] Purge failed:', error.message);
+        } finally {
+            this.ticking = false;
+        }
+    }
+}
+
+module.exports = {
+    TRASH_TYPES,
+    purgeDate,
+    trashCompany,
+    trashMessage,
+    trashScreenshot,
+    listTrash,
+    getItem,
+    restoreItem,
+    purgeItem,
+    purgeExpired,
+    TrashPurger
+};
@@ -0,0 +1,261 @@
+/**
+ * LLM Usage Service
+ * Stores the priced token usage of analyses (and of manual re-categorizations) in the
+ * llm_usage table, one row per job, task and model; aggregates it per day or month for
+ * the usage report; and checks the workspace budgets. Once the LLM spend of the current
+ * UTC day or month reaches the workspace's daily_budget_usd or monthly_budget_usd, new
+ * analyses are refused until the next day or month (analyses already running finish).
+ */
+
+const supabase = require('./supabase');
+const { getUsageEntries, summarizeUsage } = require('./llm/pricing');
+
+const USAGE_PERIODS = ['day', 'month'];
+
+// Longest range of a usage report
+const MAX_REPORT_DAYS = 731;
+
+// Rows per request when reading usage (the PostgREST default row limit)
+const PAGE_SIZE = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toIsoDate = date => date.toISOString().substring(0, 10);
+const toAmount = value => (value === null || value === undefined ? null : Number(value));
+
+// Usage row as a pricing entry (see llm/pricing)
+function toEntry(row) {
+    return {
+        requests: row.requests || 0,
+        cachedRequests: row.cached_requests || 0,
+        inputTokens: row.input_tokens || 0,
+        outputTokens: row.output_tokens || 0,
+        costUsd: toAmount(row.cost_usd)
+    };
+}
+
+// Groups usage rows and summarizes every group
+function groupUsage(rows, keyOf, describe) {
+    const groups = new Map();
+    for (const row of rows) {
+        const key = keyOf(row);
+        if (!groups.has(key)) groups.set(key, { ...describe(row), rows: [] });
+        groups.get(key).rows.push(row);
+    }
+    return [...groups.values()]
+        .map(({ rows: groupRows, ...group }) => ({ ...group, ...summarizeUsage(groupRows.map(toEntry)) }))
+        .sort((a, b) => b.costUsd - a.costUsd);
+}
+
+/**
+ * Stores the usage counted by a recorder
+ * @param {Object} recorder - Counter from createUsageRecorder (see llm/pricing)
+ * @param {Object} owner - { workspaceId, companyId, jobId } (jobId is null outside analyses)
+ * @returns {Promise<Object>} - Summary of the stored usage (see summarizeUsage)
+ */
+async function saveUsage(recorder, { workspaceId = null, companyId = null, jobId = null } = {}) {
+    const entries = getUsageEntries(recorder);
+    if (entries.length === 0) return summarizeUsage(entries);
+
+    const { error } = await supabase
+        .from('llm_usage')
+        .insert(entries.map(entry => ({
+            workspace_id: workspaceId,
+            company_id: companyId,
+            job_id: jobId,
+            task: entry.task,
+            provider: entry.provider,
+            model: entry.model,
+            requests: entry.requests,
+            cached_requests: entry.cachedRequests,
+            input_tokens: entry.inputTokens,
+            output_tokens: entry.outputTokens,
+            cost_usd: entry.costUsd
+        })));
+
+    if (error) throw error;
+    return summarizeUsage(entries);
+}
+
+/**
+ * Reads the usage rows of a workspace in a time range, oldest first
+ * @param {string} workspaceId - Workspace UUID
+ * @param {Object} filters
+ * @param {string} filters.columns - Columns to select
+ * @param {Date} filters.since - Start of the range (inclusive)
+ * @param {Date} filters.until - End of the range (exclusive, default: no end)
+ * @param {string} filters.companyId - Only the usage of this company
+ * @returns {Promise<Array<Object>>} - Usage rows
+ */
+async function listUsageRows(workspaceId, { columns, since, until = null, companyId = null }) {
+    const rows = [];
+    for (let start = 0; ; start += PAGE_SIZE) {
+        let query = supabase
+            .from('llm_usage')
+            .select(columns)
+            .eq('workspace_id', workspaceId)
+            .gte('created_at', since.toISOString())
+            .order('created_at', { ascending: true })
+            .range(start, start + PAGE_SIZE - 1);
+
+        if (until) query = query.lt('created_at', until.toISOString());
+        if (companyId) query = query.eq('company_id', companyId);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return rows;
+    }
+}
+
+/**
+ * Checks the parameters of a usage report
+ * @param {Object} query - { period, from, to } (dates as YYYY-MM-DD, UTC)
+ * @returns {string|null} - The problem, or null if the parameters are valid
+ */
+function validateReportQuery({ period, from, to }) {
+    if (period !== undefined && !USAGE_PERIODS.includes(period)) {
+        return `period must be one of: ${USAGE_PERIODS.join(', ')}`;
+    }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value !== undefined && (!DATE_PATTERN.test(value) || isNaN(Date.parse(value)))) {
+            return `${name} must be a date (YYYY-MM-DD)`;
+        }
+    }
+    if (from) {
+        const days = (Date.parse(to || toIsoDate(new Date())) - Date.parse(from)) / DAY_MS;
+        if (days < 0) return 'from must not be after to';
+        if (days >= MAX_REPORT_DAYS) return `The range must not exceed ${MAX_REPORT_DAYS} days`;
+    }
+    return null;
+}
+
+/**
+ * Aggregates the LLM usage of a workspace per day or month, with totals per company
+ * and model and the status of the budgets
+ * @param {string} workspaceId - Workspace UUID
+ * @param {Object} query - Validated query (see validateReportQuery)
+ * @param {string} query.period - 'day' (default) or 'month'
+ * @param {string} query.from - First day (default: 30 days, or 12 months, before to)
+ * @param {string} query.to - Last day (default: today)
+ * @param {string} query.companyId - Only the usage of this company
+ * @returns {Promise<Object>} - { period, from, to, currency, totals, buckets, companies, models, budget }
+ */
+async function getUsageReport(workspaceId, { period = 'day', from, to, companyId = null } = {}) {
+    const last = new Date(to || toIsoDate(new Date()));
+    let first;
+    if (from) {
+        first = new Date(from);
+    } else if (period === 'month') {
+        first = new Date(Date.UTC(last.getUTCFullYear(), last.getUTCMonth() - 11, 1));
+    } else {
+        first = new Date(last.getTime() - 29 * DAY_MS);
+    }
+
+    const rows = await listUsageRows(workspaceId, {
+        columns: 'company_id, task, provider, model, requests, cached_requests, input_tokens, output_tokens, cost_usd, created_at, companies (name, url)',
+        since: first,
+        until: new Date(last.getTime() + DAY_MS),
+        companyId
+    });
+
+    // Every day or month of the range, including those without usage
+    const bucketOf = date => (period === 'month' ? date.substring(0, 7) : date.substring(0, 10));
+    const buckets = new Map();
+    for (let day = first; day <= last; day = new Date(day.getTime() + DAY_MS)) {
+        buckets.set(bucketOf(toIsoDate(day)), []);
+    }
+    for (const row of rows) {
+        const bucket = buckets.get(bucketOf(row.created_at));
+        if (bucket) bucket.push(toEntry(row));
+    }
+
+    return {
+        period,
+        from: toIsoDate(first),
+        to: toIsoDate(last),
+        currency: 'USD',
+        totals: summarizeUsage(rows.map(toEntry)),
+        buckets: [...buckets.entries()].map(([date, entries]) => ({ date, ...summarizeUsage(entries) })),
+        companies: groupUsage(rows, row => row.company_id, row => ({
+            company_id: row.company_id,
+            name: row.companies ? row.companies.name : null,
+            url: row.companies ? row.companies.url : null
+        })),
+        models: groupUsage(rows, row => `${row.task}|${row.provider}|${row.model}`, row => ({
+            task: row.task,
+            provider: row.provider,
+            model: row.model
+        })),
+        budget: await getBudgetStatus(workspaceId)
+    };
+}
+
+/**
+ * Returns the LLM spend of the current UTC day and month against the workspace budgets
+ * @param {string} workspaceId - Workspace UUID
+ * @returns {Promise<Object>} - { daily: { limitUsd, spentUsd, exceeded }, monthly: { ... }, exceeded, message }
+ */
+async function getBudgetStatus(workspaceId) {
+    const { data: workspace, error } = await supabase
+        .from('workspaces')
+        .select('daily_budget_usd, monthly_budget_usd')
+        .eq('id', workspaceId)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    const now = new Date();
+    const startOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const startOfMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const rows = await listUsageRows(workspaceId, { columns: 'cost_usd, created_at', since: startOfMonth });
+
+    const spentSince = since => rows
+        .filter(row => Date.parse(row.created_at) >= since.getTime())
+        .reduce((sum, row) => sum + (toAmount(row.cost_usd) || 0), 0);
+    const budgetOf = (limitUsd, spentUsd) => ({ limitUsd, spentUsd, exceeded: limitUsd !== null && spentUsd >= limitUsd });
+
+    const daily = budgetOf(toAmount(workspace && workspace.daily_budget_usd), spentSince(startOfDay));
+    const monthly = budgetOf(toAmount(workspace && workspace.monthly_budget_usd), spentSince(startOfMonth));
+
+    let message = null;
+    if (monthly.exceeded) {
+        message = `The workspace's monthly LLM budget of $${monthly.limitUsd.toFixed(2)} is used up ($${monthly.spentUsd.toFixed(2)} spent this month); new analyses can start next month`;
+    } else if (daily.exceeded) {
+        message = `The workspace's daily LLM budget of $${daily.limitUsd.toFixed(2)} is used up ($${daily.spentUsd.toFixed(2)} spent today); new analyses can start tomorrow (UTC)`;
+    }
+
+    return { daily, monthly, exceeded: daily.exceeded || monthly.exceeded, message };
+}
+
+/**
+ * Sets the budgets of a workspace
+ * @param {string} workspaceId - Workspace UUID
+ * @param {Object} budgets - { dailyBudgetUsd, monthlyBudgetUsd }: an amount in USD, null for
+ *   no limit, undefined to keep the current value
+ * @returns {Promise<Object>} - The budget status (see getBudgetStatus)
+ */
+async function setBudgets(workspaceId, { dailyBudgetUsd, monthlyBudgetUsd }) {
+    const changes = {};
+    if (dailyBudgetUsd !== undefined) changes.daily_budget_usd = dailyBudgetUsd;
+    if (monthlyBudgetUsd !== undefined) changes.monthly_budget_usd = monthlyBudgetUsd;
+
+    const { error } = await supabase
+        .from('workspaces')
+        .update(changes)
+        .eq('id', workspaceId);
+
+    if (error) throw error;
+    console.log(`[Usage] Updated budgets of workspace ${workspaceId}: ${JSON.stringify(changes)}`);
+    return getBudgetStatus(workspaceId);
+}
+
+module.exports = {
+    USAGE_PERIODS,
+    saveUsage,
+    validateReportQuery,
+    getUsageReport,
+    getBudgetStatus,
+    setBudgets
+};
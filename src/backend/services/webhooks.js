@@ -0,0 +1,552 @@
+/**
+ * Webhooks Service
+ * Sends outbound notifications when work finishes. A webhook belongs to a workspace and
+ * subscribes to events for one company, or for every company of the workspace when
+ * company_id is NULL. Each
+ * notification is stored as a delivery and sent by the WebhookDispatcher, which
+ * retries failed deliveries with exponential backoff.
+ *
+ * Requests are JSON POSTs signed with the webhook's secret:
+ *   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${X-Webhook-Timestamp}.${body}`)
+ *
+ * Webhook URLs must not reach the server's own network: hosts that resolve to a loopback,
+ * private or link-local address are refused when the webhook is saved and again when a
+ * delivery connects (the address is checked as it is resolved, so a DNS change does not
+ * get around it), unless WEBHOOK_ALLOW_PRIVATE_URLS=true.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const supabase = require('./supabase');
+const config = require('../config');
+
+const WEBHOOK_EVENTS = [
+    'analysis.completed',
+    'analysis.failed',
+    'screenshot.batch.completed',
+    'message.changed'
+];
+
+// Sent by the test endpoint regardless of the webhook's event filter
+const TEST_EVENT = 'webhook.test';
+
+// Columns returned when listing webhooks (the secret is only returned on creation)
+const WEBHOOK_COLUMNS = 'id, workspace_id, company_id, url, events, enabled, description, created_at, updated_at';
+
+// Addresses webhooks must not reach: unspecified, loopback, private, shared (CGNAT),
+// link-local (including cloud metadata endpoints), benchmarking, multicast and reserved.
+// IPv4-mapped IPv6 addresses are checked as the IPv4 address.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Checks whether an IP address is on the server's own network (or otherwise not public)
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup that fails for private addresses, used by the agents of webhook requests so
+ * that the address actually connected to is the one checked
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = config.webhooks.allowPrivateUrls ? null : addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Checks that a webhook URL does not point to a private address (IP literals are not
+ * looked up when connecting, so they are checked here)
+ * @param {string} url - Webhook URL
+ * @returns {Promise<string|null>} - The problem, or null if the URL may be called
+ */
+async function checkWebhookTarget(url) {
+    if (config.webhooks.allowPrivateUrls) return null;
+
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+        return `Webhook URL host ${hostname} could not be resolved`;
+    }
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (!blocked) return null;
+    return `Webhook URL must not point to a loopback, private or link-local address${blocked.address !== hostname ? ` (${hostname} resolves to ${blocked.address})` : ''}`;
+}
+
+/**
+ * Computes the signature header value of a request body
+ * @param {string} secret - Webhook secret
+ * @param {string} timestamp - Unix timestamp in seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - `sha256=<hex digest>`
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Validates the url and events of a webhook create / update request. The URL host is
+ * resolved to check that it is not a private address.
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Fields are optional (update)
+ * @returns {Promise<string|null>} - Error message, or null if valid
+ */
+async function validateWebhookInput(body, partial = false) {
+    if (!partial || body.url !== undefined) {
+        try {
+            const parsed = new URL(body.url);
+            if (!['http:', 'https:'].includes(parsed.protocol)) return 'Webhook URL must use http or https';
+        } catch (e) {
+            return 'A valid webhook URL is required';
+        }
+        const targetError = await checkWebhookTarget(body.url);
+        if (targetError) return targetError;
+    }
+    if (body.events !== undefined) {
+        if (!Array.isArray(body.events)) return 'Events must be an array';
+        const unknown = body.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) return `Unknown events: ${unknown.join(', ')} (supported: ${WEBHOOK_EVENTS.join(', ')})`;
+    }
+    return null;
+}
+
+/**
+ * Lists the webhooks of a workspace, optionally only those that apply to a company
+ * @param {Object} filters
+ * @param {string} filters.workspaceId - Workspace UUID
+ * @param {string} filters.companyId - Only webhooks of this company and workspace-wide webhooks
+ * @returns {Promise<Array<Object>>} - Webhook rows without secrets
+ */
+async function listWebhooks({ workspaceId, companyId } = {}) {
+    let query = supabase
+        .from('webhooks')
+        .select(WEBHOOK_COLUMNS)
+        .eq('workspace_id', workspaceId)
+        .order('created_at', { ascending: true });
+
+    if (companyId) query = query.or(`company_id.eq.${companyId},company_id.is.null`);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Fetches one webhook
+ * @param {string} id - Webhook UUID
+ * @returns {Promise<Object|null>} - Webhook row without secret, or null
+ */
+async function getWebhook(id) {
+    const { data, error } = await supabase
+        .from('webhooks')
+        .select(WEBHOOK_COLUMNS)
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Creates a webhook with a new signing secret
+ * @param {Object} params
+ * @param {string} params.url - Receiver URL (http or https)
+ * @param {string} params.workspaceId - Workspace UUID
+ * @param {string} params.companyId - Company UUID, or null for every company of the workspace
+ * @param {Array<string>} params.events - Subscribed events (empty for all)
+ * @param {string} params.description - Optional label
+ * @returns {Promise<Object>} - The webhook row, including its secret
+ */
+async function createWebhook({ url, workspaceId, companyId = null, events = [], description = null }) {
+    const { data, error } = await supabase
+        .from('webhooks')
+        .insert({
+            url,
+            workspace_id: workspaceId,
+            company_id: companyId,
+            events,
+            description,
+            secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+            enabled: true
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+    console.log(`[Webhooks] Created webhook ${data.id} for ${companyId ? `company ${companyId}` : 'all companies'}`);
+    return data;
+}
+
+/**
+ * Updates a webhook
+ * @param {string} id - Webhook UUID
+ * @param {Object} changes - { url, events, enabled, description }
+ * @returns {Promise<Object|null>} - Updated webhook row without secret, or null if not found
+ */
+async function updateWebhook(id, changes) {
+    const allowed = ['url', 'events', 'enabled', 'description'];
+    const update = Object.fromEntries(Object.entries(changes).filter(([key, value]) => allowed.includes(key) && value !== undefined));
+
+    const { data, error } = await supabase
+        .from('webhooks')
+        .update({ ...update, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select(WEBHOOK_COLUMNS);
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Deletes a webhook and its delivery log
+ * @param {string} id - Webhook UUID
+ * @returns {Promise<boolean>} - true if a webhook was deleted
+ */
+async function deleteWebhook(id) {
+    const { data, error } = await supabase
+        .from('webhooks')
+        .delete()
+        .eq('id', id)
+        .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+}
+
+/**
+ * Stores a delivery of an event for every enabled webhook subscribed to it, then
+ * sends them right away. Never throws: a notification must not fail the work it reports.
+ * @param {string} event - Event name (WEBHOOK_EVENTS)
+ * @param {Object} params
+ * @param {string} params.workspaceId - Workspace of the event (defaults to the company's workspace)
+ * @param {string} params.companyId - Company the event is about (null for workspace-level events)
+ * @param {Object} params.data - Event payload
+ * @returns {Promise<number>} - Number of deliveries queued
+ */
+async function dispatchEvent(event, { workspaceId = null, companyId = null, data = {} } = {}) {
+    try {
+        if (!workspaceId && companyId) {
+            const { data: company, error: companyError } = await supabase
+                .from('companies')
+                .select('workspace_id')
+                .eq('id', companyId)
+                .maybeSingle();
+            if (companyError) throw companyError;
+            workspaceId = company ? company.workspace_id : null;
+        }
+        if (!workspaceId) return 0;
+
+        let query = supabase
+            .from('webhooks')
+            .select('id, company_id, events')
+            .eq('workspace_id', workspaceId)
+            .eq('enabled', true);
+        query = companyId
+            ? query.or(`company_id.eq.${companyId},company_id.is.null`)
+            : query.is('company_id', null);
+
+        const { data: hooks, error } = await query;
+        if (error) throw error;
+
+        const subscribed = (hooks || []).filter(hook => !hook.events || hook.events.length === 0 || hook.events.includes(event));
+        if (subscribed.length === 0) return 0;
+
+        const eventId = crypto.randomUUID();
+        const createdAt = new Date().toISOString();
+        const deliveries = await queueDeliveries(subscribed.map(hook => hook.id), {
+            id: eventId,
+            event,
+            created_at: createdAt,
+            workspace_id: workspaceId,
+            company_id: companyId,
+            data
+        });
+
+        console.log(`[Webhooks] Queued ${deliveries.length} deliveries of ${event}`);
+        deliveries.forEach(delivery => sendDelivery(delivery).catch(err => console.warn(`[Webhooks] Delivery ${delivery.id} failed:`, err.message)));
+        return deliveries.length;
+    } catch (error) {
+        console.error(`[Webhooks] Failed to dispatch ${event}:`, error.message);
+        return 0;
+    }
+}
+
+/**
+ * Inserts pending deliveries of a payload
+ * @param {Array<string>} webhookIds - Webhook UUIDs
+ * @param {Object} payload - { id, event, created_at, workspace_id, company_id, data }
+ * @returns {Promise<Array<Object>>} - Delivery rows
+ */
+async function queueDeliveries(webhookIds, payload) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+        .from('webhook_deliveries')
+        .insert(webhookIds.map(webhookId => ({
+            webhook_id: webhookId,
+            event: payload.event,
+            event_id: payload.id,
+            payload,
+            status: 'pending',
+            attempts: 0,
+            next_attempt_at: now
+        })))
+        .select();
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Sends a test event to one webhook
+ * @param {string} id - Webhook UUID
+ * @returns {Promise<Object|null>} - The delivery after the first attempt, or null if the webhook does not exist
+ */
+async function sendTestEvent(id) {
+    const webhook = await getWebhook(id);
+    if (!webhook) return null;
+
+    const [delivery] = await queueDeliveries([id], {
+        id: crypto.randomUUID(),
+        event: TEST_EVENT,
+        created_at: new Date().toISOString(),
+        workspace_id: webhook.workspace_id,
+        company_id: webhook.company_id,
+        data: { message: 'Test event from the Brand Messaging Analyzer' }
+    });
+    return sendDelivery(delivery);
+}
+
+/**
+ * Makes one attempt at a pending delivery. The attempt is claimed with a
+ * compare-and-set on the attempt counter so concurrent dispatchers never send it twice.
+ * Failed attempts are retried after retryBaseMs * 2^(attempt - 1) until maxAttempts.
+ * @param {Object} delivery - Delivery row
+ * @returns {Promise<Object|null>} - Updated delivery row, or null if another dispatcher claimed it
+ */
+async function sendDelivery(delivery) {
+    const { timeoutMs, maxAttempts, retryBaseMs } = config.webhooks;
+    const attempt = (delivery.attempts || 0) + 1;
+    const startedAt = new Date();
+
+    // Claim the attempt; until it finishes the delivery is not due again
+    const { data: claimed, error: claimError } = await supabase
+        .from('webhook_deliveries')
+        .update({
+            attempts: attempt,
+            last_attempt_at: startedAt.toISOString(),
+            next_attempt_at: new Date(startedAt.getTime() + timeoutMs * 2).toISOString()
+        })
+        .eq('id', delivery.id)
+        .eq('status', 'pending')
+        .eq('attempts', delivery.attempts || 0)
+        .select('*, webhooks (url, secret, enabled)');
+
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) return null;
+
+    const webhook = claimed[0].webhooks;
+    let update;
+    if (!webhook || !webhook.enabled) {
+        update = { status: 'failed', error: 'Webhook is disabled' };
+    } else {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(startedAt.getTime() / 1000).toString();
+
+        try {
+            const targetError = await checkWebhookTarget(webhook.url);
+            if (targetError) throw new Error(targetError);
+
+            const response = await axios.post(webhook.url, body, {
+                timeout: timeoutMs,
+                maxRedirects: 0,
+                httpAgent,
+                httpsAgent,
+                validateStatus: () => true,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'BrandMessagingAnalyzer-Webhooks/1.0',
+                    'X-Webhook-Id': delivery.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+                }
+            });
+            const responseBody = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+            update = {
+                response_status: response.status,
+                response_body: (responseBody || '').substring(0, 1000),
+                error: response.status >= 200 && response.status < 300 ? null : `Receiver responded with HTTP ${response.status}`
+            };
+        } catch (error) {
+            update = { response_status: null, response_body: null, error: error.message };
+        }
+
+        if (!update.error) {
+            update.status = 'succeeded';
+            update.delivered_at = new Date().toISOString();
+        } else if (attempt >= maxAttempts) {
+            update.status = 'failed';
+        } else {
+            update.next_attempt_at = new Date(Date.now() + retryBaseMs * 2 ** (attempt - 1)).toISOString();
+        }
+    }
+
+    const { data, error } = await supabase
+        .from('webhook_deliveries')
+        .update({ ...update, duration_ms: Date.now() - startedAt.getTime() })
+        .eq('id', delivery.id)
+        .select()
+        .single();
+
+    if (error) throw error;
+    if (update.error) {
+        console.warn(`[Webhooks] Delivery ${delivery.id} (${delivery.event}) attempt ${attempt} failed: ${update.error}${update.status === 'failed' ? ' - giving up' : ''}`);
+    }
+    return data;
+}
+
+/**
+ * Lists the delivery log of a webhook, newest first
+ * @param {string} webhookId - Webhook UUID
+ * @param {Object} filters
+ * @param {string} filters.status - Only deliveries in this status (pending, succeeded, failed)
+ * @param {number} filters.limit - Page size (default: 50, max: 200)
+ * @param {number} filters.offset - Number of deliveries to skip
+ * @returns {Promise<Object>} - { deliveries, total }
+ */
+async function listDeliveries(webhookId, { status, limit = 50, offset = 0 } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const start = Math.max(parseInt(offset) || 0, 0);
+
+    let query = supabase
+        .from('webhook_deliveries')
+        .select('*', { count: 'exact' })
+        .eq('webhook_id', webhookId)
+        .order('created_at', { ascending: false })
+        .range(start, start + pageSize - 1);
+
+    if (status) query = query.eq('status', status);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    return { deliveries: data || [], total: count || 0 };
+}
+
+/**
+ * Queues a delivery again (e.g. after fixing the receiver)
+ * @param {string} deliveryId - Delivery UUID
+ * @returns {Promise<Object|null>} - The delivery after the new attempt, or null if not found
+ */
+async function redeliver(deliveryId) {
+    const { data, error } = await supabase
+        .from('webhook_deliveries')
+        .update({ status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString(), error: null })
+        .eq('id', deliveryId)
+        .select();
+
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+    return (await sendDelivery(data[0])) || data[0];
+}
+
+/**
+ * Polling loop that retries due deliveries
+ */
+class WebhookDispatcher {
+    constructor(options = {}) {
+        this.pollIntervalMs = options.pollIntervalMs || config.webhooks.pollMs;
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    /**
+     * Start polling for due deliveries
+     */
+    start() {
+        if (this.timer) return;
+        console.log(`[Webhooks] Starting dispatcher (poll every ${this.pollIntervalMs}ms)`);
+        this.tick();
+        this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * One polling iteration: send every pending delivery whose retry time has come
+     */
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+        try {
+            const { data: due, error } = await supabase
+                .from('webhook_deliveries')
+                .select('*')
+                .eq('status', 'pending')
+                .lte('next_attempt_at', new Date().toISOString())
+                .order('next_attempt_at', { ascending: true })
+                .limit(50);
+
+            if (error) throw error;
+
+            for (const delivery of due || []) {
+                await sendDelivery(delivery).catch(err => console.warn(`[Webhooks] Delivery ${delivery.id} failed:`, err.message));
+            }
+        } catch (error) {
+            console.error('[Webhooks] Poll failed:', error.message);
+        } finally {
+            this.ticking = false;
+        }
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    signPayload,
+    validateWebhookInput,
+    listWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    dispatchEvent,
+    sendTestEvent,
+    listDeliveries,
+    redeliver,
+    WebhookDispatcher
+};
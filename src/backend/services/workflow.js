@@ -1,21 +1,48 @@
-const axios = require('axios');
 const { analyzeLinks } = require('./linkAnalyzer');
-const { cleanContent } = require('./contentCleaner');
-const { classifyContent } = require('./classifier');
+const { cleanContent, extractSections } = require('./contentCleaner');
+const { classifyPages } = require('./classifier');
+const { preparePages, matchPages } = require('./phraseMatcher');
+const { locateOccurrences, saveAnalysisOccurrences } = require('./occurrences');
+const { getActiveGuidelines } = require('./guidelines');
 const supabase = require('./supabase');
 const { v4: uuidv4 } = require('uuid');
 const { categorizeMessages } = require('./messageCategorizer');
-const ScreenshotService = require('./screenshotService');
-const { rateLimiter, generateRandomFingerprint, generateHeaders } = require('./antiDetection');
+const { createSnapshot } = require('./snapshots');
+const { recordAudit, snapshotOf } = require('./auditLog');
+const { trashMessage } = require('./trash');
+const { normalizeMessageContent, mergeSections, mergeLocationMatches } = require('./messages');
+const { createCacheStats, addCacheStats, describeCacheStats } = require('./llm/cache');
+const { createUsageRecorder, getUsageEntries, summarizeUsage, describeUsage } = require('./llm/pricing');
+const { saveUsage } = require('./usage');
+const { fetchPage, fetchPages } = require('./pageFetcher');
+const WebCrawler = require('./crawler');
+const { readSitemaps } = require('./sitemap');
+const config = require('../config');
+
+/**
+ * Ordered phases of an analysis run. After each phase completes its output is
+ * written to the checkpoint so an interrupted run can resume from the next one.
+ */
+const WORKFLOW_PHASES = ['discovery', 'fetching', 'classification', 'persistence', 'categorization', 'snapshot'];
 
 /**
  * Orchestrates the full analysis workflow for a company
  * @param {string} companyUrl - The URL of the company to analyze
  * @param {Array<string>} specificPages - Optional array of specific pages to analyze (if provided, only these pages will be analyzed)
  * @param {Function} progressCallback - Optional callback for progress updates: (type, message, progress) => void
+ * @param {Object} options - Optional run options
+ * @param {Object} options.checkpoint - Checkpoint from a previous interrupted run: { completedPhases, state }
+ * @param {Function} options.onCheckpoint - Async callback invoked after each phase with the updated checkpoint
+ * @param {Function} options.onPhaseStart - Callback invoked when a phase starts: (phase) => void
+ * @param {Function} options.onPhaseEnd - Callback invoked when a phase finishes: (phase) => void
+ * @param {AbortSignal} options.signal - Aborts in-flight page fetches and LLM requests when the run is cancelled
+ * @param {string} options.jobId - Analysis job running the workflow, stored with the run's snapshot
+ * @param {string} options.workspaceId - Workspace the company belongs to
+ * @param {boolean} options.bypassLlmCache - Send every LLM request to the provider instead of replaying cached responses
+ * @param {Object} options.discovery - Page discovery of full-website runs: { mode, maxPages, maxDepth, include, exclude } (defaults: config.discovery)
  * @returns {Promise<Object>} - The analysis result
  */
-async function runAnalysisWorkflow(companyUrl, specificPages = null, progressCallback = null) {
+async function runAnalysisWorkflow(companyUrl, specificPages = null, progressCallback = null, options = {}) {
     // Helper function to send progress updates
     const sendProgress = (type, message, progress = null) => {
         console.log(`[${type}] ${message}${progress !== null ? ` (${progress}%)` : ''}`);
@@ -24,591 +51,814 @@ async function runAnalysisWorkflow(companyUrl, specificPages = null, progressCal
         }
     };
 
+    const { signal } = options;
+    const checkpoint = options.checkpoint || {};
+    const completedPhases = new Set(checkpoint.completedPhases || []);
+    const state = { ...(checkpoint.state || {}) };
+
+    const discovery = { ...config.discovery, ...options.discovery };
+    // Pages already fetched by the crawl of this attempt (a resumed run fetches them again)
+    const prefetched = new Map();
+
+    // LLM response cache hits and misses and LLM token usage of the run, kept across resumed attempts
+    state.llmCache = state.llmCache || createCacheStats();
+    state.llmUsage = state.llmUsage || summarizeUsage([]);
+
+    // Store the token usage of a phase's LLM requests for the usage report and budgets
+    const recordLlmUsage = async (phase, recorder) => {
+        const entries = getUsageEntries(recorder);
+        if (entries.length === 0) return;
+
+        const summary = summarizeUsage(entries);
+        sendProgress('log', `LLM usage (${phase}): ${describeUsage(summary)}`);
+        for (const [name, value] of Object.entries(summary)) state.llmUsage[name] += value;
+        try {
+            await saveUsage(recorder, {
+                workspaceId: options.workspaceId || null,
+                companyId: state.companyId || null,
+                jobId: options.jobId || null
+            });
+        } catch (usageError) {
+            sendProgress('log', `Failed to record LLM usage: ${usageError.message}`);
+        }
+    };
+
+    // Run a phase unless the checkpoint says it already finished, then persist its output.
+    // The phase gets the options of its LLM requests (response cache, usage counter and
+    // schema violation reporting); its cache statistics are logged and its token usage recorded.
+    // Responses that do not match their JSON Schema are reported in the job log.
+    const runPhase = async (phase, fn) => {
+        if (completedPhases.has(phase)) {
+            sendProgress('log', `Resuming: ${phase} phase already completed, skipping`);
+            return;
+        }
+        if (signal) signal.throwIfAborted();
+        if (options.onPhaseStart) options.onPhaseStart(phase);
+        const llmOptions = {
+            cache: { bypass: !!options.bypassLlmCache, stats: createCacheStats() },
+            usage: createUsageRecorder(),
+            onSchemaIssue: message => sendProgress('log', `LLM output (${phase}): ${message}`)
+        };
+        try {
+            await fn(llmOptions);
+        } finally {
+            // Tokens are spent even if the phase fails or is cancelled
+            await recordLlmUsage(phase, llmOptions.usage);
+        }
+        const { hits, misses, bypassed } = llmOptions.cache.stats;
+        if (hits + misses + bypassed > 0) {
+            sendProgress('log', `LLM cache (${phase}): ${describeCacheStats(llmOptions.cache.stats)}`);
+            addCacheStats(state.llmCache, llmOptions.cache.stats);
+        }
+        if (signal) signal.throwIfAborted();
+        completedPhases.add(phase);
+        if (options.onPhaseEnd) options.onPhaseEnd(phase);
+        if (options.onCheckpoint) {
+            await options.onCheckpoint({
+                completedPhases: WORKFLOW_PHASES.filter(p => completedPhases.has(p)),
+                state
+            });
+        }
+    };
+
     sendProgress('log', `Starting analysis for: ${companyUrl}`, 0);
     if (specificPages) {
         sendProgress('log', `Specific pages mode: Analyzing ${specificPages.length} pages`);
     }
+    if (completedPhases.size > 0) {
+        sendProgress('log', `Resuming interrupted analysis after: ${[...completedPhases].join(', ')}`);
+    }
+    if (options.bypassLlmCache) {
+        sendProgress('log', 'LLM response cache bypassed: every request goes to the provider');
+    }
 
     try {
-        // 1. Create or Get Company in Supabase
-        sendProgress('log', 'Setting up company record...', 5);
-        let companyId;
-        const { data: existingCompany } = await supabase
-            .from('companies')
-            .select('id')
-            .eq('url', companyUrl)
-            .single();
+        await runPhase('discovery', async (llmOptions) => {
+            state.companyId = await setupCompany(companyUrl, specificPages, options.workspaceId || null, sendProgress);
+            state.pages = await discoverPages(companyUrl, specificPages, discovery, sendProgress, signal, llmOptions, prefetched);
+        });
 
-        // Determine analysis mode
-        const analysisMode = specificPages && specificPages.length > 0 ? 'specific_pages' : 'full_website';
-        const pagesCount = specificPages ? specificPages.length : null;
+        await runPhase('fetching', async () => {
+            const { pageContents, pageCounts } = await fetchPageContents(state.pages, sendProgress, signal, prefetched);
+            state.pageContents = pageContents;
+            state.pageCounts = pageCounts;
+        });
 
-        if (existingCompany) {
-            companyId = existingCompany.id;
-            sendProgress('log', `Found existing company ID: ${companyId}`);
-            // Update analysis mode if it changed
-            await supabase
-                .from('companies')
-                .update({
-                    analysis_mode: analysisMode,
-                    pages_analyzed: pagesCount
-                })
-                .eq('id', companyId);
-        } else {
-            const domain = new URL(companyUrl).hostname;
-            const { data: newCompany, error: createError } = await supabase
-                .from('companies')
-                .insert({
-                    url: companyUrl,
-                    domain: domain,
-                    name: domain,
-                    analysis_mode: analysisMode,
-                    pages_analyzed: pagesCount
-                })
-                .select()
-                .single();
+        await runPhase('classification', async (llmOptions) => {
+            const guidelines = await getActiveGuidelines(state.companyId, options.workspaceId || null);
+            sendProgress('log', `Classifying with ${guidelines.source} guidelines version ${guidelines.version}`);
+            state.guidelineVersionId = guidelines.id;
+            state.messages = await classifyAndVerify(state.pageContents, guidelines.content, sendProgress, signal, llmOptions);
+        });
 
-            if (createError) throw createError;
-            companyId = newCompany.id;
-            sendProgress('log', `Created new company ID: ${companyId}`);
-        }
+        await runPhase('persistence', async () => {
+            state.messageCount = await persistMessages(state.companyId, state.messages, state.guidelineVersionId, options.workspaceId || null, sendProgress);
+        });
 
-        // 2. Determine Pages to Visit
-        sendProgress('log', 'Discovering pages to analyze...', 10);
-        let uniquePages;
+        await runPhase('categorization', async (llmOptions) => {
+            await categorizeCompanyMessages(state.companyId, sendProgress, signal, llmOptions);
+        });
 
-        if (specificPages && specificPages.length > 0) {
-            // Mode: Specific pages only - use the provided pages
-            sendProgress('log', 'Using specific pages provided by user');
-            uniquePages = [...new Set(specificPages)]; // Remove duplicates
-            sendProgress('log', `Analyzing ${uniquePages.length} specific pages`);
-        } else {
-            // Mode: Full website scraping - discover pages automatically
-            sendProgress('log', 'Fetching homepage for link analysis...');
-            const homepageHtml = await fetchHtml(companyUrl);
+        await runPhase('snapshot', async () => {
+            state.snapshotId = await saveSnapshot(state, options.jobId, sendProgress);
+        });
 
-            // Debug: Log content length to diagnose blocked pages
-            sendProgress('log', `Homepage content fetched: ${homepageHtml ? homepageHtml.length : 0} characters`);
+        sendProgress('log', `LLM cache (total): ${describeCacheStats(state.llmCache)}`);
+        sendProgress('log', `LLM usage (total): ${describeUsage(state.llmUsage)}`);
+        sendProgress('log', 'Analysis workflow completed successfully.', 100);
+        return {
+            companyId: state.companyId,
+            messageCount: state.messageCount,
+            pagesVisited: state.pages.length,
+            pageCounts: state.pageCounts,
+            snapshotId: state.snapshotId || null,
+            llmCache: state.llmCache,
+            llmUsage: state.llmUsage
+        };
 
-            // Check if we got meaningful content
-            if (!homepageHtml || homepageHtml.length < 1000) {
-                sendProgress('log', `WARNING: Homepage content seems too short (${homepageHtml ? homepageHtml.length : 0} chars) - page may be blocked`);
-            }
+    } catch (error) {
+        if (signal && signal.aborted) {
+            sendProgress('log', 'Analysis cancelled.');
+            throw error;
+        }
 
-            sendProgress('log', 'Analyzing links to discover pages...', 15);
-            const linkAnalysisResult = await analyzeLinks(homepageHtml, companyUrl);
 
-            // Debug: Log what links were found
-            const totalLinksFound = Object.values(linkAnalysisResult).flat().length;
-            sendProgress('log', `Link analysis found ${totalLinksFound} links across categories`);
-            if (linkAnalysisResult.about_pages?.length > 0) {
-                sendProgress('log', `  - About pages: ${linkAnalysisResult.about_pages.length}`);
-            }
-            if (linkAnalysisResult.product_pages?.length > 0) {
-                sendProgress('log', `  - Product pages: ${linkAnalysisResult.product_pages.length}`);
+        // Provide more helpful error messages for DNS errors
+        let errorMessage = error.message;
+        if (error.code === 'ENOTFOUND' || error.message.includes('ENOTFOUND') || error.message.includes('ERR_NAME_NOT_RESOLVED')) {
+            errorMessage = error.message || `Cannot resolve domain. The domain name may be incorrect or the website may be down.`;
+        }
+        sendProgress('error', `Workflow failed: ${errorMessage}`);
+        throw error;
+    }
+}
+
+/**
+ * Creates the company record or updates the analysis mode of an existing one
+ * @param {string} companyUrl - The URL of the company to analyze
+ * @param {Array<string>|null} specificPages - Specific pages requested by the user
+ * @param {string|null} workspaceId - Workspace the company belongs to
+ * @param {Function} sendProgress - Progress reporter
+ * @returns {Promise<string>} - The company ID
+ */
+async function setupCompany(companyUrl, specificPages, workspaceId, sendProgress) {
+    sendProgress('log', 'Setting up company record...', 5);
+    let companyId;
+    let companyQuery = supabase
+        .from('companies')
+        .select('id, deleted_at')
+        .eq('url', companyUrl);
+    companyQuery = workspaceId ? companyQuery.eq('workspace_id', workspaceId) : companyQuery.is('workspace_id', null);
+    const { data: existingCompany } = await companyQuery.single();
+
+    // Determine analysis mode
+    const analysisMode = specificPages && specificPages.length > 0 ? 'specific_pages' : 'full_website';
+    const pagesCount = specificPages ? specificPages.length : null;
+
+    if (existingCompany) {
+        companyId = existingCompany.id;
+        sendProgress('log', `Found existing company ID: ${companyId}`);
+        // Update analysis mode if it changed; analyzing a company in the trash restores it
+        await supabase
+            .from('companies')
+            .update({
+                analysis_mode: analysisMode,
+                pages_analyzed: pagesCount,
+                deleted_at: null,
+                deleted_by: null
+            })
+            .eq('id', companyId);
+
+        if (existingCompany.deleted_at) {
+            sendProgress('log', 'Restored company from the trash');
+            if (workspaceId) {
+                await recordAudit({ workspace: { id: workspaceId } }, {
+                    action: 'company.restored',
+                    targetType: 'company',
+                    targetId: companyId,
+                    companyId,
+                    before: { deleted_at: existingCompany.deleted_at },
+                    metadata: { reason: 'analyzed again' }
+                });
             }
+        }
+    } else {
+        const domain = new URL(companyUrl).hostname;
+        const { data: newCompany, error: createError } = await supabase
+            .from('companies')
+            .insert({
+                url: companyUrl,
+                workspace_id: workspaceId,
+                domain: domain,
+                name: domain,
+                analysis_mode: analysisMode,
+                pages_analyzed: pagesCount
+            })
+            .select()
+            .single();
 
-            // Determine Pages to Visit (Analyze all pages)
-            const pagesToVisit = new Set([companyUrl]); // Always include homepage
+        if (createError) throw createError;
+        companyId = newCompany.id;
+        sendProgress('log', `Created new company ID: ${companyId}`);
+    }
 
-            // Add all pages from link analysis
-            if (linkAnalysisResult.homepage) linkAnalysisResult.homepage.forEach(url => pagesToVisit.add(url));
-            if (linkAnalysisResult.about_pages) linkAnalysisResult.about_pages.forEach(url => pagesToVisit.add(url));
-            if (linkAnalysisResult.product_pages) linkAnalysisResult.product_pages.forEach(url => pagesToVisit.add(url));
-            if (linkAnalysisResult.insights_pages) linkAnalysisResult.insights_pages.forEach(url => pagesToVisit.add(url));
-            if (linkAnalysisResult.careers_pages) linkAnalysisResult.careers_pages.forEach(url => pagesToVisit.add(url));
+    return companyId;
+}
 
-            uniquePages = Array.from(pagesToVisit);
-            sendProgress('log', `Discovered ${uniquePages.length} pages to analyze`, 20);
+/**
+ * Determines the pages to visit: the user's list, the homepage links or a crawl of the
+ * site (optionally seeded from its sitemaps), categorized by the LLM
+ * @param {string} companyUrl - The URL of the company to analyze
+ * @param {Array<string>|null} specificPages - Specific pages requested by the user
+ * @param {Object} discovery - { mode: 'homepage', 'crawl' or 'sitemap', maxPages, maxDepth, include, exclude } (see config.discovery)
+ * @param {Function} sendProgress - Progress reporter
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @param {Object} llmOptions - Options of the LLM requests ({ cache, usage, onSchemaIssue }, see llm.completeJson)
+ * @param {Map} prefetched - Filled with the crawled pages (url -> fetchPage result), so they are not fetched again
+ * @returns {Promise<Array<string>>} - Unique page URLs
+ */
+async function discoverPages(companyUrl, specificPages, discovery, sendProgress, signal, llmOptions, prefetched) {
+    sendProgress('log', 'Discovering pages to analyze...', 10);
+    let uniquePages;
+
+    if (specificPages && specificPages.length > 0) {
+        // Mode: Specific pages only - use the provided pages
+        sendProgress('log', 'Using specific pages provided by user');
+        uniquePages = [...new Set(specificPages)]; // Remove duplicates
+        sendProgress('log', `Analyzing ${uniquePages.length} specific pages`);
+    } else if (discovery.mode === 'crawl' || discovery.mode === 'sitemap') {
+        uniquePages = await crawlPages(companyUrl, discovery, sendProgress, signal, llmOptions, prefetched);
+    } else {
+        // Mode: Full website scraping - discover pages automatically
+        sendProgress('log', 'Fetching homepage for link analysis...');
+        const homepage = await fetchPage(companyUrl, { signal });
+        const homepageHtml = homepage.html;
+
+        // Debug: Log content length to diagnose blocked pages
+        sendProgress('log', `Homepage content fetched: ${homepageHtml ? homepageHtml.length : 0} characters (${describeTier(homepage)})`);
+
+        // Check if we got meaningful content
+        if (!homepageHtml || homepageHtml.length < 1000) {
+            sendProgress('log', `WARNING: Homepage content seems too short (${homepageHtml ? homepageHtml.length : 0} chars) - page may be blocked`);
         }
 
-        // 4. Process Each Page
-        let allMessages = [];
-        const pageContents = []; // Store all page contents for cross-page analysis
-
-        // First pass: Collect all page contents
-        const totalPages = uniquePages.length;
-        for (let i = 0; i < totalPages; i++) {
-            const pageUrl = uniquePages[i];
-            const pageProgress = 20 + Math.floor((i / totalPages) * 30); // 20-50%
-            try {
-                sendProgress('log', `Fetching page ${i + 1}/${totalPages}: ${pageUrl}`, pageProgress);
+        sendProgress('log', 'Analyzing links to discover pages...', 15);
+        const linkAnalysisResult = await analyzeLinks(homepageHtml, companyUrl, null, { signal, ...llmOptions });
 
-                // Add a small delay to be nice to APIs
-                await new Promise(resolve => setTimeout(resolve, 1000));
+        // Debug: Log what links were found
+        const totalLinksFound = Object.values(linkAnalysisResult).flat().length;
+        sendProgress('log', `Link analysis found ${totalLinksFound} links across categories`);
+        if (linkAnalysisResult.about_pages?.length > 0) {
+            sendProgress('log', `  - About pages: ${linkAnalysisResult.about_pages.length}`);
+        }
+        if (linkAnalysisResult.product_pages?.length > 0) {
+            sendProgress('log', `  - Product pages: ${linkAnalysisResult.product_pages.length}`);
+        }
 
-                const html = await fetchHtml(pageUrl);
-                const cleanedContent = cleanContent(html);
+        uniquePages = pagesToVisit(companyUrl, linkAnalysisResult);
+        sendProgress('log', `Discovered ${uniquePages.length} pages to analyze`, 20);
+    }
 
-                // Debug: Log content sizes
-                sendProgress('log', `  Raw HTML: ${html ? html.length : 0} chars, Cleaned: ${cleanedContent.length} chars`);
+    return uniquePages;
+}
 
-                // Skip if content is too short
-                if (cleanedContent.length < 100) {
-                    sendProgress('log', `Skipping ${pageUrl} - content too short (${cleanedContent.length} chars)`);
-                    continue;
-                }
+/**
+ * Pages to analyze from the link analysis: the homepage and the homepage, about, product,
+ * insights and careers pages (contact pages carry no brand messaging)
+ * @param {string} companyUrl - The URL of the company to analyze
+ * @param {Object} linkAnalysisResult - Categorized links (see analyzeLinks)
+ * @returns {Array<string>} - Unique page URLs
+ */
+function pagesToVisit(companyUrl, linkAnalysisResult) {
+    const pages = new Set([companyUrl]); // Always include homepage
+    for (const category of ['homepage', 'about_pages', 'product_pages', 'insights_pages', 'careers_pages']) {
+        if (linkAnalysisResult[category]) linkAnalysisResult[category].forEach(url => pages.add(url));
+    }
+    return Array.from(pages);
+}
 
-                pageContents.push({
-                    url: pageUrl,
-                    content: cleanedContent
-                });
-            } catch (err) {
-                sendProgress('log', `Error fetching ${pageUrl}: ${err.message}`);
-            }
+/**
+ * Crawls the site breadth-first, most important pages first (WebCrawler), and lets the
+ * LLM pick the pages to analyze among the crawled ones. In sitemap mode the pages of the
+ * sitemaps are queued next to the homepage links, so deep pages compete from the start.
+ * @param {string} companyUrl - The URL of the company to analyze
+ * @param {Object} discovery - { mode, maxPages, maxDepth, include, exclude } (include/exclude: path patterns of the crawled pages)
+ * @param {Function} sendProgress - Progress reporter
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @param {Object} llmOptions - Options of the LLM requests ({ cache, usage, onSchemaIssue }, see llm.completeJson)
+ * @param {Map} prefetched - Filled with the crawled pages (url -> fetchPage result)
+ * @returns {Promise<Array<string>>} - Unique page URLs
+ */
+async function crawlPages(companyUrl, discovery, sendProgress, signal, llmOptions, prefetched) {
+    let seeds = [];
+    if (discovery.mode === 'sitemap') {
+        sendProgress('log', 'Reading the sitemaps...');
+        seeds = await readSitemaps(companyUrl, { signal, maxFiles: discovery.maxSitemapFiles });
+        if (seeds.length > 0) {
+            sendProgress('log', `Found ${seeds.length} pages in the sitemaps`);
+        } else {
+            sendProgress('log', 'No sitemap found, crawling from the homepage');
         }
+    }
 
-        // Second pass: Analyze all pages together so AI can find messages across all pages
-        sendProgress('log', 'Analyzing content with AI...', 55);
-        // Build a structured object with all page contents
-        const allPagesData = {};
-        pageContents.forEach(page => {
-            allPagesData[page.url] = page.content;
-        });
-
-        try {
-            sendProgress('log', `Analyzing all ${pageContents.length} pages together to find cross-page messages...`, 60);
-
-            // Pass all page contents together so AI can search for messages across all pages
-            const classificationResult = await classifyContent(allPagesData, Object.keys(allPagesData));
-
-            if (classificationResult && classificationResult.messages) {
-                sendProgress('log', `AI found ${classificationResult.messages.length} potential messages`, 70);
-                // The AI should return messages with all locations where they appear
-                // But we'll also do a verification pass to ensure we catch all occurrences
-                const messagesWithVerifiedLocations = [];
-
-                for (const msg of classificationResult.messages) {
-                    const messageText = msg.Message;
-                    const reportedLocations = Array.isArray(msg.Locations) ? [...msg.Locations] : [];
-
-                    // Verify and find all actual occurrences across all pages
-                    const verifiedLocations = new Set(reportedLocations);
-
-                    // Normalize message for searching (remove punctuation, normalize whitespace)
-                    const normalizeForSearch = (text) => {
-                        return text.toLowerCase()
-                            .trim()
-                            .replace(/[^\w\s]/g, '') // Remove punctuation
-                            .replace(/\s+/g, ' '); // Normalize whitespace
-                    };
-
-                    const normalizedMessage = normalizeForSearch(messageText);
-
-                    // Search for this message text in all pages
-                    for (const pageData of pageContents) {
-                        const normalizedContent = normalizeForSearch(pageData.content);
-
-                        // Check if message appears in this page's content
-                        // Use word boundary matching for better accuracy
-                        const messageWords = normalizedMessage.split(' ').filter(w => w.length > 0);
-                        if (messageWords.length > 0) {
-                            // Check if all significant words appear in the content
-                            const allWordsFound = messageWords.every(word =>
-                                normalizedContent.includes(word)
-                            );
-
-                            // Also check if the full phrase appears (for exact matches)
-                            const fullPhraseFound = normalizedContent.includes(normalizedMessage);
-
-                            if (allWordsFound || fullPhraseFound) {
-                                verifiedLocations.add(pageData.url);
-                            }
-                        }
-                    }
+    const filters = [
+        discovery.include && discovery.include.length > 0 ? `including ${discovery.include.join(', ')}` : null,
+        discovery.exclude && discovery.exclude.length > 0 ? `excluding ${discovery.exclude.join(', ')}` : null
+    ].filter(Boolean);
+    sendProgress('log', `Crawling the website (up to ${discovery.maxPages} pages, depth ${discovery.maxDepth}${filters.length > 0 ? `, ${filters.join(', ')}` : ''})...`);
+    const crawler = new WebCrawler({
+        maxPages: discovery.maxPages,
+        maxDepth: discovery.maxDepth,
+        include: discovery.include,
+        exclude: discovery.exclude
+    });
+    const crawled = await crawler.crawl(companyUrl, ({ crawled: count, total, currentUrl }) => {
+        const progress = 10 + Math.floor((count / total) * 5); // 10-15%
+        sendProgress('log', `Crawled page ${count}/${total}: ${currentUrl}`, progress);
+    }, { signal, seeds });
+
+    // Most important pages first, should the LLM only see part of them
+    crawled.sort((a, b) => b.priority - a.priority || a.depth - b.depth);
+    for (const page of crawled) {
+        prefetched.set(page.url, { html: page.html, tier: page.tier, reason: page.reason });
+    }
+    const homepage = crawled.find(page => page.depth === 0);
+    const homepageUrl = homepage ? homepage.url : companyUrl;
+    const deepest = crawled.reduce((max, page) => Math.max(max, page.depth), 0);
+    sendProgress('log', `Crawled ${crawled.length} pages (depth ${deepest})`, 15);
+
+    sendProgress('log', 'Categorizing the crawled pages...');
+    const links = crawled.map(page => ({ href: page.url, text: page.title || '' }));
+    const linkAnalysisResult = await analyzeLinks('', homepageUrl, links, {
+        signal,
+        ...llmOptions,
+        maxPerCategory: Math.max(5, Math.ceil(discovery.maxPages / 5))
+    });
+
+    // Only crawled pages: the LLM sometimes invents plausible URLs
+    const crawledUrls = new Set(crawled.map(page => page.url));
+    let uniquePages = pagesToVisit(homepageUrl, linkAnalysisResult).filter(url => crawledUrls.has(url));
+
+    if (uniquePages.length <= 1 && crawled.length > 1) {
+        // Categorization failed or found nothing: keep the pages the crawler ranks highest
+        // (about, product, service, solution and feature pages)
+        sendProgress('log', 'Link categorization returned no pages, using the highest-priority crawled pages');
+        uniquePages = crawled.filter(page => page.depth === 0 || page.priority >= 80).map(page => page.url);
+    }
 
-                    // Convert Set to Array and use verified locations
-                    const finalLocations = Array.from(verifiedLocations);
+    sendProgress('log', `Discovered ${uniquePages.length} pages to analyze`, 20);
+    return uniquePages;
+}
 
-                    messagesWithVerifiedLocations.push({
-                        ...msg,
-                        Locations: finalLocations,
-                        Count: finalLocations.length
-                    });
-                }
+/**
+ * Describes the tier that fetched a page, for the progress log
+ * @param {Object} result - Result of fetchPage: { tier, reason }
+ * @returns {string} - e.g. "rendered: thin content (120 characters of text)"
+ */
+function describeTier({ tier, reason }) {
+    return reason ? `${tier}: ${reason}` : tier;
+}
 
-                allMessages = messagesWithVerifiedLocations;
-                sendProgress('log', `Verified ${allMessages.length} messages across all pages`, 75);
-            }
+/**
+ * Fetches and cleans every page, a few pages at a time, skipping pages with too little content
+ * @param {Array<string>} uniquePages - Page URLs to fetch
+ * @param {Function} sendProgress - Progress reporter
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @param {Map} prefetched - Pages fetched by the crawl (url -> fetchPage result), used as is
+ * @returns {Promise<Object>} - { pageContents: [{ url, content, sections, tier }], pageCounts: { discovered, fetched, skipped, failed, static, rendered } }
+ */
+async function fetchPageContents(uniquePages, sendProgress, signal, prefetched = new Map()) {
+    const pageContents = []; // Store all page contents for cross-page analysis
+    const pageCounts = { discovered: uniquePages.length, fetched: 0, skipped: 0, failed: 0, static: 0, rendered: 0 };
 
-        } catch (err) {
-            sendProgress('log', `Error analyzing pages: ${err.message}`);
-            // Fallback: analyze pages individually if batch analysis fails
-            sendProgress('log', 'Falling back to individual page analysis...');
-            const allUrls = pageContents.map(p => p.url);
-
-            for (const pageData of pageContents) {
-                try {
-                    sendProgress('log', `Analyzing page: ${pageData.url}`);
-                    const classificationResult = await classifyContent(pageData.content, allUrls);
-
-                    if (classificationResult && classificationResult.messages) {
-                        const messagesWithLocation = classificationResult.messages.map(msg => {
-                            const locations = Array.isArray(msg.Locations) ? [...msg.Locations] : [];
-                            if (!locations.includes(pageData.url)) {
-                                locations.push(pageData.url);
-                            }
-                            return {
-                                ...msg,
-                                Locations: locations,
-                                Count: locations.length
-                            };
-                        });
-                        allMessages = allMessages.concat(messagesWithLocation);
-                    }
+    const toFetch = uniquePages.filter(pageUrl => !prefetched.has(pageUrl));
+    if (toFetch.length < uniquePages.length) {
+        sendProgress('log', `Reusing ${uniquePages.length - toFetch.length} pages fetched by the crawl`);
+    }
 
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                } catch (pageErr) {
-                    sendProgress('log', `Error analyzing page ${pageData.url}: ${pageErr.message}`);
-                }
-            }
+    const totalPages = toFetch.length;
+    let started = 0;
+    const fetched = await fetchPages(toFetch, {
+        signal,
+        onStart: (pageUrl) => {
+            const pageProgress = 20 + Math.floor((started / totalPages) * 30); // 20-50%
+            started++;
+            sendProgress('log', `Fetching page ${started}/${totalPages}: ${pageUrl}`, pageProgress);
         }
-
-        // 5. Save Messages to Supabase (Batched)
-        sendProgress('log', `Saving ${allMessages.length} messages to database...`, 80);
-
-        // Helper function to normalize message content for comparison
-        // Handles case, punctuation, and whitespace differences
-        function normalizeMessageContent(text) {
-            return text
-                .toLowerCase()
-                .trim()
-                .replace(/\s+/g, ' ') // Normalize multiple spaces to single space
-                .replace(/[^\w\s]/g, '') // Remove punctuation for comparison
-                .trim();
+    });
+    const fetchedByUrl = new Map(fetched.map(result => [result.url, result]));
+    const results = uniquePages.map(pageUrl => prefetched.has(pageUrl)
+        ? { url: pageUrl, ...prefetched.get(pageUrl) }
+        : fetchedByUrl.get(pageUrl));
+
+    // Results are in page order, whichever finished first
+    for (const result of results) {
+        const pageUrl = result.url;
+        if (result.error && result.error.code === 'ROBOTS_DISALLOWED') {
+            sendProgress('log', `Skipping ${pageUrl} - disallowed by robots.txt`);
+            pageCounts.skipped++;
+            continue;
+        }
+        if (result.error) {
+            sendProgress('log', `Error fetching ${pageUrl}: ${result.error.message}`);
+            pageCounts.failed++;
+            continue;
         }
 
-        // First, check for existing messages in database to avoid duplicates
-        const { data: existingMessages } = await supabase
-            .from('brand_messages')
-            .select('*')
-            .eq('company_id', companyId);
+        const { html } = result;
+        const cleanedContent = cleanContent(html);
 
-        // Clean up existing duplicates in database
-        if (existingMessages && existingMessages.length > 0) {
-            sendProgress('log', 'Checking for existing duplicates in database...');
-            const duplicateGroups = new Map();
+        // Debug: Log content sizes
+        sendProgress('log', `  ${pageUrl} (${describeTier(result)}) - Raw HTML: ${html ? html.length : 0} chars, Cleaned: ${cleanedContent.length} chars`);
 
-            existingMessages.forEach(msg => {
-                const normalized = normalizeMessageContent(msg.content);
-                const key = `${msg.message_type}-${normalized}`;
+        // Skip if content is too short
+        if (cleanedContent.length < 100) {
+            sendProgress('log', `Skipping ${pageUrl} - content too short (${cleanedContent.length} chars)`);
+            pageCounts.skipped++;
+            continue;
+        }
 
-                if (!duplicateGroups.has(key)) {
-                    duplicateGroups.set(key, []);
-                }
-                duplicateGroups.get(key).push(msg);
-            });
+        pageContents.push({
+            url: pageUrl,
+            content: cleanedContent,
+            sections: extractSections(html),
+            tier: result.tier
+        });
+        pageCounts.fetched++;
+        pageCounts[result.tier]++;
+    }
 
-            // Merge duplicates
-            for (const [key, messages] of duplicateGroups.entries()) {
-                if (messages.length > 1) {
-                    sendProgress('log', `Found ${messages.length} duplicate messages, merging...`);
-
-                    // Keep the first message, merge others into it
-                    const primary = messages[0];
-                    const toMerge = messages.slice(1);
-
-                    // Collect all unique locations
-                    let allLocations = [...(primary.locations || [])];
-                    toMerge.forEach(msg => {
-                        if (msg.locations) {
-                            allLocations = [...allLocations, ...msg.locations];
-                        }
-                    });
-                    const uniqueLocations = [...new Set(allLocations)];
-
-                    // Update primary message
-                    await supabase
-                        .from('brand_messages')
-                        .update({
-                            locations: uniqueLocations,
-                            count: uniqueLocations.length
-                        })
-                        .eq('id', primary.id);
-
-                    // Delete duplicate messages
-                    const duplicateIds = toMerge.map(m => m.id);
-                    await supabase
-                        .from('brand_messages')
-                        .delete()
-                        .in('id', duplicateIds);
-                }
-            }
+    sendProgress('log', `Fetched ${pageCounts.fetched} pages (${pageCounts.static} static, ${pageCounts.rendered} rendered)`, 50);
+    return { pageContents, pageCounts };
+}
+
+/**
+ * Classifies the pages in chunks and verifies where each message is quoted verbatim
+ * @param {Array<Object>} pageContents - Page contents: [{ url, content, sections }]
+ * @param {string} guidelines - Guidelines text to classify with
+ * @param {Function} sendProgress - Progress reporter
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @param {Object} llmOptions - Options of the LLM requests ({ cache, usage, onSchemaIssue }, see llm.completeJson)
+ * @returns {Promise<Array<Object>>} - Messages with verified Locations, Count, Sections, LocationMatches and Occurrences
+ */
+async function classifyAndVerify(pageContents, guidelines, sendProgress, signal, llmOptions) {
+    sendProgress('log', `Analyzing ${pageContents.length} pages with AI...`, 55);
+
+    const { messages, chunkCount, failedChunks } = await classifyPages(pageContents, {
+        signal,
+        ...llmOptions,
+        guidelines,
+        onProgress: ({ done, total }) => {
+            sendProgress('log', `Classified chunk ${done}/${total}`, 55 + Math.floor((done / total) * 15)); // 55-70%
         }
+    });
 
-        const existingMessagesMap = new Map();
-        if (existingMessages) {
-            existingMessages.forEach(msg => {
-                const normalized = normalizeMessageContent(msg.content);
-                const key = `${msg.message_type}-${normalized}`;
-                if (!existingMessagesMap.has(key)) {
-                    existingMessagesMap.set(key, msg);
-                }
-            });
+    if (failedChunks.length > 0) {
+        sendProgress('log', `${failedChunks.length}/${chunkCount} chunks failed to classify`);
+        for (const failedChunk of failedChunks) {
+            sendProgress('log', `  - Chunk ${failedChunk.index + 1}: ${failedChunk.error}`);
+        }
+    }
+    sendProgress('log', `AI found ${messages.length} potential messages in ${chunkCount} chunks`, 70);
+
+    // Verify every message against the page text: a page is a location only if it quotes
+    // the message, and messages that no page quotes were paraphrased by the LLM
+    const preparedPages = preparePages(pageContents);
+    const allMessages = [];
+    const rejected = [];
+
+    for (const msg of messages) {
+        const matches = matchPages(msg.Message, preparedPages);
+        if (matches.length === 0) {
+            rejected.push(msg.Message);
+            continue;
         }
 
-        // Deduplicate messages based on content and type
-        const uniqueMessages = [];
-        const seenMessages = new Set();
-
-        for (const msg of allMessages) {
-            const type = msg['Message Type'];
-            const content = msg.Message;
-            // Normalize for case-insensitive, punctuation-insensitive comparison
-            const normalizedContent = normalizeMessageContent(content);
-            const key = `${type}-${normalizedContent}`;
-
-            // Check if this message already exists in database
-            if (existingMessagesMap.has(key)) {
-                const existingDbMsg = existingMessagesMap.get(key);
-                // Update existing message with new locations
-                const newLocations = msg.Locations || [];
-                const mergedLocations = [...new Set([...existingDbMsg.locations, ...newLocations])];
-
-                // Update in database
-                await supabase
-                    .from('brand_messages')
-                    .update({
-                        locations: mergedLocations,
-                        count: mergedLocations.length
-                    })
-                    .eq('id', existingDbMsg.id);
+        // Store the page's wording when the LLM changed punctuation or a word
+        const bestMatch = matches.reduce((top, match) => (match.confidence > top.confidence ? match : top));
+        const locationMatches = matches.map(({ url, confidence, snippet, method }) => ({ url, confidence, snippet, method }));
+
+        allMessages.push({
+            ...msg,
+            Message: bestMatch.confidence < 1 ? bestMatch.snippet : msg.Message,
+            Locations: matches.map(match => match.url),
+            Count: matches.length,
+            Sections: matches.flatMap(match => match.sections.map(({ heading, headingPath }) => ({ url: match.url, heading, headingPath }))),
+            LocationMatches: locationMatches,
+            Occurrences: matches.flatMap(match => locateOccurrences(msg.Message, preparedPages.find(page => page.url === match.url), match))
+        });
+    }
 
-                continue; // Skip adding to uniqueMessages since it already exists
-            }
+    if (rejected.length > 0) {
+        sendProgress('log', `Rejected ${rejected.length} messages not found verbatim on any page: ${rejected.slice(0, 5).map(m => `"${m}"`).join(', ')}${rejected.length > 5 ? ', ...' : ''}`);
+    }
+    sendProgress('log', `Verified ${allMessages.length} messages across all pages`, 75);
+    return allMessages;
+}
 
-            if (!seenMessages.has(key)) {
-                seenMessages.add(key);
-                const locations = msg.Locations || [];
-                uniqueMessages.push({
-                    company_id: companyId,
-                    message_type: type,
-                    content: content, // Preserve original casing from first occurrence
-                    count: locations.length || 1, // Count should match number of locations
-                    reasoning: msg.Reasoning,
-                    locations: locations
-                });
-            } else {
-                // Use normalized comparison to find existing message
-                const existing = uniqueMessages.find(m => {
-                    const existingNormalized = normalizeMessageContent(m.content);
-                    return existingNormalized === normalizedContent && m.message_type === type;
-                });
-                if (existing) {
-                    // Merge locations and update count to match locations length
-                    if (msg.Locations) {
-                        existing.locations = [...new Set([...existing.locations, ...msg.Locations])];
-                    }
-                    // Count should reflect the number of unique locations
-                    existing.count = existing.locations.length;
-                }
+/**
+ * Saves messages to Supabase, merging them into existing messages of the company.
+ * Safe to re-run after an interruption: already inserted messages are matched and merged.
+ * @param {string} companyId - The company UUID
+ * @param {Array<Object>} allMessages - Verified messages from the classification phase
+ * @param {string} guidelineVersionId - Guideline version the messages were classified with
+ * @param {string|null} workspaceId - Workspace the company belongs to (for the audit log)
+ * @param {Function} sendProgress - Progress reporter
+ * @returns {Promise<number>} - Number of newly inserted messages
+ */
+async function persistMessages(companyId, allMessages, guidelineVersionId, workspaceId, sendProgress) {
+    sendProgress('log', `Saving ${allMessages.length} messages to database...`, 80);
+
+    // First, check for existing messages in database to avoid duplicates. Messages in the
+    // trash are included so that finding them again does not bring them back.
+    const { data: existingMessages } = await supabase
+        .from('brand_messages')
+        .select('*')
+        .eq('company_id', companyId);
+
+    // Clean up existing duplicates in database
+    if (existingMessages && existingMessages.length > 0) {
+        sendProgress('log', 'Checking for existing duplicates in database...');
+        const duplicateGroups = new Map();
+
+        existingMessages.filter(msg => !msg.deleted_at).forEach(msg => {
+            const normalized = normalizeMessageContent(msg.content);
+            const key = `${msg.message_type}-${normalized}`;
+
+            if (!duplicateGroups.has(key)) {
+                duplicateGroups.set(key, []);
             }
-        }
+            duplicateGroups.get(key).push(msg);
+        });
+
+        // Merge duplicates
+        for (const [key, messages] of duplicateGroups.entries()) {
+            if (messages.length > 1) {
+                sendProgress('log', `Found ${messages.length} duplicate messages, merging...`);
 
-        if (uniqueMessages.length > 0) {
-            sendProgress('log', `Inserting ${uniqueMessages.length} new messages...`, 85);
-            // Batch inserts to avoid timeouts (chunk size 50)
-            const chunkSize = 50;
-            for (let i = 0; i < uniqueMessages.length; i += chunkSize) {
-                const chunk = uniqueMessages.slice(i, i + chunkSize);
-                sendProgress('log', `Inserting batch ${Math.floor(i / chunkSize) + 1}/${Math.ceil(uniqueMessages.length / chunkSize)}...`);
+                // Keep the first message, merge others into it
+                const primary = messages[0];
+                const toMerge = messages.slice(1);
 
-                const { error: insertError } = await supabase
+                // Collect all unique locations
+                let allLocations = [...(primary.locations || [])];
+                toMerge.forEach(msg => {
+                    if (msg.locations) {
+                        allLocations = [...allLocations, ...msg.locations];
+                    }
+                });
+                const uniqueLocations = [...new Set(allLocations)];
+
+                // Update primary message
+                const merged = {
+                    locations: uniqueLocations,
+                    count: uniqueLocations.length,
+                    sections: mergeSections(...messages.map(m => m.sections || [])),
+                    location_matches: mergeLocationMatches(...messages.map(m => m.location_matches || [])),
+                    aliases: [...new Set(messages.flatMap(m => m.aliases || []))]
+                };
+                await supabase
                     .from('brand_messages')
-                    .insert(chunk);
+                    .update(merged)
+                    .eq('id', primary.id);
+
+                // Move duplicate messages to the trash (restorable until the retention period ends)
+                const removed = [];
+                for (const duplicate of toMerge) {
+                    const trashed = await trashMessage(duplicate.id, null);
+                    if (trashed) {
+                        duplicate.deleted_at = trashed.message.deleted_at;
+                        removed.push(trashed);
+                    }
+                }
 
-                if (insertError) {
-                    sendProgress('log', `Error inserting batch: ${insertError.message}`);
-                    // Continue to next batch instead of failing everything
+                if (workspaceId) {
+                    const audit = { workspace: { id: workspaceId } };
+                    await recordAudit(audit, {
+                        action: 'messages.deduplicated',
+                        targetType: 'message',
+                        targetId: primary.id,
+                        companyId,
+                        before: primary,
+                        after: { ...primary, ...merged },
+                        metadata: { reason: 'analysis', merged: removed.length, removed_ids: removed.map(({ message }) => message.id) }
+                    });
+                    for (const { message, screenshots } of removed) {
+                        await recordAudit(audit, {
+                            action: 'message.deleted',
+                            targetType: 'message',
+                            targetId: message.id,
+                            companyId,
+                            before: { ...message, deleted_at: null, deleted_by: null },
+                            after: { deleted_at: message.deleted_at, deleted_by: message.deleted_by },
+                            metadata: {
+                                reason: 'duplicate',
+                                merged_into: primary.id,
+                                screenshots: screenshots.map(screenshot => snapshotOf(screenshot))
+                            }
+                        });
+                    }
                 }
             }
         }
+    }
 
-        // 6. Categorize Messages with AI
-        try {
-            sendProgress('log', 'Starting AI categorization...', 90);
-            // Fetch all messages for this company (including existing ones)
-            const { data: allCompanyMessages, error: fetchError } = await supabase
-                .from('brand_messages')
-                .select('id, content, message_type, reasoning')
-                .eq('company_id', companyId);
-
-            if (!fetchError && allCompanyMessages && allCompanyMessages.length > 0) {
-                await categorizeMessages(companyId, allCompanyMessages);
-                sendProgress('log', 'AI categorization completed successfully.', 95);
-            } else {
-                sendProgress('log', 'No messages found for categorization.');
+    const existingMessagesMap = new Map();
+    if (existingMessages) {
+        existingMessages.forEach(msg => {
+            const normalized = normalizeMessageContent(msg.content);
+            const key = `${msg.message_type}-${normalized}`;
+            // Prefer an active message over one in the trash
+            if (!existingMessagesMap.has(key) || (existingMessagesMap.get(key).deleted_at && !msg.deleted_at)) {
+                existingMessagesMap.set(key, msg);
             }
-        } catch (categorizationError) {
-            // Don't fail the workflow if categorization fails
-            sendProgress('log', `Categorization failed (workflow continues): ${categorizationError.message}`);
-        }
-
-        sendProgress('log', 'Analysis workflow completed successfully.', 100);
-        return {
-            companyId,
-            messageCount: uniqueMessages.length,
-            pagesVisited: uniquePages.length
-        };
-
-    } catch (error) {
-        // Provide more helpful error messages for DNS errors
-        let errorMessage = error.message;
-        if (error.code === 'ENOTFOUND' || error.message.includes('ENOTFOUND') || error.message.includes('ERR_NAME_NOT_RESOLVED')) {
-            errorMessage = error.message || `Cannot resolve domain. The domain name may be incorrect or the website may be down.`;
-        }
-        sendProgress('error', `Workflow failed: ${errorMessage}`);
-        throw error;
+        });
+        // Texts a message had before it was edited or merged find that message, unless
+        // another message has the text now
+        existingMessages.forEach(msg => {
+            (msg.aliases || []).forEach(alias => {
+                if (!existingMessagesMap.has(alias) || (existingMessagesMap.get(alias).deleted_at && !msg.deleted_at)) {
+                    existingMessagesMap.set(alias, msg);
+                }
+            });
+        });
     }
-}
 
-async function fetchHtml(url, retryAttempt = 0) {
-    const screenshotService = new ScreenshotService(); // Create new instance for each request
-    const maxRetries = 3;
-    const timeout = parseInt(process.env.REQUEST_TIMEOUT_MS) || 30000;
+    // Deduplicate messages based on content and type
+    const uniqueMessages = [];
+    const seenMessages = new Set();
+    // Occurrences per message key, saved once the message ids are known
+    const occurrencesByKey = new Map();
+    const addOccurrences = (key, occurrences) => {
+        if (!occurrencesByKey.has(key)) occurrencesByKey.set(key, new Map());
+        const byPosition = occurrencesByKey.get(key);
+        for (const occurrence of occurrences || []) {
+            const position = `${occurrence.page_url}|${occurrence.occurrence_index}`;
+            if (!byPosition.has(position)) byPosition.set(position, occurrence);
+        }
+    };
+    const messageIdsByKey = new Map();
+
+    for (const msg of allMessages) {
+        const type = msg['Message Type'];
+        const content = msg.Message;
+        // Normalize for case-insensitive, punctuation-insensitive comparison
+        const normalizedContent = normalizeMessageContent(content);
+        const key = `${type}-${normalizedContent}`;
+        addOccurrences(key, msg.Occurrences);
+
+        // Check if this message already exists in database
+        if (existingMessagesMap.has(key)) {
+            const existingDbMsg = existingMessagesMap.get(key);
+            messageIdsByKey.set(key, existingDbMsg.id);
+            // Update existing message with new locations
+            const newLocations = msg.Locations || [];
+            const mergedLocations = [...new Set([...existingDbMsg.locations, ...newLocations])];
+
+            // Update in database
+            await supabase
+                .from('brand_messages')
+                .update({
+                    locations: mergedLocations,
+                    count: mergedLocations.length,
+                    sections: mergeSections(existingDbMsg.sections || [], msg.Sections || []),
+                    location_matches: mergeLocationMatches(existingDbMsg.location_matches || [], msg.LocationMatches || []),
+                    guideline_version_id: guidelineVersionId || existingDbMsg.guideline_version_id
+                })
+                .eq('id', existingDbMsg.id);
 
-    try {
-        // Use Playwright for robust fetching (handles dynamic content & anti-bot)
-        console.log(`Fetching HTML for ${url} using Playwright (Attempt ${retryAttempt + 1}/${maxRetries})...`);
-        const content = await screenshotService.fetchPageContent(url);
-        if (content && content.length > 0) {
-            return content;
+            continue; // Skip adding to uniqueMessages since it already exists
         }
-        throw new Error('Playwright returned empty content');
-    } catch (playwrightError) {
-        console.warn(`Playwright fetch failed for ${url}, falling back to axios:`, playwrightError.message);
-
-        // Check for DNS errors early (before trying axios)
-        const isDnsError = playwrightError.message.includes('ERR_NAME_NOT_RESOLVED') ||
-                          playwrightError.message.includes('net::ERR_NAME_NOT_RESOLVED');
-
-        if (isDnsError) {
-            // Extract domain from URL for better error message
-            let domain = url;
-            try {
-                const urlObj = new URL(url);
-                domain = urlObj.hostname;
-            } catch (e) {
-                // If URL parsing fails, use the original URL
-            }
 
-            // Suggest common typo fixes
-            let suggestion = '';
-            if (domain.includes('bluesheild')) {
-                suggestion = ' Did you mean "blueshield" (with an "i")?';
-            } else if (domain.includes('blueshield') && !domain.includes('bluecross')) {
-                suggestion = ' Did you mean "bluecrossblueshield.com"?';
+        if (!seenMessages.has(key)) {
+            seenMessages.add(key);
+            const locations = msg.Locations || [];
+            uniqueMessages.push({
+                company_id: companyId,
+                message_type: type,
+                content: content, // Preserve original casing from first occurrence
+                count: locations.length || 1, // Count should match number of locations
+                reasoning: msg.Reasoning,
+                locations: locations,
+                sections: msg.Sections || [],
+                location_matches: msg.LocationMatches || [],
+                guideline_version_id: guidelineVersionId || null
+            });
+        } else {
+            // Use normalized comparison to find existing message
+            const existing = uniqueMessages.find(m => {
+                const existingNormalized = normalizeMessageContent(m.content);
+                return existingNormalized === normalizedContent && m.message_type === type;
+            });
+            if (existing) {
+                // Merge locations and update count to match locations length
+                if (msg.Locations) {
+                    existing.locations = [...new Set([...existing.locations, ...msg.Locations])];
+                }
+                existing.sections = mergeSections(existing.sections, msg.Sections || []);
+                existing.location_matches = mergeLocationMatches(existing.location_matches, msg.LocationMatches || []);
+                // Count should reflect the number of unique locations
+                existing.count = existing.locations.length;
             }
-
-            const errorMessage = `Cannot resolve domain "${domain}". The domain name may be incorrect or the website may be down.${suggestion}`;
-            const dnsError = new Error(errorMessage);
-            dnsError.code = 'ENOTFOUND';
-            dnsError.originalError = playwrightError;
-            throw dnsError;
         }
+    }
 
-        // Check if it's an HTTP/2 error that we should retry with different approach
-        const isHttp2Error = playwrightError.message.includes('ERR_HTTP2_') ||
-            playwrightError.message.includes('PROTOCOL_ERROR');
-
-        // Fallback to axios with randomized browser-like headers
-        try {
-            const https = require('https');
-            const http = require('http');
-
-            // Apply rate limiting
-            await rateLimiter.wait(url);
-
-            // Generate random fingerprint for axios request
-            const fingerprint = generateRandomFingerprint();
-            const headers = generateHeaders(fingerprint);
-            headers['User-Agent'] = fingerprint.userAgent;
-            headers['Connection'] = 'keep-alive';
-
-            // Create agents that force HTTP/1.1 (disable HTTP/2)
-            const httpsAgent = new https.Agent({
-                keepAlive: true,
-                maxVersion: 'TLSv1.3',
-                minVersion: 'TLSv1.2',
-                // These settings help with some anti-bot measures
-                rejectUnauthorized: true,
-                timeout: timeout
-            });
+    if (uniqueMessages.length > 0) {
+        sendProgress('log', `Inserting ${uniqueMessages.length} new messages...`, 85);
+        // Batch inserts to avoid timeouts (chunk size 50)
+        const chunkSize = 50;
+        for (let i = 0; i < uniqueMessages.length; i += chunkSize) {
+            const chunk = uniqueMessages.slice(i, i + chunkSize);
+            sendProgress('log', `Inserting batch ${Math.floor(i / chunkSize) + 1}/${Math.ceil(uniqueMessages.length / chunkSize)}...`);
 
-            const httpAgent = new http.Agent({
-                keepAlive: true,
-                timeout: timeout
-            });
+            const { data: inserted, error: insertError } = await supabase
+                .from('brand_messages')
+                .insert(chunk)
+                .select('id, message_type, content');
 
-            const response = await axios.get(url, {
-                headers: headers,
-                timeout: timeout,
-                httpsAgent: httpsAgent,
-                httpAgent: httpAgent,
-                maxRedirects: 10,
-                validateStatus: (status) => status >= 200 && status < 400 // Accept redirects
+            if (insertError) {
+                sendProgress('log', `Error inserting batch: ${insertError.message}`);
+                // Continue to next batch instead of failing everything
+                continue;
+            }
+            (inserted || []).forEach(row => {
+                messageIdsByKey.set(`${row.message_type}-${normalizeMessageContent(row.content)}`, row.id);
             });
-            return response.data;
-        } catch (axiosError) {
-            console.error(`Failed to fetch ${url} with axios:`, axiosError.message);
-
-            // Check for DNS resolution errors (domain doesn't exist)
-            const isDnsError = axiosError.code === 'ENOTFOUND' || 
-                              axiosError.message.includes('ENOTFOUND') ||
-                              axiosError.message.includes('ERR_NAME_NOT_RESOLVED') ||
-                              playwrightError.message.includes('ERR_NAME_NOT_RESOLVED');
-
-            if (isDnsError) {
-                // Extract domain from URL for better error message
-                let domain = url;
-                try {
-                    const urlObj = new URL(url);
-                    domain = urlObj.hostname;
-                } catch (e) {
-                    // If URL parsing fails, use the original URL
-                }
+        }
+    }
 
-                // Suggest common typo fixes
-                let suggestion = '';
-                if (domain.includes('bluesheild')) {
-                    suggestion = ' Did you mean "blueshield" (with an "i")?';
-                } else if (domain.includes('blueshield') && !domain.includes('bluecross')) {
-                    suggestion = ' Did you mean "bluecrossblueshield.com"?';
-                }
+    // Record where exactly each message appears
+    const occurrenceEntries = [...occurrencesByKey.entries()]
+        .filter(([key]) => messageIdsByKey.has(key))
+        .map(([key, byPosition]) => ({ messageId: messageIdsByKey.get(key), occurrences: [...byPosition.values()] }));
+    try {
+        const occurrenceCount = await saveAnalysisOccurrences(companyId, occurrenceEntries);
+        sendProgress('log', `Recorded ${occurrenceCount} message occurrences`);
+    } catch (occurrenceError) {
+        sendProgress('log', `Error saving message occurrences: ${occurrenceError.message}`);
+    }
 
-                const errorMessage = `Cannot resolve domain "${domain}". The domain name may be incorrect or the website may be down.${suggestion}`;
-                const dnsError = new Error(errorMessage);
-                dnsError.code = 'ENOTFOUND';
-                dnsError.originalError = axiosError;
-                throw dnsError;
-            }
+    return uniqueMessages.length;
+}
 
-            // If we haven't exhausted retries and it's a retriable error, try again
-            if (retryAttempt < maxRetries - 1) {
-                const isRetriableError =
-                    axiosError.code === 'ECONNABORTED' ||
-                    axiosError.code === 'ETIMEDOUT' ||
-                    axiosError.code === 'ECONNRESET' ||
-                    axiosError.message.includes('timeout') ||
-                    axiosError.message.includes('PROTOCOL_ERROR') ||
-                    isHttp2Error;
-
-                if (isRetriableError) {
-                    console.log(`Retrying fetch for ${url} (Attempt ${retryAttempt + 2}/${maxRetries})...`);
-                    await new Promise(resolve => setTimeout(resolve, 2000 * (retryAttempt + 1))); // Exponential backoff
-                    return fetchHtml(url, retryAttempt + 1);
-                }
-            }
+/**
+ * Re-categorizes all messages of the company. Failures are logged, not thrown.
+ * @param {string} companyId - The company UUID
+ * @param {Function} sendProgress - Progress reporter
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @param {Object} llmOptions - Options of the LLM requests ({ cache, usage, onSchemaIssue }, see llm.completeJson)
+ */
+async function categorizeCompanyMessages(companyId, sendProgress, signal, llmOptions) {
+    try {
+        sendProgress('log', 'Starting AI categorization...', 90);
+        // Fetch all messages for this company (including existing ones)
+        const { data: allCompanyMessages, error: fetchError } = await supabase
+            .from('brand_messages')
+            .select('id, content, message_type, reasoning')
+            .eq('company_id', companyId)
+            .is('deleted_at', null);
 
-            throw axiosError; // Throw error if all retries failed
+        if (!fetchError && allCompanyMessages && allCompanyMessages.length > 0) {
+            await categorizeMessages(companyId, allCompanyMessages, { signal, ...llmOptions });
+            sendProgress('log', 'AI categorization completed successfully.', 95);
+        } else {
+            sendProgress('log', 'No messages found for categorization.');
         }
-    } finally {
-        // Ensure browser is closed to prevent resource leaks
-        await screenshotService.close().catch(() => { });
+    } catch (categorizationError) {
+        if (signal && signal.aborted) throw categorizationError;
+        // Don't fail the workflow if categorization fails
+        sendProgress('log', `Categorization failed (workflow continues): ${categorizationError.message}`);
+    }
+
+}
+
+/**
+ * Stores the run's messages as an analysis snapshot so later runs can be diffed
+ * against it. Failures are logged, not thrown.
+ * @param {Object} state - Workflow state after categorization
+ * @param {string} jobId - Analysis job UUID (optional)
+ * @param {Function} sendProgress - Progress reporter
+ * @returns {Promise<string|null>} - Snapshot UUID, or null if it could not be saved
+ */
+async function saveSnapshot(state, jobId, sendProgress) {
+    try {
+        const snapshot = await createSnapshot({
+            companyId: state.companyId,
+            jobId,
+            guidelineVersionId: state.guidelineVersionId,
+            pages: state.pageContents.map(page => page.url),
+            messages: state.messages
+        });
+        sendProgress('log', `Saved analysis snapshot with ${snapshot.message_count} messages.`, 98);
+        return snapshot.id;
+    } catch (snapshotError) {
+        // Don't fail the workflow if the snapshot cannot be saved
+        sendProgress('log', `Snapshot failed (workflow continues): ${snapshotError.message}`);
+        return null;
     }
 }
 
 module.exports = {
     runAnalysisWorkflow,
-    fetchHtml
+    WORKFLOW_PHASES
 };
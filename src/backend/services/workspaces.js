@@ -0,0 +1,301 @@
+/**
+ * Workspaces Service
+ * A workspace owns companies (and through them messages, screenshots, snapshots and
+ * schedules), analysis jobs, guidelines and webhooks. Users are members of one or more
+ * workspaces with a role: viewer, analyst or admin.
+ */
+
+const supabase = require('./supabase');
+
+// Roles from least to most privileged; each role can do everything the previous ones can
+const ROLES = ['viewer', 'analyst', 'admin'];
+
+// How to find the workspace that owns each kind of resource, and whether it is in the
+// trash (itself or through its company)
+const RESOURCE_OWNERS = {
+    company: {
+        table: 'companies',
+        columns: 'workspace_id, deleted_at',
+        owner: row => row.workspace_id,
+        trashed: row => Boolean(row.deleted_at)
+    },
+    message: {
+        table: 'brand_messages',
+        columns: 'deleted_at, companies (workspace_id, deleted_at)',
+        owner: row => row.companies && row.companies.workspace_id,
+        trashed: row => Boolean(row.deleted_at || (row.companies && row.companies.deleted_at))
+    },
+    screenshot: {
+        table: 'screenshots',
+        columns: 'deleted_at, companies (workspace_id, deleted_at)',
+        owner: row => row.companies && row.companies.workspace_id,
+        trashed: row => Boolean(row.deleted_at || (row.companies && row.companies.deleted_at))
+    },
+    job: { table: 'analysis_jobs', columns: 'workspace_id', owner: row => row.workspace_id },
+    guideline: {
+        table: 'brand_guidelines',
+        columns: 'company_id, workspace_id, companies (workspace_id)',
+        owner: row => (row.company_id ? row.companies && row.companies.workspace_id : row.workspace_id)
+    },
+    webhook: { table: 'webhooks', columns: 'workspace_id', owner: row => row.workspace_id },
+    delivery: { table: 'webhook_deliveries', columns: 'webhooks (workspace_id)', owner: row => row.webhooks && row.webhooks.workspace_id }
+};
+
+/**
+ * Whether a role includes the permissions of another
+ * @param {string} role - Member's role
+ * @param {string} minimum - Required role
+ * @returns {boolean}
+ */
+function hasRole(role, minimum) {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+}
+
+/**
+ * Creates a workspace with its first admin
+ * @param {string} name - Workspace name
+ * @param {string} ownerId - User UUID of the first admin
+ * @returns {Promise<Object>} - The workspace row
+ */
+async function createWorkspace(name, ownerId) {
+    const { data, error } = await supabase
+        .from('workspaces')
+        .insert({ name })
+        .select()
+        .single();
+
+    if (error) throw error;
+    await addMember(data.id, ownerId, 'admin');
+    console.log(`[Workspaces] Created workspace ${data.id} (${name})`);
+    return data;
+}
+
+/**
+ * Renames a workspace
+ * @param {string} id - Workspace UUID
+ * @param {string} name - New name
+ * @returns {Promise<Object|null>} - The workspace row, or null if not found
+ */
+async function renameWorkspace(id, name) {
+    const { data, error } = await supabase
+        .from('workspaces')
+        .update({ name })
+        .eq('id', id)
+        .select();
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Returns the oldest workspace if nobody is a member of it yet: the default workspace
+ * created by the migration for the data that existed before accounts
+ * @returns {Promise<Object|null>} - Workspace row or null
+ */
+async function getUnclaimedWorkspace() {
+    const { data, error } = await supabase
+        .from('workspaces')
+        .select('*')
+        .order('created_at', { ascending: true })
+        .limit(1);
+
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    const { count, error: countError } = await supabase
+        .from('workspace_members')
+        .select('user_id', { count: 'exact', head: true })
+        .eq('workspace_id', data[0].id);
+
+    if (countError) throw countError;
+    return count ? null : data[0];
+}
+
+/**
+ * Lists the workspaces a user is a member of, oldest membership first
+ * @param {string} userId - User UUID
+ * @returns {Promise<Array<Object>>} - [{ id, name, role }]
+ */
+async function listUserWorkspaces(userId) {
+    const { data, error } = await supabase
+        .from('workspace_members')
+        .select('role, created_at, workspaces (id, name)')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || [])
+        .filter(member => member.workspaces)
+        .map(member => ({ id: member.workspaces.id, name: member.workspaces.name, role: member.role }));
+}
+
+/**
+ * Returns a user's membership of a workspace
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object|null>} - { workspace_id, user_id, role, workspaces: { id, name } } or null
+ */
+async function getMembership(workspaceId, userId) {
+    const { data, error } = await supabase
+        .from('workspace_members')
+        .select('workspace_id, user_id, role, workspaces (id, name)')
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Lists the members of a workspace
+ * @param {string} workspaceId - Workspace UUID
+ * @returns {Promise<Array<Object>>} - [{ user_id, email, name, role, last_login_at, created_at }]
+ */
+async function listMembers(workspaceId) {
+    const { data, error } = await supabase
+        .from('workspace_members')
+        .select('user_id, role, created_at, users (email, name, last_login_at)')
+        .eq('workspace_id', workspaceId)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(member => ({
+        user_id: member.user_id,
+        email: member.users ? member.users.email : null,
+        name: member.users ? member.users.name : null,
+        role: member.role,
+        last_login_at: member.users ? member.users.last_login_at : null,
+        created_at: member.created_at
+    }));
+}
+
+/**
+ * Adds a user to a workspace
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string} userId - User UUID
+ * @param {string} role - viewer, analyst or admin
+ * @returns {Promise<Object>} - Membership row (throws 23505 if already a member)
+ */
+async function addMember(workspaceId, userId, role) {
+    const { data, error } = await supabase
+        .from('workspace_members')
+        .insert({ workspace_id: workspaceId, user_id: userId, role })
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Counts the admins of a workspace
+ * @param {string} workspaceId - Workspace UUID
+ * @returns {Promise<number>}
+ */
+async function countAdmins(workspaceId) {
+    const { count, error } = await supabase
+        .from('workspace_members')
+        .select('user_id', { count: 'exact', head: true })
+        .eq('workspace_id', workspaceId)
+        .eq('role', 'admin');
+
+    if (error) throw error;
+    return count || 0;
+}
+
+/**
+ * Changes a member's role
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string} userId - User UUID
+ * @param {string} role - viewer, analyst or admin
+ * @returns {Promise<Object|null>} - Membership row, or null if not a member
+ */
+async function updateMemberRole(workspaceId, userId, role) {
+    const { data, error } = await supabase
+        .from('workspace_members')
+        .update({ role })
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .select();
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Removes a member from a workspace
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string} userId - User UUID
+ * @returns {Promise<boolean>} - false if the user was not a member
+ */
+async function removeMember(workspaceId, userId) {
+    const { data, error } = await supabase
+        .from('workspace_members')
+        .delete()
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .select('user_id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+}
+
+/**
+ * Finds the workspace that owns a resource
+ * @param {string} resource - company, message, screenshot, job, guideline, webhook or delivery
+ * @param {string} id - Resource UUID
+ * @param {Object} options
+ * @param {boolean} options.includeTrashed - Also find resources in the trash
+ * @returns {Promise<string|null|undefined>} - Workspace UUID, null for shared resources
+ *   (the built-in guidelines), undefined if the resource does not exist (or is in the trash)
+ */
+async function getOwnerWorkspaceId(resource, id, { includeTrashed = false } = {}) {
+    const { table, columns, owner, trashed } = RESOURCE_OWNERS[resource];
+    const { data, error } = await supabase
+        .from(table)
+        .select(columns)
+        .eq('id', id)
+        .maybeSingle();
+
+    // Malformed UUIDs cannot belong to anything
+    if (error && error.code === '22P02') return undefined;
+    if (error) throw error;
+    if (!data) return undefined;
+    if (!includeTrashed && trashed && trashed(data)) return undefined;
+    return owner(data) || null;
+}
+
+/**
+ * Lists the ids of a workspace's companies (not those in the trash)
+ * @param {string} workspaceId - Workspace UUID
+ * @returns {Promise<Array<string>>}
+ */
+async function listCompanyIds(workspaceId) {
+    const { data, error } = await supabase
+        .from('companies')
+        .select('id')
+        .eq('workspace_id', workspaceId)
+        .is('deleted_at', null);
+
+    if (error) throw error;
+    return (data || []).map(company => company.id);
+}
+
+module.exports = {
+    ROLES,
+    RESOURCE_OWNERS,
+    hasRole,
+    createWorkspace,
+    renameWorkspace,
+    getUnclaimedWorkspace,
+    listUserWorkspaces,
+    getMembership,
+    listMembers,
+    addMember,
+    countAdmins,
+    updateMemberRole,
+    removeMember,
+    getOwnerWorkspaceId,
+    listCompanyIds
+};
@@ -0,0 +1,24 @@
+/**
+ * Database Client
+ * Services query the tables through the Supabase client API (from(table).select()...).
+ * DATABASE_DRIVER selects the backend behind it: 'supabase' (default) sends the queries to
+ * the Supabase project with the service role key, 'postgres' runs them on a plain Postgres
+ * database (DATABASE_URL) through the adapter in ./postgres, for on-prem installs and for
+ * tests against a local database.
+ */
+
+const config = require('../../config');
+
+function createDatabaseClient() {
+    if (config.database.driver === 'postgres') {
+        const { PostgresClient } = require('./postgres');
+        return new PostgresClient({
+            connectionString: config.database.url,
+            ssl: config.database.ssl,
+            poolSize: config.database.poolSize
+        });
+    }
+    return require('../supabaseClient');
+}
+
+module.exports = createDatabaseClient();
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Schema Migrations
+ * database/migrations/manifest.json lists the SQL files that build the database in the
+ * order they run, starting with database/schema.sql. The version of a migration is its
+ * file name without .sql, and its rollback is database/migrations/down/<version>.sql.
+ * Applied versions are recorded in the schema_migrations table with a checksum of the
+ * file. The runner needs a direct Postgres connection (scripts/setup/migrate.js); the
+ * startup check only reads schema_migrations, through the database client of either driver.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../../../database/migrations');
+const DOWN_DIR = path.join(MIGRATIONS_DIR, 'down');
+
+// Advisory lock held while migrating, so two runners never apply the same migration
+const LOCK_KEY = 20210622;
+
+const checksumOf = sql => crypto.createHash('sha256').update(sql).digest('hex');
+
+/**
+ * Lists the migrations of the manifest, in order
+ * @returns {Array<Object>} - [{ version, file, downFile, checksum }] (downFile is null if the migration has no rollback)
+ */
+function listMigrations() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(MIGRATIONS_DIR, 'manifest.json'), 'utf8'));
+    return manifest.migrations.map(name => {
+        const file = path.resolve(MIGRATIONS_DIR, name);
+        const version = path.basename(name, '.sql');
+        const downFile = path.join(DOWN_DIR, `${version}.sql`);
+        return {
+            version,
+            file,
+            downFile: fs.existsSync(downFile) ? downFile : null,
+            checksum: checksumOf(fs.readFileSync(file, 'utf8'))
+        };
+    });
+}
+
+/**
+ * Compares the manifest with the versions recorded in the database
+ * @param {Array<Object>} migrations - From listMigrations
+ * @param {Array<Object>} rows - schema_migrations rows ({ version, checksum, applied_at })
+ * @returns {Object} - { migrations: [{ ...migration, applied, appliedAt, changed }], pending, unknown }
+ */
+function compare(migrations, rows) {
+    const applied = new Map(rows.map(row => [row.version, row]));
+    const known = new Set(migrations.map(m => m.version));
+
+    const annotated = migrations.map(migration => {
+        const row = applied.get(migration.version);
+        return {
+            ...migration,
+            applied: !!row,
+            appliedAt: row ? row.applied_at : null,
+            // The file was edited after it ran (baselined versions have no checksum)
+            changed: !!(row && row.checksum && row.checksum !== migration.checksum)
+        };
+    });
+
+    return {
+        migrations: annotated,
+        pending: annotated.filter(m => !m.applied).map(m => m.version),
+        // Versions applied by a newer release of the app
+        unknown: rows.map(row => row.version).filter(version => !known.has(version))
+    };
+}
+
+// schema_migrations does not exist yet (Postgres, or PostgREST through Supabase)
+const isMissingTable = error => ['42P01', 'PGRST205'].includes(error.code)
+    || /schema_migrations.*(does not exist|could not find)|could not find.*schema_migrations/i.test(error.message || '');
+
+/**
+ * Checks that every migration of the manifest was applied, through the app's database
+ * client. Used at startup: the server refuses to run on a database that is behind.
+ * @param {Object} db - Database client (storage/database)
+ * @returns {Promise<Object>} - { pending: [versions], unknown: [versions] }
+ */
+async function checkDatabase(db) {
+    const { data, error } = await db
+        .from('schema_migrations')
+        .select('version, checksum, applied_at');
+
+    if (error) {
+        if (!isMissingTable(error)) throw error;
+        return compare(listMigrations(), []);
+    }
+    return compare(listMigrations(), data);
+}
+
+class MigrationRunner {
+    /**
+     * @param {Object} client - Connected pg Client
+     * @param {Object} options
+     * @param {Function} options.log - Progress output (default: console.log)
+     */
+    constructor(client, { log = console.log } = {}) {
+        this.client = client;
+        this.log = log;
+    }
+
+    async ensureTable() {
+        await this.client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version TEXT PRIMARY KEY,
+                checksum TEXT, -- sha256 of the file when it ran (NULL for baselined versions)
+                applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        // No public policy: only read by the API and the migrate script
+        await this.client.query('ALTER TABLE schema_migrations ENABLE ROW LEVEL SECURITY');
+    }
+
+    async appliedRows() {
+        const { rows: [{ exists }] } = await this.client.query(
+            "SELECT to_regclass('schema_migrations') IS NOT NULL AS exists"
+        );
+        if (!exists) return [];
+        const { rows } = await this.client.query('SELECT version, checksum, applied_at FROM schema_migrations');
+        return rows;
+    }
+
+    /**
+     * @returns {Promise<Object>} - See compare()
+     */
+    async status() {
+        return compare(listMigrations(), await this.appliedRows());
+    }
+
+    // Runs fn while holding the migration lock, with schema_migrations in place
+    async locked(fn) {
+        await this.client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+        try {
+            await this.ensureTable();
+            return await fn(await this.status());
+        } finally {
+            await this.client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+        }
+    }
+
+    // Index of a version in the manifest (the last migration without a version)
+    indexOf(migrations, version) {
+        if (!version) return migrations.length - 1;
+        const index = migrations.findIndex(m => m.version === version);
+        if (index === -1) throw new Error(`Unknown migration: ${version}`);
+        return index;
+    }
+
+    // Runs SQL and the schema_migrations change in one transaction
+    async transaction(sql, recordSql, params) {
+        await this.client.query('BEGIN');
+        try {
+            await this.client.query(sql);
+            await this.client.query(recordSql, params);
+            await this.client.query('COMMIT');
+        } catch (error) {
+            await this.client.query('ROLLBACK');
+            throw error;
+        }
+    }
+
+    /**
+     * Applies the pending migrations, in manifest order
+     * @param {Object} options
+     * @param {string} options.to - Last version to apply (default: all)
+     * @returns {Promise<Array<string>>} - Applied versions
+     */
+    async up({ to } = {}) {
+        return this.locked(async ({ migrations }) => {
+            const last = this.indexOf(migrations, to);
+            const pending = migrations.slice(0, last + 1).filter(m => !m.applied);
+
+            for (const migration of pending) {
+                this.log(`▶️  Applying ${migration.version}`);
+                try {
+                    await this.transaction(
+                        fs.readFileSync(migration.file, 'utf8'),
+                        'INSERT INTO schema_migrations (version, checksum) VALUES ($1, $2)',
+                        [migration.version, migration.checksum]
+                    );
+                } catch (error) {
+                    error.message = `${migration.version} failed: ${error.message}`;
+                    throw error;
+                }
+            }
+            return pending.map(m => m.version);
+        });
+    }
+
+    /**
+     * Rolls back applied migrations, newest first
+     * @param {Object} options
+     * @param {number} options.steps - Number of migrations to roll back (default: 1)
+     * @param {string} options.to - Roll back every migration after this version instead
+     * @returns {Promise<Array<string>>} - Rolled back versions
+     */
+    async down({ steps = 1, to } = {}) {
+        return this.locked(async ({ migrations }) => {
+            const applied = migrations.filter(m => m.applied);
+            const rollback = to
+                ? applied.filter(m => migrations.indexOf(m) > this.indexOf(migrations, to))
+                : applied.slice(-steps);
+            rollback.reverse();
+
+            const irreversible = rollback.filter(m => !m.downFile);
+            if (irreversible.length > 0) {
+                throw new Error(`No rollback for ${irreversible.map(m => m.version).join(', ')}`);
+            }
+
+            for (const migration of rollback) {
+                this.log(`◀️  Rolling back ${migration.version}`);
+                try {
+                    await this.transaction(
+                        fs.readFileSync(migration.downFile, 'utf8'),
+                        'DELETE FROM schema_migrations WHERE version = $1',
+                        [migration.version]
+                    );
+                } catch (error) {
+                    error.message = `${migration.version} rollback failed: ${error.message}`;
+                    throw error;
+                }
+            }
+            return rollback.map(m => m.version);
+        });
+    }
+
+    /**
+     * Records migrations as applied without running them, for databases that were
+     * migrated by hand before the runner existed
+     * @param {Object} options
+     * @param {string} options.to - Last version already in the database (default: all)
+     * @returns {Promise<Array<string>>} - Recorded versions
+     */
+    async baseline({ to } = {}) {
+        return this.locked(async ({ migrations }) => {
+            const last = this.indexOf(migrations, to);
+            const pending = migrations.slice(0, last + 1).filter(m => !m.applied);
+
+            for (const migration of pending) {
+                await this.client.query(
+                    'INSERT INTO schema_migrations (version) VALUES ($1)',
+                    [migration.version]
+                );
+            }
+            return pending.map(m => m.version);
+        });
+    }
+}
+
+module.exports = {
+    MigrationRunner,
+    listMigrations,
+    checkDatabase
+};
@@ -0,0 +1,471 @@
+/**
+ * Plain Postgres adapter with the query API of the Supabase client, so the services run
+ * unchanged on a database without PostgREST: db.from(table).select(...).eq(...) resolves
+ * to { data, error, count }. Queries are translated to SQL that builds the JSON result in
+ * the database, like PostgREST does, so rows have the same shape: timestamps as ISO
+ * strings, and embedded resources (e.g. select('*, companies (name, url)')) as nested
+ * objects or arrays resolved from the foreign keys. Errors carry the Postgres error code
+ * (23505, 22P02, ...), and single() on zero or several rows fails with PGRST116.
+ * Only the part of the query API the app uses is implemented.
+ */
+
+const { Pool } = require('pg');
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Filter operators, as methods (eq(column, value)) and in or()/filter() strings (column.eq.value)
+const OPERATORS = {
+    eq: '=',
+    neq: '<>',
+    gt: '>',
+    gte: '>=',
+    lt: '<',
+    lte: '<=',
+    like: 'LIKE',
+    ilike: 'ILIKE'
+};
+
+const IS_VALUES = { null: 'NULL', true: 'TRUE', false: 'FALSE', unknown: 'UNKNOWN' };
+
+function queryError(message, code = 'PGRST100') {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Drops the undefined values of a row, as supabase-js does when it serializes the body, so
+// those columns keep their value (update) or get their default (insert) instead of NULL
+function definedValues(row) {
+    return Object.fromEntries(Object.entries(row).filter(([, value]) => value !== undefined));
+}
+
+function quote(name) {
+    if (!IDENTIFIER.test(name)) throw queryError(`Invalid identifier: ${name}`);
+    return `"${name}"`;
+}
+
+// Splits a list at the commas outside parentheses and quotes
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let quoted = false;
+    let current = '';
+    for (const char of text) {
+        if (char === '"') quoted = !quoted;
+        if (!quoted && char === '(') depth++;
+        if (!quoted && char === ')') depth--;
+        if (!quoted && depth === 0 && char === ',') {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+const unquote = value => (value.length > 1 && value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value);
+
+/**
+ * Parses a select list, e.g. "id, name, owner:users (email), message_categories (name)"
+ * @param {string} text - Select list
+ * @returns {Array<Object>} - [{ column, alias }] and [{ relation, alias, hint, items }] for embeds
+ */
+function parseSelect(text) {
+    return splitTopLevel(text || '*').map((item) => {
+        const open = item.indexOf('(');
+        const head = (open === -1 ? item : item.substring(0, open)).replace(/\s+/g, '');
+        const [alias, name] = head.includes(':') ? head.split(':') : [null, head];
+
+        if (open === -1) return { column: name, alias };
+        if (!item.endsWith(')')) throw queryError(`Invalid select: ${item}`);
+
+        const [relation, hint = null] = name.split('!');
+        return { relation, alias: alias || relation, hint, items: parseSelect(item.substring(open + 1, item.length - 1)) };
+    });
+}
+
+/**
+ * Parses a filter in PostgREST syntax: "column.operator.value", optionally negated with
+ * "column.not.operator.value", or a group "and(...)" / "or(...)"
+ * @param {string} text - Filter
+ * @returns {Object} - { column, operator, value, negate } or { group, filters }
+ */
+function parseFilter(text) {
+    const group = text.match(/^(not\.)?(and|or)\((.*)\)$/);
+    if (group) {
+        return { group: group[2], negate: !!group[1], filters: splitTopLevel(group[3]).map(parseFilter) };
+    }
+
+    const match = text.match(/^([A-Za-z_][A-Za-z0-9_]*)\.(not\.)?([a-z]+)\.(.*)$/);
+    if (!match) throw queryError(`Invalid filter: ${text}`);
+    const [, column, negate, operator, rawValue] = match;
+    return { column, operator, value: parseFilterValue(operator, rawValue), negate: !!negate };
+}
+
+function parseFilterValue(operator, rawValue) {
+    if (operator === 'in') {
+        return splitTopLevel(rawValue.replace(/^\(/, '').replace(/\)$/, '')).map(unquote);
+    }
+    if (operator === 'is') return rawValue === 'null' ? null : rawValue;
+    return unquote(rawValue);
+}
+
+/**
+ * Query on one table, built like a Supabase query and run when awaited
+ */
+class PostgresQuery {
+    constructor(client, table) {
+        this.client = client;
+        this.table = table;
+        this.action = 'select';
+        this.columns = '*';
+        this.returning = false; // insert/update/upsert/delete: return the changed rows
+        this.values = null;
+        this.options = {};
+        this.filters = [];
+        this.orders = [];
+        this.limitCount = null;
+        this.offsetCount = null;
+        this.singleRow = null; // 'single' or 'maybeSingle'
+    }
+
+    select(columns = '*', { count = null, head = false } = {}) {
+        if (this.action === 'select') {
+            this.options = { ...this.options, count, head };
+        } else {
+            this.returning = true;
+        }
+        this.columns = columns;
+        return this;
+    }
+
+    insert(values, options = {}) {
+        return this.change('insert', values, options);
+    }
+
+    upsert(values, options = {}) {
+        return this.change('upsert', values, options);
+    }
+
+    update(values, options = {}) {
+        return this.change('update', values, options);
+    }
+
+    delete(options = {}) {
+        return this.change('delete', null, options);
+    }
+
+    change(action, values, options) {
+        this.action = action;
+        this.values = values;
+        this.options = { ...this.options, ...options };
+        return this;
+    }
+
+    eq(column, value) { return this.where(column, 'eq', value); }
+    neq(column, value) { return this.where(column, 'neq', value); }
+    gt(column, value) { return this.where(column, 'gt', value); }
+    gte(column, value) { return this.where(column, 'gte', value); }
+    lt(column, value) { return this.where(column, 'lt', value); }
+    lte(column, value) { return this.where(column, 'lte', value); }
+    like(column, pattern) { return this.where(column, 'like', pattern); }
+    ilike(column, pattern) { return this.where(column, 'ilike', pattern); }
+    is(column, value) { return this.where(column, 'is', value); }
+    in(column, values) { return this.where(column, 'in', values); }
+
+    not(column, operator, value) {
+        const parsed = typeof value === 'string' ? parseFilterValue(operator, value) : value;
+        return this.where(column, operator, parsed, true);
+    }
+
+    match(query) {
+        for (const [column, value] of Object.entries(query)) this.eq(column, value);
+        return this;
+    }
+
+    filter(column, operator, value) {
+        this.filters.push(parseFilter(`${column}.${operator}.${value}`));
+        return this;
+    }
+
+    or(filters) {
+        this.filters.push(parseFilter(`or(${filters})`));
+        return this;
+    }
+
+    where(column, operator, value, negate = false) {
+        this.filters.push({ column, operator, value, negate });
+        return this;
+    }
+
+    order(column, { ascending = true, nullsFirst } = {}) {
+        this.orders.push({ column, ascending, nullsFirst });
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    range(from, to) {
+        this.offsetCount = from;
+        this.limitCount = to - from + 1;
+        return this;
+    }
+
+    single() {
+        this.singleRow = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.singleRow = 'maybeSingle';
+        return this;
+    }
+
+    then(onFulfilled, onRejected) {
+        return this.execute().then(onFulfilled, onRejected);
+    }
+
+    /**
+     * Runs the query
+     * @returns {Promise<Object>} - { data, error, count }
+     */
+    async execute() {
+        try {
+            const schema = await this.client.loadSchema();
+            const params = [];
+            const param = (value) => {
+                params.push(value);
+                return `$${params.length}`;
+            };
+
+            let count = null;
+            if (this.options.count) {
+                const where = this.buildWhere('p', param);
+                const { rows } = await this.client.query(`SELECT count(*)::int AS count FROM ${quote(this.table)} p${where}`, params);
+                count = rows[0].count;
+                params.length = 0;
+            }
+            if (this.options.head) return { data: null, error: null, count };
+
+            const sql = this.action === 'select'
+                ? this.buildSelect(schema, param)
+                : this.buildChange(schema, param);
+            const { rows } = await this.client.query(sql, params);
+
+            if (this.action !== 'select' && !this.returning) return { data: null, error: null, count };
+            return { ...this.toResult(rows[0].data), count };
+        } catch (error) {
+            return {
+                data: null,
+                error: { message: error.message, code: error.code || null, details: error.detail || null, hint: error.hint || null },
+                count: null
+            };
+        }
+    }
+
+    toResult(rows) {
+        if (!this.singleRow) return { data: rows, error: null };
+        if (rows.length === 1) return { data: rows[0], error: null };
+        if (rows.length === 0 && this.singleRow === 'maybeSingle') return { data: null, error: null };
+        const error = queryError('JSON object requested, multiple (or no) rows returned', 'PGRST116');
+        error.detail = `The result contains ${rows.length} rows`;
+        throw error;
+    }
+
+    buildSelect(schema, param) {
+        let sql = `SELECT ${this.client.buildColumns(schema, this.table, 'p', parseSelect(this.columns), 0)} FROM ${quote(this.table)} p`;
+        sql += this.buildWhere('p', param);
+        if (this.orders.length > 0) {
+            sql += ' ORDER BY ' + this.orders.map(({ column, ascending, nullsFirst }) => {
+                const nulls = nullsFirst === undefined ? '' : (nullsFirst ? ' NULLS FIRST' : ' NULLS LAST');
+                return `p.${quote(column)} ${ascending ? 'ASC' : 'DESC'}${nulls}`;
+            }).join(', ');
+        }
+        if (this.limitCount !== null) sql += ` LIMIT ${parseInt(this.limitCount)}`;
+        if (this.offsetCount !== null) sql += ` OFFSET ${parseInt(this.offsetCount)}`;
+        return `SELECT coalesce(json_agg(r), '[]'::json) AS data FROM (${sql}) r`;
+    }
+
+    buildChange(schema, param) {
+        const table = quote(this.table);
+        let sql;
+
+        if (this.action === 'insert' || this.action === 'upsert') {
+            const rows = (Array.isArray(this.values) ? this.values : [this.values]).map(definedValues);
+            const columns = [...new Set(rows.flatMap(row => Object.keys(row)))].map(quote);
+            if (rows.length === 0 || columns.length === 0) throw queryError('Nothing to insert');
+
+            sql = `INSERT INTO ${table} AS p (${columns.join(', ')}) SELECT ${columns.join(', ')} FROM json_populate_recordset(NULL::${table}, ${param(JSON.stringify(rows))})`;
+            if (this.action === 'upsert') {
+                const conflict = this.options.onConflict
+                    ? this.options.onConflict.split(',').map(column => column.trim())
+                    : schema.primaryKeys[this.table];
+                if (!conflict) throw queryError(`No primary key on ${this.table} for upsert`);
+                sql += ` ON CONFLICT (${conflict.map(quote).join(', ')}) `;
+                sql += this.options.ignoreDuplicates
+                    ? 'DO NOTHING'
+                    : `DO UPDATE SET ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')}`;
+            }
+        } else if (this.action === 'update') {
+            const values = definedValues(this.values);
+            const columns = Object.keys(values).map(quote);
+            if (columns.length === 0) throw queryError('Nothing to update');
+            sql = `UPDATE ${table} p SET ${columns.map(column => `${column} = v.${column}`).join(', ')}`
+                + ` FROM json_populate_record(NULL::${table}, ${param(JSON.stringify(values))}) v`
+                + this.buildWhere('p', param);
+        } else {
+            sql = `DELETE FROM ${table} p${this.buildWhere('p', param)}`;
+        }
+
+        if (!this.returning) return sql;
+        const columns = this.client.buildColumns(schema, this.table, 'p', parseSelect(this.columns), 0);
+        return `WITH changed AS (${sql} RETURNING p.*) SELECT coalesce(json_agg(r), '[]'::json) AS data FROM (SELECT ${columns} FROM changed p) r`;
+    }
+
+    buildWhere(alias, param) {
+        if (this.filters.length === 0) return '';
+        return ' WHERE ' + this.filters.map(filter => buildCondition(filter, alias, param)).join(' AND ');
+    }
+}
+
+function buildCondition(filter, alias, param) {
+    let sql;
+    if (filter.group) {
+        const joiner = filter.group === 'or' ? ' OR ' : ' AND ';
+        sql = `(${filter.filters.map(nested => buildCondition(nested, alias, param)).join(joiner)})`;
+    } else {
+        const column = `${alias}.${quote(filter.column)}`;
+        const { operator, value } = filter;
+        if (operator === 'is') {
+            const keyword = IS_VALUES[String(value)];
+            if (!keyword) throw queryError(`Invalid value for is: ${value}`);
+            sql = `${column} IS ${keyword}`;
+        } else if (operator === 'in') {
+            sql = `${column} = ANY(${param(value)})`;
+        } else if (OPERATORS[operator]) {
+            sql = `${column} ${OPERATORS[operator]} ${param(value)}`;
+        } else {
+            throw queryError(`Unsupported filter operator: ${operator}`);
+        }
+    }
+    return filter.negate ? `NOT (${sql})` : sql;
+}
+
+/**
+ * Postgres client exposing the Supabase query API (see PostgresQuery)
+ */
+class PostgresClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.connectionString - postgresql:// URL
+     * @param {boolean} options.ssl - Connect over SSL (certificates are not verified)
+     * @param {number} options.poolSize - Maximum connections
+     */
+    constructor({ connectionString, ssl = false, poolSize = 10 }) {
+        this.pool = new Pool({
+            connectionString,
+            ssl: ssl ? { rejectUnauthorized: false } : false,
+            max: poolSize
+        });
+        this.pool.on('error', error => console.error('[Database] Idle connection error:', error.message));
+        this.schema = null;
+    }
+
+    from(table) {
+        return new PostgresQuery(this, table);
+    }
+
+    query(sql, params) {
+        return this.pool.query(sql, params);
+    }
+
+    /**
+     * Loads the foreign keys (to resolve embedded resources) and primary keys (the default
+     * conflict target of upsert) of the current schema, once
+     * @returns {Promise<Object>} - { relations: [{ table, column, foreignTable, foreignColumn }], primaryKeys: { table: [columns] } }
+     */
+    loadSchema() {
+        if (!this.schema) {
+            this.schema = Promise.all([
+                this.query(`
+                    SELECT c.conrelid::regclass::text AS table, a.attname::text AS column,
+                           c.confrelid::regclass::text AS foreign_table, af.attname::text AS foreign_column
+                    FROM pg_constraint c
+                    JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = c.conkey[1]
+                    JOIN pg_attribute af ON af.attrelid = c.confrelid AND af.attnum = c.confkey[1]
+                    WHERE c.contype = 'f' AND c.connamespace = current_schema()::regnamespace
+                      AND array_length(c.conkey, 1) = 1
+                    ORDER BY c.conname`),
+                this.query(`
+                    SELECT c.conrelid::regclass::text AS table, array_agg(a.attname::text ORDER BY k.position) AS columns
+                    FROM pg_constraint c
+                    CROSS JOIN unnest(c.conkey) WITH ORDINALITY AS k(attnum, position)
+                    JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k.attnum
+                    WHERE c.contype = 'p' AND c.connamespace = current_schema()::regnamespace
+                    GROUP BY c.conrelid`)
+            ]).then(([foreignKeys, primaryKeys]) => ({
+                relations: foreignKeys.rows.map(row => ({
+                    table: row.table,
+                    column: row.column,
+                    foreignTable: row.foreign_table,
+                    foreignColumn: row.foreign_column
+                })),
+                primaryKeys: Object.fromEntries(primaryKeys.rows.map(row => [row.table, row.columns]))
+            })).catch((error) => {
+                this.schema = null;
+                throw error;
+            });
+        }
+        return this.schema;
+    }
+
+    /**
+     * Builds the column list of a select, with a correlated subquery per embedded resource:
+     * an object for a to-one relation (the table has the foreign key), an array otherwise
+     */
+    buildColumns(schema, table, alias, items, depth) {
+        return items.map((item) => {
+            if (item.column === '*') return `${alias}.*`;
+            if (item.column) {
+                return `${alias}.${quote(item.column)}${item.alias ? ` AS ${quote(item.alias)}` : ''}`;
+            }
+
+            const relation = this.findRelation(schema, table, item.relation, item.hint);
+            const embedAlias = `e${depth}`;
+            const toOne = relation.table === table && relation.foreignTable === item.relation;
+            const join = toOne
+                ? `${embedAlias}.${quote(relation.foreignColumn)} = ${alias}.${quote(relation.column)}`
+                : `${embedAlias}.${quote(relation.column)} = ${alias}.${quote(relation.foreignColumn)}`;
+            const columns = this.buildColumns(schema, item.relation, embedAlias, item.items, depth + 1);
+            const rows = `SELECT ${columns} FROM ${quote(item.relation)} ${embedAlias} WHERE ${join}`;
+            const value = toOne
+                ? `(SELECT row_to_json(r) FROM (${rows} LIMIT 1) r)`
+                : `(SELECT coalesce(json_agg(r), '[]'::json) FROM (${rows}) r)`;
+            return `${value} AS ${quote(item.alias)}`;
+        }).join(', ');
+    }
+
+    findRelation(schema, table, relation, hint) {
+        const candidates = schema.relations.filter(candidate =>
+            (candidate.table === table && candidate.foreignTable === relation) ||
+            (candidate.table === relation && candidate.foreignTable === table));
+        // A hint names the foreign key column when there are several (e.g. users!created_by)
+        const matching = hint && hint !== 'inner' ? candidates.filter(candidate => candidate.column === hint) : candidates;
+        if (matching.length === 0) {
+            throw queryError(`Could not find a relationship between '${table}' and '${relation}'`, 'PGRST200');
+        }
+        // Prefer the to-one direction, like PostgREST for a table referencing its parent
+        return matching.find(candidate => candidate.table === table) || matching[0];
+    }
+
+    end() {
+        return this.pool.end();
+    }
+}
+
+module.exports = { PostgresClient, parseSelect, parseFilter };
@@ -4,13 +4,11 @@ const { v4: uuidv4 } = require('uuid');
 
 const DATA_DIR = path.join(__dirname, '../../../data');
 const ANALYSES_DIR = path.join(DATA_DIR, 'analyses');
-const SCREENSHOTS_DIR = path.join(DATA_DIR, 'screenshots');
 const EVIDENCE_DIR = process.env.EVIDENCE_DIR || path.join(__dirname, '../../../evidence');
 
-// Ensure directories exist
+// Ensure directories exist (screenshot images are in the object store, see ./objects)
 async function initStorage() {
   await fs.mkdir(ANALYSES_DIR, { recursive: true });
-  await fs.mkdir(SCREENSHOTS_DIR, { recursive: true });
   await fs.mkdir(EVIDENCE_DIR, { recursive: true });
 }
 
@@ -43,51 +41,6 @@ async function updateAnalysis(analysisId, updates) {
   return updated;
 }
 
-// Screenshot storage
-async function saveScreenshot(screenshotId, imageBuffer, metadata) {
-  const imagePath = path.join(SCREENSHOTS_DIR, `${screenshotId}.png`);
-  const metadataPath = path.join(SCREENSHOTS_DIR, `${screenshotId}.json`);
-
-  await fs.writeFile(imagePath, imageBuffer);
-  await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
-}
-
-async function getScreenshot(screenshotId) {
-  const imagePath = path.join(SCREENSHOTS_DIR, `${screenshotId}.png`);
-  const metadataPath = path.join(SCREENSHOTS_DIR, `${screenshotId}.json`);
-
-  try {
-    const [imageBuffer, metadataStr] = await Promise.all([
-      fs.readFile(imagePath),
-      fs.readFile(metadataPath, 'utf-8')
-    ]);
-
-    return {
-      image: imageBuffer,
-      metadata: JSON.parse(metadataStr)
-    };
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return null;
-    }
-    throw error;
-  }
-}
-
-async function getScreenshotMetadata(screenshotId) {
-  const metadataPath = path.join(SCREENSHOTS_DIR, `${screenshotId}.json`);
-
-  try {
-    const data = await fs.readFile(metadataPath, 'utf-8');
-    return JSON.parse(data);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return null;
-    }
-    throw error;
-  }
-}
-
 // HTML Evidence storage
 async function saveHtmlEvidence(htmlContent, url, metadata = {}) {
   try {
@@ -175,9 +128,6 @@ module.exports = {
   saveAnalysis,
   getAnalysis,
   updateAnalysis,
-  saveScreenshot,
-  getScreenshot,
-  getScreenshotMetadata,
   saveHtmlEvidence,
   getHtmlEvidence,
   EVIDENCE_DIR
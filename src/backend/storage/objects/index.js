@@ -0,0 +1,38 @@
+/**
+ * Object Store
+ * Files the app keeps (screenshot images) are stored in buckets on the backend selected
+ * by STORAGE_DRIVER: 'supabase' (Supabase Storage, the default with the Supabase
+ * database), 'local' (a directory served by the app, the default with the Postgres
+ * database) or 's3' (AWS S3 or an S3-compatible service such as MinIO). Every store has
+ * the same interface, and its methods throw on failure:
+ *   upload(bucket, path, body, { contentType, upsert }) - fails if the object exists, unless upsert
+ *   download(bucket, path) - Buffer, or null if there is no such object
+ *   remove(bucket, paths) - missing objects are ignored
+ *   getPublicUrl(bucket, path) - link stored in the database (e.g. screenshots.image_url)
+ *   pathFromUrl(bucket, url) - path of an object from its link, or null for other URLs
+ *   ensureBucket(bucket, options) - creates the bucket if needed
+ */
+
+const config = require('../../config');
+const LocalObjectStore = require('./local');
+const S3ObjectStore = require('./s3');
+const SupabaseObjectStore = require('./supabase');
+
+// Bucket of the screenshot images
+const SCREENSHOTS_BUCKET = 'screenshots';
+
+function createObjectStore() {
+    switch (config.storage.driver) {
+        case 'local':
+            return new LocalObjectStore({ directory: config.storage.localDir, publicUrl: config.storage.publicUrl });
+        case 's3':
+            return new S3ObjectStore(config.storage.s3);
+        default:
+            return new SupabaseObjectStore({ client: require('../supabaseClient') });
+    }
+}
+
+module.exports = {
+    objectStore: createObjectStore(),
+    SCREENSHOTS_BUCKET
+};
@@ -0,0 +1,75 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Object store on the local disk: bucket/path is stored as <directory>/<bucket>/<path>
+ * and served by the app under /storage/<bucket>/<path> (see server.js), so links are
+ * <publicUrl>/storage/<bucket>/<path>.
+ */
+class LocalObjectStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - Root directory of the buckets
+     * @param {string} options.publicUrl - Base URL of the app ('' for links relative to the app)
+     */
+    constructor({ directory, publicUrl = '' }) {
+        this.name = 'local';
+        this.directory = directory;
+        this.publicUrl = publicUrl;
+    }
+
+    // Resolves a path inside a bucket, refusing paths that leave it
+    resolve(bucket, objectPath) {
+        const bucketDir = path.resolve(this.directory, bucket);
+        const filePath = path.resolve(bucketDir, objectPath);
+        if (!filePath.startsWith(bucketDir + path.sep)) {
+            throw new Error(`Invalid object path: ${objectPath}`);
+        }
+        return filePath;
+    }
+
+    bucketDirectory(bucket) {
+        return path.resolve(this.directory, bucket);
+    }
+
+    async ensureBucket(bucket) {
+        await fs.mkdir(this.bucketDirectory(bucket), { recursive: true });
+    }
+
+    async upload(bucket, objectPath, body, { upsert = false } = {}) {
+        const filePath = this.resolve(bucket, objectPath);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        // 'wx' fails with EEXIST instead of replacing an existing object
+        await fs.writeFile(filePath, body, { flag: upsert ? 'w' : 'wx' });
+    }
+
+    async download(bucket, objectPath) {
+        try {
+            return await fs.readFile(this.resolve(bucket, objectPath));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async remove(bucket, objectPaths) {
+        for (const objectPath of objectPaths) {
+            try {
+                await fs.unlink(this.resolve(bucket, objectPath));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+    }
+
+    getPublicUrl(bucket, objectPath) {
+        return `${this.publicUrl}/storage/${bucket}/${objectPath}`;
+    }
+
+    pathFromUrl(bucket, url) {
+        const prefix = `${this.publicUrl}/storage/${bucket}/`;
+        return url && url.startsWith(prefix) ? url.substring(prefix.length) : null;
+    }
+}
+
+module.exports = LocalObjectStore;
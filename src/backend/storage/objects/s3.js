@@ -0,0 +1,139 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+/**
+ * Object store on an S3-compatible service (AWS S3, MinIO, Cloudflare R2), called over
+ * HTTP with Signature Version 4 (no SDK dependency). All buckets of the app share one S3
+ * bucket: bucket/path is stored under the key <bucket>/<path>. Links point at publicUrl
+ * (a CDN or the bucket's public endpoint), so the bucket (or that prefix) must allow
+ * public reads for the images to show.
+ */
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// URI encoding of S3 object keys (RFC 3986, slashes kept)
+const encodeKey = key => key.split('/')
+    .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join('/');
+
+class S3ObjectStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.bucket - S3 bucket
+     * @param {string} options.region - Region (MinIO accepts any, default us-east-1)
+     * @param {string} options.endpoint - Service URL, e.g. http://localhost:9000 (default: AWS)
+     * @param {string} options.accessKeyId - Access key
+     * @param {string} options.secretAccessKey - Secret key
+     * @param {boolean} options.forcePathStyle - Address the bucket in the path (MinIO) instead of the host name
+     * @param {string} options.publicUrl - Base URL of the links (default: the bucket URL)
+     */
+    constructor({ bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey, forcePathStyle = false, publicUrl }) {
+        this.name = 's3';
+        this.bucket = bucket;
+        this.region = region;
+        this.accessKeyId = accessKeyId;
+        this.secretAccessKey = secretAccessKey;
+
+        const service = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+        this.bucketUrl = forcePathStyle
+            ? `${service.origin}/${bucket}`
+            : `${service.protocol}//${bucket}.${service.host}`;
+        this.publicUrl = publicUrl || this.bucketUrl;
+    }
+
+    /**
+     * Sends a signed request
+     * @param {string} method - HTTP method
+     * @param {string} key - Object key ('' for the bucket)
+     * @param {Object} options - { body, headers, validateStatus }
+     * @returns {Promise<Object>} - Axios response
+     */
+    async request(method, key, { body = '', headers = {}, validateStatus } = {}) {
+        const url = new URL(`${this.bucketUrl}/${encodeKey(key)}`);
+        const now = new Date().toISOString().replace(/[:-]|\.\d{3}/g, ''); // YYYYMMDDTHHMMSSZ
+        const date = now.substring(0, 8);
+        const scope = `${date}/${this.region}/s3/aws4_request`;
+
+        const signedHeaders = {
+            ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)])),
+            host: url.host,
+            'x-amz-content-sha256': sha256(body),
+            'x-amz-date': now
+        };
+        const names = Object.keys(signedHeaders).sort();
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            '',
+            ...names.map(name => `${name}:${signedHeaders[name].trim()}`),
+            '',
+            names.join(';'),
+            signedHeaders['x-amz-content-sha256']
+        ].join('\n');
+        const stringToSign = ['AWS4-HMAC-SHA256', now, scope, sha256(canonicalRequest)].join('\n');
+
+        let signingKey = `AWS4${this.secretAccessKey}`;
+        for (const part of [date, this.region, 's3', 'aws4_request']) signingKey = hmac(signingKey, part);
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        const { host, ...requestHeaders } = signedHeaders;
+        return axios({
+            method,
+            url: url.href,
+            data: body,
+            headers: {
+                ...requestHeaders,
+                authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+            },
+            responseType: 'arraybuffer',
+            maxBodyLength: Infinity,
+            validateStatus,
+            transformRequest: [data => data]
+        });
+    }
+
+    // The app's buckets are key prefixes: this creates the S3 bucket itself
+    async ensureBucket() {
+        const response = await this.request('HEAD', '', { validateStatus: status => status < 500 });
+        if (response.status === 404) {
+            // Outside us-east-1, AWS needs the region of a new bucket in the request
+            const body = this.region === 'us-east-1' ? '' : '<CreateBucketConfiguration xmlns="http://s3.amazonaws.com/doc/2006-03-01/">'
+                + `<LocationConstraint>${this.region}</LocationConstraint></CreateBucketConfiguration>`;
+            await this.request('PUT', '', { body });
+        } else if (response.status >= 300) {
+            throw new Error(`S3 bucket ${this.bucket} is not accessible (HTTP ${response.status})`);
+        }
+    }
+
+    async upload(bucket, objectPath, body, { contentType = 'application/octet-stream', upsert = false } = {}) {
+        const headers = { 'content-type': contentType };
+        // Conditional write: the service refuses to replace an existing object
+        if (!upsert) headers['if-none-match'] = '*';
+        await this.request('PUT', `${bucket}/${objectPath}`, { body, headers });
+    }
+
+    async download(bucket, objectPath) {
+        const response = await this.request('GET', `${bucket}/${objectPath}`, {
+            validateStatus: status => status === 200 || status === 404
+        });
+        return response.status === 404 ? null : Buffer.from(response.data);
+    }
+
+    async remove(bucket, objectPaths) {
+        for (const objectPath of objectPaths) {
+            await this.request('DELETE', `${bucket}/${objectPath}`); // Succeeds for missing objects too
+        }
+    }
+
+    getPublicUrl(bucket, objectPath) {
+        return `${this.publicUrl}/${encodeKey(`${bucket}/${objectPath}`)}`;
+    }
+
+    pathFromUrl(bucket, url) {
+        const prefix = `${this.publicUrl}/${bucket}/`;
+        return url && url.startsWith(prefix) ? decodeURIComponent(url.substring(prefix.length)) : null;
+    }
+}
+
+module.exports = S3ObjectStore;
@@ -0,0 +1,63 @@
+/**
+ * Object store on Supabase Storage: every bucket is a Supabase bucket, and links are its
+ * public URLs (https://[project].supabase.co/storage/v1/object/public/<bucket>/<path>).
+ */
+class SupabaseObjectStore {
+    /**
+     * @param {Object} options
+     * @param {Object} options.client - Supabase client (with the service role key)
+     */
+    constructor({ client }) {
+        this.name = 'supabase';
+        this.client = client;
+    }
+
+    async ensureBucket(bucket, options = {}) {
+        const { error } = await this.client.storage.getBucket(bucket);
+        if (!error) return;
+        if (!error.message.includes('not found')) throw error;
+
+        const { error: createError } = await this.client.storage.createBucket(bucket, { public: true, ...options });
+        if (createError) throw createError;
+    }
+
+    async upload(bucket, objectPath, body, { contentType, upsert = false } = {}) {
+        const { error } = await this.client.storage
+            .from(bucket)
+            .upload(objectPath, body, { contentType, upsert });
+
+        if (error) throw error;
+    }
+
+    async download(bucket, objectPath) {
+        const { data, error } = await this.client.storage
+            .from(bucket)
+            .download(objectPath);
+
+        if (error) {
+            if (String(error.statusCode || error.status) === '404' || /not found/i.test(error.message)) return null;
+            throw error;
+        }
+        return Buffer.from(await data.arrayBuffer());
+    }
+
+    async remove(bucket, objectPaths) {
+        if (objectPaths.length === 0) return;
+        const { error } = await this.client.storage.from(bucket).remove(objectPaths);
+        if (error) throw error;
+    }
+
+    getPublicUrl(bucket, objectPath) {
+        const { data } = this.client.storage.from(bucket).getPublicUrl(objectPath);
+        return data.publicUrl;
+    }
+
+    pathFromUrl(bucket, url) {
+        // URL format: https://[project].supabase.co/storage/v1/object/public/[bucket]/[path]
+        const marker = `/storage/v1/object/public/${bucket}/`;
+        const index = url ? url.indexOf(marker) : -1;
+        return index === -1 ? null : decodeURIComponent(url.substring(index + marker.length));
+    }
+}
+
+module.exports = SupabaseObjectStore;
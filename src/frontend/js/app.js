@@ -1,6 +1,21 @@
 // API Client utilities
 const API_BASE = '';
 
+// Pages that can be used without signing in
+const PUBLIC_PAGES = ['login.html'];
+
+function isPublicPage() {
+    return PUBLIC_PAGES.some(page => window.location.pathname.endsWith(page));
+}
+
+// Sends the browser to the sign-in page, returning here afterwards
+function redirectToLogin() {
+    const next = window.location.pathname + window.location.search;
+    window.location.href = `login.html?next=${encodeURIComponent(next)}`;
+    // Never resolves: the page is being left
+    return new Promise(() => {});
+}
+
 async function apiRequest(endpoint, options = {}) {
     const response = await fetch(`${API_BASE}${endpoint}`, {
         ...options,
@@ -10,6 +25,11 @@ async function apiRequest(endpoint, options = {}) {
         }
     });
 
+    // Session expired or missing: sign in again (the sign-in page handles its own errors)
+    if (response.status === 401 && !isPublicPage()) {
+        return redirectToLogin();
+    }
+
     const data = await response.json().catch(() => ({ error: 'Request failed' }));
 
     // For screenshot generation, we want to return the response even if it's a 404
@@ -28,28 +48,89 @@ async function apiRequest(endpoint, options = {}) {
 
 // Export for use in other scripts
 window.api = {
+    // 0. Sign-in Options (sign-up allowed, single sign-on, password length)
+    getAuthOptions: () => apiRequest('/api/auth/options'),
+
+    // 0b. Create an Account
+    register: (email, password, name) => apiRequest('/api/auth/register', {
+        method: 'POST',
+        body: JSON.stringify({ email, password, name })
+    }),
+
+    // 0c. Sign In
+    login: (email, password) => apiRequest('/api/auth/login', {
+        method: 'POST',
+        body: JSON.stringify({ email, password })
+    }),
+
+    // 0d. Sign Out
+    logout: () => apiRequest('/api/auth/logout', {
+        method: 'POST'
+    }),
+
+    // 0g. Current User (with workspace, role and all workspaces of the user)
+    getMe: () => apiRequest('/api/auth/me'),
+
+    // 0h. Switch Workspace
+    switchWorkspace: (workspaceId) => apiRequest('/api/auth/workspace', {
+        method: 'POST',
+        body: JSON.stringify({ workspace_id: workspaceId })
+    }),
+
+    // 0i. Create a Workspace (and switch to it)
+    createWorkspace: (name) => apiRequest('/api/auth/workspaces', {
+        method: 'POST',
+        body: JSON.stringify({ name })
+    }),
+
+    // 0j. Change Password
+    changePassword: (currentPassword, newPassword) => apiRequest('/api/auth/password', {
+        method: 'PUT',
+        body: JSON.stringify({ current_password: currentPassword, new_password: newPassword })
+    }),
+
     // 1. Start Analysis (Full Website)
-    analyzeWebsite: (url) => apiRequest('/api/analyze', {
+    analyzeWebsite: (url, bypassLlmCache = false) => apiRequest('/api/analyze', {
         method: 'POST',
-        body: JSON.stringify({ url, mode: 'full' })
+        body: JSON.stringify({ url, mode: 'full', bypassLlmCache })
     }),
 
     // 1b. Start Analysis (Specific Pages)
-    analyzeSpecificPages: (baseUrl, pages) => apiRequest('/api/analyze', {
+    analyzeSpecificPages: (baseUrl, pages, bypassLlmCache = false) => apiRequest('/api/analyze', {
         method: 'POST',
-        body: JSON.stringify({ url: baseUrl, pages: pages, mode: 'specific' })
+        body: JSON.stringify({ url: baseUrl, pages: pages, mode: 'specific', bypassLlmCache })
     }),
 
     // 1c. Start Analysis with Streaming (Fetch + ReadableStream)
-    analyzeStream: async (url, pages, mode, onProgress, onComplete, onError) => {
+    // Pass options.jobId to attach to an already running job instead of starting a new one;
+    // options.onJob receives { jobId, status } as soon as the server has queued the job;
+    // options.bypassLlmCache sends every LLM request of the new job to the provider;
+    // options.discovery ('homepage', 'crawl' or 'sitemap'), options.crawlMaxPages and the path patterns
+    // options.urlInclude / options.urlExclude choose how a full-website job finds its pages
+    analyzeStream: async (url, pages, mode, onProgress, onComplete, onError, options = {}) => {
         const params = new URLSearchParams();
-        if (url) params.append('url', url);
-        if (mode) params.append('mode', mode);
-        if (pages && pages.length > 0) params.append('pages', JSON.stringify(pages));
+        if (options.jobId) {
+            params.append('jobId', options.jobId);
+        } else {
+            if (url) params.append('url', url);
+            if (mode) params.append('mode', mode);
+            if (pages && pages.length > 0) params.append('pages', JSON.stringify(pages));
+            if (options.bypassLlmCache) params.append('bypassLlmCache', 'true');
+            if (options.discovery) params.append('discovery', options.discovery);
+            if (options.discovery === 'crawl' || options.discovery === 'sitemap') {
+                if (options.crawlMaxPages) params.append('crawlMaxPages', options.crawlMaxPages);
+                (options.urlInclude || []).forEach(pattern => params.append('urlInclude', pattern));
+                (options.urlExclude || []).forEach(pattern => params.append('urlExclude', pattern));
+            }
+        }
 
         try {
             const response = await fetch(`/api/analyze-stream?${params.toString()}`);
 
+            if (response.status === 401) {
+                return redirectToLogin();
+            }
+
             if (!response.ok) {
                 const errorText = await response.text();
                 let errorMsg = `Server error: ${response.status}`;
@@ -95,23 +176,38 @@ window.api = {
                     }
 
                     if (data) {
-                        if (eventType === 'log' || eventType === 'progress') {
+                        if (eventType === 'job') {
+                            if (options.onJob) options.onJob(data);
+                        } else if (eventType === 'log' || eventType === 'progress') {
                             if (onProgress) onProgress({ type: eventType, ...data });
                         } else if (eventType === 'complete') {
                             if (onComplete) onComplete(data);
                             return; // Stop processing
                         } else if (eventType === 'error') {
-                            throw new Error(data.message || 'Unknown error');
+                            const streamError = new Error(data.message || 'Unknown error');
+                            streamError.cancelled = !!data.cancelled;
+                            throw streamError;
                         }
                     }
                 }
             }
         } catch (error) {
             console.error('Stream error:', error);
-            if (onError) onError({ message: error.message });
+            if (onError) onError({ message: error.message, cancelled: !!error.cancelled });
         }
     },
 
+    // 1d. List Analysis Jobs (filters: status, company_id, limit, offset)
+    getJobs: (filters = {}) => apiRequest(`/api/jobs?${new URLSearchParams(filters).toString()}`),
+
+    // 1e. Get Analysis Job (with progress log, phase timings and error)
+    getJob: (jobId) => apiRequest(`/api/jobs/${jobId}`),
+
+    // 1f. Cancel Analysis Job
+    cancelJob: (jobId) => apiRequest(`/api/jobs/${jobId}/cancel`, {
+        method: 'POST'
+    }),
+
     // 2. Get Companies
     getCompanies: () => apiRequest('/api/companies'),
 
@@ -134,6 +230,45 @@ window.api = {
         method: 'DELETE'
     }),
 
+    // 3d. Get Message Occurrences (page, element selector, context and heading path of each occurrence)
+    getMessageOccurrences: (messageId) => apiRequest(`/api/message/${messageId}/occurrences`),
+
+    // 3e. Get Analysis Snapshots of a Company (newest first)
+    getSnapshots: (companyId) => apiRequest(`/api/company/${companyId}/snapshots`),
+
+    // 3f. Diff Analysis Snapshots (latest against the previous one unless from / to are given)
+    getCompanyDiff: (companyId, params = {}) => apiRequest(`/api/company/${companyId}/diff?${new URLSearchParams(params).toString()}`),
+
+    // 3g. Edit Message (any of content, message_type, reasoning, locations)
+    updateMessage: (messageId, fields) => apiRequest(`/api/message/${messageId}`, {
+        method: 'PATCH',
+        body: JSON.stringify(fields)
+    }),
+
+    // 3h. Add a Message to a Company ({ content, message_type, reasoning, locations })
+    createMessage: (companyId, fields) => apiRequest(`/api/company/${companyId}/messages`, {
+        method: 'POST',
+        body: JSON.stringify(fields)
+    }),
+
+    // 3i. Merge Messages into the target (fields may override its content and message_type)
+    mergeMessages: (targetId, sourceIds, fields = {}) => apiRequest('/api/messages/merge', {
+        method: 'POST',
+        body: JSON.stringify({ target_id: targetId, source_ids: sourceIds, ...fields })
+    }),
+
+    // 3j. Review Messages (status: pending, approved, rejected or needs_edit)
+    reviewMessages: (messageIds, status, comment = null) => apiRequest('/api/messages/review', {
+        method: 'POST',
+        body: JSON.stringify({ message_ids: messageIds, status, comment })
+    }),
+
+    // 3k. Classifier Feedback (filters: company_id, verdict, guideline_version_id, limit, offset)
+    getReviewFeedback: (filters = {}) => apiRequest(`/api/review/feedback?${new URLSearchParams(filters).toString()}`),
+
+    // 3l. Review Statistics (messages per review status and precision per guideline version)
+    getReviewStats: (companyId = null) => apiRequest(`/api/review/stats${companyId ? `?company_id=${companyId}` : ''}`),
+
     // 4. Generate Screenshot
     generateScreenshot: (companyId, messageId, url, text) => apiRequest('/api/screenshot', {
         method: 'POST',
@@ -160,6 +295,121 @@ window.api = {
         body: JSON.stringify({ image: base64Image })
     }),
 
+    // 8. Brand Guidelines (global, or a company override with companyId)
+    getGuidelines: (companyId = null) => apiRequest(`/api/guidelines${companyId ? `?company_id=${companyId}` : ''}`),
+
+    // 8b. Get a Guideline Version (with content)
+    getGuidelineVersion: (versionId) => apiRequest(`/api/guidelines/${versionId}`),
+
+    // 8c. Diff a Guideline Version against the previous one (or againstId)
+    diffGuidelines: (versionId, againstId = null) => apiRequest(`/api/guidelines/${versionId}/diff${againstId ? `?against=${againstId}` : ''}`),
+
+    // 8d. Save Guidelines as a New Version
+    saveGuidelines: (content, notes, companyId = null) => apiRequest('/api/guidelines', {
+        method: 'POST',
+        body: JSON.stringify({ content, notes, company_id: companyId })
+    }),
+
+    // 8e. Remove a Company's Guidelines Override
+    removeGuidelinesOverride: (companyId) => apiRequest(`/api/company/${companyId}/guidelines`, {
+        method: 'DELETE'
+    }),
+
+    // 9. List Analysis Schedules (with next run time)
+    getSchedules: () => apiRequest('/api/schedules'),
+
+    // 9b. Get a Company's Schedule (with recent runs)
+    getSchedule: (companyId) => apiRequest(`/api/company/${companyId}/schedule`),
+
+    // 9c. Create or Update a Company's Schedule (cron expression in UTC)
+    saveSchedule: (companyId, cronExpression, enabled = true, recaptureScreenshots = false, recaptureApprovedOnly = false) => apiRequest(`/api/company/${companyId}/schedule`, {
+        method: 'PUT',
+        body: JSON.stringify({
+            cron_expression: cronExpression,
+            enabled,
+            recapture_screenshots: recaptureScreenshots,
+            recapture_approved_only: recaptureApprovedOnly
+        })
+    }),
+
+    // 9d. Delete a Company's Schedule
+    deleteSchedule: (companyId) => apiRequest(`/api/company/${companyId}/schedule`, {
+        method: 'DELETE'
+    }),
+
+    // 9e. Run a Company's Schedule Now
+    runScheduleNow: (companyId) => apiRequest(`/api/company/${companyId}/schedule/run`, {
+        method: 'POST'
+    }),
+
+    // 11. Current Workspace and its Members
+    getWorkspace: () => apiRequest('/api/workspace'),
+
+    // 11b. Rename the Current Workspace
+    renameWorkspace: (name) => apiRequest('/api/workspace', {
+        method: 'PUT',
+        body: JSON.stringify({ name })
+    }),
+
+    // 11c. Add a Member (password is optional for single sign-on accounts)
+    addMember: (member) => apiRequest('/api/workspace/members', {
+        method: 'POST',
+        body: JSON.stringify(member)
+    }),
+
+    // 11d. Change a Member's Role
+    updateMemberRole: (userId, role) => apiRequest(`/api/workspace/members/${userId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ role })
+    }),
+
+    // 11e. Remove a Member
+    removeMember: (userId) => apiRequest(`/api/workspace/members/${userId}`, {
+        method: 'DELETE'
+    }),
+
+    // 12. List API Keys (with the available scopes)
+    getApiKeys: () => apiRequest('/api/api-keys'),
+
+    // 12b. Create an API Key (the key is only returned here)
+    createApiKey: (name, scopes, expiresAt = null) => apiRequest('/api/api-keys', {
+        method: 'POST',
+        body: JSON.stringify({ name, scopes, expires_at: expiresAt })
+    }),
+
+    // 12c. Revoke an API Key
+    revokeApiKey: (id) => apiRequest(`/api/api-keys/${id}`, {
+        method: 'DELETE'
+    }),
+
+    // 13. Audit Log (filters: company_id, action, target_type, target_id, limit, offset)
+    getAuditLog: (filters = {}) => apiRequest(`/api/audit-log?${new URLSearchParams(filters).toString()}`),
+
+    // 14. Trash of the Workspace (companies, messages and screenshots with their purge date)
+    getTrash: () => apiRequest('/api/trash'),
+
+    // 14b. Restore an Item from the Trash (type: company, message or screenshot)
+    restoreFromTrash: (type, id) => apiRequest(`/api/trash/${type}/${id}/restore`, {
+        method: 'POST'
+    }),
+
+    // 14c. Permanently Delete an Item from the Trash
+    deleteFromTrash: (type, id) => apiRequest(`/api/trash/${type}/${id}`, {
+        method: 'DELETE'
+    }),
+
+    // 15. LLM Usage of the Workspace (filters: period=day|month, from, to, company_id)
+    getUsage: (filters = {}) => apiRequest(`/api/usage?${new URLSearchParams(filters).toString()}`),
+
+    // 15b. Set the LLM Budgets of the Workspace (USD, null removes a limit)
+    setUsageBudget: (dailyBudgetUsd, monthlyBudgetUsd) => apiRequest('/api/usage/budget', {
+        method: 'PUT',
+        body: JSON.stringify({ daily_budget_usd: dailyBudgetUsd, monthly_budget_usd: monthlyBudgetUsd })
+    }),
+
+    // Helper: Send the browser to the sign-in page
+    redirectToLogin,
+
     // Helper: Get Company ID from URL
     getCompanyId: () => new URLSearchParams(window.location.search).get('id'),
 
@@ -370,6 +620,74 @@ async function processInBatches(items, processor, options = {}) {
 // Export batch processing utility
 window.api.processInBatches = processInBatches;
 
+/**
+ * Loads the signed-in user and adds the account menu (workspace switcher, role, sign out)
+ * to the header. The role is set on <body data-role> so styles can hide actions the user
+ * is not allowed to take (.requires-analyst, .requires-admin).
+ * @returns {Promise<Object>} The /api/auth/me response
+ */
+async function loadSession() {
+    const me = await window.api.getMe();
+    document.body.dataset.role = me.role || 'none';
+
+    const nav = document.querySelector('.nav-container');
+    if (!nav) return me;
+
+    const escape = (text) => String(text == null ? '' : text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+    const menu = document.createElement('div');
+    menu.className = 'account-menu';
+    menu.innerHTML = `
+        <select class="account-workspace" title="Workspace">
+            ${me.workspaces.map(w => `<option value="${w.id}" ${me.workspace && w.id === me.workspace.id ? 'selected' : ''}>${escape(w.name)}</option>`).join('')}
+            <option value="__new">+ New workspace…</option>
+        </select>
+        <span class="account-role">${escape(me.role || 'no workspace')}</span>
+        <a href="trash.html" class="nav-link">TRASH</a>
+        <a href="workspace.html" class="nav-link" title="${escape(me.user.email)}">${escape(me.user.name || me.user.email)}</a>
+        <button type="button" class="account-signout">SIGN OUT</button>
+    `;
+    nav.appendChild(menu);
+
+    menu.querySelector('.account-workspace').addEventListener('change', async (event) => {
+        try {
+            if (event.target.value === '__new') {
+                const name = window.prompt('Name of the new workspace');
+                if (!name) {
+                    event.target.value = me.workspace ? me.workspace.id : '';
+                    return;
+                }
+                await window.api.createWorkspace(name);
+            } else {
+                await window.api.switchWorkspace(event.target.value);
+            }
+            // Ids of the previous workspace are not valid in the new one
+            window.location.href = 'index.html';
+        } catch (error) {
+            window.api.alert(error.message, 'Error');
+        }
+    });
+
+    menu.querySelector('.account-signout').addEventListener('click', async () => {
+        await window.api.logout().catch(() => {});
+        window.location.href = 'login.html';
+    });
+
+    return me;
+}
+
+// Every page except the sign-in page needs a session; pages can await window.api.session
+window.api.session = isPublicPage() ? Promise.resolve(null) : new Promise((resolve) => {
+    const start = () => loadSession().then(resolve).catch((error) => {
+        console.error('Failed to load session:', error);
+        resolve(null);
+    });
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start);
+    } else {
+        start();
+    }
+});
+
 // Override native alert and confirm with custom centered versions
 window.alert = (message) => window.api.alert(message, 'Alert');
 window.confirm = (message) => window.api.confirm(message, 'Confirm');